@@ -9,6 +9,7 @@ import Loading from "@/components/ui/Loading";
 import ErrorComponent, { Error } from "@/components/ui/Error";
 import Home from "@/components/pages/Home";
 import Cart from "@/components/pages/Cart";
+import Checkout from "@/components/pages/Checkout";
 import UserManagement from "@/components/pages/UserManagement";
 import ManageProducts from "@/components/pages/ManageProducts";
 import AddProduct from "@/components/pages/AddProduct";
@@ -17,6 +18,21 @@ import ReportsAnalytics from "@/components/pages/ReportsAnalytics";
 import ProductDetail from "@/components/pages/ProductDetail";
 import RecipeBundlesPage from "@/components/pages/RecipeBundlesPage";
 import OrderManagement from "@/components/pages/OrderManagement";
+import PromotionManagement from "@/components/pages/PromotionManagement";
+import CategoryManagement from "@/components/pages/CategoryManagement";
+import InventoryManagement from "@/components/pages/InventoryManagement";
+import ProductReviewQueue from "@/components/pages/ProductReviewQueue";
+import CustomerManagement from "@/components/pages/CustomerManagement";
+import CustomerDetail from "@/components/pages/CustomerDetail";
+import Account from "@/components/pages/Account";
+import SystemSettings from "@/components/pages/SystemSettings";
+import Login from "@/components/pages/Login";
+import ProtectedRoute from "@/components/organisms/ProtectedRoute";
+import { AuthProvider, useAuth } from "@/hooks/useAuth";
+import { useSettings } from "@/hooks/useSettings";
+import { STAFF_ROLES } from "@/services/api/UserService";
+import { startProductScheduler } from "@/services/api/ProductService";
+import { hasPermission } from "@/utils/permissions";
 import Category from "@/components/pages/Category";
 import productsData from "@/services/mockData/products.json";
 import categoriesData from "@/services/mockData/categories.json";
@@ -272,6 +288,8 @@ try {
 
 function AppContent() {
   const navigate = useNavigate();
+  const { store } = useSettings();
+  const { user } = useAuth();
   const [isCartDrawerOpen, setIsCartDrawerOpen] = useState(false);
   const [performanceMetrics, setPerformanceMetrics] = useState({});
   const [isAdminLoading, setIsAdminLoading] = useState(false);
@@ -284,6 +302,9 @@ function AppContent() {
 // Ref to track component mount status
   const isMountedRef = useRef(true);
 
+  // Scheduled product publishing runs for as long as the app is open, storefront included
+  useEffect(() => startProductScheduler(), []);
+
   // Initialize spacebar fixes and performance monitoring only once to prevent re-renders
   useEffect(() => {
     const reactSpacebarHandler = function(e) {
@@ -863,11 +884,19 @@ navigate('/');
             <Route path="/" element={<Home />} />
             <Route path="/product/:id" element={<ProductDetail />} />
             <Route path="/cart" element={<Cart />} />
+            <Route path="/checkout" element={<Checkout />} />
             <Route path="/category" element={<Category />} />
             <Route path="/deals" element={<Category />} />
+            <Route path="/login" element={<Login />} />
+            <Route path="/account" element={
+              <ProtectedRoute roles={["customer"]}>
+                <Account />
+              </ProtectedRoute>
+            } />
             
             {/* Admin Dashboard Routes */}
 <Route path="/admin" element={
+              <ProtectedRoute roles={STAFF_ROLES}>
               <div className="min-h-screen bg-gray-50 p-3 sm:p-6">
                 <div className="max-w-7xl mx-auto">
                   <div className="mb-6">
@@ -884,32 +913,85 @@ navigate('/');
                       <h3 className="font-semibold text-gray-900 text-sm sm:text-base">Manage Products</h3>
                       <p className="text-xs sm:text-sm text-gray-600 mt-1">Add, edit, and manage products</p>
                     </Link>
-                    <Link 
-                      to="/admin/orders" 
-                      className="block p-4 sm:p-6 bg-white rounded-lg shadow-soft hover:shadow-medium transition-all transform hover:scale-105 hover:bg-blue-50 border border-gray-200 hover:border-blue-200"
-                    >
-                      <h3 className="font-semibold text-gray-900 text-sm sm:text-base">Orders</h3>
-                      <p className="text-xs sm:text-sm text-gray-600 mt-1">View and manage orders</p>
-                    </Link>
-                    <Link 
-                      to="/admin/users" 
-                      className="block p-4 sm:p-6 bg-white rounded-lg shadow-soft hover:shadow-medium transition-all transform hover:scale-105 hover:bg-green-50 border border-gray-200 hover:border-green-200"
-                    >
-                      <h3 className="font-semibold text-gray-900 text-sm sm:text-base">User Management</h3>
-                      <p className="text-xs sm:text-sm text-gray-600 mt-1">Manage user accounts</p>
-                    </Link>
-                    <Link 
-                      to="/admin/reports" 
-                      className="block p-4 sm:p-6 bg-white rounded-lg shadow-soft hover:shadow-medium transition-all transform hover:scale-105 hover:bg-purple-50 border border-gray-200 hover:border-purple-200"
-                    >
-                      <h3 className="font-semibold text-gray-900 text-sm sm:text-base">Reports & Analytics</h3>
-                      <p className="text-xs sm:text-sm text-gray-600 mt-1">View reports and analytics</p>
-                    </Link>
+                    {hasPermission(user, 'canApprove') && (
+                      <Link 
+                        to="/admin/reviews" 
+                        className="block p-4 sm:p-6 bg-white rounded-lg shadow-soft hover:shadow-medium transition-all transform hover:scale-105 hover:bg-yellow-50 border border-gray-200 hover:border-yellow-200"
+                      >
+                        <h3 className="font-semibold text-gray-900 text-sm sm:text-base">Review Queue</h3>
+                        <p className="text-xs sm:text-sm text-gray-600 mt-1">Approve or reject submitted products</p>
+                      </Link>
+                    )}
+                    {hasPermission(user, 'canManageOrders') && (
+                      <Link 
+                        to="/admin/orders" 
+                        className="block p-4 sm:p-6 bg-white rounded-lg shadow-soft hover:shadow-medium transition-all transform hover:scale-105 hover:bg-blue-50 border border-gray-200 hover:border-blue-200"
+                      >
+                        <h3 className="font-semibold text-gray-900 text-sm sm:text-base">Orders</h3>
+                        <p className="text-xs sm:text-sm text-gray-600 mt-1">View and manage orders</p>
+                      </Link>
+                    )}
+                    {hasPermission(user, 'canManageCustomers') && (
+                      <Link 
+                        to="/admin/customers" 
+                        className="block p-4 sm:p-6 bg-white rounded-lg shadow-soft hover:shadow-medium transition-all transform hover:scale-105 hover:bg-purple-50 border border-gray-200 hover:border-purple-200"
+                      >
+                        <h3 className="font-semibold text-gray-900 text-sm sm:text-base">Customers</h3>
+                        <p className="text-xs sm:text-sm text-gray-600 mt-1">Profiles and order history</p>
+                      </Link>
+                    )}
+                    {hasPermission(user, 'canManageUsers') && (
+                      <Link 
+                        to="/admin/users" 
+                        className="block p-4 sm:p-6 bg-white rounded-lg shadow-soft hover:shadow-medium transition-all transform hover:scale-105 hover:bg-green-50 border border-gray-200 hover:border-green-200"
+                      >
+                        <h3 className="font-semibold text-gray-900 text-sm sm:text-base">User Management</h3>
+                        <p className="text-xs sm:text-sm text-gray-600 mt-1">Manage user accounts</p>
+                      </Link>
+                    )}
+                    {hasPermission(user, 'canViewReports') && (
+                      <Link 
+                        to="/admin/reports" 
+                        className="block p-4 sm:p-6 bg-white rounded-lg shadow-soft hover:shadow-medium transition-all transform hover:scale-105 hover:bg-purple-50 border border-gray-200 hover:border-purple-200"
+                      >
+                        <h3 className="font-semibold text-gray-900 text-sm sm:text-base">Reports & Analytics</h3>
+                        <p className="text-xs sm:text-sm text-gray-600 mt-1">View reports and analytics</p>
+                      </Link>
+                    )}
+                    {hasPermission(user, 'canManageCatalog') && (
+                      <Link 
+                        to="/admin/categories" 
+                        className="block p-4 sm:p-6 bg-white rounded-lg shadow-soft hover:shadow-medium transition-all transform hover:scale-105 hover:bg-teal-50 border border-gray-200 hover:border-teal-200"
+                      >
+                        <h3 className="font-semibold text-gray-900 text-sm sm:text-base">Categories</h3>
+                        <p className="text-xs sm:text-sm text-gray-600 mt-1">Organise the category tree</p>
+                      </Link>
+                    )}
+                    {hasPermission(user, 'canManageMarketing') && (
+                      <Link 
+                        to="/admin/marketing" 
+                        className="block p-4 sm:p-6 bg-white rounded-lg shadow-soft hover:shadow-medium transition-all transform hover:scale-105 hover:bg-orange-50 border border-gray-200 hover:border-orange-200"
+                      >
+                        <h3 className="font-semibold text-gray-900 text-sm sm:text-base">Marketing</h3>
+                        <p className="text-xs sm:text-sm text-gray-600 mt-1">Coupons and promotions</p>
+                      </Link>
+                    )}
+                    {hasPermission(user, 'canManageSettings') && (
+                      <Link 
+                        to="/admin/settings" 
+                        className="block p-4 sm:p-6 bg-white rounded-lg shadow-soft hover:shadow-medium transition-all transform hover:scale-105 hover:bg-gray-50 border border-gray-200 hover:border-gray-300"
+                      >
+                        <h3 className="font-semibold text-gray-900 text-sm sm:text-base">Settings</h3>
+                        <p className="text-xs sm:text-sm text-gray-600 mt-1">Store, shipping, tax and features</p>
+                      </Link>
+                    )}
                   </div>
 </div>
               </div>
+              </ProtectedRoute>
             } />
 <Route path="/admin/*" element={
+              <ProtectedRoute roles={STAFF_ROLES}>
               <SafeAdminComponent componentName="Admin Routes">
                 <Routes>
                   <Route index element={
@@ -939,115 +1021,115 @@ navigate('/');
                       <AddProduct />
                     </SafeAdminComponent>
                   } />
-                  <Route path="categories" element={<div className="p-6">
-                    <div className="max-w-6xl mx-auto">
-                      <h2 className="text-2xl font-bold text-gray-900 mb-6">Categories Management</h2>
-                      <div className="bg-white rounded-lg shadow-sm p-6">
-                        <p className="text-gray-600">Category management system coming soon. This will include:</p>
-                        <ul className="mt-4 space-y-2 text-sm text-gray-600">
-                          <li>• Multi-level category tree</li>
-                          <li>• Drag & drop category ordering</li>
-                          <li>• Category image management</li>
-                          <li>• SEO settings per category</li>
-                          <li>• Product count tracking</li>
-                        </ul>
-                      </div>
-                    </div>
-                  </div>} />
-                  <Route path="inventory" element={<div className="p-6">
-                    <div className="max-w-6xl mx-auto">
-                      <h2 className="text-2xl font-bold text-gray-900 mb-6">Inventory Management</h2>
-                      <div className="grid grid-cols-1 md:grid-cols-3 gap-6 mb-8">
-                        <div className="bg-white p-6 rounded-lg shadow-sm">
-                          <div className="flex items-center">
-                            <ApperIcon name="Package" className="w-8 h-8 text-blue-600" />
-                            <div className="ml-4">
-                              <p className="text-sm font-medium text-gray-600">Total Products</p>
-                              <p className="text-2xl font-bold text-gray-900">1,245</p>
-                            </div>
-                          </div>
-                        </div>
-                        <div className="bg-white p-6 rounded-lg shadow-sm">
-                          <div className="flex items-center">
-                            <ApperIcon name="AlertTriangle" className="w-8 h-8 text-orange-600" />
-                            <div className="ml-4">
-                              <p className="text-sm font-medium text-gray-600">Low Stock</p>
-                              <p className="text-2xl font-bold text-gray-900">23</p>
-                            </div>
-                          </div>
-                        </div>
-                        <div className="bg-white p-6 rounded-lg shadow-sm">
-                          <div className="flex items-center">
-                            <ApperIcon name="XCircle" className="w-8 h-8 text-red-600" />
-                            <div className="ml-4">
-                              <p className="text-sm font-medium text-gray-600">Out of Stock</p>
-                              <p className="text-2xl font-bold text-gray-900">8</p>
-                            </div>
-                          </div>
-                        </div>
-                      </div>
-                      <div className="bg-white rounded-lg shadow-sm p-6">
-                        <p className="text-gray-600">Advanced inventory management coming soon:</p>
-                        <ul className="mt-4 space-y-2 text-sm text-gray-600">
-                          <li>• Real-time stock tracking</li>
-                          <li>• Low stock alerts & notifications</li>
-                          <li>• Bulk stock adjustments</li>
-                          <li>• Inventory history & audit trails</li>
-                          <li>• Supplier management integration</li>
-                        </ul>
-                      </div>
-                    </div>
-                  </div>} />
+                  <Route path="reviews" element={
+                    <ProtectedRoute permission="canApprove">
+                      <SafeAdminComponent componentName="ProductReviewQueue">
+                        <ProductReviewQueue />
+                      </SafeAdminComponent>
+                    </ProtectedRoute>
+                  } />
+                  <Route path="categories" element={
+                    <ProtectedRoute permission="canManageCatalog">
+                      <SafeAdminComponent componentName="CategoryManagement">
+                        <CategoryManagement />
+                      </SafeAdminComponent>
+                    </ProtectedRoute>
+                  } />
+                  <Route path="inventory" element={
+                    <ProtectedRoute permission="canManageInventory">
+                      <SafeAdminComponent componentName="InventoryManagement">
+                        <InventoryManagement />
+                      </SafeAdminComponent>
+                    </ProtectedRoute>
+                  } />
                   <Route path="orders" element={
-                    <SafeAdminComponent componentName="OrderManagement">
-                      <OrderManagement />
-                    </SafeAdminComponent>
+                    <ProtectedRoute permission="canManageOrders">
+                      <SafeAdminComponent componentName="OrderManagement">
+                        <OrderManagement />
+                      </SafeAdminComponent>
+                    </ProtectedRoute>
+                  } />
+                  <Route path="customers" element={
+                    <ProtectedRoute permission="canManageCustomers">
+                      <SafeAdminComponent componentName="CustomerManagement">
+                        <CustomerManagement />
+                      </SafeAdminComponent>
+                    </ProtectedRoute>
+                  } />
+                  <Route path="customers/:id" element={
+                    <ProtectedRoute permission="canManageCustomers">
+                      <SafeAdminComponent componentName="CustomerDetail">
+                        <CustomerDetail />
+                      </SafeAdminComponent>
+                    </ProtectedRoute>
                   } />
-                  <Route path="customers" element={<div className="p-6">Customer Management - Coming Soon</div>} />
                   <Route path="users" element={
-                    <SafeAdminComponent componentName="UserManagement">
-                      <UserManagement />
-                    </SafeAdminComponent>
+                    <ProtectedRoute permission="canManageUsers">
+                      <SafeAdminComponent componentName="UserManagement">
+                        <UserManagement />
+                      </SafeAdminComponent>
+                    </ProtectedRoute>
+                  } />
+                  <Route path="marketing" element={
+                    <ProtectedRoute permission="canManageMarketing">
+                      <SafeAdminComponent componentName="PromotionManagement">
+                        <PromotionManagement />
+                      </SafeAdminComponent>
+                    </ProtectedRoute>
                   } />
-                  <Route path="marketing" element={<div className="p-6">Marketing Tools - Coming Soon</div>} />
                   <Route path="reports" element={
-                    <SafeAdminComponent componentName="ReportsAnalytics">
-                      <ReportsAnalytics />
-                    </SafeAdminComponent>
+                    <ProtectedRoute permission="canViewReports">
+                      <SafeAdminComponent componentName="ReportsAnalytics">
+                        <ReportsAnalytics />
+                      </SafeAdminComponent>
+                    </ProtectedRoute>
+                  } />
+                  <Route path="settings" element={
+                    <ProtectedRoute permission="canManageSettings">
+                      <SafeAdminComponent componentName="SystemSettings">
+                        <SystemSettings />
+                      </SafeAdminComponent>
+                    </ProtectedRoute>
                   } />
-                  <Route path="settings" element={<div className="p-6">System Settings - Coming Soon</div>} />
                 </Routes>
               </SafeAdminComponent>
+              </ProtectedRoute>
             } />
             
             {/* Legacy admin routes for backward compatibility */}
-            <Route path="/admin/recipe-bundles" element={<RecipeBundlesPage />} />
-            <Route path="/admin/add-recipe-bundle" element={<AddRecipeBundle />} />
+            <Route path="/admin/recipe-bundles" element={<ProtectedRoute roles={STAFF_ROLES}><RecipeBundlesPage /></ProtectedRoute>} />
+            <Route path="/admin/add-recipe-bundle" element={<ProtectedRoute roles={STAFF_ROLES}><AddRecipeBundle /></ProtectedRoute>} />
             
             {/* Extended Admin Routes */}
             <Route path="/admin/users" element={
-              <div className="min-h-screen bg-gray-50">
-                <Header />
-                <main className="container mx-auto px-4 py-8">
-                  <UserManagement />
-                </main>
-              </div>
+              <ProtectedRoute roles={STAFF_ROLES} permission="canManageUsers">
+                <div className="min-h-screen bg-gray-50">
+                  <Header />
+                  <main className="container mx-auto px-4 py-8">
+                    <UserManagement />
+                  </main>
+                </div>
+              </ProtectedRoute>
             } />
             <Route path="/admin/orders-management" element={
-              <div className="min-h-screen bg-gray-50">
-                <Header />
-                <main className="container mx-auto px-4 py-8">
-                  <OrderManagement />
-                </main>
-              </div>
+              <ProtectedRoute roles={STAFF_ROLES} permission="canManageOrders">
+                <div className="min-h-screen bg-gray-50">
+                  <Header />
+                  <main className="container mx-auto px-4 py-8">
+                    <OrderManagement />
+                  </main>
+                </div>
+              </ProtectedRoute>
             } />
             <Route path="/admin/analytics" element={
-              <div className="min-h-screen bg-gray-50">
-                <Header />
-                <main className="container mx-auto px-4 py-8">
-                  <ReportsAnalytics />
-                </main>
-              </div>
+              <ProtectedRoute roles={STAFF_ROLES} permission="canViewReports">
+                <div className="min-h-screen bg-gray-50">
+                  <Header />
+                  <main className="container mx-auto px-4 py-8">
+                    <ReportsAnalytics />
+                  </main>
+                </div>
+              </ProtectedRoute>
             } />
           </Routes>
         </main>
@@ -1074,10 +1156,15 @@ navigate('/');
           <div className="container mx-auto px-4">
             <div className="grid grid-cols-1 md:grid-cols-4 gap-8">
               <div>
-                <h3 className="font-display font-bold text-lg mb-4">BazaarPK</h3>
+                <h3 className="font-display font-bold text-lg mb-4">{store.name}</h3>
                 <p className="text-gray-400 text-sm leading-relaxed">
-                  Your trusted online marketplace for fresh, organic, and quality products across Pakistan.
+                  {store.tagline}
                 </p>
+                {(store.email || store.phone) && (
+                  <p className="text-gray-400 text-sm mt-3">
+                    {[store.email, store.phone].filter(Boolean).join(" • ")}
+                  </p>
+                )}
               </div>
               
               <div>
@@ -1106,7 +1193,7 @@ navigate('/');
             
             <div className="border-t border-gray-800 mt-6 pt-6 text-center">
               <p className="text-gray-400 text-sm">
-                &copy; 2024 BazaarPK. All rights reserved.
+                &copy; {new Date().getFullYear()} {store.name}. All rights reserved.
               </p>
             </div>
           </div>
@@ -1123,7 +1210,9 @@ function App() {
 
   return (
     <BrowserRouter>
-      <AppContent />
+      <AuthProvider>
+        <AppContent />
+      </AuthProvider>
     </BrowserRouter>
   );
 }
@@ -0,0 +1,125 @@
+import React, { useState } from "react";
+import ApperIcon from "@/components/ApperIcon";
+import Button from "@/components/atoms/Button";
+import Badge from "@/components/atoms/Badge";
+import { SUPPORTED_CITIES } from "@/services/api/CheckoutService";
+import { cn } from "@/utils/cn";
+
+const EMPTY_ADDRESS = { label: "Home", addressLine: "", city: "", postalCode: "" };
+
+// Saved delivery addresses with add / remove / make-default. `onChange` receives the full
+// new list and should resolve once it is saved; the form only closes on success.
+const AddressBook = ({ addresses = [], onChange, disabled = false, className }) => {
+  const [adding, setAdding] = useState(false);
+  const [draft, setDraft] = useState(EMPTY_ADDRESS);
+
+  const updateDraft = (field, value) => setDraft(prev => ({ ...prev, [field]: value }));
+
+  const canSave = draft.addressLine.trim().length >= 8 && draft.city;
+
+  const handleAdd = async () => {
+    const saved = await onChange([...addresses, { ...draft, isDefault: addresses.length === 0 }]);
+    if (saved !== false) {
+      setDraft(EMPTY_ADDRESS);
+      setAdding(false);
+    }
+  };
+
+  const handleRemove = (id) => onChange(addresses.filter(address => address.id !== id));
+
+  const handleMakeDefault = (id) =>
+    onChange(addresses.map(address => ({ ...address, isDefault: address.id === id })));
+
+  return (
+    <div className={cn("space-y-3", className)}>
+      {addresses.length === 0 && !adding && (
+        <p className="text-sm text-gray-500">No saved addresses yet.</p>
+      )}
+
+      {addresses.map(address => (
+        <div key={address.id} className="flex items-start justify-between p-3 border border-gray-200 rounded-lg">
+          <div className="text-sm">
+            <div className="flex items-center space-x-2 mb-1">
+              <span className="font-medium text-gray-900">{address.label}</span>
+              {address.isDefault && (
+                <Badge className="text-xs bg-primary-100 text-primary-800">DEFAULT</Badge>
+              )}
+            </div>
+            <p className="text-gray-600">{address.addressLine}</p>
+            <p className="text-gray-600">{address.city}{address.postalCode ? ` ${address.postalCode}` : ""}</p>
+          </div>
+          <div className="flex items-center space-x-1">
+            {!address.isDefault && (
+              <Button variant="ghost" size="sm" onClick={() => handleMakeDefault(address.id)} disabled={disabled}>
+                Make default
+              </Button>
+            )}
+            <Button
+              variant="ghost"
+              size="sm"
+              onClick={() => handleRemove(address.id)}
+              disabled={disabled}
+              className="text-red-600 hover:text-red-700 p-2"
+              aria-label={`Remove ${address.label} address`}
+            >
+              <ApperIcon name="Trash2" className="w-4 h-4" />
+            </Button>
+          </div>
+        </div>
+      ))}
+
+      {adding ? (
+        <div className="p-3 border border-gray-200 rounded-lg space-y-3">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+            <input
+              type="text"
+              placeholder="Label (e.g. Home, Office)"
+              value={draft.label}
+              onChange={(e) => updateDraft("label", e.target.value)}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500"
+            />
+            <select
+              value={draft.city}
+              onChange={(e) => updateDraft("city", e.target.value)}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500"
+            >
+              <option value="">Select city</option>
+              {SUPPORTED_CITIES.map(city => (
+                <option key={city} value={city}>{city}</option>
+              ))}
+            </select>
+          </div>
+          <input
+            type="text"
+            placeholder="House / street / area"
+            value={draft.addressLine}
+            onChange={(e) => updateDraft("addressLine", e.target.value)}
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500"
+          />
+          <input
+            type="text"
+            placeholder="Postal code (optional)"
+            value={draft.postalCode}
+            onChange={(e) => updateDraft("postalCode", e.target.value)}
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500"
+          />
+          <div className="flex justify-end space-x-2">
+            <Button variant="ghost" size="sm" onClick={() => setAdding(false)} disabled={disabled}>
+              Cancel
+            </Button>
+            <Button size="sm" onClick={handleAdd} disabled={disabled || !canSave}>
+              Save Address
+            </Button>
+          </div>
+        </div>
+      ) : (
+        <Button variant="outline" size="sm" onClick={() => setAdding(true)} disabled={disabled}>
+          <ApperIcon name="Plus" className="w-4 h-4 mr-2" />
+          Add Address
+        </Button>
+      )}
+    </div>
+  );
+};
+
+export default AddressBook;
@@ -0,0 +1,150 @@
+import React, { useState, useEffect, useCallback } from "react";
+import { Link } from "react-router-dom";
+import ApperIcon from "@/components/ApperIcon";
+import Button from "@/components/atoms/Button";
+import { AlertService, ALERTS_CHANGE_EVENT } from "@/services/api/AlertService";
+import { useToast } from "@/hooks/useToast";
+import { formatPrice } from "@/utils/currency";
+import { cn } from "@/utils/cn";
+
+// Builds the category page link that re-runs a saved search
+const searchLink = (search) => {
+  const params = new URLSearchParams();
+  if (search.query) params.set("search", search.query);
+  Object.entries(search.facets || {}).forEach(([key, values]) => values.forEach(value => params.append(key, value)));
+  if (search.priceRange?.min) params.set("minPrice", search.priceRange.min);
+  if (search.priceRange?.max) params.set("maxPrice", search.priceRange.max);
+  return `/category?${params.toString()}`;
+};
+
+const describeFilters = (search) => {
+  const parts = Object.values(search.facets || {}).flat();
+  if (search.priceRange?.min || search.priceRange?.max) {
+    parts.push(`${search.priceRange.min ? formatPrice(Number(search.priceRange.min)) : "any"} - ${search.priceRange.max ? formatPrice(Number(search.priceRange.max)) : "any"}`);
+  }
+  return parts.join(", ");
+};
+
+const describeAlert = (alert) => {
+  const parts = [];
+  if (alert.backInStock) parts.push(alert.backInStockSentAt ? "back in stock (sent)" : "back in stock");
+  if (alert.priceBelow) parts.push(`under ${formatPrice(alert.priceBelow)}${alert.priceDropSentAt ? " (sent)" : ""}`);
+  return parts.join(" · ");
+};
+
+// The signed-in customer's saved searches and product alerts, with remove actions
+const AlertSubscriptions = ({ className }) => {
+  const { showToast } = useToast();
+  const [savedSearches, setSavedSearches] = useState([]);
+  const [productAlerts, setProductAlerts] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  const loadAlerts = useCallback(async () => {
+    try {
+      const [searches, alerts] = await Promise.all([
+        AlertService.getSavedSearches(),
+        AlertService.getProductAlerts()
+      ]);
+      setSavedSearches(searches);
+      setProductAlerts(alerts);
+    } catch (error) {
+      console.error("Error loading alerts:", error);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadAlerts();
+    window.addEventListener(ALERTS_CHANGE_EVENT, loadAlerts);
+    return () => window.removeEventListener(ALERTS_CHANGE_EVENT, loadAlerts);
+  }, [loadAlerts]);
+
+  const handleRemove = async (remove, message) => {
+    try {
+      await remove();
+      showToast(message, "info");
+    } catch (error) {
+      console.error("Error removing alert:", error);
+      showToast(error.message || "Could not remove the alert", "error");
+    }
+  };
+
+  if (loading) return <p className={cn("text-sm text-gray-500", className)}>Loading alerts...</p>;
+
+  return (
+    <div className={cn("space-y-6", className)}>
+      <div>
+        <h3 className="text-sm font-semibold text-gray-700 mb-2">Saved searches</h3>
+        {savedSearches.length === 0 ? (
+          <p className="text-sm text-gray-500">
+            Search or filter the catalogue and choose Save Search to hear when matching products are restocked or cheaper.
+          </p>
+        ) : (
+          <ul className="space-y-2">
+            {savedSearches.map(search => (
+              <li key={search.Id} className="flex items-start justify-between p-3 border border-gray-200 rounded-lg">
+                <div className="text-sm min-w-0">
+                  <Link to={searchLink(search)} className="font-medium text-gray-900 hover:text-primary-600">
+                    {search.name || "Filtered products"}
+                  </Link>
+                  {describeFilters(search) && (
+                    <p className="text-gray-500 truncate">{describeFilters(search)}</p>
+                  )}
+                </div>
+                <Button
+                  variant="ghost"
+                  size="sm"
+                  onClick={() => handleRemove(() => AlertService.deleteSavedSearch(search.Id), "Saved search removed")}
+                  aria-label={`Remove saved search ${search.name}`}
+                >
+                  <ApperIcon name="Trash2" className="w-4 h-4" />
+                </Button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+
+      <div>
+        <h3 className="text-sm font-semibold text-gray-700 mb-2">Product alerts</h3>
+        {productAlerts.length === 0 ? (
+          <p className="text-sm text-gray-500">
+            Use the alert options on a product page to hear when it is back in stock or drops in price.
+          </p>
+        ) : (
+          <ul className="space-y-2">
+            {productAlerts.map(alert => (
+              <li
+                key={alert.Id}
+                className={cn(
+                  "flex items-start justify-between p-3 border border-gray-200 rounded-lg",
+                  !alert.active && "opacity-60"
+                )}
+              >
+                <div className="text-sm min-w-0">
+                  <Link to={`/product/${alert.productId}`} className="font-medium text-gray-900 hover:text-primary-600">
+                    {alert.productTitle}{alert.variantName ? ` (${alert.variantName})` : ""}
+                  </Link>
+                  <p className="text-gray-500">
+                    {alert.active ? "Alerting you: " : "Done: "}{describeAlert(alert)}
+                  </p>
+                </div>
+                <Button
+                  variant="ghost"
+                  size="sm"
+                  onClick={() => handleRemove(() => AlertService.cancelProductAlert(alert.Id), "Alert removed")}
+                  aria-label={`Remove alert for ${alert.productTitle}`}
+                >
+                  <ApperIcon name="Trash2" className="w-4 h-4" />
+                </Button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AlertSubscriptions;
@@ -0,0 +1,84 @@
+import React, { useState } from "react";
+import { cn } from "@/utils/cn";
+
+/**
+ * A multi-select filter list. `options` are { value, label, count } where `count` is how many
+ * products the option would match given the other active filters; options with no matches
+ * are disabled unless already selected.
+ */
+const FacetFilter = ({
+  title,
+  options,
+  selected = [],
+  onToggle,
+  onClear,
+  visibleCount = 6,
+  className
+}) => {
+  const [expanded, setExpanded] = useState(false);
+
+  if (options.length === 0) return null;
+
+  const shown = expanded ? options : options.slice(0, visibleCount);
+
+  return (
+    <div className={cn("mb-6", className)}>
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="font-medium text-gray-900">{title}</h3>
+        {selected.length > 0 && onClear && (
+          <button
+            type="button"
+            onClick={onClear}
+            className="text-xs font-medium text-primary-600 hover:text-primary-700"
+          >
+            Clear
+          </button>
+        )}
+      </div>
+      <div className="space-y-1 max-h-64 overflow-y-auto">
+        {shown.map(option => {
+          const checked = selected.includes(option.value);
+          const disabled = !checked && option.count === 0;
+          return (
+            <label
+              key={option.value}
+              className={cn(
+                "flex items-center justify-between px-2 py-1.5 rounded-lg transition-colors duration-200",
+                disabled ? "opacity-50 cursor-not-allowed" : "cursor-pointer hover:bg-gray-50",
+                checked && "bg-primary-50"
+              )}
+            >
+              <span className="flex items-center space-x-2 min-w-0">
+                <input
+                  type="checkbox"
+                  checked={checked}
+                  disabled={disabled}
+                  onChange={() => onToggle(option.value)}
+                  className="rounded text-primary-600 focus:ring-primary-500"
+                />
+                <span className={cn(
+                  "text-sm truncate",
+                  checked ? "text-primary-700 font-medium" : "text-gray-700"
+                )}>
+                  {option.label}
+                </span>
+              </span>
+              <span className="ml-2 text-xs text-gray-500">{option.count}</span>
+            </label>
+          );
+        })}
+      </div>
+      {options.length > visibleCount && (
+        <button
+          type="button"
+          onClick={() => setExpanded(!expanded)}
+          className="mt-2 text-sm font-medium text-primary-600 hover:text-primary-700"
+        >
+          {expanded ? "Show less" : `Show all ${options.length}`}
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default FacetFilter;
@@ -0,0 +1,170 @@
+import React, { useState, useEffect, useRef, useCallback } from "react";
+import { useNavigate } from "react-router-dom";
+import { motion, AnimatePresence } from "framer-motion";
+import ApperIcon from "@/components/ApperIcon";
+import Button from "@/components/atoms/Button";
+import { AlertService, ALERTS_CHANGE_EVENT } from "@/services/api/AlertService";
+import { cn } from "@/utils/cn";
+
+const NOTIFICATION_ICONS = {
+  "back-in-stock": "PackageCheck",
+  "price-drop": "TrendingDown"
+};
+
+const timeAgo = (date) => {
+  const minutes = Math.floor((Date.now() - new Date(date).getTime()) / 60000);
+  if (minutes < 1) return "Just now";
+  if (minutes < 60) return `${minutes}m ago`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `${hours}h ago`;
+  return `${Math.floor(hours / 24)}d ago`;
+};
+
+// Header bell listing the signed-in customer's stock and price alerts, newest first
+const NotificationBell = ({ limit = 8, className }) => {
+  const navigate = useNavigate();
+  const [notifications, setNotifications] = useState([]);
+  const [isOpen, setIsOpen] = useState(false);
+  const containerRef = useRef(null);
+
+  const loadNotifications = useCallback(async () => {
+    try {
+      setNotifications(await AlertService.getNotifications());
+    } catch (error) {
+      console.error("Error loading notifications:", error);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadNotifications();
+    window.addEventListener(ALERTS_CHANGE_EVENT, loadNotifications);
+    return () => window.removeEventListener(ALERTS_CHANGE_EVENT, loadNotifications);
+  }, [loadNotifications]);
+
+  // Close when clicking anywhere else
+  useEffect(() => {
+    if (!isOpen) return undefined;
+    const handleClick = (e) => {
+      if (containerRef.current && !containerRef.current.contains(e.target)) setIsOpen(false);
+    };
+    document.addEventListener("mousedown", handleClick);
+    return () => document.removeEventListener("mousedown", handleClick);
+  }, [isOpen]);
+
+  const unread = notifications.filter(notification => !notification.read).length;
+
+  const handleOpenNotification = async (notification) => {
+    setIsOpen(false);
+    if (!notification.read) {
+      await AlertService.markNotificationsRead([notification.Id]);
+    }
+    navigate(notification.link);
+  };
+
+  const handleMarkAllRead = async () => {
+    await AlertService.markNotificationsRead();
+  };
+
+  return (
+    <div ref={containerRef} className={cn("relative", className)}>
+      <Button
+        variant="ghost"
+        className="relative p-2"
+        onClick={() => setIsOpen(!isOpen)}
+        onKeyDown={(e) => e.key === "Escape" && setIsOpen(false)}
+        aria-label={unread > 0 ? `View notifications (${unread} unread)` : "View notifications"}
+        aria-expanded={isOpen}
+        aria-haspopup="true"
+        title={unread > 0 ? `${unread} new notifications` : "Notifications"}
+      >
+        <ApperIcon name="Bell" className="w-6 h-6" aria-hidden="true" />
+        {unread > 0 && (
+          <span
+            className="absolute -top-1 -right-1 bg-accent-500 text-white text-xs rounded-full h-5 min-w-[1.25rem] px-1 flex items-center justify-center font-medium"
+            role="status"
+          >
+            {unread > 9 ? "9+" : unread}
+          </span>
+        )}
+      </Button>
+
+      <AnimatePresence>
+        {isOpen && (
+          <motion.div
+            initial={{ opacity: 0, y: -10 }}
+            animate={{ opacity: 1, y: 0 }}
+            exit={{ opacity: 0, y: -10 }}
+            transition={{ duration: 0.15 }}
+            className="absolute right-0 mt-2 w-80 bg-white border border-gray-200 rounded-lg shadow-lg z-50"
+          >
+            <div className="flex items-center justify-between px-4 py-3 border-b border-gray-100">
+              <h3 className="font-semibold text-gray-900">Notifications</h3>
+              {unread > 0 && (
+                <button
+                  type="button"
+                  onClick={handleMarkAllRead}
+                  className="text-xs font-medium text-primary-600 hover:text-primary-700"
+                >
+                  Mark all read
+                </button>
+              )}
+            </div>
+
+            {notifications.length === 0 ? (
+              <div className="px-4 py-8 text-center">
+                <ApperIcon name="BellOff" className="w-8 h-8 text-gray-300 mx-auto mb-2" />
+                <p className="text-sm text-gray-500">
+                  No notifications yet. Set an alert on a product or save a search to hear about restocks and price drops.
+                </p>
+              </div>
+            ) : (
+              <ul className="max-h-96 overflow-y-auto divide-y divide-gray-100">
+                {notifications.slice(0, limit).map(notification => (
+                  <li key={notification.Id}>
+                    <button
+                      type="button"
+                      onClick={() => handleOpenNotification(notification)}
+                      className={cn(
+                        "w-full flex items-start px-4 py-3 text-left hover:bg-gray-50",
+                        !notification.read && "bg-primary-50/50"
+                      )}
+                    >
+                      <ApperIcon
+                        name={NOTIFICATION_ICONS[notification.type] || "Bell"}
+                        className="w-5 h-5 mr-3 mt-0.5 text-primary-600 flex-shrink-0"
+                      />
+                      <span className="flex-1 min-w-0">
+                        <span className={cn("block text-sm", notification.read ? "text-gray-700" : "font-medium text-gray-900")}>
+                          {notification.title}
+                        </span>
+                        <span className="block text-xs text-gray-500 mt-0.5">{timeAgo(notification.createdAt)}</span>
+                      </span>
+                      {!notification.read && (
+                        <span className="w-2 h-2 mt-1.5 ml-2 bg-accent-500 rounded-full flex-shrink-0" aria-label="Unread" />
+                      )}
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+
+            <div className="px-4 py-2 border-t border-gray-100 text-center">
+              <button
+                type="button"
+                onClick={() => {
+                  setIsOpen(false);
+                  navigate("/account");
+                }}
+                className="text-sm font-medium text-primary-600 hover:text-primary-700"
+              >
+                Manage alerts
+              </button>
+            </div>
+          </motion.div>
+        )}
+      </AnimatePresence>
+    </div>
+  );
+};
+
+export default NotificationBell;
@@ -0,0 +1,47 @@
+import React from "react";
+import { formatPrice } from "@/utils/currency";
+import { cn } from "@/utils/cn";
+
+/**
+ * Bar chart of how many products fall in each price bucket. Clicking a bar selects its range,
+ * clicking it again clears it.
+ */
+const PriceHistogram = ({ buckets, range = {}, onSelect, className }) => {
+  if (buckets.length === 0) return null;
+
+  const tallest = Math.max(...buckets.map(bucket => bucket.count), 1);
+  const isSelected = (bucket) =>
+    String(range.min) === String(bucket.min) && String(range.max) === String(bucket.max);
+  const inRange = (bucket) =>
+    (range.min === "" || range.min === undefined || bucket.max >= parseFloat(range.min)) &&
+    (range.max === "" || range.max === undefined || bucket.min <= parseFloat(range.max));
+
+  return (
+    <div className={cn("flex items-end h-16 space-x-1", className)}>
+      {buckets.map(bucket => {
+        const label = `${formatPrice(bucket.min)} - ${formatPrice(bucket.max)}: ${bucket.count} ${bucket.count === 1 ? "product" : "products"}`;
+        return (
+          <button
+            key={bucket.min}
+            type="button"
+            title={label}
+            aria-label={label}
+            aria-pressed={isSelected(bucket)}
+            onClick={() => onSelect(isSelected(bucket) ? { min: "", max: "" } : { min: String(bucket.min), max: String(bucket.max) })}
+            className="flex-1 h-full flex items-end group"
+          >
+            <span
+              className={cn(
+                "w-full rounded-t transition-colors duration-200",
+                inRange(bucket) ? "bg-primary-400 group-hover:bg-primary-500" : "bg-gray-200 group-hover:bg-gray-300"
+              )}
+              style={{ height: `${Math.max((bucket.count / tallest) * 100, bucket.count > 0 ? 8 : 2)}%` }}
+            />
+          </button>
+        );
+      })}
+    </div>
+  );
+};
+
+export default PriceHistogram;
@@ -0,0 +1,152 @@
+import React, { useState, useEffect } from "react";
+import { Link, useLocation } from "react-router-dom";
+import ApperIcon from "@/components/ApperIcon";
+import Button from "@/components/atoms/Button";
+import Input from "@/components/atoms/Input";
+import { useAuth } from "@/hooks/useAuth";
+import { useToast } from "@/hooks/useToast";
+import { AlertService, ALERTS_CHANGE_EVENT } from "@/services/api/AlertService";
+import { formatPrice } from "@/utils/currency";
+import { cn } from "@/utils/cn";
+
+// Back-in-stock and price-drop alerts for one product, or for the selected variant of it
+const ProductAlertForm = ({ product, variant = null, className }) => {
+  const { user } = useAuth();
+  const { showToast } = useToast();
+  const location = useLocation();
+  const [alert, setAlert] = useState(null);
+  const [priceBelow, setPriceBelow] = useState("");
+  const [saving, setSaving] = useState(false);
+
+  const variantId = variant?.id ?? null;
+  const price = variant ? variant.price : product.price;
+  const outOfStock = (variant ? variant.stock : product.stock) <= 0;
+  const isCustomer = user?.role === "customer";
+
+  useEffect(() => {
+    if (!isCustomer) {
+      setAlert(null);
+      return undefined;
+    }
+
+    let cancelled = false;
+    const loadAlert = async () => {
+      const current = await AlertService.getAlertForProduct(product.Id, { variantId });
+      if (!cancelled) setAlert(current);
+    };
+    loadAlert();
+    window.addEventListener(ALERTS_CHANGE_EVENT, loadAlert);
+    return () => {
+      cancelled = true;
+      window.removeEventListener(ALERTS_CHANGE_EVENT, loadAlert);
+    };
+  }, [isCustomer, product.Id, variantId]);
+
+  const subscribe = async ({ backInStock, threshold }) => {
+    try {
+      setSaving(true);
+      const created = await AlertService.subscribeToProduct(product.Id, {
+        variantId,
+        backInStock,
+        priceBelow: threshold
+      });
+      setAlert(created);
+      setPriceBelow("");
+      showToast(
+        created.backInStock
+          ? "We'll let you know when it's back in stock"
+          : `We'll let you know if the price drops to ${formatPrice(created.priceBelow)}`,
+        "success"
+      );
+    } catch (error) {
+      console.error("Error creating product alert:", error);
+      showToast(error.message || "Could not set up the alert", "error");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleCancel = async () => {
+    try {
+      setSaving(true);
+      await AlertService.cancelProductAlert(alert.Id);
+      setAlert(null);
+      showToast("Alert removed", "info");
+    } catch (error) {
+      console.error("Error removing product alert:", error);
+      showToast(error.message || "Could not remove the alert", "error");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!isCustomer) {
+    return (
+      <p className={cn("text-sm text-gray-600", className)}>
+        <ApperIcon name="Bell" className="inline w-4 h-4 mr-1 text-gray-400" />
+        <Link to="/login" state={{ from: location }} className="font-medium text-primary-600 hover:text-primary-700">
+          Sign in
+        </Link>{" "}
+        to get an alert when this is {outOfStock ? "back in stock" : "cheaper"}.
+      </p>
+    );
+  }
+
+  if (alert) {
+    return (
+      <div className={cn("flex items-center justify-between p-3 bg-primary-50 border border-primary-100 rounded-lg", className)}>
+        <p className="flex items-center text-sm text-primary-800">
+          <ApperIcon name="BellRing" className="w-4 h-4 mr-2" />
+          {alert.backInStock && alert.priceBelow
+            ? `Alerting you when it's back in stock or under ${formatPrice(alert.priceBelow)}`
+            : alert.backInStock
+              ? "Alerting you when it's back in stock"
+              : `Alerting you when it drops to ${formatPrice(alert.priceBelow)}`}
+        </p>
+        <Button variant="ghost" size="sm" onClick={handleCancel} disabled={saving}>
+          Remove
+        </Button>
+      </div>
+    );
+  }
+
+  return (
+    <div className={cn("space-y-3", className)}>
+      {outOfStock && (
+        <Button
+          variant="outline"
+          onClick={() => subscribe({ backInStock: true, threshold: null })}
+          disabled={saving}
+          className="w-full"
+        >
+          <ApperIcon name="Bell" className="w-4 h-4 mr-2" />
+          Notify me when it's back in stock
+        </Button>
+      )}
+      <form
+        onSubmit={(e) => {
+          e.preventDefault();
+          subscribe({ backInStock: outOfStock, threshold: priceBelow });
+        }}
+        className="flex items-center space-x-2"
+      >
+        <label htmlFor={`price-alert-${product.Id}`} className="text-sm text-gray-600 whitespace-nowrap">
+          Alert me below
+        </label>
+        <Input
+          id={`price-alert-${product.Id}`}
+          type="number"
+          min="1"
+          placeholder={String(Math.floor(price * 0.9))}
+          value={priceBelow}
+          onChange={(e) => setPriceBelow(e.target.value)}
+        />
+        <Button type="submit" variant="ghost" disabled={saving || !priceBelow}>
+          Set alert
+        </Button>
+      </form>
+    </div>
+  );
+};
+
+export default ProductAlertForm;
@@ -0,0 +1,184 @@
+import React, { useEffect, useState } from "react";
+import { motion } from "framer-motion";
+import ApperIcon from "@/components/ApperIcon";
+import Button from "@/components/atoms/Button";
+import Loading from "@/components/ui/Loading";
+import ProductService from "@/services/api/ProductService";
+import { useToast } from "@/hooks/useToast";
+import { formatPrice } from "@/utils/currency";
+import { hasPermission } from "@/utils/permissions";
+
+const SOURCE_LABELS = {
+  original: "Original",
+  created: "Created",
+  edit: "Edited",
+  "bulk update": "Bulk update",
+  "price adjustment": "Price adjustment",
+  visibility: "Visibility changed",
+  featured: "Featured changed",
+  status: "Status changed",
+  schedule: "Scheduled change",
+  review: "Review",
+  restore: "Restored"
+};
+
+const FIELD_LABELS = {
+  title: "Name",
+  productName: "Name",
+  price: "Price",
+  sellingPrice: "Selling price",
+  oldPrice: "Compare-at price",
+  costPrice: "Cost price"
+};
+
+const PRICE_FIELDS = ["price", "sellingPrice", "oldPrice", "costPrice"];
+
+const fieldLabel = (field) =>
+  FIELD_LABELS[field] || field.replace(/([A-Z])/g, " $1").replace(/^./, char => char.toUpperCase());
+
+const formatValue = (field, value) => {
+  if (value === null || value === undefined || value === "") return "—";
+  if (PRICE_FIELDS.includes(field) && !isNaN(parseFloat(value))) return formatPrice(value);
+  if (typeof value === "boolean") return value ? "Yes" : "No";
+  if (field.endsWith("At") && !isNaN(Date.parse(value))) return new Date(value).toLocaleString();
+  if (Array.isArray(value)) {
+    return value.map(item => (typeof item === "object" && item !== null ? item.name || JSON.stringify(item) : item)).join(", ") || "—";
+  }
+  if (typeof value === "object") return value.english ?? JSON.stringify(value);
+  return String(value);
+};
+
+// Revision list for one product with a restore action on every version but the current one.
+// `onRestored` receives the restored product.
+const ProductRevisionHistory = ({ product, currentUser, onClose, onRestored }) => {
+  const { showToast } = useToast();
+  const [revisions, setRevisions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [restoringId, setRestoringId] = useState(null);
+
+  useEffect(() => {
+    const loadRevisions = async () => {
+      try {
+        setLoading(true);
+        setRevisions(await ProductService.getRevisions(product.Id));
+      } catch (error) {
+        console.error("Error loading revisions:", error);
+        showToast("Failed to load product history", "error");
+      } finally {
+        setLoading(false);
+      }
+    };
+    loadRevisions();
+  }, [product.Id, showToast]);
+
+  // Restoring rewrites the product, so it needs the same permission as editing it
+  const canRestore = hasPermission(currentUser, "canBulkEdit");
+
+  const handleRestore = async (revision) => {
+    if (!confirm(`Restore "${product.title}" to version ${revision.version}? Stock levels are not changed.`)) return;
+    try {
+      setRestoringId(revision.id);
+      const restored = await ProductService.restoreRevision(product.Id, revision.id, { user: currentUser?.name || "admin" });
+      showToast(`Restored version ${revision.version}`, "success");
+      setRevisions(await ProductService.getRevisions(product.Id));
+      onRestored?.(restored);
+    } catch (error) {
+      console.error("Error restoring revision:", error);
+      showToast(error.message || "Failed to restore this version", "error");
+    } finally {
+      setRestoringId(null);
+    }
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+      className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50"
+    >
+      <motion.div
+        initial={{ scale: 0.95 }}
+        animate={{ scale: 1 }}
+        exit={{ scale: 0.95 }}
+        className="bg-white rounded-lg w-full max-w-2xl max-h-[85vh] flex flex-col"
+      >
+        <div className="flex items-center justify-between p-6 border-b border-gray-200">
+          <div>
+            <h3 className="text-lg font-semibold text-gray-900">History</h3>
+            <p className="text-sm text-gray-500">{product.title}</p>
+          </div>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600" aria-label="Close history">
+            <ApperIcon name="X" className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="p-6 overflow-y-auto flex-1">
+          {loading ? (
+            <Loading type="spinner" />
+          ) : revisions.length === 0 ? (
+            <div className="text-center py-8">
+              <ApperIcon name="History" className="w-10 h-10 text-gray-300 mx-auto mb-3" />
+              <p className="text-sm text-gray-500">No changes have been made to this product yet.</p>
+            </div>
+          ) : (
+            <ol className="space-y-4">
+              {revisions.map((revision, index) => (
+                <li key={revision.id} className="border border-gray-200 rounded-lg p-4">
+                  <div className="flex items-start justify-between gap-3">
+                    <div>
+                      <div className="flex items-center space-x-2">
+                        <span className="font-medium text-gray-900">Version {revision.version}</span>
+                        <span className="px-2 py-0.5 rounded-full text-xs font-medium bg-gray-100 text-gray-700">
+                          {SOURCE_LABELS[revision.source] || revision.source}
+                        </span>
+                        {index === 0 && (
+                          <span className="px-2 py-0.5 rounded-full text-xs font-medium bg-green-100 text-green-800">Current</span>
+                        )}
+                      </div>
+                      <p className="text-xs text-gray-500 mt-1">
+                        {revision.timestamp ? new Date(revision.timestamp).toLocaleString() : "Before tracking began"}
+                        {revision.user ? ` • ${revision.user}` : ""}
+                        {revision.note ? ` • ${revision.note}` : ""}
+                      </p>
+                    </div>
+                    {index > 0 && canRestore && (
+                      <Button
+                        variant="outline"
+                        size="sm"
+                        onClick={() => handleRestore(revision)}
+                        disabled={restoringId !== null}
+                      >
+                        <ApperIcon
+                          name={restoringId === revision.id ? "Loader2" : "RotateCcw"}
+                          className={restoringId === revision.id ? "w-4 h-4 mr-1 animate-spin" : "w-4 h-4 mr-1"}
+                        />
+                        Restore this version
+                      </Button>
+                    )}
+                  </div>
+
+                  {revision.changes.length > 0 && (
+                    <table className="w-full mt-3 text-xs">
+                      <tbody className="divide-y divide-gray-100">
+                        {revision.changes.map(change => (
+                          <tr key={change.field}>
+                            <td className="py-1 pr-3 text-gray-600 whitespace-nowrap align-top">{fieldLabel(change.field)}</td>
+                            <td className="py-1 pr-2 text-red-700 line-through align-top break-all">{formatValue(change.field, change.from)}</td>
+                            <td className="py-1 text-green-700 align-top break-all">{formatValue(change.field, change.to)}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  )}
+                </li>
+              ))}
+            </ol>
+          )}
+        </div>
+      </motion.div>
+    </motion.div>
+  );
+};
+
+export default ProductRevisionHistory;
@@ -0,0 +1,158 @@
+import React, { useCallback, useEffect, useState } from "react";
+import { motion } from "framer-motion";
+import ApperIcon from "@/components/ApperIcon";
+import Button from "@/components/atoms/Button";
+import Loading from "@/components/ui/Loading";
+import ProductService from "@/services/api/ProductService";
+import { useToast } from "@/hooks/useToast";
+import { formatPrice } from "@/utils/currency";
+
+// Deleted products with restore and delete-forever actions. `onRestored` runs after anything
+// comes back so the caller can reload its list.
+const ProductTrash = ({ currentUser, onClose, onRestored }) => {
+  const { showToast } = useToast();
+  const [items, setItems] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [actionLoading, setActionLoading] = useState(false);
+
+  const loadTrash = useCallback(async () => {
+    try {
+      setLoading(true);
+      setItems(await ProductService.getTrash());
+    } catch (error) {
+      console.error("Error loading trash:", error);
+      showToast("Failed to load the trash", "error");
+    } finally {
+      setLoading(false);
+    }
+  }, [showToast]);
+
+  useEffect(() => {
+    loadTrash();
+  }, [loadTrash]);
+
+  const handleRestore = async (ids) => {
+    try {
+      setActionLoading(true);
+      const result = await ProductService.restoreFromTrash(ids, { user: currentUser?.email || "admin" });
+      if (result.errors.length > 0) {
+        showToast(result.errors[0], "warning");
+      }
+      if (result.restoredProducts.length > 0) {
+        showToast(`Restored ${result.restoredProducts.length} product${result.restoredProducts.length !== 1 ? "s" : ""}`, "success");
+        onRestored?.();
+      }
+      await loadTrash();
+    } catch (error) {
+      console.error("Error restoring products:", error);
+      showToast(error.message || "Failed to restore", "error");
+    } finally {
+      setActionLoading(false);
+    }
+  };
+
+  const handlePurge = async (ids) => {
+    const message = ids
+      ? "Delete this product for good? This cannot be undone."
+      : `Delete all ${items.length} products in the trash for good? This cannot be undone.`;
+    if (!confirm(message)) return;
+    try {
+      setActionLoading(true);
+      const purged = await ProductService.purgeTrash(ids);
+      showToast(`Permanently deleted ${purged} product${purged !== 1 ? "s" : ""}`, "success");
+      await loadTrash();
+    } catch (error) {
+      console.error("Error purging trash:", error);
+      showToast(error.message || "Failed to empty the trash", "error");
+    } finally {
+      setActionLoading(false);
+    }
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+      className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50"
+    >
+      <motion.div
+        initial={{ scale: 0.95 }}
+        animate={{ scale: 1 }}
+        exit={{ scale: 0.95 }}
+        className="bg-white rounded-lg w-full max-w-3xl max-h-[85vh] flex flex-col"
+      >
+        <div className="flex items-center justify-between p-6 border-b border-gray-200">
+          <div>
+            <h3 className="text-lg font-semibold text-gray-900">Trash</h3>
+            <p className="text-sm text-gray-500">Deleted products are removed for good on the date shown.</p>
+          </div>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600" aria-label="Close trash">
+            <ApperIcon name="X" className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="p-6 overflow-y-auto flex-1">
+          {loading ? (
+            <Loading type="spinner" />
+          ) : items.length === 0 ? (
+            <div className="text-center py-8">
+              <ApperIcon name="Trash2" className="w-10 h-10 text-gray-300 mx-auto mb-3" />
+              <p className="text-sm text-gray-500">The trash is empty.</p>
+            </div>
+          ) : (
+            <ul className="divide-y divide-gray-200 border border-gray-200 rounded-lg">
+              {items.map(item => (
+                <li key={item.Id} className="flex flex-col sm:flex-row sm:items-center justify-between gap-3 p-4">
+                  <div className="min-w-0">
+                    <p className="font-medium text-gray-900 truncate">{item.title}</p>
+                    <p className="text-xs text-gray-500">
+                      {item.sku || "No SKU"} • {formatPrice(item.price)} • Deleted {new Date(item.deletedAt).toLocaleString()}
+                      {item.deletedBy ? ` by ${item.deletedBy}` : ""}
+                    </p>
+                    <p className="text-xs text-red-600">
+                      Removed for good on {new Date(item.recoveryExpires).toLocaleDateString()}
+                    </p>
+                  </div>
+                  <div className="flex items-center space-x-2 flex-shrink-0">
+                    <Button variant="outline" size="sm" onClick={() => handleRestore([item.Id])} disabled={actionLoading}>
+                      <ApperIcon name="RotateCcw" className="w-4 h-4 mr-1" />
+                      Restore
+                    </Button>
+                    <Button
+                      variant="ghost"
+                      size="sm"
+                      onClick={() => handlePurge([item.Id])}
+                      disabled={actionLoading}
+                      className="text-red-600 hover:text-red-700"
+                    >
+                      Delete forever
+                    </Button>
+                  </div>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+
+        {items.length > 0 && (
+          <div className="flex justify-between p-6 border-t border-gray-200">
+            <Button
+              variant="outline"
+              onClick={() => handlePurge(null)}
+              disabled={actionLoading}
+              className="text-red-600 border-red-300 hover:bg-red-50"
+            >
+              Empty trash
+            </Button>
+            <Button onClick={() => handleRestore(items.map(item => item.Id))} disabled={actionLoading}>
+              Restore all
+            </Button>
+          </div>
+        )}
+      </motion.div>
+    </motion.div>
+  );
+};
+
+export default ProductTrash;
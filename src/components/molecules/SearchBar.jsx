@@ -1,20 +1,64 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, useId } from 'react';
+import { useNavigate } from 'react-router-dom';
 import { motion, AnimatePresence } from 'framer-motion';
 import ApperIcon from '@/components/ApperIcon';
+import { SearchService } from '@/services/api/SearchService';
+import { formatPrice } from '@/utils/currency';
 import { cn } from '@/utils/cn';
 
-const SearchBar = ({ 
-  onSearch, 
-  placeholder = "Search products...", 
+const EMPTY_SUGGESTIONS = { products: [], categories: [], bundles: [], recent: [] };
+
+// The dropdown's options in display order, so arrow keys can step through them as one list
+const toOptions = (query, suggestions) => [
+  ...suggestions.recent.map(text => ({ type: 'recent', key: `recent-${text}`, text })),
+  ...(query ? [{ type: 'query', key: 'query', text: query }] : []),
+  ...suggestions.products.map(product => ({ type: 'product', key: `product-${product.Id}`, item: product })),
+  ...suggestions.categories.map(category => ({ type: 'category', key: `category-${category.Id}`, item: category })),
+  ...suggestions.bundles.map(bundle => ({ type: 'bundle', key: `bundle-${bundle.Id}`, item: bundle }))
+];
+
+const GROUP_LABELS = {
+  recent: 'Recent searches',
+  product: 'Products',
+  category: 'Categories',
+  bundle: 'Recipe bundles'
+};
+
+/**
+ * Search input with an autocomplete dropdown of matching products, categories, recipe bundles
+ * and recent searches. `onSearch` receives the debounced query as the user types; `onSubmit`
+ * runs when a search is made with Enter or from the dropdown, and defaults to opening the
+ * search results page. `value` keeps the input in step with a parent that owns the query.
+ */
+const SearchBar = ({
+  onSearch,
+  onSubmit,
+  value,
+  placeholder = "Search products...",
   className = "",
   autoFocus = false,
   showClearButton = true,
+  showSuggestions = true,
   debounceMs = 300
 }) => {
-  const [query, setQuery] = useState('');
+  const navigate = useNavigate();
+  const listboxId = useId();
+  const [query, setQuery] = useState(value ?? '');
   const [isFocused, setIsFocused] = useState(false);
+  const [isOpen, setIsOpen] = useState(false);
+  const [suggestions, setSuggestions] = useState(EMPTY_SUGGESTIONS);
+  const [suggestionsQuery, setSuggestionsQuery] = useState('');
+  const [activeIndex, setActiveIndex] = useState(-1);
   const inputRef = useRef(null);
   const debounceTimeoutRef = useRef(null);
+  const requestRef = useRef(0);
+
+  // Follow the parent's query when it changes from outside (e.g. filters cleared)
+  useEffect(() => {
+    if (value !== undefined && value !== query.trim()) {
+      setQuery(value);
+    }
+  }, [value]);
 
   // Debounced search effect
   useEffect(() => {
@@ -36,6 +80,27 @@ const SearchBar = ({
     };
   }, [query, onSearch, debounceMs]);
 
+  // Suggestions follow the query while the input has focus; stale responses are dropped
+  useEffect(() => {
+    if (!showSuggestions || !isFocused) return undefined;
+
+    const request = ++requestRef.current;
+    const timeoutId = setTimeout(async () => {
+      try {
+        const result = await SearchService.getSuggestions(query);
+        if (request === requestRef.current) {
+          setSuggestions(result);
+          setSuggestionsQuery(result.query);
+          setActiveIndex(-1);
+        }
+      } catch (error) {
+        console.error('Error loading search suggestions:', error);
+      }
+    }, query.trim() ? debounceMs : 0);
+
+    return () => clearTimeout(timeoutId);
+  }, [query, isFocused, showSuggestions, debounceMs]);
+
   // Auto focus effect
   useEffect(() => {
     if (autoFocus && inputRef.current) {
@@ -43,8 +108,12 @@ const SearchBar = ({
     }
   }, [autoFocus]);
 
+  const options = toOptions(suggestionsQuery, suggestions);
+  const panelVisible = showSuggestions && isOpen && options.length > 0;
+
   const handleInputChange = (e) => {
     setQuery(e.target.value);
+    setIsOpen(true);
   };
 
   const handleClear = () => {
@@ -54,13 +123,210 @@ const SearchBar = ({
     }
   };
 
+  const closePanel = () => {
+    setIsOpen(false);
+    setActiveIndex(-1);
+  };
+
+  const submitSearch = (text) => {
+    const trimmed = text.trim();
+    if (!trimmed) return;
+    // Only storefront searches, which show the dropdown, are worth remembering
+    if (showSuggestions) SearchService.addRecentSearch(trimmed);
+    setQuery(trimmed);
+    closePanel();
+    inputRef.current?.blur();
+    if (onSubmit) {
+      onSubmit(trimmed);
+    } else {
+      navigate(`/category?search=${encodeURIComponent(trimmed)}`);
+    }
+  };
+
+  const selectOption = (option) => {
+    if (option.type === 'recent' || option.type === 'query') {
+      submitSearch(option.text);
+      return;
+    }
+
+    if (query.trim()) SearchService.addRecentSearch(query);
+    closePanel();
+    inputRef.current?.blur();
+    if (option.type === 'product') {
+      navigate(`/product/${option.item.Id}`);
+    } else if (option.type === 'category') {
+      navigate(`/category?category=${encodeURIComponent(option.item.name.toLowerCase())}`);
+    } else if (option.type === 'bundle') {
+      navigate(`/category?bundle=${option.item.Id}`);
+    }
+  };
+
+  const handleRemoveRecent = (text) => {
+    const recent = SearchService.removeRecentSearch(text);
+    setSuggestions(prev => ({ ...prev, recent: prev.recent.filter(entry => recent.includes(entry)) }));
+    inputRef.current?.focus();
+  };
+
   const handleKeyDown = (e) => {
-    if (e.key === 'Escape') {
-      handleClear();
-      inputRef.current?.blur();
+    if (e.key === 'ArrowDown' && showSuggestions) {
+      e.preventDefault();
+      setIsOpen(true);
+      setActiveIndex(index => (options.length === 0 ? -1 : (index + 1) % options.length));
+    } else if (e.key === 'ArrowUp' && showSuggestions) {
+      e.preventDefault();
+      setIsOpen(true);
+      setActiveIndex(index => (options.length === 0 ? -1 : index <= 0 ? options.length - 1 : index - 1));
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      if (panelVisible && activeIndex >= 0 && options[activeIndex]) {
+        selectOption(options[activeIndex]);
+      } else {
+        submitSearch(query);
+      }
+    } else if (e.key === 'Escape') {
+      if (panelVisible) {
+        closePanel();
+      } else {
+        handleClear();
+        inputRef.current?.blur();
+      }
     }
   };
 
+  const optionId = (index) => `${listboxId}-option-${index}`;
+
+  const renderOption = (option, index) => {
+    const active = index === activeIndex;
+    const common = {
+      id: optionId(index),
+      role: 'option',
+      'aria-selected': active,
+      // Keep focus in the input so the blur handler does not close the panel first
+      onMouseDown: (e) => e.preventDefault(),
+      onMouseEnter: () => setActiveIndex(index),
+      onClick: () => selectOption(option),
+      className: cn(
+        'flex items-center w-full px-3 py-2 text-left text-sm cursor-pointer',
+        active ? 'bg-primary-50 text-primary-700' : 'text-gray-700 hover:bg-gray-50'
+      )
+    };
+
+    if (option.type === 'recent') {
+      return (
+        <li key={option.key} {...common}>
+          <ApperIcon name="History" className="w-4 h-4 mr-3 text-gray-400 flex-shrink-0" />
+          <span className="flex-1 truncate">{option.text}</span>
+          <button
+            type="button"
+            onMouseDown={(e) => e.preventDefault()}
+            onClick={(e) => {
+              e.stopPropagation();
+              handleRemoveRecent(option.text);
+            }}
+            className="p-1 text-gray-400 hover:text-gray-600 rounded-full hover:bg-gray-100"
+            aria-label={`Remove "${option.text}" from recent searches`}
+          >
+            <ApperIcon name="X" className="w-3 h-3" />
+          </button>
+        </li>
+      );
+    }
+
+    if (option.type === 'query') {
+      return (
+        <li key={option.key} {...common}>
+          <ApperIcon name="Search" className="w-4 h-4 mr-3 text-gray-400 flex-shrink-0" />
+          <span className="truncate">
+            Search for <span className="font-medium">"{option.text}"</span>
+          </span>
+        </li>
+      );
+    }
+
+    if (option.type === 'product') {
+      const product = option.item;
+      return (
+        <li key={option.key} {...common}>
+          <img
+            src={product.image || '/api/placeholder/40/40'}
+            alt=""
+            className="w-10 h-10 mr-3 rounded object-cover bg-gray-100 flex-shrink-0"
+          />
+          <span className="flex-1 min-w-0">
+            <span className="block truncate font-medium text-gray-900">{product.title}</span>
+            <span className="block text-xs text-gray-500 capitalize">{product.category}</span>
+          </span>
+          <span className="ml-3 text-right flex-shrink-0">
+            <span className="block font-semibold text-gray-900">{formatPrice(product.price)}</span>
+            {product.oldPrice > product.price && (
+              <span className="block text-xs text-gray-400 line-through">{formatPrice(product.oldPrice)}</span>
+            )}
+          </span>
+        </li>
+      );
+    }
+
+    if (option.type === 'category') {
+      return (
+        <li key={option.key} {...common}>
+          <ApperIcon name="LayoutGrid" className="w-4 h-4 mr-3 text-gray-400 flex-shrink-0" />
+          <span className="flex-1 truncate">{option.item.name}</span>
+          <span className="ml-3 text-xs text-gray-500">{option.item.productCount} products</span>
+        </li>
+      );
+    }
+
+    return (
+      <li key={option.key} {...common}>
+        {option.item.image ? (
+          <img src={option.item.image} alt="" className="w-10 h-10 mr-3 rounded object-cover bg-gray-100 flex-shrink-0" />
+        ) : (
+          <ApperIcon name="ChefHat" className="w-4 h-4 mr-3 text-gray-400 flex-shrink-0" />
+        )}
+        <span className="flex-1 truncate">{option.item.name}</span>
+        <span className="ml-3 text-xs text-gray-500">{option.item.itemCount} items</span>
+      </li>
+    );
+  };
+
+  // Options are rendered in groups, each with a heading, while keeping one running index
+  const renderGroups = () => {
+    const groups = [];
+    options.forEach((option, index) => {
+      const group = option.type === 'query' ? 'query' : option.type;
+      if (groups.length === 0 || groups[groups.length - 1].group !== group) {
+        groups.push({ group, entries: [] });
+      }
+      groups[groups.length - 1].entries.push({ option, index });
+    });
+
+    return groups.map(({ group, entries }) => (
+      <li key={group} role="presentation">
+        {GROUP_LABELS[group] && (
+          <div className="flex items-center justify-between px-3 pt-3 pb-1 text-xs font-semibold uppercase tracking-wide text-gray-400">
+            <span>{GROUP_LABELS[group]}</span>
+            {group === 'recent' && (
+              <button
+                type="button"
+                onMouseDown={(e) => e.preventDefault()}
+                onClick={() => {
+                  SearchService.clearRecentSearches();
+                  setSuggestions(prev => ({ ...prev, recent: [] }));
+                }}
+                className="normal-case font-medium text-primary-600 hover:text-primary-700"
+              >
+                Clear
+              </button>
+            )}
+          </div>
+        )}
+        <ul role="presentation">
+          {entries.map(({ option, index }) => renderOption(option, index))}
+        </ul>
+      </li>
+    ));
+  };
+
   return (
     <div className={cn(
       "relative w-full max-w-md",
@@ -77,8 +343,8 @@ const SearchBar = ({
       >
         {/* Search Icon */}
         <div className="absolute left-3 pointer-events-none">
-          <ApperIcon 
-            name="Search" 
+          <ApperIcon
+            name="Search"
             className={cn(
               "w-5 h-5 transition-colors",
               isFocused ? "text-primary-600" : "text-gray-400"
@@ -93,8 +359,14 @@ const SearchBar = ({
           value={query}
           onChange={handleInputChange}
           onKeyDown={handleKeyDown}
-          onFocus={() => setIsFocused(true)}
-          onBlur={() => setIsFocused(false)}
+          onFocus={() => {
+            setIsFocused(true);
+            setIsOpen(true);
+          }}
+          onBlur={() => {
+            setIsFocused(false);
+            closePanel();
+          }}
           placeholder={placeholder}
 className={cn(
             "w-full pl-11 pr-12 py-3",
@@ -102,7 +374,12 @@ className={cn(
             "bg-transparent border-0 outline-none",
             "rounded-lg word-spacing-relaxed product-text-field"
           )}
+          role="combobox"
           aria-label="Search products"
+          aria-autocomplete="list"
+          aria-expanded={panelVisible}
+          aria-controls={listboxId}
+          aria-activedescendant={panelVisible && activeIndex >= 0 ? optionId(activeIndex) : undefined}
         />
 
         {/* Clear Button */}
@@ -113,6 +390,7 @@ className={cn(
               animate={{ opacity: 1, scale: 1 }}
               exit={{ opacity: 0, scale: 0.8 }}
               transition={{ duration: 0.15 }}
+              onMouseDown={(e) => e.preventDefault()}
               onClick={handleClear}
               className={cn(
                 "absolute right-3 p-1",
@@ -129,21 +407,25 @@ className={cn(
         </AnimatePresence>
       </motion.div>
 
-      {/* Search Results Indicator */}
+      {/* Suggestions */}
       <AnimatePresence>
-        {query && (
-          <motion.div
+        {panelVisible && (
+          <motion.ul
+            id={listboxId}
+            role="listbox"
+            aria-label="Search suggestions"
             initial={{ opacity: 0, y: -10 }}
             animate={{ opacity: 1, y: 0 }}
             exit={{ opacity: 0, y: -10 }}
-className="absolute top-full left-0 right-0 mt-1 text-xs text-gray-500 px-3 word-spacing-relaxed"
+            transition={{ duration: 0.15 }}
+            className="absolute top-full left-0 right-0 mt-1 pb-2 bg-white border border-gray-200 rounded-lg shadow-lg z-50 max-h-[28rem] overflow-y-auto"
           >
-            Searching for "{query}"...
-          </motion.div>
+            {renderGroups()}
+          </motion.ul>
         )}
       </AnimatePresence>
     </div>
   );
 };
 
-export default SearchBar;
\ No newline at end of file
+export default SearchBar;
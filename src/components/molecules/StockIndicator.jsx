@@ -4,6 +4,7 @@ import ApperIcon from "@/components/ApperIcon";
 
 const StockIndicator = ({ 
   stock, 
+  lowStockThreshold = 10,
   className,
   showText = true,
   size = "sm",
@@ -26,7 +27,7 @@ const StockIndicator = ({
         text: `Only ${stock} left!`,
         dotColor: "bg-error"
       };
-    } else if (stock < 10) {
+    } else if (stock <= lowStockThreshold) {
       return {
         color: "text-warning",
         bgColor: "bg-warning/10",
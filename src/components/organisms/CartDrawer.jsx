@@ -100,7 +100,7 @@ const CartDrawer = ({ isOpen, onClose }) => {
                 <div className="p-4 space-y-4">
                   {cartItems.map((item, index) => (
                     <motion.div
-                      key={`${item.productId}-${item.variant?.name || 'default'}`}
+                      key={`${item.productId}-${item.variantId || 'default'}`}
                       variants={itemVariants}
                       initial="closed"
                       animate="open"
@@ -139,17 +139,19 @@ const CartDrawer = ({ isOpen, onClose }) => {
                             <QuantitySelector
                               quantity={item.quantity}
                               onQuantityChange={(newQuantity) => 
-                                updateQuantity(item.productId, item.variant, newQuantity)
+                                updateQuantity(item.productId, item.variantId, newQuantity).catch(error =>
+                                  console.error("Error updating cart quantity:", error)
+                                )
                               }
                               size="sm"
                               min={1}
-                              max={item.product?.stock || 99}
+                              max={Math.min(item.product?.stock || 99, item.product?.maxOrderQuantity || 99)}
                             />
                             
                             <Button
                               variant="ghost"
                               size="sm"
-                              onClick={() => removeFromCart(item.productId, item.variant)}
+                              onClick={() => removeFromCart(item.productId, item.variantId)}
                               className="p-1 text-error hover:bg-error/10"
                             >
                               <ApperIcon name="Trash2" className="w-4 h-4" />
@@ -115,9 +115,9 @@ const CategoryCarousel = ({ categories = [] }) => {
                 </span>
                 
                 {/* Product Count */}
-                {category.productCount && (
+                {category.totalProductCount > 0 && (
                   <span className="text-xs text-gray-500 mt-1">
-                    {category.productCount} items
+                    {category.totalProductCount} items
                   </span>
                 )}
               </div>
@@ -3,12 +3,17 @@ import { Link, useNavigate } from "react-router-dom";
 import ApperIcon from "@/components/ApperIcon";
 import Button from "@/components/atoms/Button";
 import SearchBar from "@/components/molecules/SearchBar";
+import NotificationBell from "@/components/molecules/NotificationBell";
 import { useCart } from "@/hooks/useCart";
+import { useAuth } from "@/hooks/useAuth";
+import { useSettings } from "@/hooks/useSettings";
 import { cn } from "@/utils/cn";
 const Header = () => {
 const [isMobileMenuOpen, setIsMobileMenuOpen] = useState(false);
   const [cartPulse, setCartPulse] = useState(false);
   const { getTotalItems } = useCart();
+  const { user, logout } = useAuth();
+  const { store, features } = useSettings();
   const navigate = useNavigate();
   const totalItems = getTotalItems();
   const [previousItemCount, setPreviousItemCount] = useState(0);
@@ -22,17 +27,7 @@ const [isMobileMenuOpen, setIsMobileMenuOpen] = useState(false);
     setPreviousItemCount(totalItems);
   }, [totalItems, previousItemCount]);
 
-  const searchSuggestions = [
-    "Fresh Vegetables",
-    "Organic Fruits", 
-    "Basmati Rice",
-    "Desi Ghee",
-    "Halal Meat",
-    "Beauty Products",
-    "Mobile Phones",
-    "Electronics"
-  ];
-
+  // Searches run when submitted; the dropdown handles suggestions while typing
   const handleSearch = (query) => {
     if (query.trim()) {
       navigate(`/category?search=${encodeURIComponent(query)}`);
@@ -43,6 +38,14 @@ const [isMobileMenuOpen, setIsMobileMenuOpen] = useState(false);
     setIsMobileMenuOpen(!isMobileMenuOpen);
   };
 
+  // Customers manage their own account; staff go to the admin panel
+  const accountPath = user?.role === "customer" ? "/account" : "/admin";
+
+  const handleLogout = async () => {
+    await logout();
+    navigate("/");
+  };
+
 return (
 <>
       <header className="sticky top-0 z-50 bg-white border-b border-gray-200 shadow-soft enhanced-typography" role="banner">
@@ -52,14 +55,14 @@ return (
             <Link 
               to="/" 
               className="flex items-center space-x-2 focus:outline-none focus:ring-2 focus:ring-primary-500 focus:ring-offset-2 rounded-lg enhanced-spacing"
-              aria-label="BazaarPK Home"
+              aria-label={`${store.name} Home`}
 className="word-spacing-relaxed"
             >
               <ApperIcon name="Store" className="w-8 h-8 text-white" />
               <span 
                 className="text-2xl font-bold text-white font-display word-spacing-relaxed"
                 role="img">
-                BazaarPK
+                {store.name}
               </span>
             </Link>
 
@@ -67,8 +70,7 @@ className="word-spacing-relaxed"
             <div className="hidden md:flex flex-1 max-w-lg mx-8" role="search">
               <SearchBar
                 placeholder="Search for products..."
-                onSearch={handleSearch}
-                suggestions={searchSuggestions}
+                onSubmit={handleSearch}
                 className="w-full"
                 aria-label="Product search"
               />
@@ -118,24 +120,44 @@ className="word-spacing-relaxed"
                 )}
               </Button>
 
-              {/* Notifications */}
-              <Button 
-                variant="ghost" 
-                className="relative p-2"
-                aria-label="View notifications"
-                title="You have new notifications"
-              >
-                <ApperIcon name="Bell" className="w-6 h-6" aria-hidden="true" />
-                <span 
-                  className="absolute top-1 right-1 bg-accent-500 w-2 h-2 rounded-full"
-                  aria-label="New notifications available"
-                  role="status"
-                ></span>
-              </Button>
+              {/* Stock and price alerts for signed-in customers */}
+              {user?.role === "customer" && <NotificationBell key={user.Id} />}
+
+              {/* Signed-in account */}
+              {user ? (
+                <div className="flex items-center space-x-1 pl-2 border-l border-gray-200">
+                  <Link
+                    to={accountPath}
+                    className="flex items-center space-x-2 px-2 py-1 rounded-md text-sm text-gray-700 hover:text-primary-600 focus:outline-none focus:ring-2 focus:ring-primary-500"
+                    title={user.email}
+                  >
+                    <ApperIcon name="UserCircle" className="w-5 h-5" aria-hidden="true" />
+                    <span className="max-w-[8rem] truncate">{user.name}</span>
+                  </Link>
+                  <Button
+                    variant="ghost"
+                    onClick={handleLogout}
+                    className="p-2"
+                    aria-label="Sign out"
+                    title="Sign out"
+                  >
+                    <ApperIcon name="LogOut" className="w-5 h-5" aria-hidden="true" />
+                  </Button>
+                </div>
+              ) : (
+                <Link
+                  to="/login"
+                  className="flex items-center space-x-2 pl-3 border-l border-gray-200 text-sm font-medium text-gray-700 hover:text-primary-600 focus:outline-none focus:ring-2 focus:ring-primary-500 rounded-md"
+                >
+                  <ApperIcon name="User" className="w-5 h-5" aria-hidden="true" />
+                  <span>Sign in</span>
+                </Link>
+              )}
             </nav>
 
             {/* Mobile Menu Button */}
             <div className="md:hidden flex items-center space-x-2">
+              {user?.role === "customer" && <NotificationBell key={user.Id} />}
 <Button
                 variant="ghost"
                 onClick={() => navigate("/cart")}
@@ -183,8 +205,7 @@ className="word-spacing-relaxed"
           <div className="md:hidden pb-4" role="search">
             <SearchBar
               placeholder="Search products..."
-              onSearch={handleSearch}
-              suggestions={searchSuggestions}
+              onSubmit={handleSearch}
               className="w-full"
               aria-label="Product search"
             />
@@ -265,36 +286,54 @@ className="word-spacing-relaxed"
               <span className="text-gray-700 font-medium word-spacing-relaxed">Deals</span>
             </Link>
 
-            <button 
-              className="flex items-center space-x-3 p-3 rounded-lg hover:bg-primary-50 focus:bg-primary-50 focus:outline-none focus:ring-2 focus:ring-primary-500 transition-colors duration-200 w-full text-left"
-              aria-label="View notifications (3 new notifications)"
-              onClick={() => {
-                toggleMobileMenu();
-                // Handle notifications action
-              }}
-            >
-              <ApperIcon name="Bell" className="w-5 h-5 text-gray-600" aria-hidden="true" />
-              <span className="text-gray-700 font-medium">Notifications</span>
-              <span 
-                className="ml-auto bg-accent-500 text-white text-xs rounded-full px-2 py-1"
-                aria-label="3 new notifications"
-                role="status"
+            {store.whatsapp && (
+              <button 
+                className="flex items-center space-x-3 p-3 rounded-lg hover:bg-primary-50 focus:bg-primary-50 focus:outline-none focus:ring-2 focus:ring-primary-500 transition-colors duration-200 w-full text-left"
+                aria-label="Contact WhatsApp support"
+                onClick={() => {
+                  toggleMobileMenu();
+                  window.open(`https://wa.me/${store.whatsapp}`, '_blank');
+                }}
               >
-                3
-              </span>
-            </button>
+                <ApperIcon name="MessageCircle" className="w-5 h-5 text-green-600" aria-hidden="true" />
+                <span className="text-gray-700 font-medium">WhatsApp Support</span>
+              </button>
+            )}
 
-            <button 
-              className="flex items-center space-x-3 p-3 rounded-lg hover:bg-primary-50 focus:bg-primary-50 focus:outline-none focus:ring-2 focus:ring-primary-500 transition-colors duration-200 w-full text-left"
-              aria-label="Contact WhatsApp support"
-              onClick={() => {
-                toggleMobileMenu();
-                window.open('https://wa.me/your-whatsapp-number', '_blank');
-              }}
-            >
-              <ApperIcon name="MessageCircle" className="w-5 h-5 text-green-600" aria-hidden="true" />
-              <span className="text-gray-700 font-medium">WhatsApp Support</span>
-            </button>
+            {user ? (
+              <Link
+                to={accountPath}
+                onClick={toggleMobileMenu}
+                className="flex items-center space-x-3 p-3 rounded-lg hover:bg-primary-50 focus:bg-primary-50 focus:outline-none focus:ring-2 focus:ring-primary-500 transition-colors duration-200"
+              >
+                <ApperIcon name="UserCircle" className="w-5 h-5 text-gray-600" aria-hidden="true" />
+                <span className="text-gray-700 font-medium">{user.role === "customer" ? "My Account" : "Admin Panel"}</span>
+              </Link>
+            ) : (
+              <Link
+                to="/login"
+                onClick={toggleMobileMenu}
+                className="flex items-center space-x-3 p-3 rounded-lg hover:bg-primary-50 focus:bg-primary-50 focus:outline-none focus:ring-2 focus:ring-primary-500 transition-colors duration-200"
+              >
+                <ApperIcon name="User" className="w-5 h-5 text-gray-600" aria-hidden="true" />
+                <span className="text-gray-700 font-medium">{features.customerRegistration ? "Sign in / Create account" : "Sign in"}</span>
+              </Link>
+            )}
+
+            {user && (
+              <button 
+                className="flex items-center space-x-3 p-3 rounded-lg hover:bg-primary-50 focus:bg-primary-50 focus:outline-none focus:ring-2 focus:ring-primary-500 transition-colors duration-200 w-full text-left"
+                aria-label={`Sign out ${user.name}`}
+                onClick={() => {
+                  toggleMobileMenu();
+                  handleLogout();
+                }}
+              >
+                <ApperIcon name="LogOut" className="w-5 h-5 text-gray-600" aria-hidden="true" />
+                <span className="text-gray-700 font-medium">Sign out</span>
+                <span className="ml-auto text-xs text-gray-500 truncate">{user.email}</span>
+              </button>
+            )}
 
             {/* Accessibility Settings Button */}
             <button 
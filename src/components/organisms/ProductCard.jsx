@@ -8,6 +8,7 @@ import StockIndicator from "@/components/molecules/StockIndicator";
 import ProductBadges from "@/components/molecules/ProductBadges";
 import { useCart } from "@/hooks/useCart";
 import { useToast } from "@/hooks/useToast";
+import { formatPrice } from "@/utils/currency";
 import { cn } from "@/utils/cn";
 
 const ProductCard = ({ product, mode = 'default', className, ...props }) => {
@@ -19,7 +20,7 @@ const { addToCart } = useCart();
   const { showToast } = useToast();
   const navigate = useNavigate();
 
-const handleAddToCart = (e) => {
+const handleAddToCart = async (e) => {
     e?.preventDefault?.();
     e?.stopPropagation?.();
     
@@ -37,16 +38,21 @@ const handleAddToCart = (e) => {
     const cartItem = {
       productId: product.Id,
       quantity: 1,
+      variantId: selectedVariant?.id ?? null,
       variant: selectedVariant || null,
       price: selectedVariant?.price ?? product.price ?? 0
     };
 
     try {
-      addToCart(cartItem);
-      showToast?.(`${product.title || 'Product'} added to cart!`, "success");
+      const { capped, quantity } = await addToCart(cartItem);
+      if (capped) {
+        showToast?.(`Only ${quantity} more of ${product.title || 'this product'} could be added`, "warning");
+      } else {
+        showToast?.(`${product.title || 'Product'} added to cart!`, "success");
+      }
     } catch (error) {
       console.error('Product add to cart error:', error);
-      showToast?.('Failed to add product to cart. Please try again.', 'error');
+      showToast?.(error.message || 'Failed to add product to cart. Please try again.', 'error');
     }
   };
 
@@ -164,18 +170,18 @@ const handleAddToCart = (e) => {
 {product.variants && product.variants.length > 0 && mode !== 'suggestion' && (
             <div className="mb-3">
               <select
-                value={selectedVariant?.name || ''}
+                value={selectedVariant?.id || ''}
                 onChange={(e) => {
-                  const variant = product.variants.find(v => v.name === e.target.value);
+                  const variant = product.variants.find(v => v.id === e.target.value);
                   if (variant) handleVariantSelect(variant, e);
                 }}
                 className="w-full px-3 py-2 text-sm border border-gray-200 rounded-lg bg-white hover:border-primary-300 focus:border-primary-500 focus:ring-2 focus:ring-primary-200 transition-all duration-200"
                 onClick={(e) => e.stopPropagation()}
               >
                 <option value="">Select Size</option>
-                {product.variants.map((variant, index) => (
-                  <option key={index} value={variant.name}>
-                    {variant.name} - {variant.price ? `Rs ${variant.price}` : 'Same Price'}
+                {product.variants.map(variant => (
+                  <option key={variant.id} value={variant.id} disabled={variant.stock === 0}>
+                    {variant.name} - {variant.price ? formatPrice(variant.price) : 'Same Price'}{variant.stock === 0 ? ' (Out of stock)' : ''}
                   </option>
                 ))}
               </select>
@@ -1,25 +1,74 @@
-import React, { useState, useEffect } from "react";
+import React, { useState, useEffect, useRef } from "react";
 import { motion, AnimatePresence } from "framer-motion";
 import ProductCard from "@/components/organisms/ProductCard";
 import Button from "@/components/atoms/Button";
 import ApperIcon from "@/components/ApperIcon";
+import Loading from "@/components/ui/Loading";
+import Error from "@/components/ui/Error";
+import { sessionStore } from "@/utils/storage";
 import { cn } from "@/utils/cn";
 
+const SCROLL_STATE_PREFIX = "bazaarpk-grid-";
+
+// Appends a page, skipping products already shown (the catalogue can shift between pages)
+const appendPage = (loaded, items) => {
+  const seen = new Set(loaded.map(product => product.Id));
+  return [...loaded, ...items.filter(product => !seen.has(product.Id))];
+};
+
+/**
+ * Grid of product cards. Given `products` it shows them in batches; given `fetchPage`
+ * ({ cursor, limit } => { items, total, nextCursor }) it loads pages from the server instead,
+ * starting over whenever `queryKey` changes. `infiniteScroll` loads the next batch as the end of
+ * the grid scrolls into view. Paged grids with a `restoreKey` remember how many products were
+ * loaded and the scroll position, and put both back when the page is returned to.
+ */
 const ProductGrid = ({ 
   products = [], 
+  fetchPage,
+  queryKey = null,
+  pageSize,
+  infiniteScroll = false,
+  restoreKey,
+  onPageLoad, // Called with the first page of each query, e.g. for its total and facets
+  emptyState = null,
   title = "Featured Products",
   showLoadMore = false,
   initialCount = 12,
   gridType = "products", // "products" or "bundles"
   className,
+  gridClassName,
   onProductsUpdate, // Callback for when products need refresh
   ...props 
 }) => {
+  const paged = typeof fetchPage === "function";
+  const batchLimit = pageSize || initialCount;
   const [visibleCount, setVisibleCount] = useState(initialCount);
   const [isLoading, setIsLoading] = useState(false);
   const [isMobile, setIsMobile] = useState(false);
   const [lastCacheInvalidation, setLastCacheInvalidation] = useState(null);
 
+  // Paged mode
+  const [pagedItems, setPagedItems] = useState([]);
+  const [pagedTotal, setPagedTotal] = useState(0);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [pageError, setPageError] = useState("");
+  const [initialLoading, setInitialLoading] = useState(paged);
+  const [reloadToken, setReloadToken] = useState(0);
+  const requestRef = useRef(0);
+  const restoredRef = useRef(false);
+  const pendingScrollRef = useRef(null);
+  const canSaveScrollRef = useRef(false);
+  const pagedItemsRef = useRef([]);
+  const fetchPageRef = useRef(fetchPage);
+  const onPageLoadRef = useRef(onPageLoad);
+  const sentinelRef = useRef(null);
+  fetchPageRef.current = fetchPage;
+  onPageLoadRef.current = onPageLoad;
+  pagedItemsRef.current = pagedItems;
+
+  const scrollStateKey = restoreKey ? `${SCROLL_STATE_PREFIX}${restoreKey}` : null;
+
   // Detect mobile for responsive behavior
   useEffect(() => {
     const checkMobile = () => {
@@ -69,10 +118,115 @@ const ProductGrid = ({
     };
   }, [onProductsUpdate]);
 
-  const visibleProducts = products.slice(0, visibleCount);
-  const hasMore = visibleCount < products.length;
+  // Load the first page whenever the query changes. On the first load after mounting, a saved
+  // scroll state for the same query loads as many products as were showing before.
+  useEffect(() => {
+    if (!paged) return undefined;
+
+    const request = ++requestRef.current;
+    const saved = !restoredRef.current && scrollStateKey ? sessionStore.get(scrollStateKey) : null;
+    const restoring = saved && saved.queryKey === queryKey ? saved : null;
+    restoredRef.current = true;
+    canSaveScrollRef.current = false;
+    setInitialLoading(true);
+    setIsLoading(false);
+    setPageError("");
+
+    (async () => {
+      try {
+        let loaded = [];
+        let cursor = null;
+        let total = 0;
+        do {
+          const result = await fetchPageRef.current({ cursor, limit: batchLimit });
+          if (request !== requestRef.current) return;
+          if (!cursor && onPageLoadRef.current) onPageLoadRef.current(result);
+          loaded = appendPage(loaded, result.items);
+          total = result.total;
+          cursor = result.nextCursor;
+        } while (cursor && restoring && loaded.length < restoring.count);
+
+        setPagedItems(loaded);
+        setPagedTotal(total);
+        setNextCursor(cursor);
+        pendingScrollRef.current = restoring ? restoring.scrollY : null;
+      } catch (err) {
+        if (request !== requestRef.current) return;
+        console.error("Error loading products:", err);
+        setPagedItems([]);
+        setPagedTotal(0);
+        setNextCursor(null);
+        setPageError(err.message || "Failed to load products");
+      } finally {
+        if (request === requestRef.current) setInitialLoading(false);
+      }
+    })();
 
-  const loadMore = async () => {
+    return undefined;
+  }, [paged, queryKey, batchLimit, reloadToken]);
+
+  // Put the scroll position back once the restored products have rendered
+  useEffect(() => {
+    if (!paged || initialLoading) return;
+    const scrollY = pendingScrollRef.current;
+    pendingScrollRef.current = null;
+    const frame = requestAnimationFrame(() => {
+      if (scrollY !== null) window.scrollTo(0, scrollY);
+      canSaveScrollRef.current = true;
+    });
+    return () => cancelAnimationFrame(frame);
+  }, [paged, initialLoading]);
+
+  // Remember how far the shopper got, so coming back from a product page lands in the same place
+  useEffect(() => {
+    if (!paged || !scrollStateKey) return undefined;
+
+    let frame = null;
+    const save = () => {
+      frame = null;
+      if (!canSaveScrollRef.current) return;
+      sessionStore.set(scrollStateKey, {
+        queryKey,
+        count: pagedItemsRef.current.length,
+        scrollY: window.scrollY
+      });
+    };
+    const handleScroll = () => {
+      if (frame === null) frame = requestAnimationFrame(save);
+    };
+
+    window.addEventListener("scroll", handleScroll, { passive: true });
+    return () => {
+      window.removeEventListener("scroll", handleScroll);
+      if (frame !== null) cancelAnimationFrame(frame);
+    };
+  }, [paged, scrollStateKey, queryKey]);
+
+  const visibleProducts = paged ? pagedItems : products.slice(0, visibleCount);
+  const totalCount = paged ? pagedTotal : products.length;
+  const hasMore = paged ? Boolean(nextCursor) : visibleCount < products.length;
+
+  const loadNextPage = async () => {
+    if (!nextCursor || isLoading) return;
+    const request = requestRef.current;
+    setIsLoading(true);
+    setPageError("");
+    try {
+      const result = await fetchPageRef.current({ cursor: nextCursor, limit: batchLimit });
+      if (request !== requestRef.current) return;
+      setPagedItems(prev => appendPage(prev, result.items));
+      setPagedTotal(result.total);
+      setNextCursor(result.nextCursor);
+    } catch (err) {
+      if (request !== requestRef.current) return;
+      console.error("Error loading more products:", err);
+      setPageError(err.message || "Failed to load more products");
+    } finally {
+      if (request === requestRef.current) setIsLoading(false);
+    }
+  };
+
+  const showMore = async () => {
     setIsLoading(true);
     
     // Performance-optimized loading delay based on device
@@ -85,6 +239,22 @@ const ProductGrid = ({
     setIsLoading(false);
   };
 
+  const loadMore = paged ? loadNextPage : showMore;
+
+  // Infinite scroll: load the next batch as the end of the grid comes near the viewport. The
+  // observer is recreated after each batch, so it keeps loading while the end stays in view.
+  useEffect(() => {
+    if (!infiniteScroll || !hasMore || isLoading || pageError || initialLoading) return undefined;
+    const node = sentinelRef.current;
+    if (!node || typeof IntersectionObserver === "undefined") return undefined;
+
+    const observer = new IntersectionObserver((entries) => {
+      if (entries[0]?.isIntersecting) loadMore();
+    }, { rootMargin: "400px 0px" });
+    observer.observe(node);
+    return () => observer.disconnect();
+  }, [infiniteScroll, hasMore, isLoading, pageError, initialLoading, visibleProducts.length]);
+
   const containerVariants = {
     hidden: { opacity: 0 },
     visible: {
@@ -107,56 +277,84 @@ const ProductGrid = ({
     }
   };
 
-  if (!products || products.length === 0) return null;
+  if (paged) {
+    // Keep showing the previous results (dimmed) while a changed query loads
+    if (initialLoading && visibleProducts.length === 0) {
+      return (
+        <div className={cn("px-4 md:px-6 lg:px-8 mb-12", className)}>
+          <Loading type="products" />
+        </div>
+      );
+    }
+    if (pageError && visibleProducts.length === 0) {
+      return (
+        <div className={cn("px-4 md:px-6 lg:px-8 mb-12", className)}>
+          <Error
+            title="Unable to load products"
+            message={pageError}
+            onRetry={() => setReloadToken(token => token + 1)}
+          />
+        </div>
+      );
+    }
+    if (!initialLoading && totalCount === 0) return emptyState;
+  } else if (!products || products.length === 0) {
+    return null;
+  }
 
   return (
     <div className={cn("px-4 md:px-6 lg:px-8 mb-12", className)} {...props}>
       {/* Header */}
+      {title && (
       <div className="flex items-center justify-between mb-8">
         <div>
 <h2 className="text-2xl md:text-3xl font-display font-bold text-gray-900 mb-2 product-text-field enhanced-product-title" style={{ wordSpacing: '0.1em', letterSpacing: '0.02em' }}>
             {title}
           </h2>
           <p className="text-gray-600 word-spacing-relaxed" style={{ wordSpacing: '0.08em', letterSpacing: '0.015em', lineHeight: '1.6' }}>
-            <span style={{ wordSpacing: '0.08em' }}>Showing</span> <span style={{ wordSpacing: '0.06em' }}>{visibleProducts.length}</span> <span style={{ wordSpacing: '0.08em' }}>of</span> <span style={{ wordSpacing: '0.06em' }}>{products.length}</span> <span style={{ wordSpacing: '0.08em' }}>products</span>
+            <span style={{ wordSpacing: '0.08em' }}>Showing</span> <span style={{ wordSpacing: '0.06em' }}>{visibleProducts.length}</span> <span style={{ wordSpacing: '0.08em' }}>of</span> <span style={{ wordSpacing: '0.06em' }}>{totalCount}</span> <span style={{ wordSpacing: '0.08em' }}>products</span>
           </p>
         </div>
         
-{products.length > initialCount && (
+{totalCount > batchLimit && (
           <div className="flex items-center justify-between mb-4">
             <div className="flex items-center space-x-2">
 <span className="text-sm text-gray-500 word-spacing-relaxed" style={{ wordSpacing: '0.06em', letterSpacing: '0.01em' }}>
                 {isMobile ? 
-                  `${visibleCount}/${products.length}` :
-                  `${Math.round((visibleCount / products.length) * 100)}% loaded`
+                  `${visibleProducts.length}/${totalCount}` :
+                  `${Math.round((visibleProducts.length / totalCount) * 100)}% loaded`
                 }
               </span>
               <div className={`${isMobile ? 'w-16' : 'w-24'} h-2 bg-gray-200 rounded-full overflow-hidden`}>
                 <div 
                   className="h-full bg-gradient-to-r from-primary-500 to-primary-600 transition-all duration-500"
-                  style={{ width: `${(visibleCount / products.length) * 100}%` }}
+                  style={{ width: `${(visibleProducts.length / totalCount) * 100}%` }}
                 />
               </div>
             </div>
             {!isMobile && (
 <span className="text-xs text-gray-400 word-spacing-relaxed" style={{ wordSpacing: '0.06em', letterSpacing: '0.01em' }}>
-                {hasMore ? `${products.length - visibleCount} more` : 'All loaded'}
+                {hasMore ? `${totalCount - visibleProducts.length} more` : 'All loaded'}
               </span>
             )}
           </div>
         )}
       </div>
+      )}
 
       {/* Products Grid */}
       <motion.div
         variants={containerVariants}
         initial="hidden"
         animate="visible"
-className={`grid gap-4 ${
-          isMobile 
-            ? 'grid-cols-1 sm:grid-cols-2' 
-            : 'grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 2xl:grid-cols-5'
-        }`}
+className={cn(
+          gridClassName || `grid gap-4 ${
+            isMobile 
+              ? 'grid-cols-1 sm:grid-cols-2' 
+              : 'grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 2xl:grid-cols-5'
+          }`,
+          paged && initialLoading && "opacity-60 transition-opacity"
+        )}
       >
         <AnimatePresence>
           {visibleProducts.map((product) => (
@@ -176,8 +374,15 @@ className={`grid gap-4 ${
         </AnimatePresence>
       </motion.div>
 
-      {/* Load More Button */}
-{showLoadMore && hasMore && (
+      {/* Infinite scroll trigger */}
+      {infiniteScroll && hasMore && !pageError && (
+        <div ref={sentinelRef} className="flex justify-center mt-8" aria-live="polite">
+          {isLoading && <Loading type="spinner" />}
+        </div>
+      )}
+
+      {/* Load More Button; also the way to retry when infinite scroll hits an error */}
+{hasMore && ((showLoadMore && !infiniteScroll) || pageError) && (
         <div className="flex justify-center mt-8">
           <Button
             onClick={loadMore}
@@ -197,9 +402,9 @@ className={`grid gap-4 ${
               <div className="flex items-center">
                 <ApperIcon name="Plus" className="w-4 h-4 mr-2" />
 <span className={`${isMobile ? 'text-sm' : ''} word-spacing-loose`} style={{ wordSpacing: '0.08em', letterSpacing: '0.015em' }}>
-                  {isMobile ? 
-                    `Load More (${products.length - visibleCount})` :
-                    `Load More Products (${products.length - visibleCount} remaining)`
+                  {pageError ? 'Try Again' : isMobile ? 
+                    `Load More (${totalCount - visibleProducts.length})` :
+                    `Load More Products (${totalCount - visibleProducts.length} remaining)`
                   }
                 </span>
               </div>
@@ -209,12 +414,12 @@ className={`grid gap-4 ${
       )}
 
       {/* Show completion message */}
-      {showLoadMore && !hasMore && products.length > initialCount && (
+      {(showLoadMore || infiniteScroll) && !hasMore && totalCount > batchLimit && (
         <div className="flex justify-center mt-12">
           <div className="text-center">
             <ApperIcon name="CheckCircle" className="w-8 h-8 text-primary-500 mx-auto mb-2" />
 <p className="text-gray-600 font-medium word-spacing-relaxed" style={{ wordSpacing: '0.08em', letterSpacing: '0.015em', lineHeight: '1.6' }}>
-              <span style={{ wordSpacing: '0.08em' }}>You've viewed all</span> <span style={{ wordSpacing: '0.06em' }}>{products.length}</span> <span style={{ wordSpacing: '0.08em' }}>products</span>
+              <span style={{ wordSpacing: '0.08em' }}>You've viewed all</span> <span style={{ wordSpacing: '0.06em' }}>{totalCount}</span> <span style={{ wordSpacing: '0.08em' }}>products</span>
             </p>
           </div>
         </div>
@@ -0,0 +1,501 @@
+import React, { useState } from "react";
+import { motion } from "framer-motion";
+import ApperIcon from "@/components/ApperIcon";
+import Button from "@/components/atoms/Button";
+import { useToast } from "@/hooks/useToast";
+import { useAuth } from "@/hooks/useAuth";
+import {
+  IMPORT_FIELDS,
+  IMPORT_MODES,
+  ProductImportService,
+  getMissingRequiredFields,
+  suggestMapping
+} from "@/services/api/ProductImportService";
+import { PRODUCT_BULK_LIMIT } from "@/services/api/ProductService";
+import { parseCsv, parseImportFile, parseJson } from "@/utils/import";
+import { buildExportFilename, exportCsv } from "@/utils/export";
+import { cn } from "@/utils/cn";
+
+const STEPS = [
+  { key: "upload", label: "Upload" },
+  { key: "map", label: "Map columns" },
+  { key: "preview", label: "Review" },
+  { key: "import", label: "Import" }
+];
+
+// Rendering thousands of rows at once makes the modal sluggish; the error report has them all
+const PREVIEW_ROWS_SHOWN = 200;
+
+const ACTION_STYLES = {
+  create: { label: "New", className: "bg-green-100 text-green-800" },
+  update: { label: "Update", className: "bg-blue-100 text-blue-800" },
+  unchanged: { label: "No changes", className: "bg-gray-100 text-gray-700" }
+};
+
+const TEMPLATE_ROW = {
+  sku: "VEG-ONI-010",
+  title: "Red Onions",
+  urduName: "سرخ پیاز",
+  description: "Fresh red onions from Swat valley",
+  category: "vegetables",
+  price: 90,
+  oldPrice: 110,
+  stock: 200,
+  barcode: "",
+  brand: "",
+  images: "https://example.com/onions.jpg",
+  tags: "onion|fresh",
+  badges: "FRESH",
+  variants: JSON.stringify([{ name: "1 KG", price: 90 }, { name: "5 KG", price: 420 }])
+};
+
+const downloadTemplate = () =>
+  exportCsv("product-import-template", {
+    columns: IMPORT_FIELDS.map(field => ({ key: field.key, label: field.label })),
+    rows: [TEMPLATE_ROW]
+  });
+
+function ProductImportWizard({ onClose, onComplete }) {
+  const { showToast } = useToast();
+  const { user: currentUser } = useAuth();
+  const [step, setStep] = useState("upload");
+  const [source, setSource] = useState(null);
+  const [pastedText, setPastedText] = useState("");
+  const [parseError, setParseError] = useState("");
+  const [mode, setMode] = useState("upsert");
+  const [mapping, setMapping] = useState({});
+  const [preview, setPreview] = useState(null);
+  const [problemsOnly, setProblemsOnly] = useState(false);
+  const [progress, setProgress] = useState({ processed: 0, total: 0 });
+  const [result, setResult] = useState(null);
+  const [actionLoading, setActionLoading] = useState(false);
+
+  const importing = step === "import" && !result;
+  const missingFields = getMissingRequiredFields(mapping, mode);
+
+  const acceptParsed = (parsed, name) => {
+    if (parsed.rows.length === 0) {
+      setParseError("The file has a header row but no products");
+      return;
+    }
+    setParseError("");
+    setSource({ name, ...parsed });
+    setMapping(suggestMapping(parsed.headers));
+    setStep("map");
+  };
+
+  const handleFileChange = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = "";
+    if (!file) return;
+    try {
+      acceptParsed(await parseImportFile(file), file.name);
+    } catch (error) {
+      setParseError(error.message);
+    }
+  };
+
+  const handlePasteContinue = () => {
+    try {
+      const text = pastedText.trim();
+      const parsed = text.startsWith("[") || text.startsWith("{") ? parseJson(text) : parseCsv(text);
+      acceptParsed(parsed, "Pasted data");
+    } catch (error) {
+      setParseError(error.message);
+    }
+  };
+
+  const handleMappingChange = (header, fieldKey) => {
+    setMapping(prev => {
+      // A field can only come from one column, so taking it clears any earlier column
+      const next = Object.fromEntries(
+        Object.entries(prev).map(([key, value]) => [key, fieldKey && value === fieldKey ? null : value])
+      );
+      next[header] = fieldKey || null;
+      return next;
+    });
+  };
+
+  const handleBuildPreview = async () => {
+    try {
+      setActionLoading(true);
+      const built = await ProductImportService.buildPreview(source.rows, mapping, { mode });
+      setPreview(built);
+      setProblemsOnly(built.summary.invalid > 0);
+      setStep("preview");
+    } catch (error) {
+      console.error("Error checking import rows:", error);
+      showToast(error.message || "Failed to check the import file", "error");
+    } finally {
+      setActionLoading(false);
+    }
+  };
+
+  const handleImport = async () => {
+    const total = preview.summary.create + preview.summary.update;
+    setProgress({ processed: 0, total });
+    setStep("import");
+    try {
+      const outcome = await ProductImportService.commit(preview.rows, {
+        user: currentUser?.name || "admin",
+        onProgress: setProgress
+      });
+      setResult(outcome);
+      showToast(
+        `Imported ${outcome.created + outcome.updated} products${outcome.failed ? `, ${outcome.failed} failed` : ""}`,
+        outcome.failed ? "warning" : "success"
+      );
+      onComplete?.();
+    } catch (error) {
+      console.error("Error importing products:", error);
+      showToast(error.message || "Failed to import products", "error");
+      setStep("preview");
+    }
+  };
+
+  const downloadErrorReport = () =>
+    exportCsv(buildExportFilename("product-import-errors", source.name.replace(/\.[^.]+$/, "")), {
+      columns: [
+        { key: "rowNumber", label: "Row" },
+        { key: "sku", label: "SKU" },
+        { key: "title", label: "Product name" },
+        { key: "problems", label: "Errors" }
+      ],
+      rows: preview.rows
+        .filter(row => row.errors.length > 0)
+        .map(row => ({ ...row, problems: row.errors.join("; ") }))
+    });
+
+  const restart = () => {
+    setSource(null);
+    setPastedText("");
+    setPreview(null);
+    setResult(null);
+    setStep("upload");
+  };
+
+  const renderUpload = () => (
+    <div className="space-y-6">
+      <div>
+        <label className="flex flex-col items-center justify-center border-2 border-dashed border-gray-300 rounded-lg p-8 cursor-pointer hover:border-primary-500 hover:bg-primary-50 transition-colors">
+          <ApperIcon name="FileUp" className="w-10 h-10 text-gray-400 mb-3" />
+          <span className="text-sm font-medium text-gray-900">Choose a CSV or JSON file</span>
+          <span className="text-xs text-gray-500 mt-1">One product per row; the first CSV row holds the column names</span>
+          <input type="file" accept=".csv,.json,text/csv,application/json" onChange={handleFileChange} className="hidden" />
+        </label>
+        <button onClick={downloadTemplate} className="mt-2 text-sm text-primary-600 hover:text-primary-700 flex items-center">
+          <ApperIcon name="Download" className="w-4 h-4 mr-1" />
+          Download CSV template
+        </button>
+      </div>
+
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-1">Or paste CSV or JSON</label>
+        <textarea
+          value={pastedText}
+          onChange={(e) => setPastedText(e.target.value)}
+          rows={6}
+          placeholder={"SKU,Product name,Category,Selling price\nVEG-ONI-010,Red Onions,vegetables,90"}
+          className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 font-mono text-sm"
+        />
+        <div className="flex justify-end mt-2">
+          <Button variant="outline" onClick={handlePasteContinue} disabled={!pastedText.trim()}>
+            Use pasted data
+          </Button>
+        </div>
+      </div>
+
+      {parseError && (
+        <div className="flex items-start p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">
+          <ApperIcon name="AlertCircle" className="w-4 h-4 mr-2 mt-0.5 flex-shrink-0" />
+          {parseError}
+        </div>
+      )}
+    </div>
+  );
+
+  const renderMapping = () => (
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <p className="text-sm text-gray-600">
+          <span className="font-medium text-gray-900">{source.name}</span> · {source.rows.length} rows
+        </p>
+        <select
+          value={mode}
+          onChange={(e) => setMode(e.target.value)}
+          className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 text-sm"
+        >
+          {Object.entries(IMPORT_MODES).map(([key, label]) => (
+            <option key={key} value={key}>{label}</option>
+          ))}
+        </select>
+      </div>
+
+      <div className="border border-gray-200 rounded-lg divide-y divide-gray-200">
+        {source.headers.map(header => (
+          <div key={header} className="grid grid-cols-1 sm:grid-cols-3 gap-2 items-center p-3">
+            <div className="text-sm font-medium text-gray-900 truncate">{header}</div>
+            <div className="text-xs text-gray-500 truncate">
+              e.g. {String(source.rows.find(row => row[header] !== "" && row[header] !== undefined)?.[header] ?? "—")}
+            </div>
+            <select
+              value={mapping[header] || ""}
+              onChange={(e) => handleMappingChange(header, e.target.value)}
+              className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 text-sm"
+            >
+              <option value="">Don't import</option>
+              {IMPORT_FIELDS.map(field => (
+                <option key={field.key} value={field.key}>
+                  {field.label}{field.required ? " *" : ""}
+                </option>
+              ))}
+            </select>
+          </div>
+        ))}
+      </div>
+
+      {missingFields.length > 0 && (
+        <div className="flex items-start p-3 bg-yellow-50 border border-yellow-200 rounded-lg text-sm text-yellow-800">
+          <ApperIcon name="AlertTriangle" className="w-4 h-4 mr-2 mt-0.5 flex-shrink-0" />
+          {mode === "update"
+            ? "Map a column to Product ID or SKU so rows can be matched to existing products."
+            : `No column is mapped to ${missingFields.map(field => field.label).join(", ")}. New products without them will be rejected.`}
+        </div>
+      )}
+    </div>
+  );
+
+  const renderPreview = () => {
+    const rows = problemsOnly
+      ? preview.rows.filter(row => row.errors.length > 0 || row.warnings.length > 0)
+      : preview.rows;
+    const { summary } = preview;
+
+    return (
+      <div className="space-y-4">
+        <div className="grid grid-cols-2 sm:grid-cols-4 gap-3">
+          {[
+            { label: "New products", value: summary.create, color: "text-green-700" },
+            { label: "Updates", value: summary.update, color: "text-blue-700" },
+            { label: "No changes", value: summary.unchanged, color: "text-gray-700" },
+            { label: "Rows with errors", value: summary.invalid, color: "text-red-700" }
+          ].map(stat => (
+            <div key={stat.label} className="border border-gray-200 rounded-lg p-3">
+              <p className={cn("text-2xl font-bold", stat.color)}>{stat.value}</p>
+              <p className="text-xs text-gray-600">{stat.label}</p>
+            </div>
+          ))}
+        </div>
+
+        <div className="flex flex-wrap items-center justify-between gap-3">
+          <label className="flex items-center text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={problemsOnly}
+              onChange={(e) => setProblemsOnly(e.target.checked)}
+              className="mr-2 rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+            />
+            Only show rows with errors or warnings
+          </label>
+          {summary.invalid > 0 && (
+            <button onClick={downloadErrorReport} className="text-sm text-primary-600 hover:text-primary-700 flex items-center">
+              <ApperIcon name="Download" className="w-4 h-4 mr-1" />
+              Download error report
+            </button>
+          )}
+        </div>
+
+        <div className="border border-gray-200 rounded-lg overflow-hidden">
+          <div className="max-h-96 overflow-y-auto">
+            <table className="min-w-full divide-y divide-gray-200 text-sm">
+              <thead className="bg-gray-50 sticky top-0">
+                <tr>
+                  <th className="px-3 py-2 text-left font-medium text-gray-600">Row</th>
+                  <th className="px-3 py-2 text-left font-medium text-gray-600">Product</th>
+                  <th className="px-3 py-2 text-left font-medium text-gray-600">Action</th>
+                  <th className="px-3 py-2 text-left font-medium text-gray-600">Issues</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200 bg-white">
+                {rows.slice(0, PREVIEW_ROWS_SHOWN).map(row => {
+                  const action = ACTION_STYLES[row.action];
+                  return (
+                    <tr key={row.rowNumber} className={row.errors.length > 0 ? "bg-red-50" : ""}>
+                      <td className="px-3 py-2 text-gray-500 align-top">{row.rowNumber}</td>
+                      <td className="px-3 py-2 align-top">
+                        <p className="font-medium text-gray-900">{row.title || "Untitled"}</p>
+                        <p className="text-xs text-gray-500">{row.sku || "No SKU"}</p>
+                      </td>
+                      <td className="px-3 py-2 align-top">
+                        <span className={cn("px-2 py-0.5 rounded-full text-xs font-medium", row.errors.length > 0 ? "bg-red-100 text-red-800" : action.className)}>
+                          {row.errors.length > 0 ? "Skipped" : action.label}
+                        </span>
+                      </td>
+                      <td className="px-3 py-2 align-top">
+                        {row.errors.length === 0 && row.warnings.length === 0 && row.action === "update" && (
+                          <p className="text-xs text-gray-500">Changes: {Object.keys(row.changes).join(", ")}</p>
+                        )}
+                        <ul className="space-y-0.5">
+                          {row.errors.map(message => (
+                            <li key={message} className="text-xs text-red-700">{message}</li>
+                          ))}
+                          {row.warnings.map(message => (
+                            <li key={message} className="text-xs text-yellow-700">{message}</li>
+                          ))}
+                        </ul>
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+          {rows.length > PREVIEW_ROWS_SHOWN && (
+            <p className="px-3 py-2 text-xs text-gray-500 bg-gray-50 border-t border-gray-200">
+              Showing the first {PREVIEW_ROWS_SHOWN} of {rows.length} rows
+            </p>
+          )}
+          {rows.length === 0 && (
+            <p className="px-3 py-6 text-center text-sm text-gray-500">Every row passed validation.</p>
+          )}
+        </div>
+      </div>
+    );
+  };
+
+  const renderImport = () => {
+    const percent = progress.total > 0 ? Math.round((progress.processed / progress.total) * 100) : 0;
+
+    if (!result) {
+      return (
+        <div className="py-8 text-center">
+          <ApperIcon name="Loader2" className="w-8 h-8 text-primary-600 animate-spin mx-auto mb-4" />
+          <p className="text-sm text-gray-700 mb-3">
+            Importing {progress.processed} of {progress.total} products in batches of {PRODUCT_BULK_LIMIT}…
+          </p>
+          <div className="w-full bg-gray-200 rounded-full h-2">
+            <div className="bg-primary-600 h-2 rounded-full transition-all" style={{ width: `${percent}%` }} />
+          </div>
+        </div>
+      );
+    }
+
+    return (
+      <div className="space-y-4">
+        <div className="flex items-center">
+          <ApperIcon
+            name={result.failed > 0 ? "AlertCircle" : "CheckCircle2"}
+            className={cn("w-8 h-8 mr-3", result.failed > 0 ? "text-yellow-500" : "text-green-500")}
+          />
+          <div>
+            <p className="font-semibold text-gray-900">Import finished</p>
+            <p className="text-sm text-gray-600">
+              {result.created} created · {result.updated} updated · {result.failed} failed
+            </p>
+          </div>
+        </div>
+        {result.errors.length > 0 && (
+          <ul className="max-h-60 overflow-y-auto border border-red-200 bg-red-50 rounded-lg p-3 space-y-1">
+            {result.errors.map(message => (
+              <li key={message} className="text-xs text-red-700">{message}</li>
+            ))}
+          </ul>
+        )}
+      </div>
+    );
+  };
+
+  const stepIndex = STEPS.findIndex(item => item.key === step);
+
+  return (
+    <motion.div
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+      className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50"
+    >
+      <motion.div
+        initial={{ scale: 0.95 }}
+        animate={{ scale: 1 }}
+        exit={{ scale: 0.95 }}
+        className="bg-white rounded-lg w-full max-w-4xl max-h-[90vh] flex flex-col"
+      >
+        <div className="flex items-center justify-between p-6 border-b border-gray-200">
+          <div>
+            <h3 className="text-lg font-semibold text-gray-900">Import Products</h3>
+            <ol className="flex items-center space-x-2 mt-2 text-xs">
+              {STEPS.map((item, index) => (
+                <li key={item.key} className="flex items-center">
+                  {index > 0 && <ApperIcon name="ChevronRight" className="w-3 h-3 text-gray-400 mr-2" />}
+                  <span className={cn(
+                    index === stepIndex ? "text-primary-600 font-semibold" : index < stepIndex ? "text-gray-700" : "text-gray-400"
+                  )}>
+                    {item.label}
+                  </span>
+                </li>
+              ))}
+            </ol>
+          </div>
+          <button
+            onClick={onClose}
+            disabled={importing}
+            className="text-gray-400 hover:text-gray-600 disabled:opacity-50"
+            aria-label="Close import"
+          >
+            <ApperIcon name="X" className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="p-6 overflow-y-auto flex-1">
+          {step === "upload" && renderUpload()}
+          {step === "map" && renderMapping()}
+          {step === "preview" && renderPreview()}
+          {step === "import" && renderImport()}
+        </div>
+
+        <div className="flex justify-between p-6 border-t border-gray-200">
+          <div>
+            {step === "map" && (
+              <Button variant="outline" onClick={restart}>
+                <ApperIcon name="ArrowLeft" className="w-4 h-4 mr-2" />
+                Choose another file
+              </Button>
+            )}
+            {step === "preview" && (
+              <Button variant="outline" onClick={() => setStep("map")}>
+                <ApperIcon name="ArrowLeft" className="w-4 h-4 mr-2" />
+                Back to mapping
+              </Button>
+            )}
+          </div>
+          <div className="flex space-x-3">
+            {step === "map" && (
+              <Button onClick={handleBuildPreview} disabled={actionLoading || (mode === "update" && missingFields.length > 0)}>
+                {actionLoading ? "Checking rows..." : "Check rows"}
+                <ApperIcon name="ArrowRight" className="w-4 h-4 ml-2" />
+              </Button>
+            )}
+            {step === "preview" && (
+              <Button
+                onClick={handleImport}
+                disabled={preview.summary.create + preview.summary.update === 0}
+                className="bg-primary-600 hover:bg-primary-700 text-white"
+              >
+                <ApperIcon name="Upload" className="w-4 h-4 mr-2" />
+                Import {preview.summary.create + preview.summary.update} products
+              </Button>
+            )}
+            {step === "import" && result && (
+              <>
+                <Button variant="outline" onClick={restart}>Import another file</Button>
+                <Button onClick={onClose}>Done</Button>
+              </>
+            )}
+          </div>
+        </div>
+      </motion.div>
+    </motion.div>
+  );
+}
+
+export default ProductImportWizard;
@@ -1,14 +1,18 @@
-import React from "react";
-import { motion } from "framer-motion";
+import React, { useState } from "react";
+import { createPortal } from "react-dom";
+import { AnimatePresence, motion } from "framer-motion";
 import ApperIcon from "@/components/ApperIcon";
 import ProductBadges from "@/components/molecules/ProductBadges";
 import PriceDisplay from "@/components/molecules/PriceDisplay";
 import StockIndicator from "@/components/molecules/StockIndicator";
+import ProductRevisionHistory from "@/components/molecules/ProductRevisionHistory";
 import Category from "@/components/pages/Category";
 import Badge from "@/components/atoms/Badge";
 import Button from "@/components/atoms/Button";
 import { cn } from "@/utils/cn";
 import { formatPrice } from "@/utils/currency";
+import { hasPermission } from "@/utils/permissions";
+import { getNextScheduledChange } from "@/services/api/ProductService";
 
 const ProductManagementCard = ({
   product,
@@ -20,6 +24,8 @@ const ProductManagementCard = ({
   onEdit,
   onView,
   onDelete,
+  onRevisionRestored,
+  onSubmitForReview,
 loading = false,
   currentUser,
   showApprovalStatus = false
@@ -38,9 +44,60 @@ const isVisible = product.visibility === 'published';
   const isActuallyVisible = isVisible && isApproved;
   const canBeFeatured = isApproved && isVisible;
 const needsApproval = isPending && !isVisible;
+  const nextScheduledChange = getNextScheduledChange(product);
+  const scheduleLabel = nextScheduledChange && (
+    `${nextScheduledChange === product.publishAt ? 'Publishes' : 'Unpublishes'} ${new Date(nextScheduledChange).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' })}`
+  );
   const isOutOfStock = product.stock === 0;
   const adminRating = product.adminRating || 0;
 
+  // Actions the signed-in user is not allowed to take are disabled or hidden
+  const canDelete = hasPermission(currentUser, 'canDelete');
+  const canPublish = hasPermission(currentUser, 'canPublish');
+  const canToggleVisibility = canPublish && (!needsApproval || hasPermission(currentUser, 'canApprove'));
+  const [showHistory, setShowHistory] = useState(false);
+
+  // Rejected products show the moderator's reason; drafts and rejected products can go to review
+  const canSubmitForReview = Boolean(onSubmitForReview) && hasPermission(currentUser, 'canBulkEdit') && (product.status === 'draft' || isRejected);
+  const reviewNotice = (isRejected || canSubmitForReview) && (
+    <div className={cn(
+      "flex items-start justify-between gap-2 p-2 mb-2 rounded text-xs",
+      isRejected ? "bg-red-50 text-red-700" : "bg-gray-50 text-gray-600"
+    )}>
+      <span className="min-w-0 break-words">
+        {isRejected
+          ? <><span className="font-medium">Rejected:</span> {product.rejectionReason || 'No reason given'}</>
+          : 'Draft, not yet submitted for review'}
+      </span>
+      {canSubmitForReview && (
+        <Button
+          variant="outline"
+          size="sm"
+          onClick={() => onSubmitForReview(product)}
+          disabled={loading}
+          className="flex-shrink-0 text-xs"
+        >
+          {isRejected ? 'Resubmit' : 'Submit for review'}
+        </Button>
+      )}
+    </div>
+  );
+
+  // Portalled out because the card's hover transform would otherwise pin the fixed overlay to the card
+  const historyPanel = createPortal(
+    <AnimatePresence>
+      {showHistory && (
+        <ProductRevisionHistory
+          product={product}
+          currentUser={currentUser}
+          onClose={() => setShowHistory(false)}
+          onRestored={onRevisionRestored}
+        />
+      )}
+    </AnimatePresence>,
+    document.body
+  );
+
 if (viewMode === 'list') {
     return (
       <motion.div
@@ -143,6 +200,14 @@ if (viewMode === 'list') {
                   {isActuallyVisible ? "Live" : isVisible ? "Published*" : "Draft"}
                 </Badge>
                 
+                {/* Schedule Badge */}
+                {scheduleLabel && (
+                  <Badge variant="premium" size="sm" className="flex items-center text-xs">
+                    <ApperIcon name="CalendarClock" className="w-3 h-3 mr-1" />
+                    {scheduleLabel}
+                  </Badge>
+                )}
+                
                 {/* Featured Badge */}
 {product.featured && canBeFeatured && (
                   <Badge variant="accent" size="sm" className="flex items-center text-xs bg-gradient-to-r from-yellow-400 to-yellow-600 text-white">
@@ -165,13 +230,15 @@ if (viewMode === 'list') {
               </div>
             </div>
             
+            {reviewNotice}
+            
             {/* Actions - Responsive */}
 <div className="flex items-center justify-start space-x-1 pt-2 border-t border-gray-100">
               <Button
                 variant="ghost"
                 size="sm"
                 onClick={() => onToggleVisibility(product.Id)}
-                disabled={loading || (isVisible && !isApproved)}
+                disabled={loading || !canToggleVisibility || (isVisible && !isApproved)}
                 title={
                   needsApproval ? "Approve and publish product - will appear on homepage immediately" :
                   isActuallyVisible ? "Hide product from customers and homepage" : 
@@ -193,7 +260,7 @@ if (viewMode === 'list') {
                 variant="ghost"
                 size="sm"
                 onClick={() => onToggleFeatured(product.Id)}
-                disabled={loading || !canBeFeatured}
+                disabled={loading || !canPublish || !canBeFeatured}
                 title={
                   !canBeFeatured ? "Product must be approved and published to be featured" :
                   isFeatured ? "Remove from featured section" : 
@@ -231,15 +298,27 @@ if (viewMode === 'list') {
               <Button
                 variant="ghost"
                 size="sm"
-                onClick={() => onDelete(product)}
-                title="Delete product"
-                className="text-red-600 hover:text-red-700 p-2"
+                onClick={() => setShowHistory(true)}
+                title="History"
+                className="p-2"
               >
-                <ApperIcon name="Trash2" className="w-4 h-4" />
+                <ApperIcon name="History" className="w-4 h-4" />
               </Button>
+              {canDelete && (
+                <Button
+                  variant="ghost"
+                  size="sm"
+                  onClick={() => onDelete(product)}
+                  title="Delete product"
+                  className="text-red-600 hover:text-red-700 p-2"
+                >
+                  <ApperIcon name="Trash2" className="w-4 h-4" />
+                </Button>
+              )}
             </div>
           </div>
         </div>
+        {historyPanel}
       </motion.div>
     );
   }
@@ -374,6 +453,15 @@ return (
             </span>
           </Badge>
           
+          {/* Schedule Badge */}
+          {scheduleLabel && (
+            <Badge variant="premium" size="sm" className="flex items-center text-xs" title={scheduleLabel}>
+              <ApperIcon name="CalendarClock" className="w-3 h-3 mr-1" />
+              <span className="hidden sm:inline">{scheduleLabel}</span>
+              <span className="sm:hidden">Scheduled</span>
+            </Badge>
+          )}
+          
           {/* Featured Badge - only for live products */}
 {product.featured && canBeFeatured && (
             <Badge variant="accent" size="sm" className="flex items-center text-xs bg-gradient-to-r from-yellow-400 to-yellow-600 text-white">
@@ -397,13 +485,15 @@ return (
           )}
         </div>
         
+        {reviewNotice}
+        
         {/* Actions - Mobile optimized */}
-<div className="grid grid-cols-5 gap-1 pt-2 border-t border-gray-100">
+<div className={cn("grid gap-1 pt-2 border-t border-gray-100", canDelete ? "grid-cols-6" : "grid-cols-5")}>
           <Button
             variant="ghost"
             size="sm"
             onClick={() => onToggleVisibility(product.Id)}
-            disabled={loading || (isVisible && !isApproved)}
+            disabled={loading || !canToggleVisibility || (isVisible && !isApproved)}
             title={
               needsApproval ? "Approve and publish product - will appear on homepage immediately" :
               isActuallyVisible ? "Hide product from customers and homepage" : 
@@ -425,7 +515,7 @@ return (
 variant="ghost"
             size="sm"
             onClick={() => onToggleFeatured(product.Id)}
-            disabled={loading || !canBeFeatured}
+            disabled={loading || !canPublish || !canBeFeatured}
             title={
               !canBeFeatured ? "Product must be approved and published to be featured" :
               isFeatured ? "Remove from featured section" : 
@@ -463,15 +553,27 @@ variant="ghost"
           <Button
             variant="ghost"
             size="sm"
-            onClick={() => onDelete(product)}
-            title="Delete product"
-            className="text-red-600 hover:text-red-700 p-2 flex items-center justify-center"
+            onClick={() => setShowHistory(true)}
+            title="History"
+            className="p-2 flex items-center justify-center"
           >
-            <ApperIcon name="Trash2" className="w-4 h-4" />
+            <ApperIcon name="History" className="w-4 h-4" />
           </Button>
+          {canDelete && (
+            <Button
+              variant="ghost"
+              size="sm"
+              onClick={() => onDelete(product)}
+              title="Delete product"
+              className="text-red-600 hover:text-red-700 p-2 flex items-center justify-center"
+            >
+              <ApperIcon name="Trash2" className="w-4 h-4" />
+            </Button>
+          )}
         </div>
       </div>
     </div>
+    {historyPanel}
   </motion.div>
 );
 };
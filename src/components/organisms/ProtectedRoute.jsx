@@ -0,0 +1,51 @@
+import React from "react";
+import { Link, Navigate, useLocation } from "react-router-dom";
+import ApperIcon from "@/components/ApperIcon";
+import Button from "@/components/atoms/Button";
+import Loading from "@/components/ui/Loading";
+import { useAuth } from "@/hooks/useAuth";
+import { hasPermission, PERMISSIONS } from "@/utils/permissions";
+
+// Sends signed-out visitors to /login (remembering where they were headed) and
+// blocks signed-in users whose role is not in `roles` or who lack `permission`
+const ProtectedRoute = ({ children, roles, permission }) => {
+  const { user, loading, logout } = useAuth();
+  const location = useLocation();
+
+  if (loading) {
+    return <Loading message="Checking your session..." />;
+  }
+
+  if (!user) {
+    return <Navigate to="/login" replace state={{ from: location }} />;
+  }
+
+  const roleAllowed = !roles || roles.includes(user.role);
+  const permissionAllowed = !permission || hasPermission(user, permission);
+
+  if (!roleAllowed || !permissionAllowed) {
+    return (
+      <div className="min-h-[60vh] flex items-center justify-center p-4">
+        <div className="max-w-md w-full bg-white rounded-lg shadow-lg p-6 text-center">
+          <ApperIcon name="ShieldOff" className="w-16 h-16 text-red-500 mx-auto mb-4" />
+          <h2 className="text-xl font-semibold text-gray-900 mb-2">Access denied</h2>
+          <p className="text-gray-600 mb-6">
+            {roleAllowed
+              ? `Your account needs the "${PERMISSIONS[permission] || permission}" permission to open this page.`
+              : `You are signed in as ${user.email}, which does not have access to this area.`}
+          </p>
+          <div className="flex justify-center space-x-3">
+            <Link to="/">
+              <Button variant="outline">Back to Store</Button>
+            </Link>
+            <Button onClick={logout}>Switch Account</Button>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  return children;
+};
+
+export default ProtectedRoute;
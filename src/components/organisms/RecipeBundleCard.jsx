@@ -1,4 +1,4 @@
-import React, { useState } from "react";
+import React, { useState, useEffect } from "react";
 import { motion } from "framer-motion";
 import Card from "@/components/atoms/Card";
 import Button from "@/components/atoms/Button";
@@ -8,11 +8,47 @@ import { useCart } from "@/hooks/useCart";
 import { useToast } from "@/hooks/useToast";
 import { cn } from "@/utils/cn";
 import { formatPrice, calculateSavings } from "@/utils/currency";
+import ProductService, { findVariant } from "@/services/api/ProductService";
+
+// Bundle items are product snapshots without variants, so the live product decides: the variant
+// the bundle names, else one with enough stock for the bundle. Its price is what checkout charges.
+const pickBundleVariant = (product, item) => {
+  const variants = product?.variants || [];
+  const quantity = item.quantity || 1;
+  return findVariant(product, item.variantId) ||
+    variants.find(variant => variant.stock >= quantity) ||
+    variants.find(variant => variant.stock > 0) ||
+    variants[0] ||
+    null;
+};
+
+const bundleLine = (item, liveProducts) => {
+  const product = liveProducts[item.product.Id] || item.product;
+  const variant = pickBundleVariant(product, item);
+  return {
+    variant,
+    price: variant ? variant.price : product.price || 0,
+    originalPrice: variant ? variant.oldPrice || variant.price : product.oldPrice || product.price || 0
+  };
+};
 
 const RecipeBundleCard = ({ bundle, className, ...props }) => {
   const [isLoading, setIsLoading] = useState(false);
   const { addToCart } = useCart();
-  const showToast = useToast();
+  const { showToast } = useToast();
+  const [liveProducts, setLiveProducts] = useState({});
+
+  useEffect(() => {
+    let cancelled = false;
+    ProductService.getAll()
+      .then(products => {
+        if (!cancelled) setLiveProducts(Object.fromEntries(products.map(product => [product.Id, product])));
+      })
+      .catch(error => console.error('Error loading bundle products:', error));
+    return () => {
+      cancelled = true;
+    };
+  }, []);
 
 const handleAddBundleToCart = async (e) => {
     e?.preventDefault?.();
@@ -20,53 +56,70 @@ const handleAddBundleToCart = async (e) => {
     
     // Defensive checks to prevent instanceof errors
     if (!bundle || !bundle.products || !Array.isArray(bundle.products)) {
-      showToast?.('Invalid bundle data. Please try again.', 'error');
+      showToast('Invalid bundle data. Please try again.', 'error');
       return;
     }
 
     if (typeof addToCart !== 'function') {
-      showToast?.('Cart service unavailable. Please refresh the page.', 'error');
+      showToast('Cart service unavailable. Please refresh the page.', 'error');
       return;
     }
     
     setIsLoading(true);
     
     try {
-      // Add each product in the bundle to cart with safety checks
+      // Add each product in the bundle to cart with safety checks. A product that is gone or out
+      // of stock is skipped so the rest of the bundle still goes in.
+      const skipped = [];
+      let added = 0;
       for (const item of bundle.products) {
         if (!item?.product?.Id) {
           console.warn('Skipping invalid product item:', item);
           continue;
         }
 
-        const cartItem = {
-          productId: item.product.Id,
-          quantity: item.quantity || 1,
-          variant: item.variant || null,
-          price: item.product.price || 0,
-          bundleId: bundle.Id,
-          bundleName: bundle.name || 'Unknown Bundle'
-        };
-        
-        await addToCart(cartItem);
+        try {
+          // Fresh copy, so the variant is picked on current stock
+          const product = await ProductService.getById(item.product.Id);
+          const { variant, price } = bundleLine(item, { [product.Id]: product });
+          await addToCart({
+            productId: product.Id,
+            quantity: item.quantity || 1,
+            variantId: variant?.id ?? null,
+            variant,
+            price,
+            bundleId: bundle.Id,
+            bundleName: bundle.name || 'Unknown Bundle'
+          });
+          added++;
+        } catch (error) {
+          console.warn(`Skipping ${item.product.name} from bundle:`, error);
+          skipped.push(item.product.name);
+        }
+      }
+
+      if (added === 0) {
+        showToast('None of the items in this bundle are available right now.', 'error');
+      } else if (skipped.length > 0) {
+        showToast(`${bundle.name || 'Bundle'} added to cart without ${skipped.join(', ')} (unavailable)`, 'warning');
+      } else {
+        showToast(`${bundle.name || 'Bundle'} added to cart!`, 'success');
       }
-      
-      showToast?.(`${bundle.name || 'Bundle'} added to cart!`, 'success');
     } catch (error) {
       console.error('Bundle add to cart error:', error);
-      showToast?.('Failed to add bundle to cart. Please try again.', 'error');
+      showToast('Failed to add bundle to cart. Please try again.', 'error');
     } finally {
       setIsLoading(false);
     }
   };
 
   const totalOriginalPrice = bundle.products.reduce(
-    (sum, item) => sum + (item.product.oldPrice || item.product.price) * item.quantity, 
+    (sum, item) => sum + bundleLine(item, liveProducts).originalPrice * item.quantity,
     0
   );
   
   const totalBundlePrice = bundle.products.reduce(
-    (sum, item) => sum + item.product.price * item.quantity, 
+    (sum, item) => sum + bundleLine(item, liveProducts).price * item.quantity, 
     0
   );
   
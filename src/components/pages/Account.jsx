@@ -0,0 +1,258 @@
+import React, { useEffect, useState } from "react";
+import { Link } from "react-router-dom";
+import { motion } from "framer-motion";
+import { useAuth } from "@/hooks/useAuth";
+import { useToast } from "@/hooks/useToast";
+import ApperIcon from "@/components/ApperIcon";
+import Button from "@/components/atoms/Button";
+import Badge from "@/components/atoms/Badge";
+import Card from "@/components/atoms/Card";
+import Loading from "@/components/ui/Loading";
+import AddressBook from "@/components/molecules/AddressBook";
+import AlertSubscriptions from "@/components/molecules/AlertSubscriptions";
+import { formatPrice } from "@/utils/currency";
+import { cn } from "@/utils/cn";
+import { CustomerService } from "@/services/api/CustomerService";
+
+const ORDER_STATUS_STYLES = {
+  pending: { label: "Order placed", className: "bg-yellow-100 text-yellow-800" },
+  confirmed: { label: "Confirmed", className: "bg-indigo-100 text-indigo-800" },
+  processing: { label: "Being packed", className: "bg-blue-100 text-blue-800" },
+  shipped: { label: "On the way", className: "bg-purple-100 text-purple-800" },
+  delivered: { label: "Delivered", className: "bg-green-100 text-green-800" },
+  cancelled: { label: "Cancelled", className: "bg-red-100 text-red-800" },
+  returned: { label: "Returned", className: "bg-orange-100 text-orange-800" },
+  refunded: { label: "Refunded", className: "bg-gray-200 text-gray-800" }
+};
+
+const Account = () => {
+  const { refresh } = useAuth();
+  const { showToast } = useToast();
+  const [profile, setProfile] = useState(null);
+  const [orders, setOrders] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [editing, setEditing] = useState(false);
+  const [form, setForm] = useState({ name: "", email: "", phone: "" });
+  const [expandedOrderId, setExpandedOrderId] = useState(null);
+
+  useEffect(() => {
+    const loadAccount = async () => {
+      try {
+        const [me, myOrders] = await Promise.all([
+          CustomerService.getMyProfile(),
+          CustomerService.getMyOrders()
+        ]);
+        setProfile(me);
+        setOrders(myOrders);
+      } catch (error) {
+        console.error("Error loading account:", error);
+        showToast(error.message || "Failed to load your account", "error");
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadAccount();
+  }, [showToast]);
+
+  const startEditing = () => {
+    setForm({ name: profile.name, email: profile.email, phone: profile.phone });
+    setEditing(true);
+  };
+
+  const saveProfile = async (changes) => {
+    try {
+      setSaving(true);
+      const updated = await CustomerService.updateMyProfile(changes);
+      setProfile(updated);
+      // The header shows the session user's name, so pick up the change there too
+      await refresh();
+      return true;
+    } catch (error) {
+      console.error("Error updating profile:", error);
+      showToast(error.message || "Failed to update your profile", "error");
+      return false;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSaveDetails = async (e) => {
+    e.preventDefault();
+    if (await saveProfile(form)) {
+      setEditing(false);
+      showToast("Your details have been updated", "success");
+    }
+  };
+
+  const handleAddressesChange = async (addresses) => {
+    const saved = await saveProfile({ addresses });
+    if (saved) showToast("Address book updated", "success");
+    return saved;
+  };
+
+  if (loading) return <Loading message="Loading your account..." />;
+
+  if (!profile) return null;
+
+  return (
+    <div className="min-h-screen bg-background">
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        <h1 className="text-3xl font-display font-bold text-gray-900 mb-1">My Account</h1>
+        <p className="text-gray-600 mb-6">Hello {profile.name}, manage your details and track your orders.</p>
+
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
+          <div className="lg:col-span-2">
+            <Card className="p-6">
+              <h2 className="text-lg font-semibold text-gray-900 mb-4">My Orders</h2>
+              {orders.length === 0 ? (
+                <div className="text-center py-8">
+                  <ApperIcon name="ShoppingBag" className="w-12 h-12 text-gray-300 mx-auto mb-3" />
+                  <p className="text-gray-600 mb-4">You have not placed any orders yet.</p>
+                  <Link to="/category">
+                    <Button>Start Shopping</Button>
+                  </Link>
+                </div>
+              ) : (
+                <div className="space-y-3">
+                  {orders.map(order => {
+                    const status = ORDER_STATUS_STYLES[order.status] || { label: order.status, className: "bg-gray-100 text-gray-800" };
+                    const expanded = expandedOrderId === order.Id;
+                    return (
+                      <motion.div
+                        key={order.Id}
+                        initial={{ opacity: 0, y: 10 }}
+                        animate={{ opacity: 1, y: 0 }}
+                        className="border border-gray-200 rounded-lg"
+                      >
+                        <button
+                          type="button"
+                          onClick={() => setExpandedOrderId(expanded ? null : order.Id)}
+                          className="w-full flex items-center justify-between p-4 text-left hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-primary-500 rounded-lg"
+                          aria-expanded={expanded}
+                        >
+                          <div>
+                            <div className="flex items-center space-x-3">
+                              <span className="font-medium text-gray-900">{order.orderNumber}</span>
+                              <Badge className={cn("text-xs", status.className)}>{status.label}</Badge>
+                            </div>
+                            <p className="text-sm text-gray-500 mt-1">
+                              {new Date(order.orderDate).toLocaleDateString()} • {order.items.length} item{order.items.length === 1 ? "" : "s"}
+                            </p>
+                          </div>
+                          <div className="flex items-center space-x-3">
+                            <span className="font-semibold text-gray-900">{formatPrice(order.total)}</span>
+                            <ApperIcon name={expanded ? "ChevronUp" : "ChevronDown"} className="w-4 h-4 text-gray-400" />
+                          </div>
+                        </button>
+
+                        {expanded && (
+                          <div className="px-4 pb-4 text-sm space-y-2 border-t border-gray-100 pt-3">
+                            {order.items.map((item, index) => (
+                              <div key={`${item.productId}-${index}`} className="flex justify-between">
+                                <Link to={`/product/${item.productId}`} className="text-gray-700 hover:text-primary-600">
+                                  {item.title}{item.variant ? ` (${item.variant.name ?? item.variant})` : ""} × {item.quantity}
+                                </Link>
+                                <span className="text-gray-900">{formatPrice(item.price * item.quantity)}</span>
+                              </div>
+                            ))}
+                            <p className="text-gray-500 pt-2">Delivering to {order.customer.address}</p>
+                            {order.deliverySlot && (
+                              <p className="text-gray-500">Slot: {order.deliverySlot.date} • {order.deliverySlot.window}</p>
+                            )}
+                            {order.trackingNumber && (
+                              <p className="text-gray-500">Tracking number: {order.trackingNumber}</p>
+                            )}
+                            {order.refundedAmount > 0 && (
+                              <p className="text-orange-600">{formatPrice(order.refundedAmount)} refunded</p>
+                            )}
+                          </div>
+                        )}
+                      </motion.div>
+                    );
+                  })}
+                </div>
+              )}
+            </Card>
+
+            <Card className="p-6">
+              <h2 className="text-lg font-semibold text-gray-900 mb-4">Alerts & Saved Searches</h2>
+              <AlertSubscriptions />
+            </Card>
+          </div>
+
+          <div className="space-y-6">
+            <Card className="p-6">
+              <div className="flex items-center justify-between mb-4">
+                <h2 className="text-lg font-semibold text-gray-900">My Details</h2>
+                {!editing && (
+                  <Button variant="ghost" size="sm" onClick={startEditing}>
+                    <ApperIcon name="Edit2" className="w-4 h-4 mr-1" />
+                    Edit
+                  </Button>
+                )}
+              </div>
+
+              {editing ? (
+                <form onSubmit={handleSaveDetails} className="space-y-3">
+                  {[
+                    { field: "name", label: "Full Name", type: "text", autoComplete: "name" },
+                    { field: "email", label: "Email", type: "email", autoComplete: "email" },
+                    { field: "phone", label: "Mobile Number", type: "tel", autoComplete: "tel" }
+                  ].map(({ field, label, type, autoComplete }) => (
+                    <div key={field}>
+                      <label htmlFor={`account-${field}`} className="block text-sm font-medium text-gray-700 mb-1">{label}</label>
+                      <input
+                        id={`account-${field}`}
+                        type={type}
+                        autoComplete={autoComplete}
+                        value={form[field]}
+                        onChange={(e) => setForm(prev => ({ ...prev, [field]: e.target.value }))}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500"
+                      />
+                    </div>
+                  ))}
+                  <div className="flex justify-end space-x-2 pt-2">
+                    <Button variant="ghost" size="sm" onClick={() => setEditing(false)} disabled={saving}>
+                      Cancel
+                    </Button>
+                    <Button type="submit" size="sm" loading={saving} disabled={saving}>
+                      Save
+                    </Button>
+                  </div>
+                </form>
+              ) : (
+                <div className="space-y-2 text-sm">
+                  <p className="flex items-center text-gray-700">
+                    <ApperIcon name="User" className="w-4 h-4 mr-2 text-gray-400" />
+                    {profile.name}
+                  </p>
+                  <p className="flex items-center text-gray-700">
+                    <ApperIcon name="Mail" className="w-4 h-4 mr-2 text-gray-400" />
+                    {profile.email}
+                  </p>
+                  <p className="flex items-center text-gray-700">
+                    <ApperIcon name="Phone" className="w-4 h-4 mr-2 text-gray-400" />
+                    {profile.phone || "No mobile number"}
+                  </p>
+                </div>
+              )}
+            </Card>
+
+            <Card className="p-6">
+              <h2 className="text-lg font-semibold text-gray-900 mb-4">Address Book</h2>
+              <AddressBook
+                addresses={profile.addresses}
+                onChange={handleAddressesChange}
+                disabled={saving}
+              />
+            </Card>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Account;
@@ -1,7 +1,7 @@
 import React, { useState, useEffect, useCallback } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useToast } from '@/hooks/useToast';
-import ProductService from '@/services/api/ProductService';
+import ProductService, { VARIANT_ATTRIBUTES } from '@/services/api/ProductService';
 import { CategoryService } from '@/services/api/CategoryService';
 import ApperIcon from '@/components/ApperIcon';
 import Input from '@/components/atoms/Input';
@@ -13,6 +13,33 @@ import Error from '@/components/ui/Error';
 import { cn } from '@/utils/cn';
 import { formatPrice } from '@/utils/currency';
 
+const emptyVariant = () => ({
+  name: '',
+  sku: '',
+  barcode: '',
+  price: '',
+  oldPrice: '',
+  stock: '',
+  images: '',
+  ...Object.fromEntries(Object.keys(VARIANT_ATTRIBUTES).map(attribute => [attribute, '']))
+});
+
+// Form rows hold plain strings; the saved variant keeps numbers, an image list and its options
+const toVariantData = (variant) => ({
+  name: variant.name.trim(),
+  sku: variant.sku.trim() || undefined,
+  barcode: variant.barcode.trim() || null,
+  price: parseFloat(variant.price),
+  oldPrice: variant.oldPrice ? parseFloat(variant.oldPrice) : null,
+  stock: parseInt(variant.stock || 0),
+  images: variant.images.split(',').map(url => url.trim()).filter(Boolean),
+  attributes: Object.fromEntries(
+    Object.keys(VARIANT_ATTRIBUTES)
+      .filter(attribute => variant[attribute].trim())
+      .map(attribute => [attribute, variant[attribute].trim()])
+  )
+});
+
 const AddProduct = () => {
   const navigate = useNavigate();
   const showToast = useToast();
@@ -40,7 +67,8 @@ const AddProduct = () => {
     discountPercentage: '',
     minOrderQuantity: '1',
     maxOrderQuantity: '',
-    status: 'draft'
+    status: 'draft',
+    variants: []
   });
 
   const [categories, setCategories] = useState([]);
@@ -92,6 +120,28 @@ const AddProduct = () => {
     }
   }, [errors]);
 
+  const handleVariantChange = useCallback((index, field, value) => {
+    setFormData(prev => ({
+      ...prev,
+      variants: prev.variants.map((variant, position) => (position === index ? { ...variant, [field]: value } : variant))
+    }));
+    if (errors.variants) {
+      setErrors(prev => ({ ...prev, variants: null }));
+    }
+  }, [errors]);
+
+  const addVariant = () => {
+    setFormData(prev => ({ ...prev, variants: [...prev.variants, emptyVariant()] }));
+  };
+
+  const removeVariant = (index) => {
+    setFormData(prev => ({ ...prev, variants: prev.variants.filter((_, position) => position !== index) }));
+  };
+
+  // With variants, the product's stock is the sum of theirs
+  const hasVariants = formData.variants.length > 0;
+  const variantStockTotal = formData.variants.reduce((total, variant) => total + (parseInt(variant.stock) || 0), 0);
+
   // Enhanced form validation
   const validateForm = useCallback(() => {
     const newErrors = {};
@@ -118,10 +168,23 @@ const AddProduct = () => {
       newErrors.sku = 'SKU is required';
     }
 
-    if (!formData.stock || parseInt(formData.stock) < 0) {
+    if (!hasVariants && (!formData.stock || parseInt(formData.stock) < 0)) {
       newErrors.stock = 'Valid stock quantity is required';
     }
 
+    if (hasVariants) {
+      const names = formData.variants.map(variant => variant.name.trim().toLowerCase());
+      if (names.some(name => !name)) {
+        newErrors.variants = 'Every variant needs a name';
+      } else if (new Set(names).size !== names.length) {
+        newErrors.variants = 'Variant names must be unique';
+      } else if (formData.variants.some(variant => !(parseFloat(variant.price) > 0))) {
+        newErrors.variants = 'Every variant needs a price greater than zero';
+      } else if (formData.variants.some(variant => variant.stock !== '' && !/^\d+$/.test(String(variant.stock)))) {
+        newErrors.variants = 'Variant stock must be a whole number of zero or more';
+      }
+    }
+
     // Price validation
     if (formData.oldPrice && parseFloat(formData.oldPrice) <= parseFloat(formData.sellingPrice)) {
       newErrors.oldPrice = 'Original price must be higher than selling price';
@@ -134,7 +197,7 @@ const AddProduct = () => {
 
     setErrors(newErrors);
     return Object.keys(newErrors).length === 0;
-  }, [formData]);
+  }, [formData, hasVariants]);
 
   // Handle form submission
   const handleSubmit = useCallback(async (e, shouldPublish = false) => {
@@ -152,8 +215,9 @@ const AddProduct = () => {
         price: parseFloat(formData.sellingPrice),
         sellingPrice: parseFloat(formData.sellingPrice),
         oldPrice: formData.oldPrice ? parseFloat(formData.oldPrice) : null,
-        stock: parseInt(formData.stock),
-        stockQuantity: parseInt(formData.stock),
+        stock: hasVariants ? variantStockTotal : parseInt(formData.stock),
+        stockQuantity: hasVariants ? variantStockTotal : parseInt(formData.stock),
+        variants: formData.variants.map(toVariantData),
         minOrderQuantity: parseInt(formData.minOrderQuantity),
         maxOrderQuantity: formData.maxOrderQuantity ? parseInt(formData.maxOrderQuantity) : null,
         discountPercentage: formData.discountPercentage ? parseFloat(formData.discountPercentage) : 0,
@@ -191,7 +255,7 @@ const AddProduct = () => {
     } finally {
       setLoading(false);
     }
-  }, [formData, validateForm, navigate, showToast]);
+  }, [formData, hasVariants, variantStockTotal, validateForm, navigate, showToast]);
 
   // Calculate discount percentage
   const calculatedDiscount = formData.oldPrice && formData.sellingPrice 
@@ -436,12 +500,16 @@ const AddProduct = () => {
                 </label>
                 <Input
                   type="number"
-                  value={formData.stock}
+                  value={hasVariants ? variantStockTotal : formData.stock}
                   onChange={(e) => handleInputChange('stock', e.target.value)}
                   placeholder="0"
                   min="0"
+                  disabled={hasVariants}
                   error={errors.stock}
                 />
+                {hasVariants && (
+                  <p className="text-xs text-gray-500 mt-1">Total of the variants below</p>
+                )}
               </div>
             </div>
 
@@ -474,6 +542,105 @@ const AddProduct = () => {
             </div>
           </FormSection>
 
+          {/* Variants */}
+          <FormSection
+            title="Variants"
+            description="Sizes, weights or colours sold as separate options, each with its own SKU, price and stock"
+            icon="Layers"
+          >
+            {formData.variants.length === 0 ? (
+              <p className="text-sm text-gray-500">This product is sold as a single item.</p>
+            ) : (
+              <div className="space-y-4">
+                {formData.variants.map((variant, index) => (
+                  <div key={index} className="border border-gray-200 rounded-lg p-4 space-y-3">
+                    <div className="flex items-center justify-between">
+                      <span className="text-sm font-medium text-gray-900">Variant {index + 1}</span>
+                      <Button
+                        type="button"
+                        variant="ghost"
+                        size="sm"
+                        onClick={() => removeVariant(index)}
+                        className="text-red-600 hover:text-red-700"
+                      >
+                        <ApperIcon name="Trash2" className="w-4 h-4 mr-1" />
+                        Remove
+                      </Button>
+                    </div>
+                    <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+                      <Input
+                        value={variant.name}
+                        onChange={(e) => handleVariantChange(index, 'name', e.target.value)}
+                        placeholder="Name, e.g. 1 kg"
+                        aria-label={`Variant ${index + 1} name`}
+                      />
+                      <Input
+                        value={variant.sku}
+                        onChange={(e) => handleVariantChange(index, 'sku', e.target.value.toUpperCase())}
+                        placeholder={formData.sku ? `SKU (default ${formData.sku}-${index + 1})` : 'SKU'}
+                        aria-label={`Variant ${index + 1} SKU`}
+                      />
+                      <Input
+                        value={variant.barcode}
+                        onChange={(e) => handleVariantChange(index, 'barcode', e.target.value)}
+                        placeholder="Barcode"
+                        aria-label={`Variant ${index + 1} barcode`}
+                      />
+                      <Input
+                        type="number"
+                        value={variant.price}
+                        onChange={(e) => handleVariantChange(index, 'price', e.target.value)}
+                        placeholder="Price (PKR)"
+                        min="0"
+                        step="0.01"
+                        aria-label={`Variant ${index + 1} price`}
+                      />
+                      <Input
+                        type="number"
+                        value={variant.oldPrice}
+                        onChange={(e) => handleVariantChange(index, 'oldPrice', e.target.value)}
+                        placeholder="Original price (PKR)"
+                        min="0"
+                        step="0.01"
+                        aria-label={`Variant ${index + 1} original price`}
+                      />
+                      <Input
+                        type="number"
+                        value={variant.stock}
+                        onChange={(e) => handleVariantChange(index, 'stock', e.target.value)}
+                        placeholder="Stock"
+                        min="0"
+                        aria-label={`Variant ${index + 1} stock`}
+                      />
+                      {Object.entries(VARIANT_ATTRIBUTES).map(([attribute, label]) => (
+                        <Input
+                          key={attribute}
+                          value={variant[attribute]}
+                          onChange={(e) => handleVariantChange(index, attribute, e.target.value)}
+                          placeholder={label}
+                          aria-label={`Variant ${index + 1} ${label.toLowerCase()}`}
+                        />
+                      ))}
+                    </div>
+                    <Input
+                      value={variant.images}
+                      onChange={(e) => handleVariantChange(index, 'images', e.target.value)}
+                      placeholder="Image URLs (comma separated)"
+                      aria-label={`Variant ${index + 1} image URLs`}
+                    />
+                  </div>
+                ))}
+              </div>
+            )}
+            {errors.variants && (
+              <p className="text-xs text-red-600">{errors.variants}</p>
+            )}
+            <Button type="button" variant="outline" size="sm" onClick={addVariant}>
+              <ApperIcon name="Plus" className="w-4 h-4 mr-1" />
+              Add Variant
+            </Button>
+          </FormSection>
+
           {/* Product Specifications */}
           <FormSection
             title="Specifications"
@@ -641,7 +641,9 @@ const [bundleData, setBundleData] = useState({
 
                       <SearchBar
                         value={searchQuery}
-                        onChange={handleProductSearch}
+                        onSearch={handleProductSearch}
+                        onSubmit={handleProductSearch}
+                        showSuggestions={false}
                         placeholder="Search products..."
                         className="mb-4"
                       />
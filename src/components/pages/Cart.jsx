@@ -11,6 +11,8 @@ import Button from "@/components/atoms/Button";
 import Card from "@/components/atoms/Card";
 import ProductSuggestionsCarousel from "@/components/organisms/ProductSuggestionsCarousel";
 import { formatPrice } from "@/utils/currency";
+import { CheckoutService, calculateShipping, calculateTax } from "@/services/api/CheckoutService";
+import { useSettings } from "@/hooks/useSettings";
 
 const Cart = () => {
 const navigate = useNavigate();
@@ -25,15 +27,25 @@ const navigate = useNavigate();
   } = useCart();
   const [giftWrapping, setGiftWrapping] = useState(false);
   const [promoCode, setPromoCode] = useState('');
-  const [promoDiscount, setPromoDiscount] = useState(0);
+  const [appliedPromotions, setAppliedPromotions] = useState([]);
+  const [applyingPromo, setApplyingPromo] = useState(false);
   const [estimatedDelivery, setEstimatedDelivery] = useState('');
 
 const totalPrice = getTotalPrice();
   const totalItems = getTotalItems();
-  const shippingCost = totalPrice >= 1000 ? 0 : 150;
-  const giftWrappingCost = giftWrapping ? 50 : 0;
-  const finalTotal = totalPrice + shippingCost + giftWrappingCost - promoDiscount;
-  const freeShippingProgress = Math.min((totalPrice / 1000) * 100, 100);
+  const { shipping, features } = useSettings();
+  const { shippingCost, giftWrappingCost } = calculateShipping(totalPrice, giftWrapping);
+  const promoDiscount = appliedPromotions
+    .filter(promotion => promotion.type !== 'free_shipping')
+    .reduce((sum, promotion) => sum + promotion.amount, 0);
+  const hasFreeShippingPromo = appliedPromotions.some(promotion => promotion.type === 'free_shipping');
+  const effectiveShippingCost = hasFreeShippingPromo ? 0 : shippingCost;
+  const tax = calculateTax(
+    cartItems.map(item => ({ category: item.product?.category, lineTotal: item.price * item.quantity })),
+    promoDiscount
+  );
+  const finalTotal = totalPrice + effectiveShippingCost + giftWrappingCost - promoDiscount + (tax.inclusive ? 0 : tax.amount);
+  const freeShippingProgress = Math.min((totalPrice / shipping.freeShippingThreshold) * 100, 100);
 
   // Set estimated delivery date
   useEffect(() => {
@@ -47,24 +59,70 @@ const totalPrice = getTotalPrice();
     }));
   }, [shippingCost]);
 
-  const handlePromoCode = () => {
-    if (promoCode.toLowerCase() === 'save10') {
-      setPromoDiscount(totalPrice * 0.1);
-      showToast.success('Promo code applied! 10% discount');
-    } else if (promoCode.toLowerCase() === 'welcome50') {
-      setPromoDiscount(50);
-      showToast.success('Welcome discount applied! Rs 50 off');
-    } else if (promoCode.trim()) {
-      showToast.error('Invalid promo code');
+  const cartSignature = cartItems.map(item => `${item.productId}:${item.variantId || ''}:${item.quantity}`).join('|');
+
+  // Re-price applied codes when the cart changes; drop them if they no longer qualify
+  useEffect(() => {
+    if (appliedPromotions.length === 0 || cartItems.length === 0) return;
+
+    const refreshPromotions = async () => {
+      try {
+        const totals = await CheckoutService.calculateTotals({
+          items: cartItems,
+          promoCodes: appliedPromotions.map(promotion => promotion.code)
+        });
+        setAppliedPromotions(totals.promotions);
+      } catch (error) {
+        setAppliedPromotions([]);
+        showToast(`Promo codes removed: ${error.message}`, 'warning');
+      }
+    };
+    refreshPromotions();
+  }, [cartSignature]);
+
+  const handlePromoCode = async () => {
+    if (!promoCode.trim()) return;
+
+    try {
+      setApplyingPromo(true);
+      const totals = await CheckoutService.applyPromoCode(promoCode, {
+        items: cartItems,
+        appliedCodes: appliedPromotions.map(promotion => promotion.code)
+      });
+      setAppliedPromotions(totals.promotions);
+      setPromoCode('');
+      const added = totals.promotions.find(promotion => promotion.code === promoCode.trim().toUpperCase());
+      showToast(`Promo code applied! ${added?.label || ''}`.trim(), 'success');
+    } catch (error) {
+      showToast(error.message || 'Invalid promo code', 'error');
+    } finally {
+      setApplyingPromo(false);
     }
   };
-  const handleUpdateQuantity = (productId, variant, newQuantity) => {
-    updateQuantity(productId, variant, newQuantity);
-    showToast("Cart updated", "success");
+
+  const handleRemovePromoCode = (code) => {
+    setAppliedPromotions(prev => prev.filter(promotion => promotion.code !== code));
+    showToast(`Promo code ${code} removed`, 'info');
+  };
+
+  const handleUpdateQuantity = async (productId, variantId, newQuantity) => {
+    try {
+      const appliedQuantity = await updateQuantity(productId, variantId, newQuantity);
+      if (appliedQuantity < newQuantity) {
+        showToast(appliedQuantity === 0
+          ? "Item removed - it is no longer in stock"
+          : `Only ${appliedQuantity} available for this item`, "warning");
+      } else {
+        showToast("Cart updated", "success");
+      }
+    } catch (error) {
+      console.error("Error updating cart quantity:", error);
+      showToast("Failed to update cart", "error");
+    }
   };
 
-  const handleRemoveItem = (productId, variant) => {
-    removeFromCart(productId, variant);
+  const handleRemoveItem = (productId, variantId) => {
+    removeFromCart(productId, variantId);
     showToast("Item removed from cart", "success");
   };
 
@@ -74,11 +132,9 @@ const totalPrice = getTotalPrice();
   };
 
   const handleCheckout = () => {
-    showToast("Redirecting to checkout...", "info");
-    // In a real app, this would navigate to checkout
-    setTimeout(() => {
-      showToast("Checkout feature coming soon!", "info");
-    }, 2000);
+    navigate('/checkout', {
+      state: { giftWrapping, promoCodes: appliedPromotions.map(promotion => promotion.code) }
+    });
   };
 
   if (cartItems.length === 0) {
@@ -126,7 +182,7 @@ const totalPrice = getTotalPrice();
           <div className="lg:col-span-2 space-y-4">
             {cartItems.map((item, index) => (
               <motion.div
-                key={`${item.productId}-${item.variant?.name || 'default'}`}
+                key={`${item.productId}-${item.variantId || 'default'}`}
                 initial={{ opacity: 0, y: 20 }}
                 animate={{ opacity: 1, y: 0 }}
                 transition={{ delay: index * 0.1 }}
@@ -196,10 +252,10 @@ const totalPrice = getTotalPrice();
                           <QuantitySelector
                             quantity={item.quantity}
                             onQuantityChange={(newQuantity) => 
-                              handleUpdateQuantity(item.productId, item.variant, newQuantity)
+                              handleUpdateQuantity(item.productId, item.variantId, newQuantity)
                             }
                             min={1}
-                            max={item.product?.stock || 99}
+                            max={Math.min(item.product?.stock || 99, item.product?.maxOrderQuantity || 99)}
                             size="lg"
                             className="border-2 border-gray-200 hover:border-primary-300"
                           />
@@ -207,7 +263,7 @@ const totalPrice = getTotalPrice();
                           <Button
                             variant="ghost"
                             size="sm"
-                            onClick={() => handleRemoveItem(item.productId, item.variant)}
+                            onClick={() => handleRemoveItem(item.productId, item.variantId)}
                             className="text-red-600 hover:bg-red-50 hover:text-red-700 transition-all duration-200"
                           >
                             <ApperIcon name="Trash2" className="w-4 h-4 mr-2" />
@@ -241,7 +297,7 @@ const totalPrice = getTotalPrice();
               </h2>
 
               {/* Free Shipping Progress */}
-              {totalPrice < 1000 && (
+              {totalPrice < shipping.freeShippingThreshold && (
                 <div className="mb-6 p-4 bg-gradient-to-r from-blue-50 to-primary-50 rounded-lg border border-blue-200">
                   <div className="flex items-center justify-between mb-2">
                     <span className="text-sm font-medium text-blue-700">Free Shipping Progress</span>
@@ -254,7 +310,7 @@ const totalPrice = getTotalPrice();
                     ></div>
                   </div>
                   <p className="text-xs text-blue-600">
-                    Add {formatPrice(1000 - totalPrice)} more for FREE shipping!
+                    Add {formatPrice(shipping.freeShippingThreshold - totalPrice)} more for FREE shipping!
                   </p>
                 </div>
               )}
@@ -268,7 +324,7 @@ const totalPrice = getTotalPrice();
                 <div className="flex justify-between">
                   <span className="text-gray-600">Shipping</span>
                   <span className="font-medium">
-                    {shippingCost === 0 ? (
+                    {effectiveShippingCost === 0 ? (
                       <span className="text-green-600 font-semibold">FREE</span>
                     ) : (
                       formatPrice(shippingCost)
@@ -277,22 +333,24 @@ const totalPrice = getTotalPrice();
                 </div>
 
                 {/* Gift Wrapping Option */}
-                <div className="flex justify-between items-center">
-                  <div className="flex items-center space-x-2">
-                    <input
-                      type="checkbox"
-                      id="giftWrapping"
-                      checked={giftWrapping}
-                      onChange={(e) => setGiftWrapping(e.target.checked)}
-                      className="w-4 h-4 text-primary-600 border-gray-300 rounded focus:ring-primary-500"
-                    />
-                    <label htmlFor="giftWrapping" className="text-sm text-gray-600 flex items-center">
-                      <ApperIcon name="Gift" className="w-4 h-4 mr-1" />
-                      Gift Wrapping
-                    </label>
+                {features.giftWrapping && (
+                  <div className="flex justify-between items-center">
+                    <div className="flex items-center space-x-2">
+                      <input
+                        type="checkbox"
+                        id="giftWrapping"
+                        checked={giftWrapping}
+                        onChange={(e) => setGiftWrapping(e.target.checked)}
+                        className="w-4 h-4 text-primary-600 border-gray-300 rounded focus:ring-primary-500"
+                      />
+                      <label htmlFor="giftWrapping" className="text-sm text-gray-600 flex items-center">
+                        <ApperIcon name="Gift" className="w-4 h-4 mr-1" />
+                        Gift Wrapping
+                      </label>
+                    </div>
+                    <span className="font-medium">{giftWrappingCost > 0 ? formatPrice(giftWrappingCost) : 'Free'}</span>
                   </div>
-                  <span className="font-medium">{giftWrappingCost > 0 ? formatPrice(giftWrappingCost) : 'Free'}</span>
-                </div>
+                )}
 
                 {/* Promo Code */}
                 <div className="border-t border-gray-200 pt-4">
@@ -309,18 +367,38 @@ const totalPrice = getTotalPrice();
                       variant="outline"
                       size="sm"
                       className="px-4"
+                      loading={applyingPromo}
+                      disabled={applyingPromo}
                     >
                       Apply
                     </Button>
                   </div>
-                  {promoDiscount > 0 && (
-                    <div className="flex justify-between text-green-600 text-sm">
-                      <span>Promo Discount</span>
-                      <span>-{formatPrice(promoDiscount)}</span>
+                  {appliedPromotions.map(promotion => (
+                    <div key={promotion.code} className="flex justify-between items-center text-green-600 text-sm">
+                      <span className="flex items-center">
+                        <button
+                          onClick={() => handleRemovePromoCode(promotion.code)}
+                          className="mr-1 text-gray-400 hover:text-red-500"
+                          aria-label={`Remove promo code ${promotion.code}`}
+                        >
+                          <ApperIcon name="X" className="w-3 h-3" />
+                        </button>
+                        {promotion.code} ({promotion.label})
+                      </span>
+                      <span>
+                        {promotion.type === 'free_shipping' ? 'Free shipping' : `-${formatPrice(promotion.amount)}`}
+                      </span>
                     </div>
-                  )}
+                  ))}
                 </div>
                 
+                {tax.amount > 0 && (
+                  <div className="flex justify-between text-sm">
+                    <span className="text-gray-600">{tax.inclusive ? `Includes ${tax.label}` : `Estimated ${tax.label}`}</span>
+                    <span className="font-medium">{formatPrice(tax.amount)}</span>
+                  </div>
+                )}
+
                 <hr className="border-gray-200" />
                 
                 <div className="flex justify-between text-xl font-bold">
@@ -1,247 +1,176 @@
-import React, { useState, useEffect } from "react";
-import { useSearchParams } from "react-router-dom";
-import { motion } from "framer-motion";
+import React, { useState, useEffect, useMemo, useCallback } from "react";
+import { useSearchParams, useLocation, useNavigate } from "react-router-dom";
 import ApperIcon from "@/components/ApperIcon";
 import Button from "@/components/atoms/Button";
 import Input from "@/components/atoms/Input";
-import ProductCard from "@/components/organisms/ProductCard";
+import SearchBar from "@/components/molecules/SearchBar";
+import FacetFilter from "@/components/molecules/FacetFilter";
+import PriceHistogram from "@/components/molecules/PriceHistogram";
+import ProductGrid from "@/components/organisms/ProductGrid";
 import Loading from "@/components/ui/Loading";
 import Error from "@/components/ui/Error";
 import Empty from "@/components/ui/Empty";
-import productService from "@/services/api/ProductService";
+import productService, {
+  PRODUCT_FACETS,
+  STOCK_STATUSES,
+  DISCOUNT_BANDS,
+  PRODUCT_PAGE_SIZE
+} from "@/services/api/ProductService";
 import { CategoryService } from "@/services/api/CategoryService";
+import { RecipeBundleService } from "@/services/api/RecipeBundleService";
+import { AlertService } from "@/services/api/AlertService";
+import { useAuth } from "@/hooks/useAuth";
+import { useToast } from "@/hooks/useToast";
 import { cn } from "@/utils/cn";
 
+const FACET_KEYS = Object.keys(PRODUCT_FACETS);
+
+const emptyFacetSelections = () => Object.fromEntries(FACET_KEYS.map(key => [key, []]));
+
+// Each selected facet value is its own URL param (?category=fruits&category=nuts). The old
+// single `tag` param is read as a badge so existing links keep working.
+const readFacetSelections = (searchParams) => {
+  const selections = Object.fromEntries(FACET_KEYS.map(key => [key, searchParams.getAll(key)]));
+  const tag = searchParams.get("tag");
+  if (tag && tag !== "all" && !selections.badge.includes(tag)) selections.badge.push(tag);
+  return selections;
+};
+
+const sameFacetSelections = (a, b) =>
+  FACET_KEYS.every(key => a[key].length === b[key].length && a[key].every(value => b[key].includes(value)));
+
+const toTitleCase = (value) => value.replace(/\b\w/g, char => char.toUpperCase());
+
 const Category = () => {
   const [searchParams, setSearchParams] = useSearchParams();
-  const [products, setProducts] = useState([]);
+  const location = useLocation();
+  const navigate = useNavigate();
+  const { user } = useAuth();
+  const { showToast } = useToast();
   const [categories, setCategories] = useState([]);
-  const [filteredProducts, setFilteredProducts] = useState([]);
+  const [total, setTotal] = useState(0);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState("");
 
   // Filter states
-const [selectedCategory, setSelectedCategory] = useState(searchParams.get("category") || "");
   const [searchQuery, setSearchQuery] = useState(searchParams.get("search") || "");
   const [sortBy, setSortBy] = useState(searchParams.get("sort") || "featured");
-  const [selectedTag, setSelectedTag] = useState(searchParams.get("tag") || "");
+  const [facetSelections, setFacetSelections] = useState(() => readFacetSelections(searchParams));
+  const [facetCounts, setFacetCounts] = useState({});
   const [featuredStatus, setFeaturedStatus] = useState(searchParams.get("featured") || "all");
+  const [selectedBundle, setSelectedBundle] = useState(searchParams.get("bundle") || "");
+  const [bundle, setBundle] = useState(null);
   const [priceRange, setPriceRange] = useState({
     min: searchParams.get("minPrice") || "",
     max: searchParams.get("maxPrice") || ""
   });
   const [showFilters, setShowFilters] = useState(false);
+  const [savingSearch, setSavingSearch] = useState(false);
 
 const loadData = async () => {
     try {
       setLoading(true);
       setError("");
 
-      const [productsData, categoriesData] = await Promise.all([
-        productService.getAll(),
-        CategoryService.getAll()
-      ]);
-
-      setProducts(productsData);
+      const categoriesData = await CategoryService.getAll();
       setCategories(categoriesData);
 
     } catch (err) {
       console.error("Error loading category data:", err);
-      setError("Failed to load products. Please try again.");
+      setError("Failed to load categories. Please try again.");
     } finally {
       setLoading(false);
     }
   };
 
-  // Filter and sort products
-useEffect(() => {
-    let filtered = [...products];
-
-    // Filter by search query with comprehensive null checks
-    if (searchQuery) {
-      filtered = filtered.filter(product => {
-        try {
-          const safeTitle = (product?.title || '').toLowerCase();
-          const safeDescription = (product?.description || '').toLowerCase();
-          const safeCategory = (product?.category || '').toLowerCase();
-          const searchLower = searchQuery.toLowerCase();
-          
-          return safeTitle.includes(searchLower) ||
-            safeDescription.includes(searchLower) ||
-            safeCategory.includes(searchLower) ||
-            product.tags?.some(tag => (tag || '').toLowerCase().includes(searchLower)) ||
-            product.badges?.some(badge => (badge || '').toLowerCase().includes(searchLower));
-        } catch (error) {
-          console.warn('Error filtering product:', product?.Id || 'unknown', error);
-          return false;
-        }
-      });
-    }
+  // Searches and suggestions picked from the header change the URL while this page is open
+  useEffect(() => {
+    setSearchQuery(searchParams.get("search") || "");
+    setSelectedBundle(searchParams.get("bundle") || "");
+    const fromUrl = readFacetSelections(searchParams);
+    setFacetSelections(prev => (sameFacetSelections(prev, fromUrl) ? prev : fromUrl));
+  }, [searchParams]);
 
-    // Filter by category with null safety
-    if (selectedCategory) {
-      filtered = filtered.filter(product => {
-        try {
-          const safeCategory = (product?.category || '').toLowerCase();
-          return safeCategory === selectedCategory.toLowerCase();
-        } catch (error) {
-          console.warn('Error filtering by category:', product?.Id || 'unknown', error);
-          return false;
-        }
-      });
+  useEffect(() => {
+    if (!selectedBundle) {
+      setBundle(null);
+      return;
     }
 
-    // Filter by tag/badge with enhanced null checking
-    if (selectedTag && selectedTag !== "all") {
-      filtered = filtered.filter(product => {
-        try {
-          return product.badges?.includes(selectedTag) || 
-            product.tags?.includes(selectedTag);
-        } catch (error) {
-          console.warn('Error filtering by tag:', product?.Id || 'unknown', error);
-          return false;
-        }
+    let cancelled = false;
+    RecipeBundleService.getById(selectedBundle)
+      .then(result => !cancelled && setBundle(result))
+      .catch(err => {
+        console.error("Error loading recipe bundle:", err);
+        if (!cancelled) setSelectedBundle("");
       });
-    }
+    return () => {
+      cancelled = true;
+    };
+  }, [selectedBundle]);
 
-    // Filter by featured status with null safety
-    if (featuredStatus && featuredStatus !== "all") {
-      if (featuredStatus === "featured") {
-        filtered = filtered.filter(product => {
-          try {
-            return product.featured || 
-              product.badges?.includes("BESTSELLER") ||
-              product.badges?.includes("PREMIUM");
-          } catch (error) {
-            console.warn('Error filtering featured products:', product?.Id || 'unknown', error);
-            return false;
-          }
-        });
-      } else if (featuredStatus === "regular") {
-        filtered = filtered.filter(product => {
-          try {
-            return !product.featured && 
-              !product.badges?.includes("BESTSELLER") &&
-              !product.badges?.includes("PREMIUM");
-          } catch (error) {
-            console.warn('Error filtering regular products:', product?.Id || 'unknown', error);
-            return false;
-          }
-        });
-      }
-    }
+  // Products are fetched a page at a time by the grid; the query is everything but the page
+  const bundleReady = !selectedBundle || Boolean(bundle);
+  const query = useMemo(() => ({
+    search: searchQuery,
+    productIds: bundle ? (bundle.products || []).map(item => item.product?.Id) : null,
+    featured: featuredStatus,
+    facets: facetSelections,
+    priceRange,
+    sortBy
+  }), [searchQuery, bundle, featuredStatus, facetSelections, priceRange, sortBy]);
+  const queryKey = JSON.stringify(query);
 
-    // Filter by price range with validation
-    if (priceRange.min) {
-      filtered = filtered.filter(product => {
-        try {
-          const price = parseFloat(product?.price) || 0;
-          const minPrice = parseInt(priceRange.min) || 0;
-          return price >= minPrice;
-        } catch (error) {
-          console.warn('Error filtering by min price:', product?.Id || 'unknown', error);
-          return false;
-        }
-      });
-    }
-    if (priceRange.max) {
-      filtered = filtered.filter(product => {
-        try {
-          const price = parseFloat(product?.price) || 0;
-          const maxPrice = parseInt(priceRange.max) || 0;
-          return price <= maxPrice;
-        } catch (error) {
-          console.warn('Error filtering by max price:', product?.Id || 'unknown', error);
-          return false;
-        }
-      });
-    }
-
-    // Sort products with enhanced featured logic and null safety
-    try {
-      switch (sortBy) {
-        case "price-low":
-          filtered.sort((a, b) => (parseFloat(a?.price) || 0) - (parseFloat(b?.price) || 0));
-          break;
-        case "price-high":
-          filtered.sort((a, b) => (parseFloat(b?.price) || 0) - (parseFloat(a?.price) || 0));
-          break;
-        case "name":
-          filtered.sort((a, b) => (a?.title || '').localeCompare(b?.title || ''));
-          break;
-        case "newest":
-          filtered.sort((a, b) => (parseInt(b?.Id) || 0) - (parseInt(a?.Id) || 0));
-          break;
-        case "rating":
-          filtered.sort((a, b) => (parseFloat(b?.rating) || 0) - (parseFloat(a?.rating) || 0));
-          break;
-        case "popularity":
-          filtered.sort((a, b) => {
-            const aPopularity = (a?.badges?.length || 0) + (a?.featured ? 5 : 0);
-            const bPopularity = (b?.badges?.length || 0) + (b?.featured ? 5 : 0);
-            return bPopularity - aPopularity;
-          });
-          break;
-        case "discount":
-          filtered.sort((a, b) => {
-            const aDiscount = (a?.oldPrice && a?.price) ? ((a.oldPrice - a.price) / a.oldPrice) * 100 : 0;
-            const bDiscount = (b?.oldPrice && b?.price) ? ((b.oldPrice - b.price) / b.oldPrice) * 100 : 0;
-            return bDiscount - aDiscount;
-          });
-          break;
-        default: // featured
-          filtered.sort((a, b) => {
-            const aScore = (a?.featured ? 10 : 0) + 
-                          (a?.badges?.includes("BESTSELLER") ? 8 : 0) +
-                          (a?.badges?.includes("PREMIUM") ? 6 : 0) +
-                          (a?.badges?.includes("FRESH") ? 4 : 0) +
-                          (a?.badges?.includes("ORGANIC") ? 3 : 0);
-            const bScore = (b?.featured ? 10 : 0) + 
-                          (b?.badges?.includes("BESTSELLER") ? 8 : 0) +
-                          (b?.badges?.includes("PREMIUM") ? 6 : 0) +
-                          (b?.badges?.includes("FRESH") ? 4 : 0) +
-                          (b?.badges?.includes("ORGANIC") ? 3 : 0);
-            return bScore - aScore;
-          });
-      }
-    } catch (error) {
-      console.warn('Error sorting products:', error);
-    }
+  const fetchPage = useCallback(
+    (page) => productService.queryProducts({ ...query, ...page, includeFacets: !page.cursor }),
+    [queryKey]
+  );
 
-    setFilteredProducts(filtered);
-  }, [products, searchQuery, selectedCategory, selectedTag, featuredStatus, sortBy, priceRange]);
+  const handlePageLoad = useCallback((result) => {
+    setTotal(result.total);
+    if (result.facets) setFacetCounts(result.facets);
+  }, []);
 
   // Update URL when filters change
 useEffect(() => {
     const params = new URLSearchParams();
-    if (selectedCategory) params.set("category", selectedCategory);
+    FACET_KEYS.forEach(key => facetSelections[key].forEach(value => params.append(key, value)));
     if (searchQuery) params.set("search", searchQuery);
     if (sortBy !== "featured") params.set("sort", sortBy);
-    if (selectedTag && selectedTag !== "all") params.set("tag", selectedTag);
     if (featuredStatus && featuredStatus !== "all") params.set("featured", featuredStatus);
+    if (selectedBundle) params.set("bundle", selectedBundle);
     if (priceRange.min) params.set("minPrice", priceRange.min);
     if (priceRange.max) params.set("maxPrice", priceRange.max);
     
-    setSearchParams(params);
+    // Skip no-op updates so arriving on the page does not add a duplicate history entry
+    if (params.toString() !== searchParams.toString()) {
+      setSearchParams(params);
+    }
     
     // SEO: Update document title and meta description based on active filters
     let title = "Products";
     let description = "Browse our wide selection of quality products";
     
-    if (selectedCategory) {
-      title = `${selectedCategory} Products`;
-      description = `Discover the best ${selectedCategory.toLowerCase()} products`;
+    if (facetSelections.category.length > 0) {
+      const names = facetSelections.category.map(toTitleCase).join(", ");
+      title = `${names} Products`;
+      description = `Discover the best ${names.toLowerCase()} products`;
     }
     
-    if (selectedTag && selectedTag !== "all") {
-      title += ` - ${selectedTag}`;
-      description += ` featuring ${selectedTag.toLowerCase()} items`;
+    if (facetSelections.badge.length > 0) {
+      title += ` - ${facetSelections.badge.join(", ")}`;
+      description += ` featuring ${facetSelections.badge.join(", ").toLowerCase()} items`;
     }
     
     if (featuredStatus === "featured") {
       title += " - Featured";
       description += " - premium featured products";
     }
+
+    if (bundle) {
+      title = `${bundle.name} Ingredients`;
+      description = `Everything you need for ${bundle.name}`;
+    }
     
     if (searchQuery) {
       title = `Search: ${searchQuery}`;
@@ -256,18 +185,81 @@ useEffect(() => {
       metaDescription.setAttribute('content', description);
     }
     
-  }, [selectedCategory, searchQuery, sortBy, selectedTag, featuredStatus, priceRange, setSearchParams]);
+  }, [facetSelections, searchQuery, sortBy, featuredStatus, selectedBundle, bundle, priceRange, setSearchParams]);
 
   useEffect(() => {
     loadData();
   }, []);
 
+  const toggleFacetValue = (key, value) => {
+    setFacetSelections(prev => ({
+      ...prev,
+      [key]: prev[key].includes(value) ? prev[key].filter(entry => entry !== value) : [...prev[key], value]
+    }));
+  };
+
+  const clearFacet = (key) => {
+    setFacetSelections(prev => ({ ...prev, [key]: [] }));
+  };
+
+  // Every value seen in the current results plus anything selected, labelled and ordered for display
+  const facetOptions = (key) => {
+    const counts = facetCounts[key] || {};
+    const values = [...new Set([...Object.keys(counts), ...facetSelections[key]])];
+    const options = values.map(value => ({ value, count: counts[value] || 0 }));
+
+    switch (key) {
+      case "category": {
+        const names = new Map(categories.map(category => [category.name.toLowerCase(), category.name]));
+        return options
+          .map(option => ({ ...option, label: names.get(option.value) || toTitleCase(option.value) }))
+          .sort((a, b) => a.label.localeCompare(b.label));
+      }
+      case "badge":
+        return options
+          .map(option => ({ ...option, label: toTitleCase(option.value.toLowerCase()) }))
+          .sort((a, b) => b.count - a.count || a.label.localeCompare(b.label));
+      case "stock":
+        return Object.entries(STOCK_STATUSES)
+          .filter(([value]) => values.includes(value))
+          .map(([value, label]) => ({ value, label, count: counts[value] || 0 }));
+      case "discount":
+        return DISCOUNT_BANDS
+          .filter(band => values.includes(band.value))
+          .map(band => ({ value: band.value, label: band.label, count: counts[band.value] || 0 }));
+      default:
+        return options
+          .map(option => ({ ...option, label: option.value }))
+          .sort((a, b) => a.label.localeCompare(b.label));
+    }
+  };
+
+  const hasFacetSelections = FACET_KEYS.some(key => facetSelections[key].length > 0);
+
+  // Saved searches alert the customer when matching products come back or get cheaper
+  const handleSaveSearch = async () => {
+    if (user?.role !== "customer") {
+      navigate("/login", { state: { from: location } });
+      return;
+    }
+    try {
+      setSavingSearch(true);
+      await AlertService.saveSearch({ query: searchQuery, facets: facetSelections, priceRange });
+      showToast("Search saved. We'll let you know about restocks and price drops.", "success");
+    } catch (error) {
+      console.error("Error saving search:", error);
+      showToast(error.message || "Could not save this search", "error");
+    } finally {
+      setSavingSearch(false);
+    }
+  };
+
 const handleClearFilters = () => {
-    setSelectedCategory("");
+    setFacetSelections(emptyFacetSelections());
     setSearchQuery("");
     setSortBy("featured");
-    setSelectedTag("");
     setFeaturedStatus("all");
+    setSelectedBundle("");
     setPriceRange({ min: "", max: "" });
     setSearchParams({});
     
@@ -318,22 +310,39 @@ const handleClearFilters = () => {
         <div className="flex flex-col md:flex-row md:items-center md:justify-between mb-8">
           <div>
 <h1 className="text-3xl font-display font-bold text-gray-900 mb-2 word-spacing-relaxed">
-              {selectedCategory ? `${selectedCategory.charAt(0).toUpperCase() + selectedCategory.slice(1)} Products` : "All Products"}
+              {bundle
+                ? `${bundle.name} Ingredients`
+                : facetSelections.category.length > 0
+                  ? `${facetSelections.category.map(toTitleCase).join(", ")} Products`
+                  : "All Products"}
             </h1>
             <p className="text-gray-600 word-spacing-relaxed">
-              {filteredProducts.length} {filteredProducts.length === 1 ? 'product' : 'products'} found
+              {total} {total === 1 ? 'product' : 'products'} found
             </p>
           </div>
 
-          {/* Mobile Filter Toggle */}
-          <Button
-            variant="outline"
-            onClick={() => setShowFilters(!showFilters)}
-            className="md:hidden mt-4"
-          >
-            <ApperIcon name="Filter" className="w-4 h-4 mr-2" />
-            Filters
-          </Button>
+          <div className="flex items-center space-x-2 mt-4 md:mt-0">
+            {(searchQuery || hasFacetSelections) && (
+              <Button
+                variant="outline"
+                onClick={handleSaveSearch}
+                disabled={savingSearch}
+              >
+                <ApperIcon name="BellPlus" className="w-4 h-4 mr-2" />
+                Save Search
+              </Button>
+            )}
+
+            {/* Mobile Filter Toggle */}
+            <Button
+              variant="outline"
+              onClick={() => setShowFilters(!showFilters)}
+              className="md:hidden"
+            >
+              <ApperIcon name="Filter" className="w-4 h-4 mr-2" />
+              Filters
+            </Button>
+          </div>
         </div>
 
         <div className="grid grid-cols-1 lg:grid-cols-4 gap-8">
@@ -348,7 +357,7 @@ const handleClearFilters = () => {
                 <h2 className="text-lg font-display font-semibold text-gray-900">
                   Filters
                 </h2>
-{(selectedCategory || searchQuery || sortBy !== "featured" || selectedTag || featuredStatus !== "all" || priceRange.min || priceRange.max) && (
+{(hasFacetSelections || searchQuery || sortBy !== "featured" || featuredStatus !== "all" || selectedBundle || priceRange.min || priceRange.max) && (
                   <Button
                     variant="ghost"
                     size="sm"
@@ -365,71 +374,25 @@ const handleClearFilters = () => {
                 <label className="block text-sm font-medium text-gray-700 mb-2">
                   Search Products
                 </label>
-                <Input
-                  type="text"
+                <SearchBar
                   placeholder="Search..."
                   value={searchQuery}
-                  onChange={(e) => setSearchQuery(e.target.value)}
+                  onSearch={setSearchQuery}
+                  onSubmit={setSearchQuery}
+                  className="max-w-none"
                 />
               </div>
 
-              {/* Categories */}
-              <div className="mb-6">
-                <h3 className="font-medium text-gray-900 mb-3">Categories</h3>
-                <div className="space-y-2 max-h-48 overflow-y-auto">
-                  <button
-                    onClick={() => setSelectedCategory("")}
-                    className={cn(
-                      "w-full text-left px-3 py-2 rounded-lg transition-colors duration-200",
-                      !selectedCategory
-                        ? "bg-primary-50 text-primary-700 font-medium"
-                        : "text-gray-600 hover:bg-gray-50"
-                    )}
-                  >
-                    All Categories
-                  </button>
-                  {categories.map(category => (
-                    <button
-                      key={category.Id}
-                      onClick={() => setSelectedCategory(category.name.toLowerCase())}
-                      className={cn(
-                        "w-full text-left px-3 py-2 rounded-lg transition-colors duration-200 flex items-center justify-between",
-                        selectedCategory === category.name.toLowerCase()
-                          ? "bg-primary-50 text-primary-700 font-medium"
-                          : "text-gray-600 hover:bg-gray-50"
-                      )}
-                    >
-                      <span>{category.name}</span>
-                      {category.productCount && (
-                        <span className="text-xs text-gray-500">
-                          {category.productCount}
-</span>
-                      )}
-                    </button>
-                  ))}
-                </div>
-              </div>
-
-              {/* Tag Filter */}
-              <div className="mb-6">
-                <h3 className="font-medium text-gray-900 mb-3">Filter by Tags</h3>
-                <div className="space-y-2">
-                  <select
-                    value={selectedTag}
-                    onChange={(e) => setSelectedTag(e.target.value)}
-                    className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:border-primary-500 focus:ring-2 focus:ring-primary-500/20 focus:outline-none"
-                  >
-                    <option value="">All Tags</option>
-                    <option value="BESTSELLER">Bestseller</option>
-                    <option value="PREMIUM">Premium</option>
-                    <option value="FRESH">Fresh</option>
-                    <option value="ORGANIC">Organic</option>
-                    <option value="HALAL">Halal</option>
-                    <option value="LIMITED">Limited Time</option>
-                    <option value="DISCOUNT">On Sale</option>
-                  </select>
-                </div>
-              </div>
+              {FACET_KEYS.map(key => (
+                <FacetFilter
+                  key={key}
+                  title={PRODUCT_FACETS[key].label}
+                  options={facetOptions(key)}
+                  selected={facetSelections[key]}
+                  onToggle={(value) => toggleFacetValue(key, value)}
+                  onClear={() => clearFacet(key)}
+                />
+              ))}
 
               {/* Featured Status Filter */}
               <div className="mb-6">
@@ -474,6 +437,12 @@ const handleClearFilters = () => {
               {/* Price Range */}
               <div className="mb-6">
                 <h3 className="font-medium text-gray-900 mb-3">Price Range</h3>
+                <PriceHistogram
+                  buckets={facetCounts.price || []}
+                  range={priceRange}
+                  onSelect={setPriceRange}
+                  className="mb-3"
+                />
                 <div className="flex space-x-2">
                   <Input
                     type="number"
@@ -498,7 +467,7 @@ const handleClearFilters = () => {
                   onChange={(e) => setSortBy(e.target.value)}
                   className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:border-primary-500 focus:ring-2 focus:ring-primary-500/20 focus:outline-none"
                 >
-                  <option value="featured">Featured</option>
+                  <option value="featured">{searchQuery ? "Best Match" : "Featured"}</option>
                   <option value="popularity">Most Popular</option>
                   <option value="newest">Newest First</option>
                   <option value="price-low">Price: Low to High</option>
@@ -513,31 +482,29 @@ const handleClearFilters = () => {
 
           {/* Products Grid */}
           <div className="lg:col-span-3">
-            {filteredProducts.length === 0 ? (
-              <Empty
-                title="No products found"
-                message="We couldn't find any products matching your criteria. Try adjusting your filters or search terms."
-                actionText="Clear Filters"
-                onAction={handleClearFilters}
-                icon="Search"
+            {bundleReady ? (
+              <ProductGrid
+                fetchPage={fetchPage}
+                queryKey={queryKey}
+                pageSize={PRODUCT_PAGE_SIZE}
+                infiniteScroll
+                restoreKey={`category-${location.key}`}
+                onPageLoad={handlePageLoad}
+                title={null}
+                className="px-0 md:px-0 lg:px-0 mb-0"
+                gridClassName="grid grid-cols-1 sm:grid-cols-2 xl:grid-cols-3 gap-6"
+                emptyState={
+                  <Empty
+                    title="No products found"
+                    message="We couldn't find any products matching your criteria. Try adjusting your filters or search terms."
+                    actionText="Clear Filters"
+                    onAction={handleClearFilters}
+                    icon="Search"
+                  />
+                }
               />
             ) : (
-              <motion.div
-                initial={{ opacity: 0 }}
-                animate={{ opacity: 1 }}
-                className="grid grid-cols-1 sm:grid-cols-2 xl:grid-cols-3 gap-6"
-              >
-                {filteredProducts.map((product, index) => (
-                  <motion.div
-                    key={product.Id}
-                    initial={{ opacity: 0, y: 20 }}
-                    animate={{ opacity: 1, y: 0 }}
-                    transition={{ delay: index * 0.05 }}
-                  >
-                    <ProductCard product={product} />
-                  </motion.div>
-                ))}
-              </motion.div>
+              <Loading type="products" />
             )}
           </div>
         </div>
@@ -0,0 +1,561 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { motion } from 'framer-motion';
+import { useToast } from '@/hooks/useToast';
+import ApperIcon from '@/components/ApperIcon';
+import Button from '@/components/atoms/Button';
+import Input from '@/components/atoms/Input';
+import Card from '@/components/atoms/Card';
+import Loading from '@/components/ui/Loading';
+import Empty from '@/components/ui/Empty';
+import { cn } from '@/utils/cn';
+import { CategoryService, slugify } from '@/services/api/CategoryService';
+
+const EMPTY_CATEGORY = {
+  name: '',
+  slug: '',
+  parentId: '',
+  image: '',
+  description: '',
+  seo: { metaTitle: '', metaDescription: '', keywords: '' }
+};
+
+// Depth-first list of the tree, used for the parent picker and drop calculations
+const flattenTree = (nodes, depth = 0) =>
+  nodes.flatMap(node => [{ ...node, depth }, ...flattenTree(node.children || [], depth + 1)]);
+
+const collectDescendantIds = (node) =>
+  (node.children || []).flatMap(child => [child.Id, ...collectDescendantIds(child)]);
+
+const CategoryManagement = () => {
+  const { showToast } = useToast();
+  const [tree, setTree] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [actionLoading, setActionLoading] = useState(false);
+  const [expanded, setExpanded] = useState({});
+
+  // Drag and drop
+  const [draggedId, setDraggedId] = useState(null);
+  const [dropTarget, setDropTarget] = useState(null); // { id, position: 'before' | 'inside' | 'after' }
+
+  // Create / edit modal
+  const [showModal, setShowModal] = useState(false);
+  const [editingId, setEditingId] = useState(null);
+  const [form, setForm] = useState(EMPTY_CATEGORY);
+  const [formErrors, setFormErrors] = useState({});
+  const [slugTouched, setSlugTouched] = useState(false);
+
+  // Delete with reassignment
+  const [deleteTarget, setDeleteTarget] = useState(null);
+  const [reassignTo, setReassignTo] = useState('');
+
+  const flatList = flattenTree(tree);
+
+  const loadTree = useCallback(async () => {
+    try {
+      const data = await CategoryService.getTree();
+      setTree(data);
+    } catch (error) {
+      console.error('Error loading categories:', error);
+      showToast('Failed to load categories', 'error');
+    } finally {
+      setLoading(false);
+    }
+  }, [showToast]);
+
+  useEffect(() => {
+    loadTree();
+  }, [loadTree]);
+
+  const toggleExpanded = (id) => {
+    setExpanded(prev => ({ ...prev, [id]: prev[id] === false }));
+  };
+
+  const openCreateModal = (parentId = '') => {
+    setEditingId(null);
+    setForm({ ...EMPTY_CATEGORY, parentId });
+    setFormErrors({});
+    setSlugTouched(false);
+    setShowModal(true);
+  };
+
+  const openEditModal = (category) => {
+    setEditingId(category.Id);
+    setForm({
+      name: category.name,
+      slug: category.slug,
+      parentId: category.parentId || '',
+      image: category.image || '',
+      description: category.description || '',
+      seo: {
+        metaTitle: category.seo?.metaTitle || '',
+        metaDescription: category.seo?.metaDescription || '',
+        keywords: (category.seo?.keywords || []).join(', ')
+      }
+    });
+    setFormErrors({});
+    setSlugTouched(true);
+    setShowModal(true);
+  };
+
+  const updateForm = (field, value) => {
+    setForm(prev => {
+      const next = { ...prev, [field]: value };
+      // Slug follows the name until it is edited by hand
+      if (field === 'name' && !slugTouched) next.slug = slugify(value);
+      return next;
+    });
+    if (formErrors[field]) setFormErrors(prev => ({ ...prev, [field]: null }));
+  };
+
+  const updateSeo = (field, value) => {
+    setForm(prev => ({ ...prev, seo: { ...prev.seo, [field]: value } }));
+    if (formErrors[field]) setFormErrors(prev => ({ ...prev, [field]: null }));
+  };
+
+  const handleSave = async () => {
+    const validation = CategoryService.validate(form, editingId);
+    if (!validation.isValid) {
+      setFormErrors(validation.errors);
+      return;
+    }
+
+    try {
+      setActionLoading(true);
+      if (editingId) {
+        await CategoryService.update(editingId, form);
+        showToast(`Category ${form.name} updated`, 'success');
+      } else {
+        await CategoryService.create(form);
+        showToast(`Category ${form.name} created`, 'success');
+      }
+      setShowModal(false);
+      await loadTree();
+    } catch (error) {
+      console.error('Error saving category:', error);
+      showToast(error.message || 'Failed to save category', 'error');
+    } finally {
+      setActionLoading(false);
+    }
+  };
+
+  const handleDeleteClick = async (category) => {
+    if (category.productCount > 0) {
+      setDeleteTarget(category);
+      setReassignTo('');
+      return;
+    }
+
+    const childNote = category.children?.length
+      ? ` Its ${category.children.length} subcategories will move up a level.`
+      : '';
+    if (!confirm(`Delete category "${category.name}"?${childNote}`)) return;
+
+    try {
+      setActionLoading(true);
+      await CategoryService.delete(category.Id);
+      showToast(`Category ${category.name} deleted`, 'success');
+      await loadTree();
+    } catch (error) {
+      console.error('Error deleting category:', error);
+      showToast(error.message || 'Failed to delete category', 'error');
+    } finally {
+      setActionLoading(false);
+    }
+  };
+
+  const handleReassignAndDelete = async () => {
+    if (!reassignTo) {
+      showToast('Choose a category to move the products into', 'warning');
+      return;
+    }
+
+    try {
+      setActionLoading(true);
+      const moved = await CategoryService.reassignProducts(deleteTarget.Id, parseInt(reassignTo));
+      await CategoryService.delete(deleteTarget.Id);
+      showToast(`Moved ${moved} product(s) and deleted ${deleteTarget.name}`, 'success');
+      setDeleteTarget(null);
+      await loadTree();
+    } catch (error) {
+      console.error('Error reassigning products:', error);
+      showToast(error.message || 'Failed to reassign products', 'error');
+    } finally {
+      setActionLoading(false);
+    }
+  };
+
+  const handleDragStart = (e, category) => {
+    setDraggedId(category.Id);
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', String(category.Id));
+  };
+
+  const handleDragOver = (e, category) => {
+    if (!draggedId || draggedId === category.Id) return;
+
+    const dragged = flatList.find(c => c.Id === draggedId);
+    // Never allow dropping a category into its own subtree
+    if (dragged && collectDescendantIds(dragged).includes(category.Id)) return;
+
+    e.preventDefault();
+    const rect = e.currentTarget.getBoundingClientRect();
+    const offset = (e.clientY - rect.top) / rect.height;
+    const position = offset < 0.25 ? 'before' : offset > 0.75 ? 'after' : 'inside';
+
+    if (dropTarget?.id !== category.Id || dropTarget?.position !== position) {
+      setDropTarget({ id: category.Id, position });
+    }
+  };
+
+  const handleDragEnd = () => {
+    setDraggedId(null);
+    setDropTarget(null);
+  };
+
+  const handleDrop = async (e, target) => {
+    e.preventDefault();
+    const dragged = flatList.find(c => c.Id === draggedId);
+    const position = dropTarget?.position;
+    handleDragEnd();
+    if (!dragged || !position || dragged.Id === target.Id) return;
+
+    const newParentId = position === 'inside' ? target.Id : (target.parentId ?? null);
+    const siblings = flatList
+      .filter(c => (c.parentId ?? null) === newParentId && c.Id !== dragged.Id)
+      .map(c => c.Id);
+
+    if (position === 'inside') {
+      siblings.push(dragged.Id);
+    } else {
+      const targetIndex = siblings.indexOf(target.Id);
+      siblings.splice(position === 'before' ? targetIndex : targetIndex + 1, 0, dragged.Id);
+    }
+
+    try {
+      setActionLoading(true);
+      const updatedTree = await CategoryService.reorder(newParentId, siblings);
+      setTree(updatedTree);
+      if (position === 'inside') setExpanded(prev => ({ ...prev, [target.Id]: true }));
+      showToast(`Moved ${dragged.name}`, 'success');
+    } catch (error) {
+      console.error('Error reordering categories:', error);
+      showToast(error.message || 'Failed to reorder categories', 'error');
+    } finally {
+      setActionLoading(false);
+    }
+  };
+
+  const renderNode = (category, depth = 0) => {
+    const isExpanded = expanded[category.Id] !== false;
+    const hasChildren = category.children?.length > 0;
+    const isDropTarget = dropTarget?.id === category.Id;
+
+    return (
+      <div key={category.Id}>
+        <div
+          draggable={!actionLoading}
+          onDragStart={(e) => handleDragStart(e, category)}
+          onDragOver={(e) => handleDragOver(e, category)}
+          onDragLeave={() => isDropTarget && setDropTarget(null)}
+          onDrop={(e) => handleDrop(e, category)}
+          onDragEnd={handleDragEnd}
+          className={cn(
+            'flex items-center gap-3 px-3 py-2 rounded-lg border bg-white transition-colors',
+            draggedId === category.Id && 'opacity-50',
+            isDropTarget && dropTarget.position === 'inside' && 'border-primary-400 bg-primary-50',
+            isDropTarget && dropTarget.position === 'before' && 'border-t-4 border-t-primary-500',
+            isDropTarget && dropTarget.position === 'after' && 'border-b-4 border-b-primary-500',
+            !isDropTarget && 'border-gray-200'
+          )}
+          style={{ marginLeft: depth * 24 }}
+        >
+          <ApperIcon name="GripVertical" className="w-4 h-4 text-gray-400 cursor-move flex-shrink-0" />
+          <button
+            onClick={() => toggleExpanded(category.Id)}
+            className={cn('w-4 h-4 flex-shrink-0', !hasChildren && 'invisible')}
+            aria-label={isExpanded ? 'Collapse' : 'Expand'}
+          >
+            <ApperIcon name={isExpanded ? 'ChevronDown' : 'ChevronRight'} className="w-4 h-4 text-gray-500" />
+          </button>
+          {category.image ? (
+            <img src={category.image} alt="" className="w-8 h-8 rounded object-cover flex-shrink-0" />
+          ) : (
+            <div className="w-8 h-8 rounded bg-gray-100 flex items-center justify-center flex-shrink-0">
+              <ApperIcon name="Folder" className="w-4 h-4 text-gray-400" />
+            </div>
+          )}
+          <div className="flex-1 min-w-0">
+            <p className="font-medium text-gray-900 truncate">{category.name}</p>
+            <p className="text-xs text-gray-500 truncate">
+              /{category.slug} • {category.productCount} products
+              {hasChildren && ` • ${category.totalProductCount} incl. subcategories`}
+            </p>
+          </div>
+          <div className="flex items-center space-x-1">
+            <Button variant="ghost" size="sm" onClick={() => openCreateModal(category.Id)} title="Add subcategory">
+              <ApperIcon name="FolderPlus" className="w-4 h-4" />
+            </Button>
+            <Button variant="ghost" size="sm" onClick={() => openEditModal(category)} title="Edit">
+              <ApperIcon name="Edit" className="w-4 h-4" />
+            </Button>
+            <Button
+              variant="ghost"
+              size="sm"
+              onClick={() => handleDeleteClick(category)}
+              disabled={actionLoading}
+              className="text-red-600 hover:text-red-700"
+              title="Delete"
+            >
+              <ApperIcon name="Trash2" className="w-4 h-4" />
+            </Button>
+          </div>
+        </div>
+        {hasChildren && isExpanded && (
+          <div className="mt-2 space-y-2">
+            {category.children.map(child => renderNode(child, depth + 1))}
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  if (loading) return <Loading />;
+
+  const editingNode = editingId ? flatList.find(c => c.Id === editingId) : null;
+  const blockedParentIds = editingNode ? [editingNode.Id, ...collectDescendantIds(editingNode)] : [];
+
+  return (
+    <div className="p-6">
+      <div className="mb-6">
+        <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-4">
+          <div>
+            <h2 className="text-2xl font-display font-bold text-gray-900">
+              Categories Management
+            </h2>
+            <p className="text-gray-600">
+              Drag categories to reorder them, or drop onto the middle of another category to nest it
+            </p>
+          </div>
+          <Button onClick={() => openCreateModal()}>
+            <ApperIcon name="Plus" className="w-4 h-4 mr-2" />
+            New Category
+          </Button>
+        </div>
+      </div>
+
+      {/* Summary Stats */}
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-6">
+        <Card className="p-4">
+          <div className="text-2xl font-bold text-gray-900">{flatList.length}</div>
+          <div className="text-sm text-gray-600">Total Categories</div>
+        </Card>
+        <Card className="p-4">
+          <div className="text-2xl font-bold text-blue-600">{tree.length}</div>
+          <div className="text-sm text-gray-600">Top-level</div>
+        </Card>
+        <Card className="p-4">
+          <div className="text-2xl font-bold text-orange-600">
+            {flatList.filter(c => c.totalProductCount === 0).length}
+          </div>
+          <div className="text-sm text-gray-600">Empty Categories</div>
+        </Card>
+      </div>
+
+      {tree.length === 0 ? (
+        <Empty
+          title="No categories yet"
+          message="Create your first category to start organising products"
+          actionText="New Category"
+          onAction={() => openCreateModal()}
+          icon="FolderTree"
+        />
+      ) : (
+        <motion.div initial={{ opacity: 0 }} animate={{ opacity: 1 }} className="space-y-2">
+          {tree.map(category => renderNode(category))}
+        </motion.div>
+      )}
+
+      {/* Create / Edit Modal */}
+      {showModal && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+          <Card className="w-full max-w-2xl max-h-[90vh] overflow-y-auto">
+            <div className="p-6">
+              <div className="flex justify-between items-center mb-6">
+                <h3 className="text-xl font-semibold">{editingId ? 'Edit Category' : 'New Category'}</h3>
+                <Button variant="ghost" onClick={() => setShowModal(false)}>
+                  <ApperIcon name="X" className="w-5 h-5" />
+                </Button>
+              </div>
+
+              <div className="space-y-4">
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                  <Input
+                    label="Name"
+                    required
+                    value={form.name}
+                    onChange={(e) => updateForm('name', e.target.value)}
+                    error={formErrors.name}
+                  />
+                  {/* Plain input: the slug is rewritten from the name until edited by hand */}
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      Slug <span className="text-red-500">*</span>
+                    </label>
+                    <input
+                      type="text"
+                      value={form.slug}
+                      onChange={(e) => {
+                        setSlugTouched(true);
+                        updateForm('slug', e.target.value.toLowerCase().replace(/\s+/g, '-'));
+                      }}
+                      className={cn(
+                        'w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-primary-500',
+                        formErrors.slug ? 'border-red-500' : 'border-gray-300'
+                      )}
+                    />
+                    {formErrors.slug ? (
+                      <p className="text-sm text-red-600 mt-1">{formErrors.slug}</p>
+                    ) : editingId && (
+                      <p className="text-xs text-gray-500 mt-1">Changing the slug moves its products along with it</p>
+                    )}
+                  </div>
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Parent category</label>
+                  <select
+                    value={form.parentId}
+                    onChange={(e) => updateForm('parentId', e.target.value ? parseInt(e.target.value) : '')}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500"
+                  >
+                    <option value="">None (top level)</option>
+                    {flatList
+                      .filter(c => !blockedParentIds.includes(c.Id))
+                      .map(c => (
+                        <option key={c.Id} value={c.Id}>
+                          {'— '.repeat(c.depth)}{c.name}
+                        </option>
+                      ))}
+                  </select>
+                  {formErrors.parentId && <p className="text-sm text-red-600 mt-1">{formErrors.parentId}</p>}
+                </div>
+
+                <div className="flex items-start gap-4">
+                  <div className="flex-1">
+                    <Input
+                      label="Image URL"
+                      type="url"
+                      placeholder="https://..."
+                      value={form.image}
+                      onChange={(e) => updateForm('image', e.target.value)}
+                    />
+                  </div>
+                  {form.image && (
+                    <img src={form.image} alt="Category preview" className="w-16 h-16 rounded-lg object-cover border mt-6" />
+                  )}
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Description</label>
+                  <textarea
+                    value={form.description}
+                    onChange={(e) => updateForm('description', e.target.value)}
+                    rows={3}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 text-sm"
+                  />
+                </div>
+
+                <div className="border-t border-gray-200 pt-4">
+                  <h4 className="font-semibold text-gray-900 mb-3">SEO</h4>
+                  <div className="space-y-4">
+                    <Input
+                      label={`Meta title (${form.seo.metaTitle.length}/60)`}
+                      value={form.seo.metaTitle}
+                      onChange={(e) => updateSeo('metaTitle', e.target.value)}
+                      error={formErrors.metaTitle}
+                    />
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">
+                        Meta description ({form.seo.metaDescription.length}/160)
+                      </label>
+                      <textarea
+                        value={form.seo.metaDescription}
+                        onChange={(e) => updateSeo('metaDescription', e.target.value)}
+                        rows={2}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 text-sm"
+                      />
+                      {formErrors.metaDescription && (
+                        <p className="text-sm text-red-600 mt-1">{formErrors.metaDescription}</p>
+                      )}
+                    </div>
+                    <Input
+                      label="Keywords (comma separated)"
+                      value={form.seo.keywords}
+                      onChange={(e) => updateSeo('keywords', e.target.value)}
+                    />
+                  </div>
+                </div>
+              </div>
+
+              <div className="flex justify-end space-x-3 mt-6 pt-6 border-t border-gray-200">
+                <Button variant="outline" onClick={() => setShowModal(false)} disabled={actionLoading}>
+                  Cancel
+                </Button>
+                <Button onClick={handleSave} loading={actionLoading} disabled={actionLoading}>
+                  {editingId ? 'Save Changes' : 'Create Category'}
+                </Button>
+              </div>
+            </div>
+          </Card>
+        </div>
+      )}
+
+      {/* Reassign Products Before Delete */}
+      {deleteTarget && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+          <Card className="w-full max-w-md">
+            <div className="p-6">
+              <div className="flex items-center mb-4">
+                <ApperIcon name="AlertTriangle" className="w-6 h-6 text-orange-500 mr-2" />
+                <h3 className="text-lg font-semibold">Reassign products first</h3>
+              </div>
+              <p className="text-sm text-gray-600 mb-4">
+                <strong>{deleteTarget.name}</strong> still has {deleteTarget.productCount} product(s).
+                Choose where to move them before the category is deleted.
+              </p>
+              <select
+                value={reassignTo}
+                onChange={(e) => setReassignTo(e.target.value)}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 mb-6"
+              >
+                <option value="">Select a category</option>
+                {flatList
+                  .filter(c => c.Id !== deleteTarget.Id)
+                  .map(c => (
+                    <option key={c.Id} value={c.Id}>
+                      {'— '.repeat(c.depth)}{c.name}
+                    </option>
+                  ))}
+              </select>
+              <div className="flex justify-end space-x-3">
+                <Button variant="outline" onClick={() => setDeleteTarget(null)} disabled={actionLoading}>
+                  Cancel
+                </Button>
+                <Button
+                  variant="destructive"
+                  onClick={handleReassignAndDelete}
+                  loading={actionLoading}
+                  disabled={actionLoading || !reassignTo}
+                >
+                  Move & Delete
+                </Button>
+              </div>
+            </div>
+          </Card>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CategoryManagement;
@@ -0,0 +1,569 @@
+import React, { useEffect, useRef, useState } from "react";
+import { Link, useLocation, useNavigate } from "react-router-dom";
+import { motion } from "framer-motion";
+import { useCart } from "@/hooks/useCart";
+import { useToast } from "@/hooks/useToast";
+import { useSettings } from "@/hooks/useSettings";
+import ApperIcon from "@/components/ApperIcon";
+import Button from "@/components/atoms/Button";
+import Card from "@/components/atoms/Card";
+import Input from "@/components/atoms/Input";
+import Empty from "@/components/ui/Empty";
+import { formatPrice } from "@/utils/currency";
+import { CheckoutService, PAYMENT_METHODS, SUPPORTED_CITIES } from "@/services/api/CheckoutService";
+
+const CHECKOUT_STEPS = [
+  { id: "address", label: "Address", icon: "MapPin" },
+  { id: "delivery", label: "Delivery", icon: "Truck" },
+  { id: "payment", label: "Payment", icon: "CreditCard" },
+  { id: "review", label: "Review", icon: "ClipboardCheck" }
+];
+
+const INITIAL_ADDRESS = {
+  fullName: "",
+  phone: "",
+  email: "",
+  addressLine: "",
+  city: "",
+  postalCode: ""
+};
+
+const Checkout = () => {
+  const navigate = useNavigate();
+  const location = useLocation();
+  const { showToast } = useToast();
+  const { cartItems, clearCart } = useCart();
+  const { features } = useSettings();
+
+  const [currentStep, setCurrentStep] = useState(0);
+  const [address, setAddress] = useState(INITIAL_ADDRESS);
+  const [addressErrors, setAddressErrors] = useState({});
+  const [deliverySlots, setDeliverySlots] = useState([]);
+  const [selectedSlot, setSelectedSlot] = useState(null);
+  const [paymentMethod, setPaymentMethod] = useState("cod");
+  const [giftWrapping, setGiftWrapping] = useState(location.state?.giftWrapping || false);
+  const [promoCodes] = useState(location.state?.promoCodes || []);
+  const [notes, setNotes] = useState("");
+  const [totals, setTotals] = useState(null);
+  const [totalsError, setTotalsError] = useState(null);
+  const [placingOrder, setPlacingOrder] = useState(false);
+  const [placedOrder, setPlacedOrder] = useState(null);
+  const [holdingStock, setHoldingStock] = useState(false);
+  const reservationRef = useRef(null);
+
+  // Give held stock back if the shopper leaves without placing the order
+  useEffect(() => {
+    return () => {
+      if (reservationRef.current) {
+        CheckoutService.releaseStockHold(reservationRef.current).catch(error =>
+          console.error("Failed to release stock hold:", error)
+        );
+      }
+    };
+  }, []);
+
+  useEffect(() => {
+    const loadSlots = async () => {
+      try {
+        const slots = await CheckoutService.getDeliverySlots();
+        setDeliverySlots(slots);
+      } catch (error) {
+        console.error("Failed to load delivery slots:", error);
+        showToast("Could not load delivery slots", "error");
+      }
+    };
+    loadSlots();
+  }, []);
+
+  // Recompute totals whenever the cart contents or order options change
+  useEffect(() => {
+    if (placedOrder || cartItems.length === 0) return;
+
+    const refreshTotals = async () => {
+      try {
+        const result = await CheckoutService.calculateTotals({
+          items: cartItems,
+          giftWrapping,
+          promoCodes
+        });
+        setTotals(result);
+        setTotalsError(null);
+      } catch (error) {
+        console.error("Failed to calculate checkout totals:", error);
+        setTotalsError(error.message || "Could not calculate order totals");
+      }
+    };
+    refreshTotals();
+  }, [JSON.stringify(cartItems.map(({ productId, variant, quantity }) => ({ productId, variant, quantity }))), giftWrapping, promoCodes, placedOrder]);
+
+  const handleAddressChange = (field, value) => {
+    setAddress(prev => ({ ...prev, [field]: value }));
+    if (addressErrors[field]) {
+      setAddressErrors(prev => ({ ...prev, [field]: null }));
+    }
+  };
+
+  const validateStep = () => {
+    const step = CHECKOUT_STEPS[currentStep].id;
+
+    if (step === "address") {
+      const { isValid, errors } = CheckoutService.validateAddress(address);
+      setAddressErrors(errors);
+      if (!isValid) showToast("Please fix the highlighted address fields", "error");
+      return isValid;
+    }
+
+    if (step === "delivery" && !selectedSlot) {
+      showToast("Please choose a delivery slot", "error");
+      return false;
+    }
+
+    if (step === "payment" && !paymentMethod) {
+      showToast("Please choose a payment method", "error");
+      return false;
+    }
+
+    return true;
+  };
+
+  const handleNext = async () => {
+    if (!validateStep()) return;
+
+    const nextStep = Math.min(currentStep + 1, CHECKOUT_STEPS.length - 1);
+    if (CHECKOUT_STEPS[nextStep].id === "review") {
+      try {
+        setHoldingStock(true);
+        const reservation = await CheckoutService.holdStock(cartItems, reservationRef.current);
+        reservationRef.current = reservation.id;
+      } catch (error) {
+        console.error("Failed to hold stock:", error);
+        reservationRef.current = null;
+        showToast(error.message || "Some items are no longer available", "error");
+        return;
+      } finally {
+        setHoldingStock(false);
+      }
+    }
+
+    setCurrentStep(nextStep);
+    window.scrollTo({ top: 0, behavior: "smooth" });
+  };
+
+  const handleBack = () => {
+    if (currentStep === 0) {
+      navigate("/cart");
+      return;
+    }
+    setCurrentStep(prev => prev - 1);
+  };
+
+  const handlePlaceOrder = async () => {
+    try {
+      setPlacingOrder(true);
+      const order = await CheckoutService.placeOrder({
+        items: cartItems,
+        address,
+        deliverySlot: selectedSlot,
+        paymentMethod,
+        giftWrapping,
+        promoCodes,
+        notes,
+        reservationId: reservationRef.current
+      });
+
+      // Only clear the cart once the order record exists
+      reservationRef.current = null;
+      clearCart();
+      setPlacedOrder(order);
+      showToast(`Order ${order.orderNumber} placed successfully`, "success");
+      window.scrollTo({ top: 0, behavior: "smooth" });
+    } catch (error) {
+      console.error("Failed to place order:", error);
+      if (error.validationErrors) {
+        setAddressErrors(error.validationErrors);
+        setCurrentStep(0);
+      }
+      showToast(error.message || "Failed to place order. Please try again.", "error");
+    } finally {
+      setPlacingOrder(false);
+    }
+  };
+
+  if (placedOrder) {
+    return (
+      <div className="min-h-screen bg-background">
+        <div className="max-w-3xl mx-auto px-4 sm:px-6 lg:px-8 py-12">
+          <motion.div initial={{ opacity: 0, y: 20 }} animate={{ opacity: 1, y: 0 }}>
+            <Card className="p-8 text-center">
+              <div className="w-16 h-16 bg-green-100 rounded-full flex items-center justify-center mx-auto mb-4">
+                <ApperIcon name="CheckCircle" className="w-10 h-10 text-green-600" />
+              </div>
+              <h1 className="text-2xl font-display font-bold text-gray-900 mb-2">Thank you for your order!</h1>
+              <p className="text-gray-600 mb-6">
+                Your order <span className="font-semibold text-gray-900">{placedOrder.orderNumber}</span> has been placed.
+              </p>
+
+              <div className="text-left bg-gray-50 rounded-lg p-4 space-y-2 mb-6">
+                <div className="flex justify-between text-sm">
+                  <span className="text-gray-600">Delivery</span>
+                  <span className="font-medium">{placedOrder.deliverySlot.date} • {placedOrder.deliverySlot.window}</span>
+                </div>
+                <div className="flex justify-between text-sm">
+                  <span className="text-gray-600">Payment</span>
+                  <span className="font-medium">
+                    {PAYMENT_METHODS.find(m => m.id === placedOrder.paymentMethod)?.label} ({placedOrder.paymentStatus})
+                  </span>
+                </div>
+                <div className="flex justify-between text-sm">
+                  <span className="text-gray-600">Deliver to</span>
+                  <span className="font-medium text-right">{placedOrder.customer.address}</span>
+                </div>
+                <div className="flex justify-between text-lg font-bold pt-2 border-t border-gray-200">
+                  <span>Total</span>
+                  <span className="price-highlight">{formatPrice(placedOrder.total)}</span>
+                </div>
+              </div>
+
+              <Link to="/">
+                <Button size="lg">
+                  <ApperIcon name="ShoppingBag" className="w-5 h-5 mr-2" />
+                  Continue Shopping
+                </Button>
+              </Link>
+            </Card>
+          </motion.div>
+        </div>
+      </div>
+    );
+  }
+
+  if (cartItems.length === 0) {
+    return (
+      <div className="min-h-screen bg-background">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+          <Empty
+            title="Nothing to check out"
+            message="Your cart is empty. Add a few items before heading to checkout."
+            actionText="Start Shopping"
+            onAction={() => navigate("/")}
+            icon="ShoppingCart"
+          />
+        </div>
+      </div>
+    );
+  }
+
+  const stepId = CHECKOUT_STEPS[currentStep].id;
+
+  return (
+    <div className="min-h-screen bg-background">
+      <div className="max-w-6xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        <h1 className="text-3xl font-display font-bold text-gray-900 mb-6">Checkout</h1>
+
+        {/* Step indicator */}
+        <div className="flex items-center justify-between mb-8 max-w-2xl">
+          {CHECKOUT_STEPS.map((step, index) => (
+            <React.Fragment key={step.id}>
+              <div className="flex flex-col items-center">
+                <div className={`w-10 h-10 rounded-full flex items-center justify-center ${
+                  index < currentStep ? "bg-green-500 text-white" :
+                  index === currentStep ? "bg-primary-600 text-white" : "bg-gray-200 text-gray-500"
+                }`}>
+                  <ApperIcon name={index < currentStep ? "Check" : step.icon} className="w-5 h-5" />
+                </div>
+                <span className={`text-xs mt-1 ${index === currentStep ? "text-primary-700 font-semibold" : "text-gray-500"}`}>
+                  {step.label}
+                </span>
+              </div>
+              {index < CHECKOUT_STEPS.length - 1 && (
+                <div className={`flex-1 h-0.5 mx-2 ${index < currentStep ? "bg-green-500" : "bg-gray-200"}`} />
+              )}
+            </React.Fragment>
+          ))}
+        </div>
+
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
+          <div className="lg:col-span-2">
+            <Card className="p-6">
+              {stepId === "address" && (
+                <div className="space-y-4">
+                  <h2 className="text-lg font-semibold text-gray-900">Delivery Address</h2>
+                  <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                    <Input
+                      label="Full Name"
+                      required
+                      value={address.fullName}
+                      onChange={(e) => handleAddressChange("fullName", e.target.value)}
+                      error={addressErrors.fullName}
+                    />
+                    <Input
+                      label="Mobile Number"
+                      type="tel"
+                      required
+                      placeholder="03001234567"
+                      value={address.phone}
+                      onChange={(e) => handleAddressChange("phone", e.target.value)}
+                      error={addressErrors.phone}
+                    />
+                  </div>
+                  <Input
+                    label="Email (for order updates)"
+                    type="email"
+                    value={address.email}
+                    onChange={(e) => handleAddressChange("email", e.target.value)}
+                    error={addressErrors.email}
+                  />
+                  <Input
+                    label="Street Address"
+                    required
+                    placeholder="House #, street, area"
+                    value={address.addressLine}
+                    onChange={(e) => handleAddressChange("addressLine", e.target.value)}
+                    error={addressErrors.addressLine}
+                  />
+                  <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">
+                        City <span className="text-red-500">*</span>
+                      </label>
+                      <select
+                        value={address.city}
+                        onChange={(e) => handleAddressChange("city", e.target.value)}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
+                      >
+                        <option value="">Select city</option>
+                        {SUPPORTED_CITIES.map(city => (
+                          <option key={city} value={city}>{city}</option>
+                        ))}
+                      </select>
+                      {addressErrors.city && <p className="text-sm text-red-600 mt-1">{addressErrors.city}</p>}
+                    </div>
+                    <Input
+                      label="Postal Code"
+                      type="tel"
+                      value={address.postalCode}
+                      onChange={(e) => handleAddressChange("postalCode", e.target.value)}
+                    />
+                  </div>
+                </div>
+              )}
+
+              {stepId === "delivery" && (
+                <div className="space-y-4">
+                  <h2 className="text-lg font-semibold text-gray-900">Choose a Delivery Slot</h2>
+                  {deliverySlots.length === 0 ? (
+                    <p className="text-gray-600">Loading available slots...</p>
+                  ) : (
+                    <div className="grid grid-cols-1 sm:grid-cols-2 md:grid-cols-3 gap-3">
+                      {deliverySlots.map(slot => (
+                        <button
+                          key={slot.id}
+                          type="button"
+                          onClick={() => setSelectedSlot(slot)}
+                          className={`p-3 border-2 rounded-lg text-left transition-colors ${
+                            selectedSlot?.id === slot.id
+                              ? "border-primary-500 bg-primary-50"
+                              : "border-gray-200 hover:border-gray-300"
+                          }`}
+                        >
+                          <p className="font-medium text-gray-900">{slot.dayLabel}</p>
+                          <p className="text-sm text-gray-600">{slot.label} • {slot.window}</p>
+                        </button>
+                      ))}
+                    </div>
+                  )}
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Delivery notes</label>
+                    <textarea
+                      value={notes}
+                      onChange={(e) => setNotes(e.target.value)}
+                      rows={3}
+                      maxLength={500}
+                      placeholder="Landmark, gate code, preferred contact time..."
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500 text-sm"
+                    />
+                  </div>
+                </div>
+              )}
+
+              {stepId === "payment" && (
+                <div className="space-y-4">
+                  <h2 className="text-lg font-semibold text-gray-900">Payment Method</h2>
+                  <div className="space-y-3">
+                    {PAYMENT_METHODS.map(method => (
+                      <label
+                        key={method.id}
+                        className={`flex items-center p-4 border-2 rounded-lg cursor-pointer transition-colors ${
+                          paymentMethod === method.id
+                            ? "border-primary-500 bg-primary-50"
+                            : "border-gray-200 hover:border-gray-300"
+                        }`}
+                      >
+                        <input
+                          type="radio"
+                          name="paymentMethod"
+                          value={method.id}
+                          checked={paymentMethod === method.id}
+                          onChange={() => setPaymentMethod(method.id)}
+                          className="w-4 h-4 text-primary-600 mr-3"
+                        />
+                        <ApperIcon name={method.icon} className="w-5 h-5 text-gray-600 mr-3" />
+                        <div>
+                          <p className="font-medium text-gray-900">{method.label}</p>
+                          <p className="text-sm text-gray-600">{method.description}</p>
+                        </div>
+                      </label>
+                    ))}
+                  </div>
+                  {features.giftWrapping && (
+                    <div className="flex items-center space-x-2 pt-2">
+                      <input
+                        type="checkbox"
+                        id="checkoutGiftWrapping"
+                        checked={giftWrapping}
+                        onChange={(e) => setGiftWrapping(e.target.checked)}
+                        className="w-4 h-4 text-primary-600 border-gray-300 rounded focus:ring-primary-500"
+                      />
+                      <label htmlFor="checkoutGiftWrapping" className="text-sm text-gray-600 flex items-center">
+                        <ApperIcon name="Gift" className="w-4 h-4 mr-1" />
+                        Add gift wrapping
+                      </label>
+                    </div>
+                  )}
+                </div>
+              )}
+
+              {stepId === "review" && (
+                <div className="space-y-6">
+                  <h2 className="text-lg font-semibold text-gray-900">Review Your Order</h2>
+
+                  <div className="grid grid-cols-1 md:grid-cols-3 gap-4 text-sm">
+                    <div className="bg-gray-50 rounded-lg p-3">
+                      <div className="flex items-center justify-between mb-1">
+                        <p className="font-medium text-gray-900">Deliver to</p>
+                        <button onClick={() => setCurrentStep(0)} className="text-primary-600 text-xs">Edit</button>
+                      </div>
+                      <p className="text-gray-600">{address.fullName}</p>
+                      <p className="text-gray-600">{address.addressLine}, {address.city}</p>
+                      <p className="text-gray-600">{address.phone}</p>
+                    </div>
+                    <div className="bg-gray-50 rounded-lg p-3">
+                      <div className="flex items-center justify-between mb-1">
+                        <p className="font-medium text-gray-900">Delivery slot</p>
+                        <button onClick={() => setCurrentStep(1)} className="text-primary-600 text-xs">Edit</button>
+                      </div>
+                      <p className="text-gray-600">{selectedSlot?.dayLabel}</p>
+                      <p className="text-gray-600">{selectedSlot?.window}</p>
+                    </div>
+                    <div className="bg-gray-50 rounded-lg p-3">
+                      <div className="flex items-center justify-between mb-1">
+                        <p className="font-medium text-gray-900">Payment</p>
+                        <button onClick={() => setCurrentStep(2)} className="text-primary-600 text-xs">Edit</button>
+                      </div>
+                      <p className="text-gray-600">{PAYMENT_METHODS.find(m => m.id === paymentMethod)?.label}</p>
+                    </div>
+                  </div>
+
+                  <div className="divide-y divide-gray-100">
+                    {totals?.lines.map(line => (
+                      <div key={`${line.productId}-${line.variantId || "default"}`} className="flex items-center py-3">
+                        {line.image && (
+                          <img src={line.image} alt={line.title} className="w-12 h-12 rounded-lg object-cover mr-3" />
+                        )}
+                        <div className="flex-1 min-w-0">
+                          <p className="font-medium text-gray-900 truncate">{line.title}</p>
+                          <p className="text-sm text-gray-500">
+                            {line.variant ? `${line.variant.name} • ` : ""}Qty {line.quantity} × {formatPrice(line.price)}
+                          </p>
+                        </div>
+                        <span className="font-medium">{formatPrice(line.lineTotal)}</span>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              )}
+
+              <div className="flex justify-between mt-8 pt-6 border-t border-gray-200">
+                <Button variant="outline" onClick={handleBack} disabled={placingOrder}>
+                  <ApperIcon name="ArrowLeft" className="w-4 h-4 mr-2" />
+                  {currentStep === 0 ? "Back to Cart" : "Back"}
+                </Button>
+                {stepId === "review" ? (
+                  <Button
+                    onClick={handlePlaceOrder}
+                    loading={placingOrder}
+                    disabled={placingOrder || !totals || !!totalsError}
+                  >
+                    <ApperIcon name="Lock" className="w-4 h-4 mr-2" />
+                    Place Order{totals ? ` • ${formatPrice(totals.total)}` : ""}
+                  </Button>
+                ) : (
+                  <Button onClick={handleNext} loading={holdingStock} disabled={holdingStock}>
+                    Continue
+                    <ApperIcon name="ArrowRight" className="w-4 h-4 ml-2" />
+                  </Button>
+                )}
+              </div>
+            </Card>
+          </div>
+
+          {/* Order summary */}
+          <div className="lg:col-span-1">
+            <Card className="p-6 sticky top-24">
+              <h2 className="text-lg font-semibold text-gray-900 mb-4">Order Summary</h2>
+              {totalsError ? (
+                <div className="p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">
+                  {totalsError}
+                </div>
+              ) : !totals ? (
+                <p className="text-gray-600 text-sm">Calculating totals...</p>
+              ) : (
+                <div className="space-y-3">
+                  <div className="flex justify-between">
+                    <span className="text-gray-600">Subtotal ({totals.itemCount} items)</span>
+                    <span className="font-medium">{formatPrice(totals.subtotal)}</span>
+                  </div>
+                  <div className="flex justify-between">
+                    <span className="text-gray-600">Shipping</span>
+                    <span className="font-medium">
+                      {totals.shippingCost - totals.shippingDiscount === 0 ? (
+                        <span className="text-green-600 font-semibold">FREE</span>
+                      ) : (
+                        formatPrice(totals.shippingCost - totals.shippingDiscount)
+                      )}
+                    </span>
+                  </div>
+                  {totals.giftWrappingCost > 0 && (
+                    <div className="flex justify-between">
+                      <span className="text-gray-600">Gift Wrapping</span>
+                      <span className="font-medium">{formatPrice(totals.giftWrappingCost)}</span>
+                    </div>
+                  )}
+                  {totals.promotions.map(promotion => (
+                    <div key={promotion.code} className="flex justify-between text-green-600">
+                      <span>Promo ({promotion.code})</span>
+                      <span>{promotion.type === "free_shipping" ? "Free shipping" : `-${formatPrice(promotion.amount)}`}</span>
+                    </div>
+                  ))}
+                  {totals.tax.amount > 0 && (
+                    <div className="flex justify-between text-sm">
+                      <span className="text-gray-600">{totals.tax.inclusive ? `Includes ${totals.tax.label}` : totals.tax.label}</span>
+                      <span className="font-medium">{formatPrice(totals.tax.amount)}</span>
+                    </div>
+                  )}
+                  <hr className="border-gray-200" />
+                  <div className="flex justify-between text-xl font-bold">
+                    <span>Total</span>
+                    <span className="price-highlight">{formatPrice(totals.total)}</span>
+                  </div>
+                </div>
+              )}
+            </Card>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Checkout;
@@ -0,0 +1,431 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useNavigate, useParams } from 'react-router-dom';
+import { useToast } from '@/hooks/useToast';
+import { useAuth } from '@/hooks/useAuth';
+import ApperIcon from '@/components/ApperIcon';
+import Button from '@/components/atoms/Button';
+import Badge from '@/components/atoms/Badge';
+import Card from '@/components/atoms/Card';
+import Loading from '@/components/ui/Loading';
+import Error from '@/components/ui/Error';
+import AddressBook from '@/components/molecules/AddressBook';
+import { formatPrice } from '@/utils/currency';
+import { cn } from '@/utils/cn';
+import { CustomerService } from '@/services/api/CustomerService';
+
+const getStatusColor = (status) => {
+  switch (status) {
+    case 'pending': return 'bg-yellow-100 text-yellow-800';
+    case 'confirmed': return 'bg-indigo-100 text-indigo-800';
+    case 'processing': return 'bg-blue-100 text-blue-800';
+    case 'shipped': return 'bg-purple-100 text-purple-800';
+    case 'delivered': return 'bg-green-100 text-green-800';
+    case 'cancelled': return 'bg-red-100 text-red-800';
+    case 'returned': return 'bg-orange-100 text-orange-800';
+    case 'refunded': return 'bg-gray-200 text-gray-800';
+    default: return 'bg-gray-100 text-gray-800';
+  }
+};
+
+const CustomerDetail = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const { showToast } = useToast();
+  const { user: currentUser } = useAuth();
+  const [customer, setCustomer] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [loadError, setLoadError] = useState(null);
+  const [actionLoading, setActionLoading] = useState(false);
+
+  const [showEditModal, setShowEditModal] = useState(false);
+  const [profileForm, setProfileForm] = useState({ name: '', email: '', phone: '' });
+  const [noteText, setNoteText] = useState('');
+  const [showBlockModal, setShowBlockModal] = useState(false);
+  const [blockReason, setBlockReason] = useState('');
+
+  useEffect(() => {
+    const loadCustomer = async () => {
+      setLoading(true);
+      setLoadError(null);
+      try {
+        setCustomer(await CustomerService.getById(id));
+      } catch (error) {
+        console.error('Error loading customer:', error);
+        setLoadError(error.message || 'Failed to load customer');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadCustomer();
+  }, [id]);
+
+  // Mutations return the bare record; keep the order history and totals from the last load
+  const mergeCustomer = (updated) => setCustomer(prev => ({ ...prev, ...updated }));
+
+  const openEditModal = () => {
+    setProfileForm({ name: customer.name, email: customer.email, phone: customer.phone });
+    setShowEditModal(true);
+  };
+
+  const handleSaveProfile = async () => {
+    try {
+      setActionLoading(true);
+      mergeCustomer(await CustomerService.update(customer.Id, profileForm));
+      setShowEditModal(false);
+      showToast('Customer profile updated', 'success');
+    } catch (error) {
+      console.error('Error updating customer:', error);
+      showToast(error.message || 'Failed to update customer', 'error');
+    } finally {
+      setActionLoading(false);
+    }
+  };
+
+  const handleAddressesChange = async (addresses) => {
+    try {
+      setActionLoading(true);
+      mergeCustomer(await CustomerService.update(customer.Id, { addresses }));
+      showToast('Addresses updated', 'success');
+      return true;
+    } catch (error) {
+      console.error('Error updating addresses:', error);
+      showToast(error.message || 'Failed to update addresses', 'error');
+      return false;
+    } finally {
+      setActionLoading(false);
+    }
+  };
+
+  const handleAddNote = async () => {
+    try {
+      setActionLoading(true);
+      mergeCustomer(await CustomerService.addNote(customer.Id, noteText, { author: currentUser.email }));
+      setNoteText('');
+    } catch (error) {
+      console.error('Error adding note:', error);
+      showToast(error.message || 'Failed to add note', 'error');
+    } finally {
+      setActionLoading(false);
+    }
+  };
+
+  const handleDeleteNote = async (noteId) => {
+    if (!confirm('Delete this note?')) return;
+
+    try {
+      setActionLoading(true);
+      mergeCustomer(await CustomerService.deleteNote(customer.Id, noteId));
+    } catch (error) {
+      console.error('Error deleting note:', error);
+      showToast(error.message || 'Failed to delete note', 'error');
+    } finally {
+      setActionLoading(false);
+    }
+  };
+
+  const handleSetBlocked = async (blocked) => {
+    if (!blocked && !confirm(`Unblock ${customer.name}? They will be able to sign in and order again.`)) return;
+
+    try {
+      setActionLoading(true);
+      mergeCustomer(await CustomerService.setBlocked(customer.Id, blocked, blockReason));
+      setShowBlockModal(false);
+      setBlockReason('');
+      showToast(blocked ? `${customer.name} has been blocked` : `${customer.name} has been unblocked`, blocked ? 'warning' : 'success');
+    } catch (error) {
+      console.error('Error updating block status:', error);
+      showToast(error.message || 'Failed to update customer', 'error');
+    } finally {
+      setActionLoading(false);
+    }
+  };
+
+  if (loading) return <Loading />;
+
+  if (loadError) {
+    return (
+      <div className="p-6">
+        <Error
+          title="Customer not found"
+          message={loadError}
+          showRetry={false}
+          showGoBack={true}
+          onGoBack={() => navigate('/admin/customers')}
+        />
+      </div>
+    );
+  }
+
+  return (
+    <div className="p-6">
+      <div className="mb-6">
+        <Link to="/admin/customers" className="inline-flex items-center text-sm text-gray-600 hover:text-primary-600 mb-3">
+          <ApperIcon name="ArrowLeft" className="w-4 h-4 mr-1" />
+          All customers
+        </Link>
+        <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-4">
+          <div>
+            <div className="flex items-center space-x-3">
+              <h2 className="text-2xl font-display font-bold text-gray-900">{customer.name}</h2>
+              <Badge className={customer.registered ? 'text-xs bg-blue-100 text-blue-800' : 'text-xs bg-gray-100 text-gray-700'}>
+                {customer.registered ? 'REGISTERED' : 'GUEST'}
+              </Badge>
+              {customer.blocked && (
+                <Badge className="text-xs bg-red-100 text-red-800">BLOCKED</Badge>
+              )}
+            </div>
+            <p className="text-gray-600">
+              Customer since {new Date(customer.createdAt).toLocaleDateString()}
+              {customer.lastLogin && ` • Last sign-in ${new Date(customer.lastLogin).toLocaleString()}`}
+            </p>
+          </div>
+          <div className="flex items-center space-x-2">
+            <Button variant="outline" onClick={openEditModal} disabled={actionLoading}>
+              <ApperIcon name="Edit2" className="w-4 h-4 mr-2" />
+              Edit Profile
+            </Button>
+            {customer.blocked ? (
+              <Button variant="outline" onClick={() => handleSetBlocked(false)} disabled={actionLoading}>
+                <ApperIcon name="Unlock" className="w-4 h-4 mr-2" />
+                Unblock
+              </Button>
+            ) : (
+              <Button
+                onClick={() => setShowBlockModal(true)}
+                disabled={actionLoading}
+                className="bg-red-600 hover:bg-red-700 text-white"
+              >
+                <ApperIcon name="Ban" className="w-4 h-4 mr-2" />
+                Block
+              </Button>
+            )}
+          </div>
+        </div>
+      </div>
+
+      {customer.blocked && (
+        <div className="flex items-start p-4 mb-6 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">
+          <ApperIcon name="AlertTriangle" className="w-4 h-4 mr-2 mt-0.5 flex-shrink-0" />
+          <div>
+            Blocked{customer.blockedAt && ` on ${new Date(customer.blockedAt).toLocaleDateString()}`}: {customer.blockedReason || 'No reason recorded'}.
+            This customer cannot sign in or place orders.
+          </div>
+        </div>
+      )}
+
+      {/* Summary Stats */}
+      <div className="grid grid-cols-1 md:grid-cols-4 gap-4 mb-6">
+        <Card className="p-4">
+          <div className="text-2xl font-bold text-gray-900">{customer.orderCount}</div>
+          <div className="text-sm text-gray-600">Orders</div>
+        </Card>
+        <Card className="p-4">
+          <div className="text-2xl font-bold text-green-600">{formatPrice(customer.lifetimeValue)}</div>
+          <div className="text-sm text-gray-600">Lifetime Value</div>
+        </Card>
+        <Card className="p-4">
+          <div className="text-2xl font-bold text-blue-600">{formatPrice(customer.averageOrderValue)}</div>
+          <div className="text-sm text-gray-600">Average Order</div>
+        </Card>
+        <Card className="p-4">
+          <div className="text-2xl font-bold text-purple-600">
+            {customer.lastOrderDate ? new Date(customer.lastOrderDate).toLocaleDateString() : '—'}
+          </div>
+          <div className="text-sm text-gray-600">Last Order</div>
+        </Card>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        <div className="lg:col-span-2 space-y-6">
+          {/* Order History */}
+          <Card className="p-6">
+            <h3 className="text-lg font-semibold text-gray-900 mb-4">Order History</h3>
+            {customer.orders.length === 0 ? (
+              <p className="text-sm text-gray-500">This customer has not placed any orders yet.</p>
+            ) : (
+              <div className="border rounded-lg overflow-hidden">
+                <table className="w-full">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="px-4 py-2 text-left text-sm font-medium text-gray-700">Order</th>
+                      <th className="px-4 py-2 text-left text-sm font-medium text-gray-700">Date</th>
+                      <th className="px-4 py-2 text-left text-sm font-medium text-gray-700">Status</th>
+                      <th className="px-4 py-2 text-center text-sm font-medium text-gray-700">Items</th>
+                      <th className="px-4 py-2 text-right text-sm font-medium text-gray-700">Total</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {customer.orders.map(order => (
+                      <tr key={order.Id} className="border-t">
+                        <td className="px-4 py-2 text-sm font-medium text-gray-900">{order.orderNumber}</td>
+                        <td className="px-4 py-2 text-sm text-gray-600">{new Date(order.orderDate).toLocaleDateString()}</td>
+                        <td className="px-4 py-2 text-sm">
+                          <Badge className={cn('text-xs', getStatusColor(order.status))}>
+                            {order.status.toUpperCase()}
+                          </Badge>
+                        </td>
+                        <td className="px-4 py-2 text-sm text-center">
+                          {order.items.reduce((sum, item) => sum + item.quantity, 0)}
+                        </td>
+                        <td className="px-4 py-2 text-sm text-right">
+                          {formatPrice(order.total)}
+                          {order.refundedAmount > 0 && (
+                            <div className="text-xs text-orange-600">-{formatPrice(order.refundedAmount)} refunded</div>
+                          )}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </Card>
+
+          {/* Internal Notes */}
+          <Card className="p-6">
+            <h3 className="text-lg font-semibold text-gray-900 mb-1">Internal Notes</h3>
+            <p className="text-sm text-gray-500 mb-4">Only visible to staff</p>
+            <div className="flex gap-2 mb-4">
+              <textarea
+                value={noteText}
+                onChange={(e) => setNoteText(e.target.value)}
+                rows={2}
+                placeholder="Add a note about this customer..."
+                className="flex-1 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500"
+              />
+              <Button onClick={handleAddNote} disabled={actionLoading || !noteText.trim()}>
+                Add
+              </Button>
+            </div>
+            {customer.notes.length === 0 ? (
+              <p className="text-sm text-gray-500">No notes yet.</p>
+            ) : (
+              <div className="space-y-3">
+                {customer.notes.map(note => (
+                  <div key={note.id} className="flex items-start justify-between p-3 bg-gray-50 rounded-lg">
+                    <div className="text-sm">
+                      <p className="text-gray-800 whitespace-pre-line">{note.text}</p>
+                      <p className="text-xs text-gray-500 mt-1">
+                        {note.author} • {new Date(note.createdAt).toLocaleString()}
+                      </p>
+                    </div>
+                    <Button
+                      variant="ghost"
+                      size="sm"
+                      onClick={() => handleDeleteNote(note.id)}
+                      disabled={actionLoading}
+                      className="text-gray-400 hover:text-red-600 p-1"
+                      aria-label="Delete note"
+                    >
+                      <ApperIcon name="X" className="w-4 h-4" />
+                    </Button>
+                  </div>
+                ))}
+              </div>
+            )}
+          </Card>
+        </div>
+
+        <div className="space-y-6">
+          {/* Contact */}
+          <Card className="p-6">
+            <h3 className="text-lg font-semibold text-gray-900 mb-4">Contact</h3>
+            <div className="space-y-2 text-sm">
+              <p className="flex items-center text-gray-700">
+                <ApperIcon name="Mail" className="w-4 h-4 mr-2 text-gray-400" />
+                {customer.email || 'No email'}
+              </p>
+              <p className="flex items-center text-gray-700">
+                <ApperIcon name="Phone" className="w-4 h-4 mr-2 text-gray-400" />
+                {customer.phone || 'No phone'}
+              </p>
+            </div>
+          </Card>
+
+          {/* Addresses */}
+          <Card className="p-6">
+            <h3 className="text-lg font-semibold text-gray-900 mb-4">Addresses</h3>
+            <AddressBook
+              addresses={customer.addresses}
+              onChange={handleAddressesChange}
+              disabled={actionLoading}
+            />
+          </Card>
+        </div>
+      </div>
+
+      {/* Edit Profile Modal */}
+      {showEditModal && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+          <Card className="w-full max-w-md">
+            <div className="p-6">
+              <h3 className="text-lg font-semibold mb-4">Edit Customer</h3>
+              <div className="space-y-4">
+                {[
+                  { field: 'name', label: 'Name', type: 'text' },
+                  { field: 'email', label: 'Email', type: 'email' },
+                  { field: 'phone', label: 'Phone', type: 'tel' }
+                ].map(({ field, label, type }) => (
+                  <div key={field}>
+                    <label htmlFor={`customer-${field}`} className="block text-sm font-medium text-gray-700 mb-1">{label}</label>
+                    <input
+                      id={`customer-${field}`}
+                      type={type}
+                      value={profileForm[field]}
+                      onChange={(e) => setProfileForm(prev => ({ ...prev, [field]: e.target.value }))}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500"
+                    />
+                  </div>
+                ))}
+              </div>
+              <div className="flex justify-end space-x-3 mt-6">
+                <Button variant="ghost" onClick={() => setShowEditModal(false)} disabled={actionLoading}>
+                  Cancel
+                </Button>
+                <Button onClick={handleSaveProfile} disabled={actionLoading}>
+                  {actionLoading ? 'Saving...' : 'Save Changes'}
+                </Button>
+              </div>
+            </div>
+          </Card>
+        </div>
+      )}
+
+      {/* Block Modal */}
+      {showBlockModal && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+          <Card className="w-full max-w-md">
+            <div className="p-6">
+              <h3 className="text-lg font-semibold mb-2">Block {customer.name}?</h3>
+              <p className="text-sm text-gray-600 mb-4">
+                Blocked customers are signed out and cannot sign in or place new orders. Existing orders are not affected.
+              </p>
+              <textarea
+                value={blockReason}
+                onChange={(e) => setBlockReason(e.target.value)}
+                rows={3}
+                placeholder="Reason (required)"
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500"
+              />
+              <div className="flex justify-end space-x-3 mt-6">
+                <Button variant="ghost" onClick={() => setShowBlockModal(false)} disabled={actionLoading}>
+                  Cancel
+                </Button>
+                <Button
+                  onClick={() => handleSetBlocked(true)}
+                  disabled={actionLoading || !blockReason.trim()}
+                  className="bg-red-600 hover:bg-red-700 text-white"
+                >
+                  Block Customer
+                </Button>
+              </div>
+            </div>
+          </Card>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CustomerDetail;
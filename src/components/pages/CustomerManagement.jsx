@@ -0,0 +1,185 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { motion, AnimatePresence } from 'framer-motion';
+import { useToast } from '@/hooks/useToast';
+import ApperIcon from '@/components/ApperIcon';
+import Button from '@/components/atoms/Button';
+import Input from '@/components/atoms/Input';
+import Badge from '@/components/atoms/Badge';
+import Card from '@/components/atoms/Card';
+import Loading from '@/components/ui/Loading';
+import Empty from '@/components/ui/Empty';
+import { formatPrice } from '@/utils/currency';
+import { CustomerService } from '@/services/api/CustomerService';
+
+const CustomerManagement = () => {
+  const { showToast } = useToast();
+  const [customers, setCustomers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [searchQuery, setSearchQuery] = useState('');
+  const [statusFilter, setStatusFilter] = useState('all');
+  const [sortBy, setSortBy] = useState('recent');
+
+  // Search runs in the service so name, email and phone are matched the same way everywhere
+  useEffect(() => {
+    let cancelled = false;
+    const loadCustomers = async () => {
+      try {
+        const result = await CustomerService.getAll({ search: searchQuery, status: statusFilter, sortBy });
+        if (!cancelled) setCustomers(result);
+      } catch (error) {
+        console.error('Error loading customers:', error);
+        if (!cancelled) showToast(error.message || 'Failed to load customers', 'error');
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    loadCustomers();
+    return () => { cancelled = true; };
+  }, [searchQuery, statusFilter, sortBy, showToast]);
+
+  if (loading) return <Loading />;
+
+  const registeredCount = customers.filter(customer => customer.registered).length;
+  const blockedCount = customers.filter(customer => customer.blocked).length;
+  const totalValue = customers.reduce((sum, customer) => sum + customer.lifetimeValue, 0);
+
+  return (
+    <div className="p-6">
+      <div className="mb-6">
+        <h2 className="text-2xl font-display font-bold text-gray-900">
+          Customer Management
+        </h2>
+        <p className="text-gray-600">
+          Customer profiles, order history and lifetime value
+        </p>
+      </div>
+
+      {/* Summary Stats */}
+      <div className="grid grid-cols-1 md:grid-cols-4 gap-4 mb-6">
+        <Card className="p-4">
+          <div className="text-2xl font-bold text-gray-900">{customers.length}</div>
+          <div className="text-sm text-gray-600">Customers</div>
+        </Card>
+        <Card className="p-4">
+          <div className="text-2xl font-bold text-blue-600">{registeredCount}</div>
+          <div className="text-sm text-gray-600">Registered Accounts</div>
+        </Card>
+        <Card className="p-4">
+          <div className="text-2xl font-bold text-red-600">{blockedCount}</div>
+          <div className="text-sm text-gray-600">Blocked</div>
+        </Card>
+        <Card className="p-4">
+          <div className="text-2xl font-bold text-green-600">{formatPrice(totalValue)}</div>
+          <div className="text-sm text-gray-600">Lifetime Value</div>
+        </Card>
+      </div>
+
+      {/* Filters */}
+      <Card className="p-4 mb-6">
+        <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+          <Input
+            placeholder="Search name, email or phone..."
+            value={searchQuery}
+            onChange={(e) => setSearchQuery(e.target.value)}
+          />
+
+          <select
+            value={statusFilter}
+            onChange={(e) => setStatusFilter(e.target.value)}
+            className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500"
+          >
+            <option value="all">All Customers</option>
+            <option value="active">Active</option>
+            <option value="blocked">Blocked</option>
+          </select>
+
+          <select
+            value={sortBy}
+            onChange={(e) => setSortBy(e.target.value)}
+            className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500"
+          >
+            <option value="recent">Most Recent Order</option>
+            <option value="lifetimeValue">Highest Lifetime Value</option>
+            <option value="orders">Most Orders</option>
+            <option value="name">Name (A-Z)</option>
+          </select>
+
+          <Button
+            variant="outline"
+            onClick={() => {
+              setSearchQuery('');
+              setStatusFilter('all');
+              setSortBy('recent');
+            }}
+          >
+            <ApperIcon name="RotateCcw" className="w-4 h-4 mr-2" />
+            Clear Filters
+          </Button>
+        </div>
+      </Card>
+
+      {/* Customers List */}
+      {customers.length === 0 ? (
+        <Empty
+          title="No customers found"
+          message="No customers match your current filters"
+          icon="Users"
+        />
+      ) : (
+        <div className="space-y-4">
+          <AnimatePresence>
+            {customers.map((customer) => (
+              <motion.div
+                key={customer.Id}
+                initial={{ opacity: 0, y: 20 }}
+                animate={{ opacity: 1, y: 0 }}
+                exit={{ opacity: 0, y: -20 }}
+              >
+                <Card className="p-6">
+                  <div className="flex flex-col lg:flex-row lg:items-center justify-between gap-4">
+                    <div className="flex-1">
+                      <div className="flex items-center space-x-3 mb-2">
+                        <h3 className="font-semibold text-gray-900">{customer.name}</h3>
+                        <Badge className={customer.registered ? 'text-xs bg-blue-100 text-blue-800' : 'text-xs bg-gray-100 text-gray-700'}>
+                          {customer.registered ? 'REGISTERED' : 'GUEST'}
+                        </Badge>
+                        {customer.blocked && (
+                          <Badge className="text-xs bg-red-100 text-red-800">BLOCKED</Badge>
+                        )}
+                      </div>
+                      <p className="text-gray-600 text-sm mb-1">
+                        {customer.email || 'No email'} • {customer.phone || 'No phone'}
+                      </p>
+                      <p className="text-gray-500 text-xs">
+                        {customer.orderCount} order{customer.orderCount === 1 ? '' : 's'}
+                        {customer.lastOrderDate && ` • Last order ${new Date(customer.lastOrderDate).toLocaleDateString()}`}
+                        {` • Customer since ${new Date(customer.createdAt).toLocaleDateString()}`}
+                      </p>
+                    </div>
+
+                    <div className="flex items-center space-x-6">
+                      <div className="text-right">
+                        <div className="font-semibold text-gray-900">{formatPrice(customer.lifetimeValue)}</div>
+                        <div className="text-xs text-gray-500">Lifetime value</div>
+                      </div>
+                      <Link to={`/admin/customers/${customer.Id}`}>
+                        <Button variant="outline" size="sm">
+                          <ApperIcon name="Eye" className="w-4 h-4 mr-2" />
+                          View
+                        </Button>
+                      </Link>
+                    </div>
+                  </div>
+                </Card>
+              </motion.div>
+            ))}
+          </AnimatePresence>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CustomerManagement;
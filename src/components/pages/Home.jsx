@@ -30,10 +30,11 @@ const loadData = async () => {
       setLoading(true);
 
       // Import cache manager for cache-aware loading
-      let cacheManager;
+      let cacheManager, CACHE_EXPIRY;
       try {
-        const { default: cm } = await import('@/utils/cacheManager');
+        const { default: cm, CACHE_EXPIRY: expiry } = await import('@/utils/cacheManager');
         cacheManager = cm;
+        CACHE_EXPIRY = expiry;
       } catch (importError) {
         console.warn('Cache manager not available, using direct API calls');
       }
@@ -65,7 +66,7 @@ const loadData = async () => {
         } else {
           promises.push(CategoryService.getAll().then(data => {
             categoriesData = data;
-            cacheManager.set('categories', data, 10 * 60 * 1000); // 10 minutes
+            cacheManager.set('categories', data, CACHE_EXPIRY.CATEGORIES);
             return data;
           }));
         }
@@ -76,7 +77,7 @@ const loadData = async () => {
         } else {
           promises.push(ProductService.getAll().then(data => {
             productsData = data;
-            cacheManager.set('homepage_products', data, 5 * 60 * 1000); // 5 minutes
+            cacheManager.set('homepage_products', data, CACHE_EXPIRY.PRODUCTS);
             return data;
           }));
         }
@@ -87,7 +88,7 @@ const loadData = async () => {
         } else {
           promises.push(ProductService.getTrendingByLocation(location).then(data => {
             trendingData = data;
-            cacheManager.set('trending_products', data, 5 * 60 * 1000);
+            cacheManager.set('trending_products', data, CACHE_EXPIRY.PRODUCTS);
             return data;
           }));
         }
@@ -98,7 +99,7 @@ const loadData = async () => {
         } else {
           promises.push(ProductService.getFeaturedProducts().then(data => {
             featuredData = data;
-            cacheManager.set('featured_products', data, 15 * 60 * 1000); // 15 minutes
+            cacheManager.set('featured_products', data, CACHE_EXPIRY.FEATURED);
             return data;
           }));
         }
@@ -109,7 +110,7 @@ const loadData = async () => {
         } else {
           promises.push(RecipeBundleService.getFeatured(6).then(data => {
             recipeBundlesData = data;
-            cacheManager.set('recipe_bundles', data, 10 * 60 * 1000); // 10 minutes
+            cacheManager.set('recipe_bundles', data, CACHE_EXPIRY.CATEGORIES);
             return data;
           }));
         }
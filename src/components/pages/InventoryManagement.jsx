@@ -0,0 +1,615 @@
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import { motion } from 'framer-motion';
+import { format } from 'date-fns';
+import { useToast } from '@/hooks/useToast';
+import { useAuth } from '@/hooks/useAuth';
+import ApperIcon from '@/components/ApperIcon';
+import Button from '@/components/atoms/Button';
+import Card from '@/components/atoms/Card';
+import Badge from '@/components/atoms/Badge';
+import StockIndicator from '@/components/molecules/StockIndicator';
+import Loading from '@/components/ui/Loading';
+import Empty from '@/components/ui/Empty';
+import { cn } from '@/utils/cn';
+import ProductService, { STOCK_MOVEMENT_REASONS } from '@/services/api/ProductService';
+import { InventoryService } from '@/services/api/InventoryService';
+
+const REASON_COLORS = {
+  received: 'bg-green-100 text-green-800',
+  sold: 'bg-blue-100 text-blue-800',
+  returned: 'bg-purple-100 text-purple-800',
+  damaged: 'bg-red-100 text-red-800',
+  corrected: 'bg-yellow-100 text-yellow-800'
+};
+
+const InventoryManagement = () => {
+  const { showToast } = useToast();
+  const [activeTab, setActiveTab] = useState('stock');
+  const [products, setProducts] = useState([]);
+  const [movements, setMovements] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [actionLoading, setActionLoading] = useState(false);
+
+  // Stock filters and selection
+  const [searchTerm, setSearchTerm] = useState('');
+  const [statusFilter, setStatusFilter] = useState('all');
+  const [categoryFilter, setCategoryFilter] = useState('all');
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [thresholdDrafts, setThresholdDrafts] = useState({});
+
+  // Ledger filters
+  const [ledgerProduct, setLedgerProduct] = useState('');
+  const [ledgerReason, setLedgerReason] = useState('');
+  const [ledgerFrom, setLedgerFrom] = useState('');
+  const [ledgerTo, setLedgerTo] = useState('');
+
+  // Adjustment modal
+  const [showAdjustModal, setShowAdjustModal] = useState(false);
+  const [adjustReason, setAdjustReason] = useState('received');
+  const [adjustQuantities, setAdjustQuantities] = useState({});
+  const [adjustReference, setAdjustReference] = useState('');
+  const [adjustNote, setAdjustNote] = useState('');
+
+  const { user: currentUser } = useAuth();
+
+  const loadStock = useCallback(async () => {
+    try {
+      const data = await InventoryService.getStockOverview();
+      setProducts(data);
+    } catch (error) {
+      console.error('Error loading inventory:', error);
+      showToast('Failed to load inventory', 'error');
+    } finally {
+      setLoading(false);
+    }
+  }, [showToast]);
+
+  const loadMovements = useCallback(async () => {
+    try {
+      const data = await ProductService.getStockMovements({
+        productId: ledgerProduct || undefined,
+        reason: ledgerReason || undefined,
+        from: ledgerFrom ? `${ledgerFrom}T00:00:00` : undefined,
+        to: ledgerTo ? `${ledgerTo}T23:59:59` : undefined
+      });
+      setMovements(data);
+    } catch (error) {
+      console.error('Error loading stock movements:', error);
+      showToast('Failed to load stock movements', 'error');
+    }
+  }, [ledgerProduct, ledgerReason, ledgerFrom, ledgerTo, showToast]);
+
+  useEffect(() => {
+    loadStock();
+  }, [loadStock]);
+
+  useEffect(() => {
+    if (activeTab === 'ledger') loadMovements();
+  }, [activeTab, loadMovements]);
+
+  const categories = useMemo(
+    () => [...new Set(products.map(p => p.category).filter(Boolean))].sort(),
+    [products]
+  );
+
+  const filteredProducts = useMemo(() => {
+    const term = searchTerm.trim().toLowerCase();
+    return products
+      .filter(p => !term || p.title?.toLowerCase().includes(term) || p.sku?.toLowerCase().includes(term))
+      .filter(p => statusFilter === 'all' || p.stockStatus === statusFilter)
+      .filter(p => categoryFilter === 'all' || p.category === categoryFilter)
+      .sort((a, b) => a.stock - b.stock);
+  }, [products, searchTerm, statusFilter, categoryFilter]);
+
+  const stats = useMemo(() => ({
+    totalProducts: products.length,
+    totalUnits: products.reduce((sum, p) => sum + p.stock, 0),
+    lowStock: products.filter(p => p.stockStatus === 'low_stock').length,
+    outOfStock: products.filter(p => p.stockStatus === 'out_of_stock').length
+  }), [products]);
+
+  const toggleSelected = (id) => {
+    setSelectedIds(prev => prev.includes(id) ? prev.filter(x => x !== id) : [...prev, id]);
+  };
+
+  const toggleSelectAll = () => {
+    const visibleIds = filteredProducts.map(p => p.Id);
+    const allSelected = visibleIds.every(id => selectedIds.includes(id));
+    setSelectedIds(allSelected ? selectedIds.filter(id => !visibleIds.includes(id)) : [...new Set([...selectedIds, ...visibleIds])]);
+  };
+
+  const openAdjustModal = (ids) => {
+    if (ids.length === 0) {
+      showToast('Select at least one product to adjust', 'warning');
+      return;
+    }
+    setAdjustQuantities(Object.fromEntries(
+      products
+        .filter(p => ids.includes(p.Id))
+        .flatMap(p => getAdjustLines(p))
+        .map(line => [line.key, ''])
+    ));
+    setAdjustReason('received');
+    setAdjustReference('');
+    setAdjustNote('');
+    setShowAdjustModal(true);
+  };
+
+  // Products with variants are adjusted per variant, so each variant gets its own quantity line
+  const getAdjustLines = (product) =>
+    product.variants?.length
+      ? product.variants.map(variant => ({
+          key: `${product.Id}:${variant.id}`,
+          productId: product.Id,
+          variantId: variant.id,
+          label: variant.name,
+          stock: variant.stock
+        }))
+      : [{ key: `${product.Id}`, productId: product.Id, variantId: null, label: null, stock: product.stock }];
+
+  // Quantities are entered as positive numbers; the reason decides the sign, except corrections
+  const signedDelta = (value) => {
+    const quantity = parseInt(value);
+    if (isNaN(quantity)) return 0;
+    const direction = STOCK_MOVEMENT_REASONS[adjustReason].direction;
+    if (direction === 'out') return -Math.abs(quantity);
+    if (direction === 'in') return Math.abs(quantity);
+    return quantity;
+  };
+
+  const handleApplyAdjustment = async () => {
+    const adjustments = products
+      .flatMap(product => getAdjustLines(product))
+      .filter(line => adjustQuantities[line.key] !== undefined)
+      .map(line => ({ productId: line.productId, variantId: line.variantId, delta: signedDelta(adjustQuantities[line.key]) }));
+
+    if (adjustReason === 'corrected' && !adjustNote.trim()) {
+      showToast('Add a note explaining the correction', 'warning');
+      return;
+    }
+
+    try {
+      setActionLoading(true);
+      const updated = await InventoryService.bulkAdjust(adjustments, {
+        reason: adjustReason,
+        reference: adjustReference.trim() || null,
+        note: adjustNote,
+        user: currentUser.name
+      });
+      showToast(`Stock updated for ${new Set(updated.map(p => p.Id)).size} product(s)`, 'success');
+      setShowAdjustModal(false);
+      setSelectedIds([]);
+      await loadStock();
+      if (activeTab === 'ledger') await loadMovements();
+    } catch (error) {
+      console.error('Error adjusting stock:', error);
+      showToast(error.message || 'Failed to adjust stock', 'error');
+    } finally {
+      setActionLoading(false);
+    }
+  };
+
+  const handleThresholdSave = async (product) => {
+    const draft = thresholdDrafts[product.Id];
+    if (draft === undefined || parseInt(draft) === product.lowStockThreshold) return;
+
+    try {
+      await ProductService.setLowStockThreshold(product.Id, draft, { user: currentUser.name });
+      setThresholdDrafts(prev => {
+        const next = { ...prev };
+        delete next[product.Id];
+        return next;
+      });
+      showToast(`Low stock threshold for ${product.title} set to ${parseInt(draft)}`, 'success');
+      await loadStock();
+    } catch (error) {
+      console.error('Error updating threshold:', error);
+      showToast(error.message || 'Failed to update threshold', 'error');
+    }
+  };
+
+  if (loading) return <Loading />;
+
+  const adjustingProducts = products.filter(p => getAdjustLines(p).some(line => adjustQuantities[line.key] !== undefined));
+  const visibleAllSelected = filteredProducts.length > 0 && filteredProducts.every(p => selectedIds.includes(p.Id));
+
+  return (
+    <div className="p-6">
+      <div className="mb-6">
+        <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-4">
+          <div>
+            <h2 className="text-2xl font-display font-bold text-gray-900">
+              Inventory Management
+            </h2>
+            <p className="text-gray-600">Stock levels, adjustments and the movement ledger</p>
+          </div>
+          <Button onClick={() => openAdjustModal(selectedIds)} disabled={selectedIds.length === 0}>
+            <ApperIcon name="PackagePlus" className="w-4 h-4 mr-2" />
+            Adjust Stock{selectedIds.length > 0 && ` (${selectedIds.length})`}
+          </Button>
+        </div>
+      </div>
+
+      {/* Summary Stats */}
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-6">
+        <Card className="p-4">
+          <div className="text-2xl font-bold text-gray-900">{stats.totalProducts}</div>
+          <div className="text-sm text-gray-600">Products</div>
+        </Card>
+        <Card className="p-4">
+          <div className="text-2xl font-bold text-blue-600">{stats.totalUnits.toLocaleString()}</div>
+          <div className="text-sm text-gray-600">Units on Hand</div>
+        </Card>
+        <Card className="p-4 cursor-pointer" onClick={() => { setActiveTab('stock'); setStatusFilter('low_stock'); }}>
+          <div className="text-2xl font-bold text-orange-600">{stats.lowStock}</div>
+          <div className="text-sm text-gray-600">Low Stock</div>
+        </Card>
+        <Card className="p-4 cursor-pointer" onClick={() => { setActiveTab('stock'); setStatusFilter('out_of_stock'); }}>
+          <div className="text-2xl font-bold text-red-600">{stats.outOfStock}</div>
+          <div className="text-sm text-gray-600">Out of Stock</div>
+        </Card>
+      </div>
+
+      {/* Tabs */}
+      <div className="flex space-x-1 border-b border-gray-200 mb-6">
+        {[
+          { id: 'stock', label: 'Stock Levels', icon: 'Package' },
+          { id: 'ledger', label: 'Movement Ledger', icon: 'History' }
+        ].map(tab => (
+          <button
+            key={tab.id}
+            onClick={() => setActiveTab(tab.id)}
+            className={cn(
+              'flex items-center px-4 py-2 text-sm font-medium border-b-2 -mb-px transition-colors',
+              activeTab === tab.id
+                ? 'border-primary-500 text-primary-600'
+                : 'border-transparent text-gray-600 hover:text-gray-900'
+            )}
+          >
+            <ApperIcon name={tab.icon} className="w-4 h-4 mr-2" />
+            {tab.label}
+          </button>
+        ))}
+      </div>
+
+      {activeTab === 'stock' && (
+        <>
+          <Card className="p-4 mb-6">
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              <div className="relative">
+                <ApperIcon name="Search" className="absolute left-3 top-1/2 transform -translate-y-1/2 w-4 h-4 text-gray-400" />
+                <input
+                  type="text"
+                  placeholder="Search by name or SKU..."
+                  value={searchTerm}
+                  onChange={(e) => setSearchTerm(e.target.value)}
+                  className="w-full pl-10 pr-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                />
+              </div>
+              <select
+                value={statusFilter}
+                onChange={(e) => setStatusFilter(e.target.value)}
+                className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500"
+              >
+                <option value="all">All Stock Levels</option>
+                <option value="in_stock">In Stock</option>
+                <option value="low_stock">Low Stock</option>
+                <option value="out_of_stock">Out of Stock</option>
+              </select>
+              <select
+                value={categoryFilter}
+                onChange={(e) => setCategoryFilter(e.target.value)}
+                className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500"
+              >
+                <option value="all">All Categories</option>
+                {categories.map(category => (
+                  <option key={category} value={category}>{category}</option>
+                ))}
+              </select>
+            </div>
+          </Card>
+
+          {filteredProducts.length === 0 ? (
+            <Empty
+              title="No products found"
+              message="No products match the current filters"
+              actionText="Clear Filters"
+              onAction={() => { setSearchTerm(''); setStatusFilter('all'); setCategoryFilter('all'); }}
+              icon="Package"
+            />
+          ) : (
+            <motion.div initial={{ opacity: 0 }} animate={{ opacity: 1 }}>
+              <Card className="overflow-x-auto">
+                <table className="w-full">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="px-4 py-2 text-left">
+                        <input type="checkbox" checked={visibleAllSelected} onChange={toggleSelectAll} aria-label="Select all" />
+                      </th>
+                      <th className="px-4 py-2 text-left text-sm font-medium text-gray-700">Product</th>
+                      <th className="px-4 py-2 text-left text-sm font-medium text-gray-700">Status</th>
+                      <th className="px-4 py-2 text-right text-sm font-medium text-gray-700">On Hand</th>
+                      <th className="px-4 py-2 text-right text-sm font-medium text-gray-700">Reserved</th>
+                      <th className="px-4 py-2 text-right text-sm font-medium text-gray-700">Available</th>
+                      <th className="px-4 py-2 text-center text-sm font-medium text-gray-700">Low Stock At</th>
+                      <th className="px-4 py-2" />
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {filteredProducts.map(product => (
+                      <tr key={product.Id} className="border-t border-gray-200 hover:bg-gray-50">
+                        <td className="px-4 py-3">
+                          <input
+                            type="checkbox"
+                            checked={selectedIds.includes(product.Id)}
+                            onChange={() => toggleSelected(product.Id)}
+                            aria-label={`Select ${product.title}`}
+                          />
+                        </td>
+                        <td className="px-4 py-3">
+                          <div className="flex items-center space-x-3">
+                            <img src={product.images?.[0] || product.imageUrl} alt="" className="w-10 h-10 rounded object-cover" />
+                            <div>
+                              <p className="font-medium text-gray-900">{product.title}</p>
+                              <p className="text-xs text-gray-500">
+                                {product.sku || `#${product.Id}`} • {product.category}
+                                {product.variants.length > 0 && ` • ${product.variants.length} variants`}
+                              </p>
+                            </div>
+                          </div>
+                        </td>
+                        <td className="px-4 py-3">
+                          <StockIndicator stock={product.stock} lowStockThreshold={product.lowStockThreshold} size="xs" />
+                        </td>
+                        <td className="px-4 py-3 text-right font-medium">{product.stock}</td>
+                        <td className="px-4 py-3 text-right text-gray-600">{product.reserved}</td>
+                        <td className="px-4 py-3 text-right font-medium">{product.available}</td>
+                        <td className="px-4 py-3 text-center">
+                          <input
+                            type="number"
+                            min="0"
+                            value={thresholdDrafts[product.Id] ?? product.lowStockThreshold}
+                            onChange={(e) => setThresholdDrafts(prev => ({ ...prev, [product.Id]: e.target.value }))}
+                            onBlur={() => handleThresholdSave(product)}
+                            onKeyDown={(e) => e.key === 'Enter' && e.target.blur()}
+                            className="w-20 px-2 py-1 border border-gray-300 rounded text-center text-sm focus:ring-2 focus:ring-primary-500"
+                            aria-label={`Low stock threshold for ${product.title}`}
+                          />
+                        </td>
+                        <td className="px-4 py-3 text-right space-x-1 whitespace-nowrap">
+                          <Button variant="outline" size="sm" onClick={() => openAdjustModal([product.Id])}>
+                            Adjust
+                          </Button>
+                          <Button
+                            variant="ghost"
+                            size="sm"
+                            onClick={() => { setLedgerProduct(String(product.Id)); setActiveTab('ledger'); }}
+                            title="View movements"
+                          >
+                            <ApperIcon name="History" className="w-4 h-4" />
+                          </Button>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </Card>
+            </motion.div>
+          )}
+        </>
+      )}
+
+      {activeTab === 'ledger' && (
+        <>
+          <Card className="p-4 mb-6">
+            <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+              <select
+                value={ledgerProduct}
+                onChange={(e) => setLedgerProduct(e.target.value)}
+                className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500"
+              >
+                <option value="">All Products</option>
+                {products.map(product => (
+                  <option key={product.Id} value={product.Id}>{product.title}</option>
+                ))}
+              </select>
+              <select
+                value={ledgerReason}
+                onChange={(e) => setLedgerReason(e.target.value)}
+                className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500"
+              >
+                <option value="">All Reasons</option>
+                {Object.entries(STOCK_MOVEMENT_REASONS).map(([code, reason]) => (
+                  <option key={code} value={code}>{reason.label}</option>
+                ))}
+              </select>
+              <input
+                type="date"
+                value={ledgerFrom}
+                onChange={(e) => setLedgerFrom(e.target.value)}
+                className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500"
+                aria-label="From date"
+              />
+              <input
+                type="date"
+                value={ledgerTo}
+                onChange={(e) => setLedgerTo(e.target.value)}
+                className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500"
+                aria-label="To date"
+              />
+            </div>
+          </Card>
+
+          {movements.length === 0 ? (
+            <Empty
+              title="No stock movements"
+              message="Stock received, sold, returned, damaged or corrected will appear here"
+              actionText="Adjust Stock"
+              onAction={() => { setActiveTab('stock'); }}
+              icon="History"
+            />
+          ) : (
+            <motion.div initial={{ opacity: 0 }} animate={{ opacity: 1 }}>
+              <Card className="overflow-x-auto">
+                <table className="w-full">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="px-4 py-2 text-left text-sm font-medium text-gray-700">Date</th>
+                      <th className="px-4 py-2 text-left text-sm font-medium text-gray-700">Product</th>
+                      <th className="px-4 py-2 text-left text-sm font-medium text-gray-700">Reason</th>
+                      <th className="px-4 py-2 text-right text-sm font-medium text-gray-700">Change</th>
+                      <th className="px-4 py-2 text-right text-sm font-medium text-gray-700">Stock</th>
+                      <th className="px-4 py-2 text-left text-sm font-medium text-gray-700">Reference</th>
+                      <th className="px-4 py-2 text-left text-sm font-medium text-gray-700">By</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {movements.map(movement => (
+                      <tr key={movement.id} className="border-t border-gray-200">
+                        <td className="px-4 py-3 text-sm text-gray-600 whitespace-nowrap">
+                          {format(new Date(movement.timestamp), 'MMM dd, yyyy HH:mm')}
+                        </td>
+                        <td className="px-4 py-3 text-sm font-medium text-gray-900">
+                          {movement.productTitle}
+                          {movement.variantName && <span className="block text-xs font-normal text-gray-500">{movement.variantName}</span>}
+                        </td>
+                        <td className="px-4 py-3">
+                          <Badge className={cn('text-xs', REASON_COLORS[movement.reason] || 'bg-gray-100 text-gray-800')}>
+                            {STOCK_MOVEMENT_REASONS[movement.reason]?.label || movement.reason}
+                          </Badge>
+                        </td>
+                        <td className={cn(
+                          'px-4 py-3 text-right text-sm font-semibold',
+                          movement.delta > 0 ? 'text-green-600' : 'text-red-600'
+                        )}>
+                          {movement.delta > 0 ? `+${movement.delta}` : movement.delta}
+                        </td>
+                        <td className="px-4 py-3 text-right text-sm text-gray-600 whitespace-nowrap">
+                          {movement.previousStock} → {movement.newStock}
+                        </td>
+                        <td className="px-4 py-3 text-sm text-gray-600">
+                          {movement.reference || '—'}
+                          {movement.note && <p className="text-xs text-gray-500">{movement.note}</p>}
+                        </td>
+                        <td className="px-4 py-3 text-sm text-gray-600">{movement.user}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </Card>
+            </motion.div>
+          )}
+        </>
+      )}
+
+      {/* Stock Adjustment Modal */}
+      {showAdjustModal && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+          <Card className="w-full max-w-2xl max-h-[90vh] overflow-y-auto">
+            <div className="p-6">
+              <div className="flex justify-between items-center mb-6">
+                <h3 className="text-xl font-semibold">
+                  Adjust Stock ({adjustingProducts.length} product{adjustingProducts.length === 1 ? '' : 's'})
+                </h3>
+                <Button variant="ghost" onClick={() => setShowAdjustModal(false)}>
+                  <ApperIcon name="X" className="w-5 h-5" />
+                </Button>
+              </div>
+
+              <div className="space-y-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Reason</label>
+                  <div className="flex flex-wrap gap-2">
+                    {Object.entries(STOCK_MOVEMENT_REASONS).map(([code, reason]) => (
+                      <button
+                        key={code}
+                        onClick={() => setAdjustReason(code)}
+                        className={cn(
+                          'px-3 py-1.5 rounded-full text-sm border transition-colors',
+                          adjustReason === code
+                            ? 'bg-primary-500 text-white border-primary-500'
+                            : 'bg-white text-gray-700 border-gray-300 hover:border-primary-300'
+                        )}
+                      >
+                        {reason.label}
+                      </button>
+                    ))}
+                  </div>
+                  <p className="text-xs text-gray-500 mt-2">
+                    {STOCK_MOVEMENT_REASONS[adjustReason].direction === 'in' && 'Quantities will be added to stock.'}
+                    {STOCK_MOVEMENT_REASONS[adjustReason].direction === 'out' && 'Quantities will be removed from stock.'}
+                    {STOCK_MOVEMENT_REASONS[adjustReason].direction === 'both' && 'Use a negative number to remove stock.'}
+                  </p>
+                </div>
+
+                <div className="border border-gray-200 rounded-lg divide-y divide-gray-200">
+                  {adjustingProducts.flatMap(product => getAdjustLines(product).map(line => {
+                    const delta = signedDelta(adjustQuantities[line.key]);
+                    const name = line.label ? `${product.title} (${line.label})` : product.title;
+                    return (
+                      <div key={line.key} className="flex items-center justify-between p-3 gap-4">
+                        <div className="min-w-0">
+                          <p className="font-medium text-gray-900 truncate">{product.title}</p>
+                          <p className="text-xs text-gray-500">
+                            {line.label && <span className="font-medium text-gray-700">{line.label} • </span>}
+                            {line.stock} on hand
+                            {delta !== 0 && ` → ${line.stock + delta}`}
+                          </p>
+                        </div>
+                        <input
+                          type="number"
+                          min={STOCK_MOVEMENT_REASONS[adjustReason].direction === 'both' ? undefined : 0}
+                          value={adjustQuantities[line.key]}
+                          onChange={(e) => setAdjustQuantities(prev => ({ ...prev, [line.key]: e.target.value }))}
+                          className={cn(
+                            'w-24 px-2 py-1 border rounded text-right focus:ring-2 focus:ring-primary-500',
+                            line.stock + delta < 0 ? 'border-red-500' : 'border-gray-300'
+                          )}
+                          placeholder="0"
+                          aria-label={`Quantity for ${name}`}
+                        />
+                      </div>
+                    );
+                  }))}
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Reference</label>
+                  <input
+                    type="text"
+                    value={adjustReference}
+                    onChange={(e) => setAdjustReference(e.target.value)}
+                    placeholder="Purchase order, delivery note, stock count..."
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Note{adjustReason === 'corrected' && <span className="text-red-500"> *</span>}
+                  </label>
+                  <textarea
+                    value={adjustNote}
+                    onChange={(e) => setAdjustNote(e.target.value)}
+                    rows={2}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 text-sm"
+                  />
+                </div>
+              </div>
+
+              <div className="flex justify-end space-x-3 mt-6 pt-6 border-t border-gray-200">
+                <Button variant="outline" onClick={() => setShowAdjustModal(false)} disabled={actionLoading}>
+                  Cancel
+                </Button>
+                <Button onClick={handleApplyAdjustment} loading={actionLoading} disabled={actionLoading}>
+                  Apply Adjustment
+                </Button>
+              </div>
+            </div>
+          </Card>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default InventoryManagement;
@@ -0,0 +1,201 @@
+import React, { useState } from 'react';
+import { Navigate, useLocation, useNavigate } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import { useAuth } from '@/hooks/useAuth';
+import { useToast } from '@/hooks/useToast';
+import { useSettings } from '@/hooks/useSettings';
+import ApperIcon from '@/components/ApperIcon';
+import Button from '@/components/atoms/Button';
+import Card from '@/components/atoms/Card';
+import Loading from '@/components/ui/Loading';
+import { cn } from '@/utils/cn';
+
+// Staff land on the admin panel, customers on their account page
+const getHomePath = (account) => (account?.role === 'customer' ? '/account' : '/admin');
+
+const Login = () => {
+  const { user, loading, login, register } = useAuth();
+  const { showToast } = useToast();
+  const { store, features } = useSettings();
+  const navigate = useNavigate();
+  const location = useLocation();
+
+  const [mode, setMode] = useState(location.state?.mode === 'register' ? 'register' : 'login');
+  const [name, setName] = useState('');
+  const [phone, setPhone] = useState('');
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [showPassword, setShowPassword] = useState(false);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Registration can be switched off in System Settings; the form then only signs in
+  const isRegister = mode === 'register' && features.customerRegistration;
+
+  // Where ProtectedRoute was sending the visitor before the login detour
+  const getRedirect = (account) => location.state?.from?.pathname
+    ? `${location.state.from.pathname}${location.state.from.search || ''}`
+    : getHomePath(account);
+
+  if (loading) return <Loading message="Checking your session..." />;
+
+  if (user) return <Navigate to={getRedirect(user)} replace />;
+
+  const switchMode = () => {
+    setMode(isRegister ? 'login' : 'register');
+    setError(null);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError(null);
+
+    try {
+      setSubmitting(true);
+      const account = isRegister
+        ? await register({ name, email, phone, password })
+        : await login(email, password);
+      showToast(isRegister ? `Welcome to ${store.name}, ${account.name}` : `Welcome back, ${account.name}`, 'success');
+      navigate(getRedirect(account), { replace: true });
+    } catch (err) {
+      console.error(isRegister ? 'Registration failed:' : 'Login failed:', err);
+      setError(err.message || (isRegister ? 'Unable to create your account' : 'Unable to sign in'));
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const inputClassName = cn(
+    'w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-primary-500',
+    error ? 'border-red-300' : 'border-gray-300'
+  );
+
+  return (
+    <div className="min-h-[70vh] flex items-center justify-center px-4 py-12 bg-gray-50">
+      <motion.div
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        className="w-full max-w-md"
+      >
+        <Card className="p-8">
+          <div className="text-center mb-8">
+            <div className="w-14 h-14 bg-primary-100 rounded-full flex items-center justify-center mx-auto mb-4">
+              <ApperIcon name={isRegister ? 'UserPlus' : 'Lock'} className="w-7 h-7 text-primary-600" />
+            </div>
+            <h1 className="text-2xl font-display font-bold text-gray-900">{isRegister ? 'Create an account' : 'Sign in'}</h1>
+            <p className="text-gray-600 mt-1">
+              {isRegister ? 'Track your orders and save your addresses' : `Sign in to your ${store.name} account`}
+            </p>
+          </div>
+
+          <form onSubmit={handleSubmit} className="space-y-5" noValidate>
+            {error && (
+              <div className="flex items-start p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700" role="alert">
+                <ApperIcon name="AlertCircle" className="w-4 h-4 mr-2 mt-0.5 flex-shrink-0" />
+                {error}
+              </div>
+            )}
+
+            {isRegister && (
+              <div>
+                <label htmlFor="login-name" className="block text-sm font-medium text-gray-700 mb-1">Full name</label>
+                <input
+                  id="login-name"
+                  type="text"
+                  autoComplete="name"
+                  value={name}
+                  onChange={(e) => setName(e.target.value)}
+                  className={inputClassName}
+                  required
+                />
+              </div>
+            )}
+
+            <div>
+              <label htmlFor="login-email" className="block text-sm font-medium text-gray-700 mb-1">Email</label>
+              <input
+                id="login-email"
+                type="email"
+                autoComplete="username"
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+                className={inputClassName}
+                required
+                autoFocus
+              />
+            </div>
+
+            {isRegister && (
+              <div>
+                <label htmlFor="login-phone" className="block text-sm font-medium text-gray-700 mb-1">Mobile number</label>
+                <input
+                  id="login-phone"
+                  type="tel"
+                  autoComplete="tel"
+                  value={phone}
+                  onChange={(e) => setPhone(e.target.value)}
+                  className={inputClassName}
+                  placeholder="0300-1234567"
+                />
+                <p className="mt-1 text-xs text-gray-500">Use the number from your earlier orders to see them in your account</p>
+              </div>
+            )}
+
+            <div>
+              <label htmlFor="login-password" className="block text-sm font-medium text-gray-700 mb-1">Password</label>
+              <div className="relative">
+                <input
+                  id="login-password"
+                  type={showPassword ? 'text' : 'password'}
+                  autoComplete={isRegister ? 'new-password' : 'current-password'}
+                  value={password}
+                  onChange={(e) => setPassword(e.target.value)}
+                  className={cn(
+                    'w-full px-3 py-2 pr-10 border rounded-lg focus:ring-2 focus:ring-primary-500',
+                    error ? 'border-red-300' : 'border-gray-300'
+                  )}
+                  required
+                />
+                <button
+                  type="button"
+                  onClick={() => setShowPassword(prev => !prev)}
+                  className="absolute right-3 top-1/2 transform -translate-y-1/2 text-gray-400 hover:text-gray-600"
+                  aria-label={showPassword ? 'Hide password' : 'Show password'}
+                >
+                  <ApperIcon name={showPassword ? 'EyeOff' : 'Eye'} className="w-4 h-4" />
+                </button>
+              </div>
+              {isRegister && (
+                <p className="mt-1 text-xs text-gray-500">At least 8 characters with letters and numbers</p>
+              )}
+            </div>
+
+            <Button type="submit" className="w-full" loading={submitting} disabled={submitting}>
+              {isRegister ? 'Create account' : 'Sign in'}
+            </Button>
+          </form>
+
+          {features.customerRegistration && (
+            <p className="mt-6 text-center text-sm text-gray-600">
+              {isRegister ? 'Already have an account?' : `New to ${store.name}?`}{' '}
+              <button type="button" onClick={switchMode} className="font-medium text-primary-600 hover:text-primary-700">
+                {isRegister ? 'Sign in' : 'Create an account'}
+              </button>
+            </p>
+          )}
+
+          {import.meta.env.DEV && (
+            <div className="mt-6 p-3 bg-blue-50 border border-blue-200 rounded-lg text-xs text-blue-800">
+              <p className="font-medium mb-1">Demo accounts (mock identity provider)</p>
+              <p>admin@bazaarpk.com / Admin@123</p>
+              <p>moderator@bazaarpk.com / Moderator@123</p>
+              <p>ahmed@gmail.com / Customer@123 (customer)</p>
+            </div>
+          )}
+        </Card>
+      </motion.div>
+    </div>
+  );
+};
+
+export default Login;
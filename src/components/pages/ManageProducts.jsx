@@ -3,6 +3,8 @@ import { useNavigate } from "react-router-dom";
 import { AnimatePresence, motion } from "framer-motion";
 import { CategoryService } from "@/services/api/CategoryService";
 import { useToast } from "@/hooks/useToast";
+import { useAuth } from "@/hooks/useAuth";
+import { useSettings } from "@/hooks/useSettings";
 import useWebSocket from "@/hooks/useWebSocket";
 import ApperIcon from "@/components/ApperIcon";
 import Category from "@/components/pages/Category";
@@ -10,17 +12,26 @@ import ErrorComponent, { Error } from "@/components/ui/Error";
 import Empty from "@/components/ui/Empty";
 import Loading from "@/components/ui/Loading";
 import ProductManagementCard from "@/components/organisms/ProductManagementCard";
+import ProductImportWizard from "@/components/organisms/ProductImportWizard";
+import ProductTrash from "@/components/molecules/ProductTrash";
 import Input from "@/components/atoms/Input";
 import Button from "@/components/atoms/Button";
 import Badge from "@/components/atoms/Badge";
-import ProductService from "@/services/api/ProductService";
+import ProductService, { isProductScheduled } from "@/services/api/ProductService";
+import { getCatalogueJson, getCatalogueTable } from "@/services/api/ProductImportService";
+import { buildExportFilename, exportCsv, exportJson } from "@/utils/export";
 import { formatPrice } from "@/utils/currency";
 import cacheManager from "@/utils/cacheManager";
 import { cn } from "@/utils/cn";
+import { hasPermission } from "@/utils/permissions";
 
 function ManageProducts() {
   const navigate = useNavigate()
-  const { showToast } = useToast()
+  const { showToast, showUndoToast } = useToast()
+  const { user: currentUser } = useAuth()
+  const { store, catalog, currency } = useSettings()
+  // Bulk approve goes through bulkUpdate, so it needs all three permissions
+  const canBulkApprove = ['canBulkEdit', 'canApprove', 'canPublish'].every(permission => hasPermission(currentUser, permission))
   
 // State management
   const [products, setProducts] = useState([])
@@ -37,6 +48,11 @@ function ManageProducts() {
   const [viewMode, setViewMode] = useState('grid') // 'grid' or 'list'
   const [bulkActionLoading, setBulkActionLoading] = useState(false)
   const [deleteConfirm, setDeleteConfirm] = useState({ show: false, product: null })
+  const [showImportWizard, setShowImportWizard] = useState(false)
+  const [showExportMenu, setShowExportMenu] = useState(false)
+  const [showTrash, setShowTrash] = useState(false)
+  const [priceAdjustment, setPriceAdjustment] = useState({ show: false, type: 'percentage', value: '' })
+  const [scheduleForm, setScheduleForm] = useState({ show: false, publishAt: '', unpublishAt: '' })
   
   // Pagination
   const [currentPage, setCurrentPage] = useState(1)
@@ -62,6 +78,15 @@ function ManageProducts() {
     }
   }, [lastMessage])
   
+  // The scheduler publishes and unpublishes in the background; pick up its changes
+  useEffect(() => {
+    function handleScheduledChange(event) {
+      if (event.detail?.type === 'scheduled_visibility') loadData()
+    }
+    window.addEventListener('product-cache-invalidate', handleScheduledChange)
+    return () => window.removeEventListener('product-cache-invalidate', handleScheduledChange)
+  }, [])
+  
   async function loadData() {
     try {
       setLoading(true)
@@ -153,6 +178,50 @@ function ManageProducts() {
     setSelectAll(false)
   }
   
+  // Exports the selection when there is one, otherwise everything the current filters show,
+  // in the on-screen sort order
+  function getExportProducts() {
+    return selectedProducts.size > 0
+      ? getSortedProducts(products.filter(p => selectedProducts.has(p.Id)))
+      : getSortedProducts(getFilteredProducts())
+  }
+  
+  function handleExport(format) {
+    setShowExportMenu(false)
+    try {
+      const exportProducts = getExportProducts()
+      const filename = buildExportFilename(store.name, 'products', new Date().toISOString().slice(0, 10))
+      if (format === 'json') {
+        exportJson(filename, getCatalogueJson(exportProducts))
+      } else {
+        exportCsv(filename, getCatalogueTable(exportProducts))
+      }
+      showToast(`Exported ${exportProducts.length} products`, 'success')
+    } catch (error) {
+      console.error('Error exporting products:', error)
+      showToast('Failed to export products', 'error')
+    }
+  }
+  
+  // Undo buttons reload the list and say how much actually came back
+  async function finishUndo(result, noun) {
+    await loadData()
+    if (result.errors.length > 0) {
+      showToast(`Restored ${result.summary.successful} of ${result.summary.total} ${noun}: ${result.errors[0]}`, 'warning')
+    } else {
+      showToast(`Restored ${result.summary.successful} ${noun}`, 'success')
+    }
+  }
+  
+  function undoTrash(productIds, noun) {
+    return async () => finishUndo(await ProductService.restoreFromTrash(productIds, { user: currentUser.email }), noun)
+  }
+  
+  function undoRevisions(updatedProducts, noun) {
+    const changed = updatedProducts.map(({ Id, version }) => ({ Id, version }))
+    return async () => finishUndo(await ProductService.undoRevisions(changed, { user: currentUser.email }), noun)
+  }
+  
   // Bulk operations with validation
   async function handleBulkDelete() {
     if (selectedProducts.size === 0) return
@@ -183,13 +252,16 @@ function ManageProducts() {
         return
       }
       
-      await ProductService.bulkDelete(productIds)
+      const result = await ProductService.bulkDelete(productIds, { user: currentUser.email })
       
       setSelectedProducts(new Set())
       setSelectAll(false)
       await loadData()
       
-      showToast(`Successfully deleted ${productIds.length} products`, 'success')
+      showUndoToast(
+        `Moved ${result.deletedProducts.length} products to trash`,
+        undoTrash(result.deletedProducts.map(product => product.Id), 'products')
+      )
     } catch (error) {
       console.error('Bulk delete error:', error)
       showToast(`Error deleting products: ${error.message}`, 'error')
@@ -222,9 +294,9 @@ function ManageProducts() {
             data: {
               status: 'approved',
               visibility: 'published',
-              modifiedBy: 'admin',
+              modifiedBy: currentUser.email,
               approvedAt: new Date().toISOString(),
-              approvedBy: 'admin'
+              approvedBy: currentUser.email
             }
           }
         })
@@ -235,8 +307,12 @@ function ManageProducts() {
       if (result.errors.length > 0) {
         showToast(`Partial success: ${result.errors.length} products failed to update`, 'warning')
         console.warn('Bulk approve errors:', result.errors)
-      } else {
-        showToast(`Successfully approved ${result.updatedProducts.length} products`, 'success')
+      }
+      if (result.updatedProducts.length > 0) {
+        showUndoToast(
+          `Approved and published ${result.updatedProducts.length} products`,
+          undoRevisions(result.updatedProducts, 'products')
+        )
       }
       
       setSelectedProducts(new Set())
@@ -250,6 +326,72 @@ function ManageProducts() {
     }
   }
   
+  async function handleBulkPriceAdjustment() {
+    const value = parseFloat(priceAdjustment.value)
+    if (isNaN(value) || value === 0) {
+      showToast('Enter a non-zero adjustment', 'error')
+      return
+    }
+    
+    try {
+      setBulkActionLoading(true)
+      const result = await ProductService.bulkPriceAdjustment(
+        Array.from(selectedProducts),
+        { type: priceAdjustment.type, value },
+        { user: currentUser.email }
+      )
+      
+      if (result.errors.length > 0) {
+        showToast(`${result.errors.length} products were not adjusted: ${result.errors[0]}`, 'warning')
+      }
+      setPriceAdjustment({ show: false, type: 'percentage', value: '' })
+      await loadData()
+      if (result.updatedProducts.length > 0) {
+        showUndoToast(
+          `Adjusted prices of ${result.updatedProducts.length} products`,
+          undoRevisions(result.updatedProducts, 'prices')
+        )
+      }
+    } catch (error) {
+      console.error('Price adjustment error:', error)
+      showToast(`Error adjusting prices: ${error.message}`, 'error')
+    } finally {
+      setBulkActionLoading(false)
+    }
+  }
+  
+  async function handleBulkSchedule(clear = false) {
+    if (!clear && !scheduleForm.publishAt && !scheduleForm.unpublishAt) {
+      showToast('Choose a publish or unpublish time', 'error')
+      return
+    }
+    
+    try {
+      setBulkActionLoading(true)
+      const result = await ProductService.schedulePublishing(
+        Array.from(selectedProducts),
+        clear ? {} : { publishAt: scheduleForm.publishAt || null, unpublishAt: scheduleForm.unpublishAt || null },
+        { user: currentUser.email }
+      )
+      
+      if (result.errors.length > 0) {
+        showToast(`${result.errors.length} products were not scheduled: ${result.errors[0]}`, 'warning')
+      }
+      if (result.scheduledProducts.length > 0) {
+        showToast(`${clear ? 'Cleared the schedule of' : 'Scheduled'} ${result.scheduledProducts.length} products`, 'success')
+      }
+      setScheduleForm({ show: false, publishAt: '', unpublishAt: '' })
+      setSelectedProducts(new Set())
+      setSelectAll(false)
+      await loadData()
+    } catch (error) {
+      console.error('Schedule error:', error)
+      showToast(`Error scheduling products: ${error.message}`, 'error')
+    } finally {
+      setBulkActionLoading(false)
+    }
+  }
+  
   async function handleBulkEdit() {
     if (selectedProducts.size === 0) return
     
@@ -278,7 +420,7 @@ function ManageProducts() {
       
       const updateData = {
         visibility: newVisibility,
-        modifiedBy: 'admin'
+        modifiedBy: currentUser.email
       }
       
       // Auto-approve when publishing
@@ -294,11 +436,11 @@ function ManageProducts() {
         updateData.publishedBy = null
       }
       
-      await ProductService.update(productId, updateData)
+      const updated = await ProductService.update(productId, updateData)
       await loadData()
       
       const action = newVisibility === 'published' ? 'published' : 'drafted'
-      showToast(`Product ${action} successfully`, 'success')
+      showUndoToast(`Product ${action}`, undoRevisions([updated], 'product'))
     } catch (error) {
       console.error('Toggle visibility error:', error)
       showToast(`Error updating product: ${error.message}`, 'error')
@@ -312,7 +454,7 @@ function ManageProducts() {
       
       await ProductService.update(productId, {
         featured: !product.featured,
-        modifiedBy: 'admin'
+        modifiedBy: currentUser.email
       })
       
       await loadData()
@@ -347,10 +489,10 @@ function ManageProducts() {
         return
       }
       
-      await ProductService.delete(product.Id)
+      await ProductService.delete(product.Id, { user: currentUser.email })
       await loadData()
       
-      showToast('Product deleted successfully', 'success')
+      showUndoToast(`"${product.title}" moved to trash`, undoTrash([product.Id], 'product'))
     } catch (error) {
       console.error('Delete error:', error)
       showToast(`Error deleting product: ${error.message}`, 'error')
@@ -359,6 +501,17 @@ function ManageProducts() {
     }
   }
   
+  async function handleSubmitForReview(product) {
+    try {
+      await ProductService.submitForReview(product.Id, { user: currentUser.email })
+      showToast(`"${product.title}" was sent for review`, 'success')
+      await loadData()
+    } catch (error) {
+      console.error('Submit for review error:', error)
+      showToast(`Error submitting product: ${error.message}`, 'error')
+    }
+  }
+  
   function handleDeleteCancel() {
     setDeleteConfirm({ show: false, product: null })
   }
@@ -368,12 +521,13 @@ function ManageProducts() {
     return products.filter(product => {
       const matchesSearch = !searchTerm || 
         product.title?.toLowerCase().includes(searchTerm.toLowerCase()) ||
-        product.description?.toLowerCase().includes(searchTerm.toLowerCase()) ||
+        (product.description?.english ?? product.description)?.toLowerCase().includes(searchTerm.toLowerCase()) ||
         product.category?.toLowerCase().includes(searchTerm.toLowerCase())
       
       const matchesCategory = !selectedCategory || product.category === selectedCategory
       
-      const matchesStatus = !statusFilter || product.status === statusFilter
+      const matchesStatus = !statusFilter ||
+        (statusFilter === 'scheduled' ? isProductScheduled(product) : product.status === statusFilter)
       
       return matchesSearch && matchesCategory && matchesStatus
     })
@@ -412,6 +566,8 @@ function clearAllFilters() {
     setCurrentPage(1)
   }
   
+  const pendingReviewCount = products.filter(p => p.status === 'pending').length
+  
   // Get paginated products
   const filteredProducts = getFilteredProducts()
   const sortedProducts = getSortedProducts(filteredProducts)
@@ -472,6 +628,82 @@ function clearAllFilters() {
                 Add Product
               </Button>
               
+              <div className="relative">
+                <Button
+                  variant="outline"
+                  onClick={() => setShowExportMenu(prev => !prev)}
+                  disabled={products.length === 0}
+                  className="border-gray-300"
+                  aria-haspopup="menu"
+                  aria-expanded={showExportMenu}
+                >
+                  <ApperIcon name="Download" className="w-4 h-4 mr-2" />
+                  Export
+                  <ApperIcon name="ChevronDown" className="w-4 h-4 ml-2" />
+                </Button>
+                {showExportMenu && (
+                  <div className="absolute right-0 mt-2 w-64 py-2 bg-white rounded-lg shadow-lg border border-gray-200 z-20" role="menu">
+                    <p className="px-4 py-1 text-xs text-gray-500">
+                      {selectedProducts.size > 0
+                        ? `${selectedProducts.size} selected product${selectedProducts.size !== 1 ? 's' : ''}`
+                        : `${getFilteredProducts().length} products matching the current filters`}
+                    </p>
+                    <button
+                      role="menuitem"
+                      onClick={() => handleExport('csv')}
+                      className="w-full flex items-center px-4 py-2 text-sm text-gray-700 hover:bg-gray-50 text-left"
+                    >
+                      <ApperIcon name="FileSpreadsheet" className="w-4 h-4 mr-2 text-green-600" />
+                      CSV (spreadsheet)
+                    </button>
+                    <button
+                      role="menuitem"
+                      onClick={() => handleExport('json')}
+                      className="w-full flex items-center px-4 py-2 text-sm text-gray-700 hover:bg-gray-50 text-left"
+                    >
+                      <ApperIcon name="FileJson" className="w-4 h-4 mr-2 text-gray-600" />
+                      JSON
+                    </button>
+                  </div>
+                )}
+              </div>
+              
+              {hasPermission(currentUser, 'canBulkEdit') && (
+                <Button
+                  variant="outline"
+                  onClick={() => setShowImportWizard(true)}
+                  className="border-gray-300"
+                >
+                  <ApperIcon name="Upload" className="w-4 h-4 mr-2" />
+                  Import
+                </Button>
+              )}
+              
+              {hasPermission(currentUser, 'canApprove') && (
+                <Button
+                  variant="outline"
+                  onClick={() => navigate('/admin/reviews')}
+                  className="border-gray-300"
+                >
+                  <ApperIcon name="ClipboardCheck" className="w-4 h-4 mr-2" />
+                  Review Queue
+                  {pendingReviewCount > 0 && (
+                    <span className="ml-2 px-1.5 py-0.5 rounded-full text-xs bg-yellow-100 text-yellow-800">{pendingReviewCount}</span>
+                  )}
+                </Button>
+              )}
+              
+              {hasPermission(currentUser, 'canDelete') && (
+                <Button
+                  variant="outline"
+                  onClick={() => setShowTrash(true)}
+                  className="border-gray-300"
+                >
+                  <ApperIcon name="Trash2" className="w-4 h-4 mr-2" />
+                  Trash
+                </Button>
+              )}
+              
               <Button
                 variant="outline"
                 onClick={loadData}
@@ -595,6 +827,7 @@ className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none
                 <option value="approved">Approved</option>
                 <option value="rejected">Rejected</option>
                 <option value="draft">Draft</option>
+                <option value="scheduled">Scheduled</option>
               </select>
             </div>
             
@@ -657,40 +890,68 @@ className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none
               </div>
               
               <div className="flex items-center space-x-3">
-                <Button
-                  onClick={handleBulkApprove}
-                  disabled={bulkActionLoading}
-                  className="bg-green-600 hover:bg-green-700 text-white"
-                >
-                  {bulkActionLoading ? (
-                    <ApperIcon name="Loader2" className="w-4 h-4 animate-spin mr-2" />
-                  ) : (
-                    <ApperIcon name="Check" className="w-4 h-4 mr-2" />
-                  )}
-                  Approve & Publish
-                </Button>
+                {canBulkApprove && (
+                  <Button
+                    onClick={handleBulkApprove}
+                    disabled={bulkActionLoading}
+                    className="bg-green-600 hover:bg-green-700 text-white"
+                  >
+                    {bulkActionLoading ? (
+                      <ApperIcon name="Loader2" className="w-4 h-4 animate-spin mr-2" />
+                    ) : (
+                      <ApperIcon name="Check" className="w-4 h-4 mr-2" />
+                    )}
+                    Approve & Publish
+                  </Button>
+                )}
                 
-                <Button
-                  onClick={handleBulkEdit}
-                  variant="outline"
-                  disabled={bulkActionLoading}
-                >
-                  <ApperIcon name="Edit2" className="w-4 h-4 mr-2" />
-                  Bulk Edit
-                </Button>
+                {hasPermission(currentUser, 'canPublish') && (
+                  <Button
+                    onClick={() => setScheduleForm(prev => ({ ...prev, show: true }))}
+                    variant="outline"
+                    disabled={bulkActionLoading}
+                  >
+                    <ApperIcon name="CalendarClock" className="w-4 h-4 mr-2" />
+                    Schedule
+                  </Button>
+                )}
                 
-                <Button
-                  onClick={handleBulkDelete}
-                  disabled={bulkActionLoading}
-                  className="bg-red-600 hover:bg-red-700 text-white"
-                >
-                  {bulkActionLoading ? (
-                    <ApperIcon name="Loader2" className="w-4 h-4 animate-spin mr-2" />
-                  ) : (
-                    <ApperIcon name="Trash2" className="w-4 h-4 mr-2" />
-                  )}
-                  Delete Selected
-                </Button>
+                {hasPermission(currentUser, 'canBulkEdit') && (
+                  <Button
+                    onClick={() => setPriceAdjustment(prev => ({ ...prev, show: true }))}
+                    variant="outline"
+                    disabled={bulkActionLoading}
+                  >
+                    <ApperIcon name="Percent" className="w-4 h-4 mr-2" />
+                    Adjust Prices
+                  </Button>
+                )}
+                
+                {hasPermission(currentUser, 'canBulkEdit') && (
+                  <Button
+                    onClick={handleBulkEdit}
+                    variant="outline"
+                    disabled={bulkActionLoading}
+                  >
+                    <ApperIcon name="Edit2" className="w-4 h-4 mr-2" />
+                    Bulk Edit
+                  </Button>
+                )}
+                
+                {hasPermission(currentUser, 'canDelete') && (
+                  <Button
+                    onClick={handleBulkDelete}
+                    disabled={bulkActionLoading}
+                    className="bg-red-600 hover:bg-red-700 text-white"
+                  >
+                    {bulkActionLoading ? (
+                      <ApperIcon name="Loader2" className="w-4 h-4 animate-spin mr-2" />
+                    ) : (
+                      <ApperIcon name="Trash2" className="w-4 h-4 mr-2" />
+                    )}
+                    Delete Selected
+                  </Button>
+                )}
               </div>
             </div>
           </div>
@@ -765,6 +1026,9 @@ className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none
                     onDelete={() => handleDeleteClick(product)}
                     onToggleVisibility={() => handleToggleVisibility(product.Id)}
                     onToggleFeatured={() => handleToggleFeatured(product.Id)}
+                    onRevisionRestored={loadData}
+                    onSubmitForReview={handleSubmitForReview}
+                    currentUser={currentUser}
                     validationErrors={validationErrors}
                     isValidating={isValidating}
                   />
@@ -868,7 +1132,7 @@ className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none
               </div>
               
               <p className="text-gray-600 mb-6">
-                Are you sure you want to delete "{deleteConfirm.product?.title}"? This action cannot be undone.
+                Move "{deleteConfirm.product?.title}" to the trash? It can be restored from there for {catalog.trashRetentionDays} days.
               </p>
               
               <div className="flex justify-end space-x-3">
@@ -889,6 +1153,152 @@ className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none
           </motion.div>
         )}
       </AnimatePresence>
+
+      {/* Bulk Price Adjustment Modal */}
+      <AnimatePresence>
+        {priceAdjustment.show && (
+          <motion.div
+            initial={{ opacity: 0 }}
+            animate={{ opacity: 1 }}
+            exit={{ opacity: 0 }}
+            className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50"
+          >
+            <motion.div
+              initial={{ scale: 0.95 }}
+              animate={{ scale: 1 }}
+              exit={{ scale: 0.95 }}
+              className="bg-white rounded-lg p-6 max-w-md w-full"
+            >
+              <h3 className="text-lg font-semibold text-gray-900 mb-1">Adjust Prices</h3>
+              <p className="text-sm text-gray-600 mb-4">
+                Changes the price of {selectedProducts.size} selected product{selectedProducts.size !== 1 ? 's' : ''}. Use a negative value to lower prices.
+              </p>
+              
+              <div className="grid grid-cols-2 gap-3 mb-6">
+                <select
+                  value={priceAdjustment.type}
+                  onChange={(e) => setPriceAdjustment(prev => ({ ...prev, type: e.target.value }))}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500"
+                >
+                  <option value="percentage">Percentage (%)</option>
+                  <option value="fixed">Fixed amount ({currency.symbol})</option>
+                </select>
+                <input
+                  type="number"
+                  step="0.01"
+                  value={priceAdjustment.value}
+                  onChange={(e) => setPriceAdjustment(prev => ({ ...prev, value: e.target.value }))}
+                  placeholder={priceAdjustment.type === 'percentage' ? 'e.g. -10' : 'e.g. 50'}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500"
+                />
+              </div>
+              
+              <div className="flex justify-end space-x-3">
+                <Button
+                  variant="outline"
+                  onClick={() => setPriceAdjustment({ show: false, type: 'percentage', value: '' })}
+                  disabled={bulkActionLoading}
+                >
+                  Cancel
+                </Button>
+                <Button onClick={handleBulkPriceAdjustment} disabled={bulkActionLoading || !priceAdjustment.value}>
+                  {bulkActionLoading ? 'Applying...' : 'Apply'}
+                </Button>
+              </div>
+            </motion.div>
+          </motion.div>
+        )}
+      </AnimatePresence>
+      
+      {/* Schedule Publishing Modal */}
+      <AnimatePresence>
+        {scheduleForm.show && (
+          <motion.div
+            initial={{ opacity: 0 }}
+            animate={{ opacity: 1 }}
+            exit={{ opacity: 0 }}
+            className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50"
+          >
+            <motion.div
+              initial={{ scale: 0.95 }}
+              animate={{ scale: 1 }}
+              exit={{ scale: 0.95 }}
+              className="bg-white rounded-lg p-6 max-w-md w-full"
+            >
+              <h3 className="text-lg font-semibold text-gray-900 mb-1">Schedule Publishing</h3>
+              <p className="text-sm text-gray-600 mb-4">
+                Sets when {selectedProducts.size} selected product{selectedProducts.size !== 1 ? 's go' : ' goes'} live and when {selectedProducts.size !== 1 ? 'they come' : 'it comes'} down again. Leave a time empty to skip it. Pending products are approved when they publish.
+              </p>
+              
+              <div className="space-y-4 mb-6">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">Publish at</label>
+                  <input
+                    type="datetime-local"
+                    value={scheduleForm.publishAt}
+                    onChange={(e) => setScheduleForm(prev => ({ ...prev, publishAt: e.target.value }))}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">Unpublish at</label>
+                  <input
+                    type="datetime-local"
+                    value={scheduleForm.unpublishAt}
+                    min={scheduleForm.publishAt || undefined}
+                    onChange={(e) => setScheduleForm(prev => ({ ...prev, unpublishAt: e.target.value }))}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500"
+                  />
+                </div>
+              </div>
+              
+              <div className="flex justify-between">
+                <Button
+                  variant="ghost"
+                  onClick={() => handleBulkSchedule(true)}
+                  disabled={bulkActionLoading}
+                  className="text-red-600 hover:text-red-700"
+                >
+                  Clear schedule
+                </Button>
+                <div className="flex space-x-3">
+                  <Button
+                    variant="outline"
+                    onClick={() => setScheduleForm({ show: false, publishAt: '', unpublishAt: '' })}
+                    disabled={bulkActionLoading}
+                  >
+                    Cancel
+                  </Button>
+                  <Button onClick={() => handleBulkSchedule()} disabled={bulkActionLoading}>
+                    {bulkActionLoading ? 'Saving...' : 'Schedule'}
+                  </Button>
+                </div>
+              </div>
+            </motion.div>
+          </motion.div>
+        )}
+      </AnimatePresence>
+      
+      {/* Trash */}
+      <AnimatePresence>
+        {showTrash && (
+          <ProductTrash
+            currentUser={currentUser}
+            onClose={() => setShowTrash(false)}
+            onRestored={loadData}
+          />
+        )}
+      </AnimatePresence>
+      
+      {/* Bulk Import Wizard */}
+      <AnimatePresence>
+        {showImportWizard && (
+          <ProductImportWizard
+            onClose={() => setShowImportWizard(false)}
+            onComplete={loadData}
+          />
+        )}
+      </AnimatePresence>
     </div>
   )
 }
@@ -1,6 +1,8 @@
 import React, { useState, useEffect } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
+import { useNavigate } from 'react-router-dom';
 import { useToast } from '@/hooks/useToast';
+import { useAuth } from '@/hooks/useAuth';
 import ApperIcon from '@/components/ApperIcon';
 import Button from '@/components/atoms/Button';
 import Input from '@/components/atoms/Input';
@@ -10,6 +12,18 @@ import Loading from '@/components/ui/Loading';
 import Empty from '@/components/ui/Empty';
 import { formatPrice } from '@/utils/currency';
 import { cn } from '@/utils/cn';
+import { OrderService, ORDER_STATUSES } from '@/services/api/OrderService';
+import { CustomerService } from '@/services/api/CustomerService';
+import { hasPermission } from '@/utils/permissions';
+
+// Forward lifecycle actions offered as buttons; cancel and refund have their own flows
+const STATUS_ACTIONS = {
+  confirmed: 'Confirm',
+  processing: 'Process',
+  shipped: 'Ship',
+  delivered: 'Mark Delivered',
+  returned: 'Mark Returned'
+};
 
 const OrderManagement = () => {
   const { showToast } = useToast();
@@ -27,102 +41,16 @@ const OrderManagement = () => {
   const [selectedOrder, setSelectedOrder] = useState(null);
   const [showOrderModal, setShowOrderModal] = useState(false);
 
-  const [currentUser] = useState({
-    role: 'admin',
-    permissions: { 
-      canManageOrders: true,
-      canProcessRefunds: true
-    }
-  });
+  const { user: currentUser } = useAuth();
+  const navigate = useNavigate();
 
-  // Mock orders data
   useEffect(() => {
     const loadOrders = async () => {
       setLoading(true);
       try {
-        await new Promise(resolve => setTimeout(resolve, 500));
-        const mockOrders = [
-          {
-            Id: 1001,
-            orderNumber: 'ORD-2024-1001',
-            customer: {
-              name: 'Ahmed Khan',
-              email: 'ahmed@gmail.com',
-              phone: '+92-300-1234567',
-              address: 'House 123, Block A, DHA Phase 5, Lahore'
-            },
-            items: [
-              { productId: 1, title: 'Fresh Organic Tomatoes', quantity: 2, price: 120 },
-              { productId: 2, title: 'Premium Basmati Rice', quantity: 1, price: 850 }
-            ],
-            total: 1090,
-            status: 'pending',
-            paymentStatus: 'paid',
-            paymentMethod: 'card',
-            orderDate: '2024-01-15T10:30:00Z',
-            notes: 'Please deliver before evening'
-          },
-          {
-            Id: 1002,
-            orderNumber: 'ORD-2024-1002',
-            customer: {
-              name: 'Fatima Ali',
-              email: 'fatima@yahoo.com',
-              phone: '+92-301-9876543',
-              address: '456 Mall Road, Model Town, Karachi'
-            },
-            items: [
-              { productId: 5, title: 'Apple iPhone 15 Pro', quantity: 1, price: 485000 }
-            ],
-            total: 485000,
-            status: 'processing',
-            paymentStatus: 'paid',
-            paymentMethod: 'bank_transfer',
-            orderDate: '2024-01-14T15:45:00Z',
-            notes: 'Cash on delivery preferred'
-          },
-          {
-            Id: 1003,
-            orderNumber: 'ORD-2024-1003',
-            customer: {
-              name: 'Muhammad Hassan',
-              email: 'hassan@hotmail.com',
-              phone: '+92-302-5555444',
-              address: '789 University Road, Gulshan, Karachi'
-            },
-            items: [
-              { productId: 4, title: 'Fresh Halal Mutton', quantity: 2, price: 2200 },
-              { productId: 3, title: 'Pure Desi Ghee', quantity: 1, price: 2500 }
-            ],
-            total: 6900,
-            status: 'shipped',
-            paymentStatus: 'paid',
-            paymentMethod: 'cod',
-            orderDate: '2024-01-13T09:15:00Z',
-            trackingNumber: 'TCS123456789'
-          },
-          {
-            Id: 1004,
-            orderNumber: 'ORD-2024-1004',
-            customer: {
-              name: 'Aisha Mahmood',
-              email: 'aisha@gmail.com',
-              phone: '+92-333-7777888',
-              address: 'Flat 45, Sector 15, Islamabad'
-            },
-            items: [
-              { productId: 6, title: 'Samsung 65" 4K Smart TV', quantity: 1, price: 165000 }
-            ],
-            total: 165000,
-            status: 'delivered',
-            paymentStatus: 'paid',
-            paymentMethod: 'card',
-            orderDate: '2024-01-10T12:00:00Z',
-            deliveryDate: '2024-01-12T16:30:00Z'
-          }
-        ];
-        setOrders(mockOrders);
-        setFilteredOrders(mockOrders);
+        const data = await OrderService.getAll();
+        setOrders(data);
+        setFilteredOrders(data);
       } catch (error) {
         console.error('Error loading orders:', error);
         showToast('Failed to load orders', 'error');
@@ -154,19 +82,89 @@ const OrderManagement = () => {
     setFilteredOrders(filtered);
   }, [orders, searchQuery, statusFilter, dateFilter]);
 
-  const handleUpdateOrderStatus = async (orderId, newStatus) => {
+  const replaceOrder = (updatedOrder) => {
+    setOrders(prev => prev.map(order =>
+      order.Id === updatedOrder.Id ? updatedOrder : order
+    ));
+    if (selectedOrder?.Id === updatedOrder.Id) {
+      setSelectedOrder(updatedOrder);
+    }
+  };
+
+  const handleUpdateOrderStatus = async (order, newStatus) => {
+    let paymentCollected = false;
+
+    // Unpaid COD orders need an explicit cash-collection confirmation before delivery
+    if (newStatus === ORDER_STATUSES.DELIVERED && order.paymentMethod === 'cod' && order.paymentStatus !== 'paid') {
+      paymentCollected = confirm(`Has cash of ${formatPrice(order.total)} been collected for ${order.orderNumber}?`);
+      if (!paymentCollected) {
+        showToast('Order not marked delivered - cash collection was not confirmed', 'warning');
+        return;
+      }
+    }
+
     try {
       setActionLoading(true);
-      await new Promise(resolve => setTimeout(resolve, 500));
-      
-      setOrders(prev => prev.map(order =>
-        order.Id === orderId ? { ...order, status: newStatus } : order
-      ));
-      
+      const updatedOrder = await OrderService.updateStatus(order.Id, newStatus, {
+        actor: currentUser.name,
+        paymentCollected
+      });
+      replaceOrder(updatedOrder);
       showToast(`Order status updated to ${newStatus}`, 'success');
     } catch (error) {
       console.error('Error updating order status:', error);
-      showToast('Failed to update order status', 'error');
+      showToast(error.message || 'Failed to update order status', 'error');
+    } finally {
+      setActionLoading(false);
+    }
+  };
+
+  // Orders only carry contact details, so the customer record is looked up by email or phone
+  const handleViewCustomer = async (order) => {
+    try {
+      const customer = await CustomerService.findByContact(order.customer);
+      if (!customer) {
+        showToast('No customer record found for this order', 'warning');
+        return;
+      }
+      navigate(`/admin/customers/${customer.Id}`);
+    } catch (error) {
+      console.error('Error opening customer profile:', error);
+      showToast(error.message || 'Failed to open customer profile', 'error');
+    }
+  };
+
+  const handleCancelOrder = async (order) => {
+    if (!confirm(`Cancel order ${order.orderNumber}?`)) {
+      return;
+    }
+
+    try {
+      setActionLoading(true);
+      const updatedOrder = await OrderService.cancel(order.Id, 'Cancelled by admin', currentUser.name);
+      replaceOrder(updatedOrder);
+      showToast(`Order ${order.orderNumber} cancelled`, 'success');
+    } catch (error) {
+      console.error('Error cancelling order:', error);
+      showToast(error.message || 'Failed to cancel order', 'error');
+    } finally {
+      setActionLoading(false);
+    }
+  };
+
+  const handleRefundOrder = async (order) => {
+    if (!confirm(`Refund the remaining balance of ${formatPrice(order.total - (order.refundedAmount || 0))} for ${order.orderNumber}?`)) {
+      return;
+    }
+
+    try {
+      setActionLoading(true);
+      const updatedOrder = await OrderService.refund(order.Id, { reason: 'Refunded by admin', actor: currentUser.name });
+      replaceOrder(updatedOrder);
+      showToast(`Refund issued for ${order.orderNumber}`, 'success');
+    } catch (error) {
+      console.error('Error refunding order:', error);
+      showToast(error.message || 'Failed to refund order', 'error');
     } finally {
       setActionLoading(false);
     }
@@ -175,10 +173,13 @@ const OrderManagement = () => {
   const getStatusColor = (status) => {
     switch (status) {
       case 'pending': return 'bg-yellow-100 text-yellow-800';
+      case 'confirmed': return 'bg-indigo-100 text-indigo-800';
       case 'processing': return 'bg-blue-100 text-blue-800';
       case 'shipped': return 'bg-purple-100 text-purple-800';
       case 'delivered': return 'bg-green-100 text-green-800';
       case 'cancelled': return 'bg-red-100 text-red-800';
+      case 'returned': return 'bg-orange-100 text-orange-800';
+      case 'refunded': return 'bg-gray-200 text-gray-800';
       default: return 'bg-gray-100 text-gray-800';
     }
   };
@@ -254,11 +255,11 @@ const OrderManagement = () => {
             className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500"
           >
             <option value="all">All Status</option>
-            <option value="pending">Pending</option>
-            <option value="processing">Processing</option>
-            <option value="shipped">Shipped</option>
-            <option value="delivered">Delivered</option>
-            <option value="cancelled">Cancelled</option>
+            {Object.values(ORDER_STATUSES).map(status => (
+              <option key={status} value={status}>
+                {status.charAt(0).toUpperCase() + status.slice(1)}
+              </option>
+            ))}
           </select>
 
           <Button
@@ -328,36 +329,29 @@ const OrderManagement = () => {
                         <ApperIcon name="Eye" className="w-4 h-4" />
                       </Button>
                       
-                      {order.status === 'pending' && (
-                        <Button
-                          variant="outline"
-                          size="sm"
-                          onClick={() => handleUpdateOrderStatus(order.Id, 'processing')}
-                          disabled={actionLoading}
-                        >
-                          Process
-                        </Button>
-                      )}
-                      
-                      {order.status === 'processing' && (
-                        <Button
-                          variant="outline"
-                          size="sm"
-                          onClick={() => handleUpdateOrderStatus(order.Id, 'shipped')}
-                          disabled={actionLoading}
-                        >
-                          Ship
-                        </Button>
-                      )}
-                      
-                      {order.status === 'shipped' && (
+                      {hasPermission(currentUser, 'canManageOrders') && OrderService.getAllowedTransitions(order)
+                        .filter(status => STATUS_ACTIONS[status])
+                        .map(status => (
+                          <Button
+                            key={status}
+                            variant="outline"
+                            size="sm"
+                            onClick={() => handleUpdateOrderStatus(order, status)}
+                            disabled={actionLoading}
+                          >
+                            {STATUS_ACTIONS[status]}
+                          </Button>
+                        ))}
+
+                      {OrderService.getAllowedTransitions(order).includes(ORDER_STATUSES.CANCELLED) && hasPermission(currentUser, 'canManageOrders') && (
                         <Button
-                          variant="outline"
+                          variant="ghost"
                           size="sm"
-                          onClick={() => handleUpdateOrderStatus(order.Id, 'delivered')}
+                          onClick={() => handleCancelOrder(order)}
                           disabled={actionLoading}
+                          className="text-red-600 hover:text-red-700"
                         >
-                          Mark Delivered
+                          Cancel
                         </Button>
                       )}
                     </div>
@@ -394,6 +388,17 @@ const OrderManagement = () => {
                     <p><strong>Phone:</strong> {selectedOrder.customer.phone}</p>
                     <p><strong>Address:</strong> {selectedOrder.customer.address}</p>
                   </div>
+                  {hasPermission(currentUser, 'canManageCustomers') && (
+                    <Button
+                      variant="outline"
+                      size="sm"
+                      className="mt-3"
+                      onClick={() => handleViewCustomer(selectedOrder)}
+                    >
+                      <ApperIcon name="UserCircle" className="w-4 h-4 mr-2" />
+                      View Customer Profile
+                    </Button>
+                  )}
                 </div>
 
                 {/* Order Information */}
@@ -407,6 +412,9 @@ const OrderManagement = () => {
                       </Badge>
                     </p>
                     <p><strong>Payment Status:</strong> {selectedOrder.paymentStatus}</p>
+                    {selectedOrder.refundedAmount > 0 && (
+                      <p><strong>Refunded:</strong> {formatPrice(selectedOrder.refundedAmount)}</p>
+                    )}
                     <p><strong>Payment Method:</strong> {selectedOrder.paymentMethod}</p>
                     {selectedOrder.trackingNumber && (
                       <p><strong>Tracking:</strong> {selectedOrder.trackingNumber}</p>
@@ -454,6 +462,56 @@ const OrderManagement = () => {
                 </div>
               </div>
 
+              {/* Refund */}
+              {['paid', 'partially_refunded'].includes(selectedOrder.paymentStatus) &&
+                ['cancelled', 'delivered', 'returned'].includes(selectedOrder.status) &&
+                hasPermission(currentUser, 'canProcessRefunds') && (
+                <div className="mb-6 flex items-center justify-between p-3 bg-yellow-50 border border-yellow-200 rounded-lg">
+                  <p className="text-sm text-yellow-800">
+                    Refundable balance: {formatPrice(selectedOrder.total - (selectedOrder.refundedAmount || 0))}
+                  </p>
+                  <Button
+                    variant="outline"
+                    size="sm"
+                    onClick={() => handleRefundOrder(selectedOrder)}
+                    disabled={actionLoading}
+                  >
+                    <ApperIcon name="RotateCcw" className="w-4 h-4 mr-2" />
+                    Issue Refund
+                  </Button>
+                </div>
+              )}
+
+              {/* Status Timeline */}
+              <div className="mb-6">
+                <h4 className="font-semibold text-gray-900 mb-3">Status Timeline</h4>
+                {(selectedOrder.statusHistory || []).length === 0 ? (
+                  <p className="text-sm text-gray-500">
+                    No status changes recorded since this order was placed on {new Date(selectedOrder.orderDate).toLocaleString()}.
+                  </p>
+                ) : (
+                  <ol className="relative border-l border-gray-200 ml-2">
+                    {selectedOrder.statusHistory.map((entry, index) => (
+                      <li key={`${entry.timestamp}-${index}`} className="mb-4 ml-4">
+                        <div className="absolute w-3 h-3 bg-primary-500 rounded-full -left-1.5 mt-1.5 border border-white" />
+                        <div className="flex items-center space-x-2">
+                          <Badge className={cn('text-xs', getStatusColor(entry.to))}>
+                            {entry.to.toUpperCase()}
+                          </Badge>
+                          <span className="text-xs text-gray-500">
+                            {new Date(entry.timestamp).toLocaleString()}
+                          </span>
+                        </div>
+                        <p className="text-sm text-gray-600 mt-1">
+                          {entry.from ? `${entry.from} → ${entry.to}` : 'Created'} by {entry.actor}
+                          {entry.note && ` — ${entry.note}`}
+                        </p>
+                      </li>
+                    ))}
+                  </ol>
+                )}
+              </div>
+
               {/* Order Notes */}
               {selectedOrder.notes && (
                 <div className="mb-6">
@@ -4,12 +4,14 @@ import { motion } from "framer-motion";
 import QuantityDiscountTable from "@/components/molecules/QuantityDiscountTable";
 import { useCart } from "@/hooks/useCart";
 import { useToast } from "@/hooks/useToast";
-import ProductService from "@/services/api/ProductService";
+import { useSettings } from "@/hooks/useSettings";
+import ProductService, { VARIANT_ATTRIBUTES } from "@/services/api/ProductService";
 import ApperIcon from "@/components/ApperIcon";
 import ProductBadges from "@/components/molecules/ProductBadges";
 import PriceDisplay from "@/components/molecules/PriceDisplay";
 import QuantitySelector from "@/components/molecules/QuantitySelector";
 import StockIndicator from "@/components/molecules/StockIndicator";
+import ProductAlertForm from "@/components/molecules/ProductAlertForm";
 import ProductGrid from "@/components/organisms/ProductGrid";
 import Loading from "@/components/ui/Loading";
 import Error from "@/components/ui/Error";
@@ -23,6 +25,7 @@ import { calculateBulkDiscount, calculateDiscount, calculateSavings, formatPrice
 const ProductDetail = () => {
   const { id } = useParams();
   const navigate = useNavigate();
+  const { shipping } = useSettings();
   const { addToCart } = useCart();
   const { showToast } = useToast();
 
@@ -47,7 +50,7 @@ const [product, setProduct] = useState(null);
       }
 
       setProduct(productData);
-      setSelectedVariant(productData.variants?.[0] || null);
+      setSelectedVariant(productData.variants?.find(variant => variant.stock > 0) || productData.variants?.[0] || null);
 
 // Load related products using enhanced matching
       const related = await ProductService.getRelatedProducts(productData.Id, productData.category, {
@@ -71,29 +74,43 @@ const [product, setProduct] = useState(null);
     }
   }, [id]);
 
-  const handleAddToCart = () => {
+  const handleAddToCart = async () => {
     if (!product) return;
 
     const cartItem = {
       productId: product.Id,
       quantity,
-variant: selectedVariant,
+      variantId: selectedVariant?.id ?? null,
+      variant: selectedVariant,
       price: selectedVariant ? selectedVariant.price : product.price,
       discountTier: selectedTier,
       bulkSavings: selectedTier?.savings || 0
     };
 
-    addToCart(cartItem);
-    showToast(`${product.title} added to cart!`, "success");
+    try {
+      const { capped, quantity: addedQuantity } = await addToCart(cartItem);
+      if (capped) {
+        showToast(`Only ${addedQuantity} of ${product.title} could be added due to stock limits`, "warning");
+      } else {
+        showToast(`${product.title} added to cart!`, "success");
+      }
+      return true;
+    } catch (error) {
+      console.error("Add to cart error:", error);
+      showToast(error.message || "Failed to add product to cart", "error");
+      return false;
+    }
   };
 
-  const handleBuyNow = () => {
-    handleAddToCart();
-    navigate("/cart");
+  const handleBuyNow = async () => {
+    if (await handleAddToCart()) {
+      navigate("/cart");
+    }
   };
 
   const handleVariantSelect = (variant) => {
     setSelectedVariant(variant);
+    setSelectedImage(0);
     setQuantity(1); // Reset quantity when variant changes
   };
 
@@ -101,6 +118,9 @@ const [selectedTier, setSelectedTier] = useState(null);
   
   const currentPrice = selectedVariant ? selectedVariant.price : product?.price || 0;
   const currentOldPrice = selectedVariant ? selectedVariant.oldPrice : product?.oldPrice;
+  // A variant's own stock and photos take over from the product's while it is selected
+  const currentStock = selectedVariant ? selectedVariant.stock : product?.stock || 0;
+  const galleryImages = selectedVariant?.images?.length ? selectedVariant.images : product?.images || [];
   const discount = currentOldPrice ? calculateDiscount(currentOldPrice, currentPrice) : 0;
   const savings = currentOldPrice ? calculateSavings(currentOldPrice, currentPrice) : 0;
   
@@ -180,16 +200,16 @@ const handleStatusToggle = () => {
             transition={{ duration: 0.3 }}
           >
             <img
-              src={product.images?.[selectedImage] || "/api/placeholder/600/600"}
+              src={galleryImages[selectedImage] || "/api/placeholder/600/600"}
               alt={product.title}
               className="w-full h-full object-cover"
             />
           </motion.div>
 
           {/* Thumbnail Images */}
-          {product.images && product.images.length > 1 && (
+          {galleryImages.length > 1 && (
             <div className="flex space-x-2 overflow-x-auto">
-              {product.images.map((image, index) => (
+              {galleryImages.map((image, index) => (
                 <button
                   key={index}
                   onClick={() => setSelectedImage(index)}
@@ -311,15 +331,16 @@ const handleStatusToggle = () => {
             <div>
               <h3 className="font-semibold text-gray-900 mb-3">Options</h3>
               <div className="flex flex-wrap gap-2">
-                {product.variants.map((variant, index) => (
+                {product.variants.map(variant => (
                   <button
-                    key={index}
+                    key={variant.id}
                     onClick={() => handleVariantSelect(variant)}
                     className={cn(
                       "px-4 py-2 border rounded-lg transition-colors duration-200 font-medium",
-                      selectedVariant?.name === variant.name
+                      selectedVariant?.id === variant.id
                         ? "border-primary-500 bg-primary-50 text-primary-700"
-                        : "border-gray-300 bg-white text-gray-700 hover:border-primary-300 hover:bg-primary-50"
+                        : "border-gray-300 bg-white text-gray-700 hover:border-primary-300 hover:bg-primary-50",
+                      variant.stock === 0 && "opacity-60"
                     )}
                   >
                     <div className="text-center">
@@ -327,10 +348,26 @@ const handleStatusToggle = () => {
                       <div className="text-sm text-gray-600">
                         {formatPrice(variant.price)}
                       </div>
+                      {variant.stock === 0 && (
+                        <div className="text-xs text-red-600">Out of stock</div>
+                      )}
                     </div>
                   </button>
                 ))}
               </div>
+              {selectedVariant && Object.keys(selectedVariant.attributes || {}).length > 0 && (
+                <dl className="flex flex-wrap gap-x-4 gap-y-1 mt-3 text-sm">
+                  {Object.entries(selectedVariant.attributes).map(([attribute, value]) => (
+                    <div key={attribute} className="flex space-x-1">
+                      <dt className="text-gray-500">{VARIANT_ATTRIBUTES[attribute]}:</dt>
+                      <dd className="font-medium text-gray-900">{value}</dd>
+                    </div>
+                  ))}
+                </dl>
+              )}
+              {selectedVariant?.sku && (
+                <p className="text-xs text-gray-500 mt-2">SKU: {selectedVariant.sku}</p>
+              )}
             </div>
           )}
 
@@ -342,7 +379,7 @@ const handleStatusToggle = () => {
                 quantity={quantity}
                 onQuantityChange={setQuantity}
                 min={1}
-                max={product.stock}
+                max={product.maxOrderQuantity ? Math.min(currentStock, product.maxOrderQuantity) : currentStock}
                 size="lg"
               />
             </div>
@@ -362,7 +399,7 @@ const handleStatusToggle = () => {
             <div className="flex space-x-4">
               <Button
                 onClick={handleAddToCart}
-                disabled={product.stock <= 0}
+                disabled={currentStock <= 0}
                 size="lg"
                 className="flex-1"
               >
@@ -372,7 +409,7 @@ const handleStatusToggle = () => {
               
               <Button
                 onClick={handleBuyNow}
-                disabled={product.stock <= 0}
+                disabled={currentStock <= 0}
                 variant="accent"
                 size="lg"
                 className="flex-1"
@@ -381,13 +418,15 @@ const handleStatusToggle = () => {
                 Buy Now
               </Button>
             </div>
+
+            <ProductAlertForm product={product} variant={selectedVariant} />
           </div>
 
           {/* Additional Info */}
           <div className="grid grid-cols-2 gap-4 pt-6 border-t border-gray-200">
             <div className="flex items-center space-x-2 text-gray-600">
               <ApperIcon name="Truck" className="w-5 h-5" />
-              <span className="text-sm">Free shipping over Rs 1000</span>
+              <span className="text-sm">Free shipping over {formatPrice(shipping.freeShippingThreshold)}</span>
             </div>
             <div className="flex items-center space-x-2 text-gray-600">
               <ApperIcon name="RotateCcw" className="w-5 h-5" />
@@ -498,15 +537,15 @@ const handleStatusToggle = () => {
                 </tr>
               </thead>
               <tbody>
-                {product.variants.map((variant, index) => {
-                  // Simulate stock levels for each variant (in real app, this would come from backend)
-                  const variantStock = Math.floor(product.stock / product.variants.length) + (index % 3);
+                {product.variants.map(variant => {
+                  const variantStock = variant.stock;
                   const stockStatus = variantStock > 10 ? "good" : variantStock > 0 ? "low" : "out";
                   
                   return (
-                    <tr key={index} className="border-b border-gray-100 hover:bg-gray-50">
+                    <tr key={variant.id} className="border-b border-gray-100 hover:bg-gray-50">
                       <td className="py-4 px-4">
                         <div className="font-medium text-gray-900">{variant.name}</div>
+                        {variant.sku && <div className="text-xs text-gray-500">{variant.sku}</div>}
                       </td>
                       <td className="py-4 px-4">
                         <div className="text-gray-700">{formatPrice(variant.price)}</div>
@@ -0,0 +1,245 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { format } from 'date-fns';
+import { useToast } from '@/hooks/useToast';
+import ApperIcon from '@/components/ApperIcon';
+import Button from '@/components/atoms/Button';
+import Card from '@/components/atoms/Card';
+import Loading from '@/components/ui/Loading';
+import Empty from '@/components/ui/Empty';
+import { cn } from '@/utils/cn';
+import { formatPrice } from '@/utils/currency';
+import ProductService, { REVIEW_DECISIONS } from '@/services/api/ProductService';
+
+const DECISION_COLORS = {
+  submitted: 'bg-blue-100 text-blue-800',
+  approved: 'bg-green-100 text-green-800',
+  rejected: 'bg-red-100 text-red-800'
+};
+
+const formatTime = (timestamp) => (timestamp ? format(new Date(timestamp), 'MMM d, yyyy h:mm a') : '—');
+
+const ProductReviewQueue = () => {
+  const { showToast } = useToast();
+  const [activeTab, setActiveTab] = useState('queue');
+  const [queue, setQueue] = useState([]);
+  const [reviewLog, setReviewLog] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [comments, setComments] = useState({});
+  const [reviewingId, setReviewingId] = useState(null);
+
+  const loadReviews = useCallback(async () => {
+    try {
+      setLoading(true);
+      const [pending, log] = await Promise.all([
+        ProductService.getReviewQueue(),
+        ProductService.getReviewLog()
+      ]);
+      setQueue(pending);
+      setReviewLog(log);
+    } catch (error) {
+      console.error('Error loading review queue:', error);
+      showToast(error.message || 'Failed to load the review queue', 'error');
+    } finally {
+      setLoading(false);
+    }
+  }, [showToast]);
+
+  useEffect(() => {
+    loadReviews();
+  }, [loadReviews]);
+
+  const handleDecision = async (product, decision) => {
+    const comment = comments[product.Id] || '';
+    if (decision === 'rejected' && !comment.trim()) {
+      showToast('Add a comment so the submitter knows what to fix', 'error');
+      return;
+    }
+
+    try {
+      setReviewingId(product.Id);
+      const reviewed = await ProductService.reviewProduct(product.Id, decision, { comment });
+      showToast(
+        decision === 'approved'
+          ? `Approved "${product.title}"${reviewed.visibility === 'published' ? ' and published it' : ''}`
+          : `Rejected "${product.title}"`,
+        'success'
+      );
+      setComments(prev => {
+        const { [product.Id]: _, ...rest } = prev;
+        return rest;
+      });
+      await loadReviews();
+    } catch (error) {
+      console.error('Error reviewing product:', error);
+      showToast(error.message || 'Failed to save the decision', 'error');
+    } finally {
+      setReviewingId(null);
+    }
+  };
+
+  // Earlier decisions on the same product, so a resubmission can be checked against its rejection
+  const historyFor = (productId) => reviewLog.filter(entry => entry.productId === productId);
+
+  if (loading) {
+    return <Loading type="admin" />;
+  }
+
+  return (
+    <div className="p-6">
+      <div className="mb-6">
+        <h2 className="text-2xl font-display font-bold text-gray-900">Review Queue</h2>
+        <p className="text-gray-600">Approve or reject submitted products. Rejections are sent back to the submitter with your comment.</p>
+      </div>
+
+      {/* Tabs */}
+      <div className="flex space-x-1 border-b border-gray-200 mb-6">
+        {[
+          { id: 'queue', label: `Awaiting Review (${queue.length})`, icon: 'ClipboardCheck' },
+          { id: 'log', label: 'Decision Log', icon: 'History' }
+        ].map(tab => (
+          <button
+            key={tab.id}
+            onClick={() => setActiveTab(tab.id)}
+            className={cn(
+              'flex items-center px-4 py-2 text-sm font-medium border-b-2 -mb-px transition-colors',
+              activeTab === tab.id
+                ? 'border-primary-500 text-primary-600'
+                : 'border-transparent text-gray-600 hover:text-gray-900'
+            )}
+          >
+            <ApperIcon name={tab.icon} className="w-4 h-4 mr-2" />
+            {tab.label}
+          </button>
+        ))}
+      </div>
+
+      {activeTab === 'queue' && (
+        queue.length === 0 ? (
+          <Empty
+            title="Nothing to review"
+            message="Products submitted for review will appear here."
+            icon="ClipboardCheck"
+          />
+        ) : (
+          <div className="space-y-4">
+            {queue.map(product => {
+              const history = historyFor(product.Id);
+              const lastRejection = history.find(entry => entry.decision === 'rejected');
+              const submission = history.find(entry => entry.decision === 'submitted');
+              return (
+                <Card key={product.Id} className="p-4">
+                  <div className="flex flex-col md:flex-row gap-4">
+                    <img
+                      src={product.images?.[0] || product.image}
+                      alt={product.title}
+                      className="w-full md:w-32 h-32 object-cover rounded-lg bg-gray-100"
+                    />
+                    <div className="flex-1 min-w-0">
+                      <div className="flex flex-wrap items-start justify-between gap-2">
+                        <div className="min-w-0">
+                          <h3 className="font-semibold text-gray-900">{product.title}</h3>
+                          <p className="text-sm text-gray-500">
+                            {product.sku || 'No SKU'} • {product.category} • {formatPrice(product.price)}
+                          </p>
+                        </div>
+                        <span className="text-xs text-gray-500">
+                          Submitted {formatTime(product.submittedAt || submission?.timestamp)}{(product.submittedBy || submission?.user) ? ` by ${product.submittedBy || submission.user}` : ''}
+                        </span>
+                      </div>
+
+                      <p className="text-sm text-gray-700 mt-2 line-clamp-2">
+                        {product.description?.english ?? product.description}
+                      </p>
+
+                      {submission?.comment && (
+                        <p className="text-sm text-gray-600 mt-2">
+                          <span className="font-medium">Submitter note:</span> {submission.comment}
+                        </p>
+                      )}
+                      {lastRejection && (
+                        <div className="mt-2 p-2 rounded bg-red-50 text-sm text-red-700">
+                          <span className="font-medium">Previously rejected</span> by {lastRejection.user} on {formatTime(lastRejection.timestamp)}: {lastRejection.comment}
+                        </div>
+                      )}
+
+                      <textarea
+                        value={comments[product.Id] || ''}
+                        onChange={(e) => setComments(prev => ({ ...prev, [product.Id]: e.target.value }))}
+                        placeholder="Comment for the submitter (required when rejecting)"
+                        rows={2}
+                        className="w-full mt-3 px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-primary-500"
+                      />
+
+                      <div className="flex justify-end space-x-2 mt-3">
+                        <Button
+                          variant="outline"
+                          size="sm"
+                          onClick={() => handleDecision(product, 'rejected')}
+                          disabled={reviewingId !== null}
+                          className="text-red-600 border-red-300 hover:bg-red-50"
+                        >
+                          <ApperIcon name="XCircle" className="w-4 h-4 mr-1" />
+                          Reject
+                        </Button>
+                        <Button
+                          size="sm"
+                          onClick={() => handleDecision(product, 'approved')}
+                          disabled={reviewingId !== null}
+                        >
+                          <ApperIcon
+                            name={reviewingId === product.Id ? 'Loader2' : 'CheckCircle'}
+                            className={cn('w-4 h-4 mr-1', reviewingId === product.Id && 'animate-spin')}
+                          />
+                          Approve
+                        </Button>
+                      </div>
+                    </div>
+                  </div>
+                </Card>
+              );
+            })}
+          </div>
+        )
+      )}
+
+      {activeTab === 'log' && (
+        <Card className="overflow-hidden">
+          {reviewLog.length === 0 ? (
+            <p className="p-6 text-sm text-gray-500 text-center">No review decisions have been made yet.</p>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead className="bg-gray-50 text-left text-gray-600">
+                  <tr>
+                    <th className="px-4 py-3 font-medium">When</th>
+                    <th className="px-4 py-3 font-medium">Product</th>
+                    <th className="px-4 py-3 font-medium">Decision</th>
+                    <th className="px-4 py-3 font-medium">By</th>
+                    <th className="px-4 py-3 font-medium">Comment</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-200">
+                  {reviewLog.map(entry => (
+                    <tr key={entry.id}>
+                      <td className="px-4 py-3 whitespace-nowrap text-gray-600">{formatTime(entry.timestamp)}</td>
+                      <td className="px-4 py-3 text-gray-900">{entry.productTitle}</td>
+                      <td className="px-4 py-3">
+                        <span className={cn('px-2 py-0.5 rounded-full text-xs font-medium', DECISION_COLORS[entry.decision])}>
+                          {REVIEW_DECISIONS[entry.decision]}
+                        </span>
+                      </td>
+                      <td className="px-4 py-3 text-gray-600">{entry.user}</td>
+                      <td className="px-4 py-3 text-gray-600">{entry.comment || '—'}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </Card>
+      )}
+    </div>
+  );
+};
+
+export default ProductReviewQueue;
@@ -0,0 +1,548 @@
+import React, { useState, useEffect } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { useToast } from '@/hooks/useToast';
+import ApperIcon from '@/components/ApperIcon';
+import Button from '@/components/atoms/Button';
+import Input from '@/components/atoms/Input';
+import Badge from '@/components/atoms/Badge';
+import Card from '@/components/atoms/Card';
+import Loading from '@/components/ui/Loading';
+import Empty from '@/components/ui/Empty';
+import { formatPrice } from '@/utils/currency';
+import { cn } from '@/utils/cn';
+import { PromotionService, PROMOTION_TYPES, PROMOTION_SCOPES } from '@/services/api/PromotionService';
+import { CategoryService } from '@/services/api/CategoryService';
+
+const EMPTY_PROMOTION = {
+  code: '',
+  description: '',
+  type: 'percentage',
+  value: '',
+  maxDiscount: '',
+  minBasket: '',
+  scope: { type: 'all', categories: [], productIds: [] },
+  usageLimit: '',
+  perCustomerLimit: '',
+  startsAt: '',
+  endsAt: '',
+  stackable: false,
+  active: true
+};
+
+const PromotionManagement = () => {
+  const { showToast } = useToast();
+  const [promotions, setPromotions] = useState([]);
+  const [categories, setCategories] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [actionLoading, setActionLoading] = useState(false);
+  const [statusFilter, setStatusFilter] = useState('all');
+
+  // Create / edit modal
+  const [showModal, setShowModal] = useState(false);
+  const [editingId, setEditingId] = useState(null);
+  const [form, setForm] = useState(EMPTY_PROMOTION);
+  const [formErrors, setFormErrors] = useState({});
+
+  useEffect(() => {
+    const loadData = async () => {
+      setLoading(true);
+      try {
+        const [promotionList, categoryList] = await Promise.all([
+          PromotionService.getAll(),
+          CategoryService.getAll()
+        ]);
+        setPromotions(promotionList);
+        setCategories(categoryList);
+      } catch (error) {
+        console.error('Error loading promotions:', error);
+        showToast('Failed to load promotions', 'error');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadData();
+  }, [showToast]);
+
+  const filteredPromotions = statusFilter === 'all'
+    ? promotions
+    : promotions.filter(promotion => promotion.status === statusFilter);
+
+  const openCreateModal = () => {
+    setEditingId(null);
+    setForm(EMPTY_PROMOTION);
+    setFormErrors({});
+    setShowModal(true);
+  };
+
+  const openEditModal = (promotion) => {
+    setEditingId(promotion.Id);
+    setForm({
+      ...EMPTY_PROMOTION,
+      ...promotion,
+      value: promotion.value ?? '',
+      maxDiscount: promotion.maxDiscount ?? '',
+      minBasket: promotion.minBasket || '',
+      usageLimit: promotion.usageLimit ?? '',
+      perCustomerLimit: promotion.perCustomerLimit ?? '',
+      startsAt: promotion.startsAt ? promotion.startsAt.slice(0, 10) : '',
+      endsAt: promotion.endsAt ? promotion.endsAt.slice(0, 10) : ''
+    });
+    setFormErrors({});
+    setShowModal(true);
+  };
+
+  const updateForm = (field, value) => {
+    setForm(prev => ({ ...prev, [field]: value }));
+    if (formErrors[field]) {
+      setFormErrors(prev => ({ ...prev, [field]: null }));
+    }
+  };
+
+  const updateScope = (changes) => {
+    setForm(prev => ({ ...prev, scope: { ...prev.scope, ...changes } }));
+    if (formErrors.scope) {
+      setFormErrors(prev => ({ ...prev, scope: null }));
+    }
+  };
+
+  const toggleScopeCategory = (category) => {
+    const selected = form.scope.categories.includes(category)
+      ? form.scope.categories.filter(c => c !== category)
+      : [...form.scope.categories, category];
+    updateScope({ categories: selected });
+  };
+
+  const handleSave = async () => {
+    const payload = {
+      ...form,
+      Id: editingId,
+      // Date inputs give a day; the window runs to the end of the end date
+      startsAt: form.startsAt ? new Date(`${form.startsAt}T00:00:00`).toISOString() : null,
+      endsAt: form.endsAt ? new Date(`${form.endsAt}T23:59:59`).toISOString() : null
+    };
+
+    const validation = PromotionService.validate(payload);
+    if (!validation.isValid) {
+      setFormErrors(validation.errors);
+      return;
+    }
+
+    try {
+      setActionLoading(true);
+      if (editingId) {
+        const updated = await PromotionService.update(editingId, payload);
+        setPromotions(prev => prev.map(p => p.Id === updated.Id ? updated : p));
+        showToast(`Promotion ${updated.code} updated`, 'success');
+      } else {
+        const created = await PromotionService.create(payload);
+        setPromotions(prev => [...prev, created]);
+        showToast(`Promotion ${created.code} created`, 'success');
+      }
+      setShowModal(false);
+    } catch (error) {
+      console.error('Error saving promotion:', error);
+      showToast(error.message || 'Failed to save promotion', 'error');
+    } finally {
+      setActionLoading(false);
+    }
+  };
+
+  const handleToggleActive = async (promotion) => {
+    try {
+      setActionLoading(true);
+      const updated = await PromotionService.update(promotion.Id, { active: !promotion.active });
+      setPromotions(prev => prev.map(p => p.Id === updated.Id ? updated : p));
+      showToast(`Promotion ${updated.code} ${updated.active ? 'activated' : 'deactivated'}`, 'success');
+    } catch (error) {
+      console.error('Error toggling promotion:', error);
+      showToast(error.message || 'Failed to update promotion', 'error');
+    } finally {
+      setActionLoading(false);
+    }
+  };
+
+  const handleDelete = async (promotion) => {
+    if (!confirm(`Delete promotion ${promotion.code}? Customers will no longer be able to use it.`)) {
+      return;
+    }
+
+    try {
+      setActionLoading(true);
+      await PromotionService.delete(promotion.Id);
+      setPromotions(prev => prev.filter(p => p.Id !== promotion.Id));
+      showToast(`Promotion ${promotion.code} deleted`, 'success');
+    } catch (error) {
+      console.error('Error deleting promotion:', error);
+      showToast(error.message || 'Failed to delete promotion', 'error');
+    } finally {
+      setActionLoading(false);
+    }
+  };
+
+  const getStatusColor = (status) => {
+    switch (status) {
+      case 'active': return 'bg-green-100 text-green-800';
+      case 'scheduled': return 'bg-blue-100 text-blue-800';
+      case 'expired': return 'bg-gray-200 text-gray-700';
+      case 'exhausted': return 'bg-orange-100 text-orange-800';
+      case 'inactive': return 'bg-red-100 text-red-800';
+      default: return 'bg-gray-100 text-gray-800';
+    }
+  };
+
+  const describeValue = (promotion) => {
+    if (promotion.type === 'free_shipping') return 'Free shipping';
+    if (promotion.type === 'percentage') {
+      return `${promotion.value}% off${promotion.maxDiscount ? ` (max ${formatPrice(promotion.maxDiscount)})` : ''}`;
+    }
+    return `${formatPrice(promotion.value)} off`;
+  };
+
+  const describeScope = (promotion) => {
+    if (promotion.scope?.type === 'category') {
+      const names = promotion.scope.categories.map(slug => categories.find(category => category.slug === slug)?.name || slug);
+      return `Categories: ${names.join(', ')}`;
+    }
+    if (promotion.scope?.type === 'product') return `Products: #${promotion.scope.productIds.join(', #')}`;
+    return 'Whole basket';
+  };
+
+  if (loading) return <Loading />;
+
+  return (
+    <div className="p-6">
+      <div className="mb-6">
+        <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-4">
+          <div>
+            <h2 className="text-2xl font-display font-bold text-gray-900">
+              Marketing & Promotions
+            </h2>
+            <p className="text-gray-600">
+              Manage coupon codes, eligibility rules and usage limits
+            </p>
+          </div>
+          <Button onClick={openCreateModal}>
+            <ApperIcon name="Plus" className="w-4 h-4 mr-2" />
+            New Promotion
+          </Button>
+        </div>
+      </div>
+
+      {/* Summary Stats */}
+      <div className="grid grid-cols-1 md:grid-cols-4 gap-4 mb-6">
+        <Card className="p-4">
+          <div className="text-2xl font-bold text-gray-900">{promotions.length}</div>
+          <div className="text-sm text-gray-600">Total Promotions</div>
+        </Card>
+        <Card className="p-4">
+          <div className="text-2xl font-bold text-green-600">
+            {promotions.filter(p => p.status === 'active').length}
+          </div>
+          <div className="text-sm text-gray-600">Active</div>
+        </Card>
+        <Card className="p-4">
+          <div className="text-2xl font-bold text-blue-600">
+            {promotions.filter(p => p.status === 'scheduled').length}
+          </div>
+          <div className="text-sm text-gray-600">Scheduled</div>
+        </Card>
+        <Card className="p-4">
+          <div className="text-2xl font-bold text-purple-600">
+            {promotions.reduce((sum, p) => sum + (p.usageCount || 0), 0)}
+          </div>
+          <div className="text-sm text-gray-600">Total Redemptions</div>
+        </Card>
+      </div>
+
+      {/* Filters */}
+      <Card className="p-4 mb-6">
+        <div className="flex items-center gap-4">
+          <select
+            value={statusFilter}
+            onChange={(e) => setStatusFilter(e.target.value)}
+            className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500"
+          >
+            <option value="all">All Status</option>
+            <option value="active">Active</option>
+            <option value="scheduled">Scheduled</option>
+            <option value="expired">Expired</option>
+            <option value="exhausted">Usage limit reached</option>
+            <option value="inactive">Inactive</option>
+          </select>
+        </div>
+      </Card>
+
+      {/* Promotions List */}
+      {filteredPromotions.length === 0 ? (
+        <Empty
+          title="No promotions found"
+          message="Create a promotion to offer customers a discount code"
+          actionText="New Promotion"
+          onAction={openCreateModal}
+          icon="Tag"
+        />
+      ) : (
+        <div className="space-y-4">
+          <AnimatePresence>
+            {filteredPromotions.map((promotion) => (
+              <motion.div
+                key={promotion.Id}
+                initial={{ opacity: 0, y: 20 }}
+                animate={{ opacity: 1, y: 0 }}
+                exit={{ opacity: 0, y: -20 }}
+              >
+                <Card className="p-6">
+                  <div className="flex flex-col lg:flex-row lg:items-center justify-between gap-4">
+                    <div className="flex-1">
+                      <div className="flex items-center space-x-3 mb-2">
+                        <h3 className="font-mono font-semibold text-gray-900">{promotion.code}</h3>
+                        <Badge className={cn('text-xs', getStatusColor(promotion.status))}>
+                          {promotion.status.toUpperCase()}
+                        </Badge>
+                        {promotion.stackable && (
+                          <Badge className="text-xs bg-gray-100 text-gray-700">STACKABLE</Badge>
+                        )}
+                      </div>
+                      {promotion.description && (
+                        <p className="text-gray-600 text-sm mb-1">{promotion.description}</p>
+                      )}
+                      <p className="text-gray-600 text-sm mb-1">
+                        <strong>{describeValue(promotion)}</strong> • {describeScope(promotion)}
+                        {promotion.minBasket > 0 && ` • Min basket ${formatPrice(promotion.minBasket)}`}
+                      </p>
+                      <p className="text-gray-500 text-xs">
+                        Used {promotion.usageCount || 0}{promotion.usageLimit ? ` / ${promotion.usageLimit}` : ''} times
+                        {promotion.perCustomerLimit && ` • ${promotion.perCustomerLimit} per customer`}
+                        {promotion.startsAt && ` • From ${new Date(promotion.startsAt).toLocaleDateString()}`}
+                        {promotion.endsAt && ` • Until ${new Date(promotion.endsAt).toLocaleDateString()}`}
+                      </p>
+                    </div>
+
+                    <div className="flex items-center space-x-2">
+                      <Button
+                        variant="outline"
+                        size="sm"
+                        onClick={() => handleToggleActive(promotion)}
+                        disabled={actionLoading}
+                      >
+                        {promotion.active ? 'Deactivate' : 'Activate'}
+                      </Button>
+                      <Button
+                        variant="ghost"
+                        size="sm"
+                        onClick={() => openEditModal(promotion)}
+                        disabled={actionLoading}
+                      >
+                        <ApperIcon name="Edit" className="w-4 h-4" />
+                      </Button>
+                      <Button
+                        variant="ghost"
+                        size="sm"
+                        onClick={() => handleDelete(promotion)}
+                        disabled={actionLoading}
+                        className="text-red-600 hover:text-red-700"
+                      >
+                        <ApperIcon name="Trash2" className="w-4 h-4" />
+                      </Button>
+                    </div>
+                  </div>
+                </Card>
+              </motion.div>
+            ))}
+          </AnimatePresence>
+        </div>
+      )}
+
+      {/* Create / Edit Modal */}
+      {showModal && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+          <Card className="w-full max-w-2xl max-h-[90vh] overflow-y-auto">
+            <div className="p-6">
+              <div className="flex justify-between items-center mb-6">
+                <h3 className="text-xl font-semibold">
+                  {editingId ? 'Edit Promotion' : 'New Promotion'}
+                </h3>
+                <Button variant="ghost" onClick={() => setShowModal(false)}>
+                  <ApperIcon name="X" className="w-5 h-5" />
+                </Button>
+              </div>
+
+              <div className="space-y-4">
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                  <Input
+                    label="Code"
+                    required
+                    placeholder="e.g. EID2025"
+                    value={form.code}
+                    onChange={(e) => updateForm('code', e.target.value.toUpperCase())}
+                    error={formErrors.code}
+                  />
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Type</label>
+                    <select
+                      value={form.type}
+                      onChange={(e) => updateForm('type', e.target.value)}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500"
+                    >
+                      {Object.entries(PROMOTION_TYPES).map(([value, label]) => (
+                        <option key={value} value={value}>{label}</option>
+                      ))}
+                    </select>
+                  </div>
+                </div>
+
+                <Input
+                  label="Description"
+                  value={form.description}
+                  onChange={(e) => updateForm('description', e.target.value)}
+                />
+
+                {form.type !== 'free_shipping' && (
+                  <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                    <Input
+                      label={form.type === 'percentage' ? 'Percentage off' : 'Amount off (Rs)'}
+                      type="number"
+                      value={form.value}
+                      onChange={(e) => updateForm('value', e.target.value)}
+                      error={formErrors.value}
+                    />
+                    {form.type === 'percentage' && (
+                      <Input
+                        label="Maximum discount (Rs)"
+                        type="number"
+                        value={form.maxDiscount}
+                        onChange={(e) => updateForm('maxDiscount', e.target.value)}
+                      />
+                    )}
+                  </div>
+                )}
+
+                <Input
+                  label="Minimum basket (Rs)"
+                  type="number"
+                  value={form.minBasket}
+                  onChange={(e) => updateForm('minBasket', e.target.value)}
+                />
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Applies to</label>
+                  <select
+                    value={form.scope.type}
+                    onChange={(e) => updateScope({ type: e.target.value })}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500"
+                  >
+                    {Object.entries(PROMOTION_SCOPES).map(([value, label]) => (
+                      <option key={value} value={value}>{label}</option>
+                    ))}
+                  </select>
+                  {form.scope.type === 'category' && (
+                    <div className="grid grid-cols-2 md:grid-cols-3 gap-2 mt-3">
+                      {categories.map(category => {
+                        const key = category.slug;
+                        return (
+                          <label key={category.Id} className="flex items-center text-sm text-gray-700">
+                            <input
+                              type="checkbox"
+                              checked={form.scope.categories.includes(key)}
+                              onChange={() => toggleScopeCategory(key)}
+                              className="w-4 h-4 text-primary-600 border-gray-300 rounded mr-2"
+                            />
+                            {category.name}
+                          </label>
+                        );
+                      })}
+                    </div>
+                  )}
+                  {form.scope.type === 'product' && (
+                    <input
+                      type="text"
+                      placeholder="Product IDs, comma separated (e.g. 3, 12, 27)"
+                      value={form.scope.productIds.join(', ')}
+                      onChange={(e) => updateScope({
+                        productIds: e.target.value.split(',').map(id => id.trim()).filter(Boolean)
+                      })}
+                      className="w-full mt-3 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 text-sm"
+                    />
+                  )}
+                  {formErrors.scope && <p className="text-sm text-red-600 mt-1">{formErrors.scope}</p>}
+                </div>
+
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                  <Input
+                    label="Total usage limit"
+                    type="number"
+                    placeholder="Unlimited"
+                    value={form.usageLimit}
+                    onChange={(e) => updateForm('usageLimit', e.target.value)}
+                  />
+                  <Input
+                    label="Uses per customer"
+                    type="number"
+                    placeholder="Unlimited"
+                    value={form.perCustomerLimit}
+                    onChange={(e) => updateForm('perCustomerLimit', e.target.value)}
+                  />
+                </div>
+
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Valid from</label>
+                    <input
+                      type="date"
+                      value={form.startsAt}
+                      onChange={(e) => updateForm('startsAt', e.target.value)}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Valid until</label>
+                    <input
+                      type="date"
+                      value={form.endsAt}
+                      onChange={(e) => updateForm('endsAt', e.target.value)}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500"
+                    />
+                    {formErrors.endsAt && <p className="text-sm text-red-600 mt-1">{formErrors.endsAt}</p>}
+                  </div>
+                </div>
+
+                <div className="flex flex-col sm:flex-row sm:space-x-6 space-y-2 sm:space-y-0">
+                  <label className="flex items-center text-sm text-gray-700">
+                    <input
+                      type="checkbox"
+                      checked={form.stackable}
+                      onChange={(e) => updateForm('stackable', e.target.checked)}
+                      className="w-4 h-4 text-primary-600 border-gray-300 rounded mr-2"
+                    />
+                    Can be combined with other codes
+                  </label>
+                  <label className="flex items-center text-sm text-gray-700">
+                    <input
+                      type="checkbox"
+                      checked={form.active}
+                      onChange={(e) => updateForm('active', e.target.checked)}
+                      className="w-4 h-4 text-primary-600 border-gray-300 rounded mr-2"
+                    />
+                    Active
+                  </label>
+                </div>
+              </div>
+
+              <div className="flex justify-end space-x-3 mt-6 pt-6 border-t border-gray-200">
+                <Button variant="outline" onClick={() => setShowModal(false)} disabled={actionLoading}>
+                  Cancel
+                </Button>
+                <Button onClick={handleSave} loading={actionLoading} disabled={actionLoading}>
+                  {editingId ? 'Save Changes' : 'Create Promotion'}
+                </Button>
+              </div>
+            </div>
+          </Card>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PromotionManagement;
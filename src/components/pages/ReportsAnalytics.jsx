@@ -1,87 +1,164 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { motion } from 'framer-motion';
+import Chart from 'react-apexcharts';
 import { useToast } from '@/hooks/useToast';
+import { useSettings } from '@/hooks/useSettings';
 import ApperIcon from '@/components/ApperIcon';
 import Button from '@/components/atoms/Button';
 import Card from '@/components/atoms/Card';
 import Loading from '@/components/ui/Loading';
 import { formatPrice } from '@/utils/currency';
 import { cn } from '@/utils/cn';
+import { buildExportFilename, exportCsv, exportSpreadsheet, openPrintView } from '@/utils/export';
+import { ReportService, REPORT_PERIODS, getReportTables } from '@/services/api/ReportService';
+
+// The page shows the leaders; exports carry every row
+const TOP_ROWS_SHOWN = 5;
+const ACTIVITY_ROWS_SHOWN = 8;
+
+const CHART_COLORS = ['#43A047', '#FB8C00', '#1E88E5', '#8E24AA', '#F4511E', '#00ACC1', '#6D4C41'];
+
+const METRIC_CARDS = [
+  { key: 'revenue', label: 'Revenue', icon: 'DollarSign', iconBg: 'bg-green-100', iconColor: 'text-green-600', format: formatPrice },
+  { key: 'orders', label: 'Orders', icon: 'ShoppingCart', iconBg: 'bg-blue-100', iconColor: 'text-blue-600', format: (value) => value.toLocaleString() },
+  { key: 'averageOrderValue', label: 'Avg. Order Value', icon: 'Receipt', iconBg: 'bg-purple-100', iconColor: 'text-purple-600', format: formatPrice },
+  { key: 'customers', label: 'Customers', icon: 'Users', iconBg: 'bg-orange-100', iconColor: 'text-orange-600', format: (value) => value.toLocaleString() }
+];
+
+const ACTIVITY_STYLES = {
+  order: { icon: 'ShoppingCart', bg: 'bg-green-100', color: 'text-green-600' },
+  status: { icon: 'Truck', bg: 'bg-blue-100', color: 'text-blue-600' },
+  refund: { icon: 'RotateCcw', bg: 'bg-orange-100', color: 'text-orange-600' }
+};
+
+const formatActivityTime = (timestamp) => {
+  const minutes = Math.floor((Date.now() - new Date(timestamp).getTime()) / 60000);
+  if (minutes < 1) return 'Just now';
+  if (minutes < 60) return `${minutes} minute${minutes === 1 ? '' : 's'} ago`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `${hours} hour${hours === 1 ? '' : 's'} ago`;
+  return new Date(timestamp).toLocaleString();
+};
+
+const GrowthIndicator = ({ value, hasComparison }) => {
+  if (value === null) {
+    return (
+      <p className="text-sm text-gray-500 mt-1">
+        {hasComparison ? 'No sales in previous period' : 'No earlier period'}
+      </p>
+    );
+  }
+
+  const positive = value >= 0;
+  return (
+    <p className={cn('text-sm mt-1', positive ? 'text-green-600' : 'text-red-600')}>
+      <ApperIcon name={positive ? 'TrendingUp' : 'TrendingDown'} className="w-4 h-4 inline mr-1" />
+      {positive ? '+' : ''}{value}%
+    </p>
+  );
+};
 
 const ReportsAnalytics = () => {
   const { showToast } = useToast();
+  const { store } = useSettings();
   const [loading, setLoading] = useState(true);
-  const [selectedPeriod, setSelectedPeriod] = useState('7d');
+  const [showExportMenu, setShowExportMenu] = useState(false);
+  const [refreshing, setRefreshing] = useState(false);
+  const [selectedPeriod, setSelectedPeriod] = useState('30d');
   const [analytics, setAnalytics] = useState(null);
 
-  const [currentUser] = useState({
-    role: 'admin',
-    permissions: { canViewReports: true }
-  });
+  const loadAnalytics = useCallback(async () => {
+    try {
+      const report = await ReportService.getSalesReport(selectedPeriod, { topLimit: Infinity, activityLimit: Infinity });
+      setAnalytics(report);
+    } catch (error) {
+      console.error('Error loading analytics:', error);
+      showToast(error.message || 'Failed to load analytics data', 'error');
+    }
+  }, [selectedPeriod, showToast]);
 
   useEffect(() => {
-    const loadAnalytics = async () => {
-      setLoading(true);
-      try {
-        await new Promise(resolve => setTimeout(resolve, 1000));
-        
-        const mockAnalytics = {
-          summary: {
-            totalRevenue: 2850000,
-            totalOrders: 1247,
-            totalProducts: 49,
-            totalCustomers: 892,
-            revenueGrowth: 12.5,
-            ordersGrowth: 8.2,
-            productsGrowth: 15.3,
-            customersGrowth: 22.1
-          },
-          topProducts: [
-            { id: 1, name: 'Apple iPhone 15 Pro', sales: 45, revenue: 485000 * 45 },
-            { id: 2, name: 'Samsung Galaxy S24', sales: 32, revenue: 285000 * 32 },
-            { id: 3, name: 'Dell XPS 13 Laptop', sales: 28, revenue: 285000 * 28 },
-            { id: 4, name: 'Samsung 65" 4K Smart TV', sales: 24, revenue: 165000 * 24 },
-            { id: 5, name: 'Fresh Halal Mutton', sales: 156, revenue: 2200 * 156 }
-          ],
-          topCategories: [
-            { category: 'Electronics', sales: 234, revenue: 15650000 },
-            { category: 'Mobile', sales: 89, revenue: 12340000 },
-            { category: 'Computer', sales: 45, revenue: 8950000 },
-            { category: 'Meat', sales: 345, revenue: 2890000 },
-            { category: 'Vegetables', sales: 567, revenue: 1234000 }
-          ],
-          recentActivity: [
-            { type: 'order', message: 'New order #ORD-2024-1005 received', time: '2 minutes ago' },
-            { type: 'product', message: 'Product "Organic Honey" published', time: '15 minutes ago' },
-            { type: 'user', message: 'New customer registration', time: '1 hour ago' },
-            { type: 'order', message: 'Order #ORD-2024-1004 delivered', time: '2 hours ago' },
-            { type: 'product', message: 'Stock alert: iPhone 15 Pro running low', time: '3 hours ago' }
-          ],
-          salesChart: {
-            labels: ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul'],
-            data: [1200000, 1350000, 1180000, 1650000, 2100000, 2350000, 2850000]
-          }
-        };
+    setLoading(true);
+    loadAnalytics().finally(() => setLoading(false));
+  }, [loadAnalytics]);
 
-        setAnalytics(mockAnalytics);
-      } catch (error) {
-        console.error('Error loading analytics:', error);
-        showToast('Failed to load analytics data', 'error');
-      } finally {
-        setLoading(false);
-      }
-    };
+  const handleRefresh = async () => {
+    setRefreshing(true);
+    await loadAnalytics();
+    setRefreshing(false);
+  };
 
-    loadAnalytics();
-  }, [selectedPeriod, showToast]);
+  const runExport = (format, tableName) => {
+    setShowExportMenu(false);
+    try {
+      const tables = getReportTables(analytics);
+      const periodRange = `${new Date(analytics.range.start).toLocaleDateString()} – ${new Date(analytics.range.end).toLocaleDateString()}`;
+      const filename = buildExportFilename(store.name, 'sales-report', selectedPeriod, analytics.range.end.slice(0, 10));
 
-  const exportReport = () => {
-    showToast('Report exported successfully', 'success');
+      if (format === 'csv') {
+        const table = tables.find(item => item.name === tableName);
+        exportCsv(buildExportFilename(filename, table.name), table);
+      } else if (format === 'spreadsheet') {
+        exportSpreadsheet(filename, tables);
+      } else {
+        openPrintView({
+          title: `${store.name} Sales Report`,
+          subtitle: `${REPORT_PERIODS[selectedPeriod].label} (${periodRange}) • Generated ${new Date().toLocaleString()}`,
+          tables
+        });
+        return;
+      }
+      showToast('Report exported successfully', 'success');
+    } catch (error) {
+      console.error('Error exporting report:', error);
+      showToast(error.message || 'Failed to export report', 'error');
+    }
   };
 
   if (loading) return <Loading />;
   if (!analytics) return null;
 
+  const hasSales = analytics.summary.orders > 0;
+  const periodLabel = REPORT_PERIODS[selectedPeriod].label.toLowerCase();
+
+  const salesChart = {
+    series: [
+      { name: 'Revenue', type: 'area', data: analytics.salesSeries.revenue },
+      { name: 'Orders', type: 'column', data: analytics.salesSeries.orders }
+    ],
+    options: {
+      chart: { toolbar: { show: false }, fontFamily: 'inherit', zoom: { enabled: false } },
+      colors: [CHART_COLORS[0], CHART_COLORS[2]],
+      stroke: { width: [2, 0], curve: 'smooth' },
+      fill: { type: ['gradient', 'solid'], gradient: { opacityFrom: 0.4, opacityTo: 0.05 } },
+      dataLabels: { enabled: false },
+      labels: analytics.salesSeries.labels,
+      xaxis: { tickAmount: Math.min(analytics.salesSeries.labels.length, 12) },
+      yaxis: [
+        { title: { text: 'Revenue' }, labels: { formatter: (value) => formatPrice(Math.round(value)) } },
+        { opposite: true, title: { text: 'Orders' }, labels: { formatter: (value) => Math.round(value) } }
+      ],
+      tooltip: { shared: true, intersect: false },
+      legend: { position: 'top', horizontalAlign: 'right' }
+    }
+  };
+
+  const topProducts = analytics.topProducts.slice(0, TOP_ROWS_SHOWN);
+  const topCategories = analytics.topCategories.slice(0, TOP_ROWS_SHOWN);
+  const recentActivity = analytics.recentActivity.slice(0, ACTIVITY_ROWS_SHOWN);
+
+  const categoryChart = {
+    series: topCategories.map(category => category.revenue),
+    options: {
+      chart: { fontFamily: 'inherit' },
+      labels: topCategories.map(category => category.name),
+      colors: CHART_COLORS,
+      legend: { position: 'bottom' },
+      dataLabels: { enabled: true, formatter: (value) => `${Math.round(value)}%` },
+      tooltip: { y: { formatter: (value) => formatPrice(value) } }
+    }
+  };
+
   return (
     <div className="p-6">
       <div className="mb-6">
@@ -91,128 +168,128 @@ const ReportsAnalytics = () => {
               Reports & Analytics
             </h2>
             <p className="text-gray-600">
-              Business insights and performance metrics
+              {new Date(analytics.range.start).toLocaleDateString()} – {new Date(analytics.range.end).toLocaleDateString()}
+              {analytics.previousRange && ' compared with the previous period'}
             </p>
           </div>
-          
+
           <div className="flex items-center space-x-4">
             <select
               value={selectedPeriod}
               onChange={(e) => setSelectedPeriod(e.target.value)}
               className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500"
             >
-              <option value="7d">Last 7 Days</option>
-              <option value="30d">Last 30 Days</option>
-              <option value="90d">Last 90 Days</option>
-              <option value="1y">Last Year</option>
+              {Object.entries(REPORT_PERIODS).map(([value, { label }]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
             </select>
-            
-            <Button onClick={exportReport}>
-              <ApperIcon name="Download" className="w-4 h-4 mr-2" />
-              Export Report
-            </Button>
+
+            <div className="relative">
+              <Button onClick={() => setShowExportMenu(prev => !prev)} aria-haspopup="menu" aria-expanded={showExportMenu}>
+                <ApperIcon name="Download" className="w-4 h-4 mr-2" />
+                Export Report
+                <ApperIcon name="ChevronDown" className="w-4 h-4 ml-2" />
+              </Button>
+              {showExportMenu && (
+                <Card className="absolute right-0 mt-2 w-64 py-2 z-20" role="menu">
+                  <button
+                    role="menuitem"
+                    onClick={() => runExport('spreadsheet')}
+                    className="w-full flex items-center px-4 py-2 text-sm text-gray-700 hover:bg-gray-50 text-left"
+                  >
+                    <ApperIcon name="FileSpreadsheet" className="w-4 h-4 mr-2 text-green-600" />
+                    Excel workbook (all tables)
+                  </button>
+                  <button
+                    role="menuitem"
+                    onClick={() => runExport('print')}
+                    className="w-full flex items-center px-4 py-2 text-sm text-gray-700 hover:bg-gray-50 text-left"
+                  >
+                    <ApperIcon name="Printer" className="w-4 h-4 mr-2 text-gray-600" />
+                    Print / save as PDF
+                  </button>
+                  <div className="border-t border-gray-100 my-1" />
+                  <p className="px-4 py-1 text-xs font-medium text-gray-500 uppercase">CSV</p>
+                  {getReportTables(analytics).map(table => (
+                    <button
+                      key={table.name}
+                      role="menuitem"
+                      onClick={() => runExport('csv', table.name)}
+                      className="w-full flex items-center px-4 py-2 text-sm text-gray-700 hover:bg-gray-50 text-left"
+                    >
+                      <ApperIcon name="FileText" className="w-4 h-4 mr-2 text-gray-400" />
+                      {table.name}
+                    </button>
+                  ))}
+                </Card>
+              )}
+            </div>
           </div>
         </div>
       </div>
 
       {/* Key Metrics */}
       <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6 mb-8">
-        <motion.div
-          initial={{ opacity: 0, y: 20 }}
-          animate={{ opacity: 1, y: 0 }}
-          transition={{ delay: 0.1 }}
-        >
-          <Card className="p-6">
-            <div className="flex items-center justify-between">
-              <div>
-                <p className="text-sm font-medium text-gray-600">Total Revenue</p>
-                <p className="text-2xl font-bold text-gray-900">
-                  {formatPrice(analytics.summary.totalRevenue)}
-                </p>
-                <p className="text-sm text-green-600 mt-1">
-                  <ApperIcon name="TrendingUp" className="w-4 h-4 inline mr-1" />
-                  +{analytics.summary.revenueGrowth}%
-                </p>
-              </div>
-              <div className="p-3 bg-green-100 rounded-full">
-                <ApperIcon name="DollarSign" className="w-6 h-6 text-green-600" />
-              </div>
-            </div>
-          </Card>
-        </motion.div>
-
-        <motion.div
-          initial={{ opacity: 0, y: 20 }}
-          animate={{ opacity: 1, y: 0 }}
-          transition={{ delay: 0.2 }}
-        >
-          <Card className="p-6">
-            <div className="flex items-center justify-between">
-              <div>
-                <p className="text-sm font-medium text-gray-600">Total Orders</p>
-                <p className="text-2xl font-bold text-gray-900">
-                  {analytics.summary.totalOrders.toLocaleString()}
-                </p>
-                <p className="text-sm text-green-600 mt-1">
-                  <ApperIcon name="TrendingUp" className="w-4 h-4 inline mr-1" />
-                  +{analytics.summary.ordersGrowth}%
-                </p>
-              </div>
-              <div className="p-3 bg-blue-100 rounded-full">
-                <ApperIcon name="ShoppingCart" className="w-6 h-6 text-blue-600" />
+        {METRIC_CARDS.map((metric, index) => (
+          <motion.div
+            key={metric.key}
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+            transition={{ delay: 0.1 * (index + 1) }}
+          >
+            <Card className="p-6">
+              <div className="flex items-center justify-between">
+                <div>
+                  <p className="text-sm font-medium text-gray-600">{metric.label}</p>
+                  <p className="text-2xl font-bold text-gray-900">
+                    {metric.format(analytics.summary[metric.key])}
+                  </p>
+                  <GrowthIndicator value={analytics.growth[metric.key]} hasComparison={!!analytics.previous} />
+                </div>
+                <div className={cn('p-3 rounded-full', metric.iconBg)}>
+                  <ApperIcon name={metric.icon} className={cn('w-6 h-6', metric.iconColor)} />
+                </div>
               </div>
-            </div>
-          </Card>
-        </motion.div>
+            </Card>
+          </motion.div>
+        ))}
+      </div>
 
-        <motion.div
-          initial={{ opacity: 0, y: 20 }}
-          animate={{ opacity: 1, y: 0 }}
-          transition={{ delay: 0.3 }}
-        >
-          <Card className="p-6">
-            <div className="flex items-center justify-between">
-              <div>
-                <p className="text-sm font-medium text-gray-600">Total Products</p>
-                <p className="text-2xl font-bold text-gray-900">
-                  {analytics.summary.totalProducts}
-                </p>
-                <p className="text-sm text-green-600 mt-1">
-                  <ApperIcon name="TrendingUp" className="w-4 h-4 inline mr-1" />
-                  +{analytics.summary.productsGrowth}%
-                </p>
-              </div>
-              <div className="p-3 bg-purple-100 rounded-full">
-                <ApperIcon name="Package" className="w-6 h-6 text-purple-600" />
-              </div>
-            </div>
-          </Card>
-        </motion.div>
+      {(analytics.summary.cancelledOrders > 0 || analytics.summary.refunds > 0) && (
+        <p className="text-sm text-gray-600 -mt-4 mb-8">
+          Revenue excludes {analytics.summary.cancelledOrders} cancelled order{analytics.summary.cancelledOrders === 1 ? '' : 's'}
+          {analytics.summary.refunds > 0 && ` and ${formatPrice(analytics.summary.refunds)} in refunds`}.
+        </p>
+      )}
 
-        <motion.div
-          initial={{ opacity: 0, y: 20 }}
-          animate={{ opacity: 1, y: 0 }}
-          transition={{ delay: 0.4 }}
-        >
-          <Card className="p-6">
-            <div className="flex items-center justify-between">
-              <div>
-                <p className="text-sm font-medium text-gray-600">Total Customers</p>
-                <p className="text-2xl font-bold text-gray-900">
-                  {analytics.summary.totalCustomers.toLocaleString()}
-                </p>
-                <p className="text-sm text-green-600 mt-1">
-                  <ApperIcon name="TrendingUp" className="w-4 h-4 inline mr-1" />
-                  +{analytics.summary.customersGrowth}%
-                </p>
-              </div>
-              <div className="p-3 bg-orange-100 rounded-full">
-                <ApperIcon name="Users" className="w-6 h-6 text-orange-600" />
+      {/* Sales Trend */}
+      <motion.div
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        transition={{ delay: 0.5 }}
+        className="mb-8"
+      >
+        <Card className="p-6">
+          <h3 className="text-lg font-semibold text-gray-900 mb-4">Sales Over Time</h3>
+          {hasSales ? (
+            <>
+              <Chart options={salesChart.options} series={salesChart.series} type="line" height={320} />
+              <div className="flex flex-wrap gap-4 mt-4 text-sm text-gray-600">
+                {analytics.statusBreakdown.map(({ status, count }) => (
+                  <span key={status} className="capitalize">
+                    {status}: <span className="font-semibold text-gray-900">{count}</span>
+                  </span>
+                ))}
               </div>
+            </>
+          ) : (
+            <div className="text-center py-12 text-gray-500">
+              <ApperIcon name="BarChart3" className="w-12 h-12 mx-auto mb-3 text-gray-300" />
+              <p>No orders in the {periodLabel}.</p>
             </div>
-          </Card>
-        </motion.div>
-      </div>
+          )}
+        </Card>
+      </motion.div>
 
       {/* Charts and Tables Row */}
       <div className="grid grid-cols-1 lg:grid-cols-2 gap-8 mb-8">
@@ -220,35 +297,41 @@ const ReportsAnalytics = () => {
         <motion.div
           initial={{ opacity: 0, y: 20 }}
           animate={{ opacity: 1, y: 0 }}
-          transition={{ delay: 0.5 }}
+          transition={{ delay: 0.6 }}
         >
-          <Card className="p-6">
+          <Card className="p-6 h-full">
             <h3 className="text-lg font-semibold text-gray-900 mb-4">Top Products</h3>
-            <div className="space-y-4">
-              {analytics.topProducts.map((product, index) => (
-                <div key={product.id} className="flex items-center justify-between">
-                  <div className="flex items-center space-x-3">
-                    <div className={cn(
-                      "w-8 h-8 rounded-full flex items-center justify-center text-white text-sm font-bold",
-                      index === 0 ? 'bg-yellow-500' :
-                      index === 1 ? 'bg-gray-400' :
-                      index === 2 ? 'bg-orange-500' : 'bg-gray-300'
-                    )}>
-                      {index + 1}
+            {topProducts.length === 0 ? (
+              <p className="text-sm text-gray-500">No products sold in the {periodLabel}.</p>
+            ) : (
+              <div className="space-y-4">
+                {topProducts.map((product, index) => (
+                  <div key={product.productId} className="flex items-center justify-between">
+                    <div className="flex items-center space-x-3">
+                      <div className={cn(
+                        "w-8 h-8 rounded-full flex items-center justify-center text-white text-sm font-bold",
+                        index === 0 ? 'bg-yellow-500' :
+                        index === 1 ? 'bg-gray-400' :
+                        index === 2 ? 'bg-orange-500' : 'bg-gray-300'
+                      )}>
+                        {index + 1}
+                      </div>
+                      <div>
+                        <p className="font-medium text-gray-900">{product.name}</p>
+                        <p className="text-sm text-gray-600">
+                          {product.units} sold in {product.orders} order{product.orders === 1 ? '' : 's'}
+                        </p>
+                      </div>
                     </div>
-                    <div>
-                      <p className="font-medium text-gray-900">{product.name}</p>
-                      <p className="text-sm text-gray-600">{product.sales} sales</p>
+                    <div className="text-right">
+                      <p className="font-semibold text-gray-900">
+                        {formatPrice(product.revenue)}
+                      </p>
                     </div>
                   </div>
-                  <div className="text-right">
-                    <p className="font-semibold text-gray-900">
-                      {formatPrice(product.revenue)}
-                    </p>
-                  </div>
-                </div>
-              ))}
-            </div>
+                ))}
+              </div>
+            )}
           </Card>
         </motion.div>
 
@@ -256,33 +339,40 @@ const ReportsAnalytics = () => {
         <motion.div
           initial={{ opacity: 0, y: 20 }}
           animate={{ opacity: 1, y: 0 }}
-          transition={{ delay: 0.6 }}
+          transition={{ delay: 0.7 }}
         >
-          <Card className="p-6">
+          <Card className="p-6 h-full">
             <h3 className="text-lg font-semibold text-gray-900 mb-4">Top Categories</h3>
-            <div className="space-y-4">
-              {analytics.topCategories.map((category, index) => (
-                <div key={index} className="space-y-2">
-                  <div className="flex justify-between items-center">
-                    <span className="font-medium text-gray-900">{category.category}</span>
-                    <span className="font-semibold text-primary-600">
-                      {formatPrice(category.revenue)}
-                    </span>
-                  </div>
-                  <div className="flex justify-between items-center text-sm text-gray-600">
-                    <span>{category.sales} sales</span>
-                    <div className="w-24 bg-gray-200 rounded-full h-2">
-                      <div 
-                        className="bg-primary-600 h-2 rounded-full"
-                        style={{ 
-                          width: `${Math.min((category.revenue / analytics.topCategories[0].revenue) * 100, 100)}%` 
-                        }}
-                      />
+            {topCategories.length === 0 ? (
+              <p className="text-sm text-gray-500">No category sales in the {periodLabel}.</p>
+            ) : (
+              <>
+                <Chart options={categoryChart.options} series={categoryChart.series} type="donut" height={240} />
+                <div className="space-y-4 mt-4">
+                  {topCategories.map(category => (
+                    <div key={category.slug} className="space-y-2">
+                      <div className="flex justify-between items-center">
+                        <span className="font-medium text-gray-900">{category.name}</span>
+                        <span className="font-semibold text-primary-600">
+                          {formatPrice(category.revenue)}
+                        </span>
+                      </div>
+                      <div className="flex justify-between items-center text-sm text-gray-600">
+                        <span>{category.units} units • {category.share}% of sales</span>
+                        <div className="w-24 bg-gray-200 rounded-full h-2">
+                          <div
+                            className="bg-primary-600 h-2 rounded-full"
+                            style={{
+                              width: `${Math.min((category.revenue / topCategories[0].revenue) * 100, 100)}%`
+                            }}
+                          />
+                        </div>
+                      </div>
                     </div>
-                  </div>
+                  ))}
                 </div>
-              ))}
-            </div>
+              </>
+            )}
           </Card>
         </motion.div>
       </div>
@@ -291,50 +381,43 @@ const ReportsAnalytics = () => {
       <motion.div
         initial={{ opacity: 0, y: 20 }}
         animate={{ opacity: 1, y: 0 }}
-        transition={{ delay: 0.7 }}
+        transition={{ delay: 0.8 }}
       >
         <Card className="p-6">
           <div className="flex justify-between items-center mb-4">
             <h3 className="text-lg font-semibold text-gray-900">Recent Activity</h3>
-            <Button variant="ghost" size="sm">
-              <ApperIcon name="RefreshCw" className="w-4 h-4 mr-2" />
+            <Button variant="ghost" size="sm" onClick={handleRefresh} disabled={refreshing}>
+              <ApperIcon name="RefreshCw" className={cn("w-4 h-4 mr-2", refreshing && "animate-spin")} />
               Refresh
             </Button>
           </div>
-          <div className="space-y-4">
-            {analytics.recentActivity.map((activity, index) => (
-              <div key={index} className="flex items-start space-x-3">
-                <div className={cn(
-                  "w-8 h-8 rounded-full flex items-center justify-center",
-                  activity.type === 'order' ? 'bg-green-100' :
-                  activity.type === 'product' ? 'bg-blue-100' :
-                  activity.type === 'user' ? 'bg-purple-100' : 'bg-gray-100'
-                )}>
-                  <ApperIcon 
-                    name={
-                      activity.type === 'order' ? 'ShoppingCart' :
-                      activity.type === 'product' ? 'Package' :
-                      activity.type === 'user' ? 'User' : 'Bell'
-                    }
-                    className={cn(
-                      "w-4 h-4",
-                      activity.type === 'order' ? 'text-green-600' :
-                      activity.type === 'product' ? 'text-blue-600' :
-                      activity.type === 'user' ? 'text-purple-600' : 'text-gray-600'
-                    )}
-                  />
-                </div>
-                <div className="flex-1">
-                  <p className="text-sm text-gray-900">{activity.message}</p>
-                  <p className="text-xs text-gray-500">{activity.time}</p>
-                </div>
-              </div>
-            ))}
-          </div>
+          {recentActivity.length === 0 ? (
+            <p className="text-sm text-gray-500">No order activity in the {periodLabel}.</p>
+          ) : (
+            <div className="space-y-4">
+              {recentActivity.map((activity, index) => {
+                const style = ACTIVITY_STYLES[activity.type] || { icon: 'Bell', bg: 'bg-gray-100', color: 'text-gray-600' };
+                return (
+                  <div key={`${activity.orderId}-${activity.timestamp}-${index}`} className="flex items-start space-x-3">
+                    <div className={cn("w-8 h-8 rounded-full flex items-center justify-center", style.bg)}>
+                      <ApperIcon name={style.icon} className={cn("w-4 h-4", style.color)} />
+                    </div>
+                    <div className="flex-1">
+                      <p className="text-sm text-gray-900">
+                        {activity.message}
+                        {activity.type === 'refund' && ` (${formatPrice(activity.amount)})`}
+                      </p>
+                      <p className="text-xs text-gray-500">{formatActivityTime(activity.timestamp)}</p>
+                    </div>
+                  </div>
+                );
+              })}
+            </div>
+          )}
         </Card>
       </motion.div>
     </div>
   );
 };
 
-export default ReportsAnalytics;
\ No newline at end of file
+export default ReportsAnalytics;
@@ -0,0 +1,463 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { motion } from 'framer-motion';
+import { useToast } from '@/hooks/useToast';
+import { useAuth } from '@/hooks/useAuth';
+import ApperIcon from '@/components/ApperIcon';
+import Button from '@/components/atoms/Button';
+import Badge from '@/components/atoms/Badge';
+import Card from '@/components/atoms/Card';
+import Loading from '@/components/ui/Loading';
+import { cn } from '@/utils/cn';
+import { SettingsService, SETTINGS_SECTIONS } from '@/services/api/SettingsService';
+import { CategoryService } from '@/services/api/CategoryService';
+
+const SECTION_ICONS = {
+  store: 'Store',
+  shipping: 'Truck',
+  tax: 'Percent',
+  currency: 'Banknote',
+  cache: 'Database',
+  features: 'ToggleRight',
+  history: 'History'
+};
+
+const FEATURE_TOGGLES = [
+  { key: 'webSocket', label: 'Live updates (WebSocket)', description: 'Real-time connection for order and stock notifications' },
+  { key: 'giftWrapping', label: 'Gift wrapping', description: 'Offer gift wrapping in the cart and at checkout' },
+  { key: 'customerRegistration', label: 'Customer registration', description: 'Let shoppers create an account from the sign-in page' }
+];
+
+const CACHE_FIELDS = [
+  { key: 'productsTtlMinutes', label: 'Products' },
+  { key: 'categoriesTtlMinutes', label: 'Categories and bundles' },
+  { key: 'featuredTtlMinutes', label: 'Featured products' },
+  { key: 'locationTtlMinutes', label: 'Visitor location' },
+  { key: 'defaultTtlMinutes', label: 'Everything else' }
+];
+
+const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500';
+
+const Field = ({ id, label, error, hint, children }) => (
+  <div>
+    <label htmlFor={id} className="block text-sm font-medium text-gray-700 mb-1">{label}</label>
+    {children}
+    {error ? (
+      <p className="text-xs text-red-600 mt-1">{error}</p>
+    ) : hint && (
+      <p className="text-xs text-gray-500 mt-1">{hint}</p>
+    )}
+  </div>
+);
+
+const SystemSettings = () => {
+  const { showToast } = useToast();
+  const { user: currentUser } = useAuth();
+  const [record, setRecord] = useState(null);
+  const [form, setForm] = useState(null);
+  const [history, setHistory] = useState([]);
+  const [categories, setCategories] = useState([]);
+  const [errors, setErrors] = useState({});
+  const [note, setNote] = useState('');
+  const [activeTab, setActiveTab] = useState('store');
+  const [loading, setLoading] = useState(true);
+  const [actionLoading, setActionLoading] = useState(false);
+
+  const applyRecord = (data) => {
+    setRecord(data);
+    setForm(data.settings);
+    setErrors({});
+  };
+
+  const loadSettings = useCallback(async () => {
+    try {
+      const [data, versions, categoryList] = await Promise.all([
+        SettingsService.get(),
+        SettingsService.getHistory(),
+        CategoryService.getAll()
+      ]);
+      applyRecord(data);
+      setHistory(versions);
+      setCategories(categoryList);
+    } catch (error) {
+      console.error('Error loading settings:', error);
+      showToast('Failed to load settings', 'error');
+    } finally {
+      setLoading(false);
+    }
+  }, [showToast]);
+
+  useEffect(() => {
+    loadSettings();
+  }, [loadSettings]);
+
+  const updateField = (section, key, value) => {
+    setForm(prev => ({ ...prev, [section]: { ...prev[section], [key]: value } }));
+    setErrors(prev => {
+      const { [`${section}.${key}`]: _removed, ...rest } = prev;
+      return rest;
+    });
+  };
+
+  // Empty number fields are kept as NaN so validation reports them instead of silently saving 0
+  const updateNumber = (section, key, value) =>
+    updateField(section, key, value === '' ? NaN : Number(value));
+
+  const updateCategoryRate = (slug, value) => {
+    const rates = { ...form.tax.categoryRates };
+    if (value === '') {
+      delete rates[slug];
+    } else {
+      rates[slug] = Number(value);
+    }
+    updateField('tax', 'categoryRates', rates);
+  };
+
+  const isDirty = record && JSON.stringify(form) !== JSON.stringify(record.settings);
+
+  const refreshHistory = async () => {
+    setHistory(await SettingsService.getHistory());
+  };
+
+  const handleSave = async () => {
+    const validation = SettingsService.validate(form);
+    if (!validation.isValid) {
+      setErrors(validation.errors);
+      const [firstError] = Object.keys(validation.errors);
+      setActiveTab(firstError.split('.')[0]);
+      showToast('Please fix the highlighted fields', 'error');
+      return;
+    }
+
+    try {
+      setActionLoading(true);
+      const saved = await SettingsService.update(form, { user: currentUser.name, note });
+      if (saved.changes.length === 0 || saved.version === record.version) {
+        showToast('No changes to save', 'info');
+        return;
+      }
+      applyRecord(saved);
+      setNote('');
+      await refreshHistory();
+      showToast(`Settings saved as version ${saved.version}`, 'success');
+    } catch (error) {
+      console.error('Error saving settings:', error);
+      if (error.validationErrors) setErrors(error.validationErrors);
+      showToast(error.message || 'Failed to save settings', 'error');
+    } finally {
+      setActionLoading(false);
+    }
+  };
+
+  const handleResetSection = async (section) => {
+    if (!confirm(`Reset ${SETTINGS_SECTIONS[section]} settings to their defaults?`)) return;
+
+    try {
+      setActionLoading(true);
+      const saved = await SettingsService.resetSection(section, { user: currentUser.name });
+      applyRecord(saved);
+      await refreshHistory();
+      showToast(`${SETTINGS_SECTIONS[section]} settings reset`, 'success');
+    } catch (error) {
+      console.error('Error resetting settings:', error);
+      showToast(error.message || 'Failed to reset settings', 'error');
+    } finally {
+      setActionLoading(false);
+    }
+  };
+
+  const handleRestore = async (version) => {
+    if (isDirty && !confirm('You have unsaved changes. Discard them and restore this version?')) return;
+    if (!isDirty && !confirm(`Restore settings from version ${version}?`)) return;
+
+    try {
+      setActionLoading(true);
+      const saved = await SettingsService.restoreVersion(version, { user: currentUser.name });
+      applyRecord(saved);
+      await refreshHistory();
+      showToast(`Version ${version} restored as version ${saved.version}`, 'success');
+    } catch (error) {
+      console.error('Error restoring settings:', error);
+      showToast(error.message || 'Failed to restore settings', 'error');
+    } finally {
+      setActionLoading(false);
+    }
+  };
+
+  if (loading) return <Loading />;
+
+  if (!form) return null;
+
+  const numberValue = (value) => (Number.isNaN(value) ? '' : value);
+
+  const renderTextField = (section, key, label, props = {}) => (
+    <Field id={`settings-${section}-${key}`} label={label} error={errors[`${section}.${key}`]} hint={props.hint}>
+      <input
+        id={`settings-${section}-${key}`}
+        type={props.type || 'text'}
+        value={form[section][key]}
+        onChange={(e) => updateField(section, key, e.target.value)}
+        placeholder={props.placeholder}
+        className={cn(inputClass, errors[`${section}.${key}`] && 'border-red-500')}
+      />
+    </Field>
+  );
+
+  const renderNumberField = (section, key, label, props = {}) => (
+    <Field id={`settings-${section}-${key}`} label={label} error={errors[`${section}.${key}`]} hint={props.hint}>
+      <input
+        id={`settings-${section}-${key}`}
+        type="number"
+        min="0"
+        max={props.max}
+        step={props.step || '1'}
+        value={numberValue(form[section][key])}
+        onChange={(e) => updateNumber(section, key, e.target.value)}
+        className={cn(inputClass, errors[`${section}.${key}`] && 'border-red-500')}
+      />
+    </Field>
+  );
+
+  const renderCheckbox = (section, key, label, description) => (
+    <label key={key} className="flex items-start space-x-3 p-3 border border-gray-200 rounded-lg cursor-pointer hover:bg-gray-50">
+      <input
+        type="checkbox"
+        checked={!!form[section][key]}
+        onChange={(e) => updateField(section, key, e.target.checked)}
+        className="mt-1 rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+      />
+      <span>
+        <span className="block text-sm font-medium text-gray-900">{label}</span>
+        {description && <span className="block text-xs text-gray-500">{description}</span>}
+      </span>
+    </label>
+  );
+
+  const renderSection = () => {
+    switch (activeTab) {
+      case 'store':
+        return (
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            {renderTextField('store', 'name', 'Store Name')}
+            {renderTextField('store', 'email', 'Support Email', { type: 'email' })}
+            <div className="md:col-span-2">
+              {renderTextField('store', 'tagline', 'Tagline', { hint: 'Shown in the site footer' })}
+            </div>
+            {renderTextField('store', 'phone', 'Support Phone', { type: 'tel' })}
+            {renderTextField('store', 'whatsapp', 'WhatsApp Number', {
+              placeholder: '923001234567',
+              hint: 'Digits with country code. Leave empty to hide the WhatsApp support link.'
+            })}
+            <div className="md:col-span-2">
+              {renderTextField('store', 'address', 'Business Address')}
+            </div>
+          </div>
+        );
+
+      case 'shipping':
+        return (
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            {renderNumberField('shipping', 'freeShippingThreshold', `Free Shipping Over (${form.currency.symbol})`, { hint: 'Orders at or above this subtotal ship free' })}
+            {renderNumberField('shipping', 'standardShippingCost', `Standard Shipping (${form.currency.symbol})`)}
+            {renderNumberField('shipping', 'giftWrappingCost', `Gift Wrapping (${form.currency.symbol})`, { hint: 'Only charged when gift wrapping is enabled under Features' })}
+          </div>
+        );
+
+      case 'tax':
+        return (
+          <div className="space-y-4">
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+              {renderCheckbox('tax', 'enabled', 'Charge tax', 'Show tax on the cart, checkout and order')}
+              {renderCheckbox('tax', 'pricesIncludeTax', 'Prices include tax', 'Tax is shown as part of the price instead of being added at checkout')}
+            </div>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              {renderTextField('tax', 'label', 'Tax Label', { placeholder: 'GST' })}
+              {renderNumberField('tax', 'defaultRate', 'Default Rate (%)', { max: '100', step: '0.01' })}
+            </div>
+            <div>
+              <h4 className="text-sm font-medium text-gray-900 mb-1">Category Rates</h4>
+              <p className="text-xs text-gray-500 mb-3">Leave empty to use the default rate.</p>
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+                {categories.map(category => {
+                  const slug = category.slug.toLowerCase();
+                  const error = errors[`tax.categoryRates.${slug}`];
+                  return (
+                    <div key={category.Id} className="flex items-center justify-between space-x-3">
+                      <label htmlFor={`settings-tax-rate-${slug}`} className="text-sm text-gray-700 flex-1">{category.name}</label>
+                      <div className="w-32">
+                        <input
+                          id={`settings-tax-rate-${slug}`}
+                          type="number"
+                          min="0"
+                          max="100"
+                          step="0.01"
+                          value={numberValue(form.tax.categoryRates[slug] ?? '')}
+                          placeholder={`${numberValue(form.tax.defaultRate)}`}
+                          onChange={(e) => updateCategoryRate(slug, e.target.value)}
+                          className={cn(inputClass, error && 'border-red-500')}
+                        />
+                        {error && <p className="text-xs text-red-600 mt-1">{error}</p>}
+                      </div>
+                    </div>
+                  );
+                })}
+              </div>
+            </div>
+          </div>
+        );
+
+      case 'currency':
+        return (
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            {renderTextField('currency', 'code', 'Currency Code', { placeholder: 'PKR' })}
+            {renderTextField('currency', 'symbol', 'Symbol', { placeholder: 'Rs' })}
+            {renderTextField('currency', 'locale', 'Number Format Locale', { placeholder: 'en-PK', hint: 'Controls thousands separators' })}
+          </div>
+        );
+
+      case 'cache':
+        return (
+          <div>
+            <p className="text-sm text-gray-600 mb-4">How long storefront data is reused before it is fetched again, in minutes.</p>
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              {CACHE_FIELDS.map(({ key, label }) => (
+                <React.Fragment key={key}>
+                  {renderNumberField('cache', key, label, { max: '1440' })}
+                </React.Fragment>
+              ))}
+            </div>
+          </div>
+        );
+
+      case 'catalog':
+        return (
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            {renderNumberField('catalog', 'trashRetentionDays', 'Keep Deleted Products (days)', { max: '365', hint: 'After this, products in the trash are deleted for good' })}
+            {renderNumberField('catalog', 'undoWindowSeconds', 'Undo Window (seconds)', { max: '60', hint: 'How long the Undo button stays up after bulk changes' })}
+          </div>
+        );
+
+      case 'features':
+        return (
+          <div className="space-y-3">
+            {FEATURE_TOGGLES.map(({ key, label, description }) => renderCheckbox('features', key, label, description))}
+          </div>
+        );
+
+      case 'history':
+        return history.length === 0 ? (
+          <p className="text-sm text-gray-500">No earlier versions yet. Every save keeps the previous version here.</p>
+        ) : (
+          <div className="space-y-3">
+            {history.map(entry => (
+              <div key={entry.version} className="flex items-center justify-between p-3 border border-gray-200 rounded-lg">
+                <div className="text-sm">
+                  <div className="flex items-center space-x-2">
+                    <span className="font-medium text-gray-900">Version {entry.version}</span>
+                    {entry.note && <span className="text-gray-600">— {entry.note}</span>}
+                  </div>
+                  <p className="text-gray-500 text-xs mt-1">
+                    {entry.updatedAt ? `${new Date(entry.updatedAt).toLocaleString()} by ${entry.updatedBy}` : 'Original defaults'}
+                  </p>
+                </div>
+                <Button variant="outline" size="sm" onClick={() => handleRestore(entry.version)} disabled={actionLoading}>
+                  <ApperIcon name="RotateCcw" className="w-4 h-4 mr-1" />
+                  Restore
+                </Button>
+              </div>
+            ))}
+          </div>
+        );
+
+      default:
+        return null;
+    }
+  };
+
+  return (
+    <div className="p-6">
+      <div className="mb-6">
+        <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-4">
+          <div>
+            <h2 className="text-2xl font-display font-bold text-gray-900">
+              System Settings
+            </h2>
+            <p className="text-gray-600">Store details, pricing rules and storefront features</p>
+          </div>
+          <div className="flex items-center space-x-2">
+            <Badge className="bg-gray-100 text-gray-800">Version {record.version}</Badge>
+            {isDirty && <Badge className="bg-yellow-100 text-yellow-800">Unsaved changes</Badge>}
+          </div>
+        </div>
+        {record.updatedAt && (
+          <p className="text-xs text-gray-500 mt-2">
+            Last saved {new Date(record.updatedAt).toLocaleString()} by {record.updatedBy}
+            {record.note && ` — ${record.note}`}
+          </p>
+        )}
+      </div>
+
+      {/* Tabs */}
+      <div className="flex flex-wrap gap-1 border-b border-gray-200 mb-6">
+        {[...Object.entries(SETTINGS_SECTIONS), ['history', 'History']].map(([id, label]) => {
+          const hasErrors = Object.keys(errors).some(key => key.startsWith(`${id}.`));
+          return (
+            <button
+              key={id}
+              onClick={() => setActiveTab(id)}
+              className={cn(
+                'flex items-center px-4 py-2 text-sm font-medium border-b-2 -mb-px transition-colors',
+                activeTab === id
+                  ? 'border-primary-500 text-primary-600'
+                  : 'border-transparent text-gray-600 hover:text-gray-900',
+                hasErrors && 'text-red-600'
+              )}
+            >
+              <ApperIcon name={SECTION_ICONS[id]} className="w-4 h-4 mr-2" />
+              {label}
+            </button>
+          );
+        })}
+      </div>
+
+      <motion.div key={activeTab} initial={{ opacity: 0, y: 10 }} animate={{ opacity: 1, y: 0 }}>
+        <Card className="p-6 mb-6">
+          <div className="flex items-center justify-between mb-4">
+            <h3 className="text-lg font-semibold text-gray-900">
+              {activeTab === 'history' ? 'Version History' : SETTINGS_SECTIONS[activeTab]}
+            </h3>
+            {activeTab !== 'history' && (
+              <Button variant="ghost" size="sm" onClick={() => handleResetSection(activeTab)} disabled={actionLoading}>
+                Reset to defaults
+              </Button>
+            )}
+          </div>
+          {renderSection()}
+        </Card>
+      </motion.div>
+
+      {activeTab !== 'history' && (
+        <Card className="p-4">
+          <div className="flex flex-col md:flex-row md:items-center gap-3">
+            <input
+              type="text"
+              value={note}
+              onChange={(e) => setNote(e.target.value)}
+              placeholder="What changed? (optional, shown in the version history)"
+              className={cn(inputClass, 'flex-1')}
+            />
+            <div className="flex space-x-2">
+              <Button variant="ghost" onClick={() => applyRecord(record)} disabled={!isDirty || actionLoading}>
+                Discard
+              </Button>
+              <Button onClick={handleSave} loading={actionLoading} disabled={!isDirty || actionLoading}>
+                Save Settings
+              </Button>
+            </div>
+          </div>
+        </Card>
+      )}
+    </div>
+  );
+};
+
+export default SystemSettings;
@@ -1,6 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import { useToast } from '@/hooks/useToast';
+import { useAuth } from '@/hooks/useAuth';
 import ApperIcon from '@/components/ApperIcon';
 import Button from '@/components/atoms/Button';
 import Input from '@/components/atoms/Input';
@@ -9,6 +10,8 @@ import Card from '@/components/atoms/Card';
 import Loading from '@/components/ui/Loading';
 import Empty from '@/components/ui/Empty';
 import { cn } from '@/utils/cn';
+import { UserService } from '@/services/api/UserService';
+import { hasPermission, PERMISSIONS } from '@/utils/permissions';
 
 const UserManagement = () => {
   const { showToast } = useToast();
@@ -29,6 +32,7 @@ const UserManagement = () => {
   const [newUser, setNewUser] = useState({
     name: '',
     email: '',
+    password: '',
     role: 'moderator',
     permissions: {
       canDelete: false,
@@ -38,69 +42,15 @@ const UserManagement = () => {
     }
   });
 
-  const [currentUser] = useState({
-    role: 'admin',
-    permissions: { canManageUsers: true }
-  });
+  const { user: currentUser } = useAuth();
 
-  // Mock user data
   useEffect(() => {
     const loadUsers = async () => {
       setLoading(true);
       try {
-        await new Promise(resolve => setTimeout(resolve, 500));
-        const mockUsers = [
-          {
-            Id: 1,
-            name: 'Admin User',
-            email: 'admin@bazaarpk.com',
-            role: 'admin',
-            status: 'active',
-            lastLogin: '2024-01-15T10:30:00Z',
-            permissions: {
-              canDelete: true,
-              canBulkEdit: true,
-              canPublish: true,
-              canApprove: true,
-              canManageUsers: true,
-              canViewReports: true
-            }
-          },
-          {
-            Id: 2,
-            name: 'Product Moderator',
-            email: 'moderator@bazaarpk.com',
-            role: 'moderator',
-            status: 'active',
-            lastLogin: '2024-01-14T15:45:00Z',
-            permissions: {
-              canDelete: false,
-              canBulkEdit: true,
-              canPublish: true,
-              canApprove: true,
-              canManageUsers: false,
-              canViewReports: false
-            }
-          },
-          {
-            Id: 3,
-            name: 'Content Manager',
-            email: 'content@bazaarpk.com',
-            role: 'moderator',
-            status: 'inactive',
-            lastLogin: '2024-01-10T09:15:00Z',
-            permissions: {
-              canDelete: false,
-              canBulkEdit: false,
-              canPublish: true,
-              canApprove: false,
-              canManageUsers: false,
-              canViewReports: false
-            }
-          }
-        ];
-        setUsers(mockUsers);
-        setFilteredUsers(mockUsers);
+        const data = await UserService.getAll();
+        setUsers(data);
+        setFilteredUsers(data);
       } catch (error) {
         console.error('Error loading users:', error);
         showToast('Failed to load users', 'error');
@@ -138,19 +88,13 @@ const UserManagement = () => {
   const handleAddUser = async () => {
     try {
       setActionLoading(true);
-      await new Promise(resolve => setTimeout(resolve, 500));
-      
-      const newUserData = {
-        Id: Math.max(...users.map(u => u.Id)) + 1,
-        ...newUser,
-        status: 'active',
-        lastLogin: null
-      };
+      const created = await UserService.create(newUser);
 
-      setUsers(prev => [...prev, newUserData]);
+      setUsers(prev => [...prev, created]);
       setNewUser({
         name: '',
         email: '',
+        password: '',
         role: 'moderator',
         permissions: {
           canDelete: false,
@@ -163,7 +107,7 @@ const UserManagement = () => {
       showToast('User added successfully', 'success');
     } catch (error) {
       console.error('Error adding user:', error);
-      showToast('Failed to add user', 'error');
+      showToast(error.message || 'Failed to add user', 'error');
     } finally {
       setActionLoading(false);
     }
@@ -172,10 +116,10 @@ const UserManagement = () => {
   const handleUpdateUser = async () => {
     try {
       setActionLoading(true);
-      await new Promise(resolve => setTimeout(resolve, 500));
+      const updated = await UserService.update(selectedUser.Id, selectedUser);
       
       setUsers(prev => prev.map(user =>
-        user.Id === selectedUser.Id ? { ...selectedUser } : user
+        user.Id === updated.Id ? updated : user
       ));
       
       setShowEditUserModal(false);
@@ -183,21 +127,25 @@ const UserManagement = () => {
       showToast('User updated successfully', 'success');
     } catch (error) {
       console.error('Error updating user:', error);
-      showToast('Failed to update user', 'error');
+      showToast(error.message || 'Failed to update user', 'error');
     } finally {
       setActionLoading(false);
     }
   };
 
   const handleToggleStatus = async (userId) => {
+    if (userId === currentUser.Id) {
+      showToast('You cannot deactivate your own account', 'warning');
+      return;
+    }
+
     try {
       setActionLoading(true);
-      await new Promise(resolve => setTimeout(resolve, 300));
+      const target = users.find(user => user.Id === userId);
+      const updated = await UserService.setStatus(userId, target.status === 'active' ? 'inactive' : 'active');
       
       setUsers(prev => prev.map(user =>
-        user.Id === userId 
-          ? { ...user, status: user.status === 'active' ? 'inactive' : 'active' }
-          : user
+        user.Id === userId ? updated : user
       ));
       
       showToast('User status updated successfully', 'success');
@@ -224,7 +172,7 @@ const UserManagement = () => {
             </p>
           </div>
           
-          {currentUser.permissions.canManageUsers && (
+          {hasPermission(currentUser, 'canManageUsers') && (
             <Button 
               onClick={() => setShowAddUserModal(true)}
               className="w-full sm:w-auto"
@@ -358,7 +306,7 @@ const UserManagement = () => {
       {/* Add User Modal */}
       {showAddUserModal && (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
-          <Card className="w-full max-w-md">
+          <Card className="w-full max-w-md max-h-[90vh] overflow-y-auto">
             <div className="p-6">
               <h3 className="text-lg font-semibold mb-4">Add New User</h3>
               
@@ -376,6 +324,15 @@ const UserManagement = () => {
                   onChange={(e) => setNewUser(prev => ({ ...prev, email: e.target.value }))}
                 />
                 
+                <Input
+                  placeholder="Temporary Password"
+                  type="password"
+                  autoComplete="new-password"
+                  value={newUser.password}
+                  onChange={(e) => setNewUser(prev => ({ ...prev, password: e.target.value }))}
+                  helpText="At least 8 characters with letters and numbers"
+                />
+                
                 <select
                   value={newUser.role}
                   onChange={(e) => setNewUser(prev => ({ ...prev, role: e.target.value }))}
@@ -384,6 +341,28 @@ const UserManagement = () => {
                   <option value="moderator">Moderator</option>
                   <option value="admin">Admin</option>
                 </select>
+
+                {newUser.role === 'admin' ? (
+                  <p className="text-sm text-gray-500">Admins hold every permission.</p>
+                ) : (
+                  <div className="space-y-2">
+                    <p className="text-sm font-medium text-gray-700">Permissions</p>
+                    {Object.entries(PERMISSIONS).map(([key, label]) => (
+                      <label key={key} className="flex items-center space-x-2 text-sm text-gray-700">
+                        <input
+                          type="checkbox"
+                          checked={newUser.permissions[key] === true}
+                          onChange={(e) => setNewUser(prev => ({
+                            ...prev,
+                            permissions: { ...prev.permissions, [key]: e.target.checked }
+                          }))}
+                          className="rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+                        />
+                        <span>{label}</span>
+                      </label>
+                    ))}
+                  </div>
+                )}
               </div>
               
               <div className="flex justify-end space-x-3 mt-6">
@@ -396,7 +375,7 @@ const UserManagement = () => {
                 </Button>
                 <Button
                   onClick={handleAddUser}
-                  disabled={actionLoading || !newUser.name || !newUser.email}
+                  disabled={actionLoading || !newUser.name || !newUser.email || !newUser.password}
                 >
                   {actionLoading ? 'Adding...' : 'Add User'}
                 </Button>
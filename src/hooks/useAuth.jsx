@@ -0,0 +1,69 @@
+import React, { createContext, useCallback, useContext, useEffect, useState } from "react";
+import { AuthService, SESSION_STORAGE_KEY } from "@/services/api/AuthService";
+
+const AuthContext = createContext(null);
+
+export const AuthProvider = ({ children }) => {
+  const [user, setUser] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  const refresh = useCallback(async () => {
+    try {
+      const currentUser = await AuthService.getCurrentUser();
+      setUser(currentUser);
+      return currentUser;
+    } catch (error) {
+      console.error("Error restoring session:", error);
+      setUser(null);
+      return null;
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    refresh();
+
+    // Keep tabs in sync: signing out in one tab signs out everywhere
+    const handleStorage = (e) => {
+      if (e.key === SESSION_STORAGE_KEY) refresh();
+    };
+    window.addEventListener("storage", handleStorage);
+    window.addEventListener("auth-session-change", refresh);
+    return () => {
+      window.removeEventListener("storage", handleStorage);
+      window.removeEventListener("auth-session-change", refresh);
+    };
+  }, [refresh]);
+
+  const login = useCallback(async (email, password) => {
+    const { user: loggedIn } = await AuthService.login(email, password);
+    setUser(loggedIn);
+    return loggedIn;
+  }, []);
+
+  const register = useCallback(async (details) => {
+    const { user: registered } = await AuthService.register(details);
+    setUser(registered);
+    return registered;
+  }, []);
+
+  const logout = useCallback(async () => {
+    await AuthService.logout();
+    setUser(null);
+  }, []);
+
+  return (
+    <AuthContext.Provider value={{ user, loading, isAuthenticated: !!user, login, register, logout, refresh }}>
+      {children}
+    </AuthContext.Provider>
+  );
+};
+
+export const useAuth = () => {
+  const context = useContext(AuthContext);
+  if (!context) {
+    throw new Error("useAuth must be used inside an AuthProvider");
+  }
+  return context;
+};
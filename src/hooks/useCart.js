@@ -1,6 +1,18 @@
 import { useState, useEffect } from "react";
 import { getCartFromStorage, saveCartToStorage } from "@/utils/storage";
-import ProductService from "@/services/api/ProductService";
+import ProductService, { findVariant } from "@/services/api/ProductService";
+import { InventoryService } from "@/services/api/InventoryService";
+
+// Cart lines refer to variants by id. Carts saved before variants had ids only carry the
+// variant's name, so their id is filled in once the product has loaded.
+const lineVariantId = (item) => item.variantId ?? item.variant?.id ?? null;
+
+const withVariantIds = (items, products) =>
+  items.map(item => {
+    if (lineVariantId(item) || !item.variant?.name || !products[item.productId]) return item;
+    const variant = (products[item.productId].variants || []).find(candidate => candidate.name === item.variant.name);
+    return variant ? { ...item, variantId: variant.id, variant: { id: variant.id, name: variant.name } } : item;
+  });
 
 export const useCart = () => {
   const [cartItems, setCartItems] = useState([]);
@@ -35,6 +47,9 @@ export const useCart = () => {
       // Only update state if we have new products
       if (Object.keys(products).length > 0) {
         setCartProducts(prev => ({ ...prev, ...products }));
+        setCartItems(prevItems =>
+          prevItems.some(item => !lineVariantId(item) && item.variant) ? withVariantIds(prevItems, products) : prevItems
+        );
       }
     };
 
@@ -61,49 +76,87 @@ export const useCart = () => {
     product: cartProducts[item.productId]
   }));
 
-  const addToCart = (item) => {
+  const isSameLine = (cartItem, productId, variantId) =>
+    cartItem.productId === productId && lineVariantId(cartItem) === (variantId ?? null);
+
+  // Stock is tracked per variant, so only the same line counts against a variant's limit
+  const getQuantityInLine = (productId, variantId) =>
+    cartItems
+      .filter(cartItem => isSameLine(cartItem, productId, variantId))
+      .reduce((total, cartItem) => total + cartItem.quantity, 0);
+
+  // Resolves to { quantity, capped, limit } - the quantity actually added after stock and maxOrderQuantity caps.
+  // The variant can be given as `variantId` or as a `variant` object with an id.
+  const addToCart = async (item) => {
+    const variantId = lineVariantId(item);
+    const limit = await InventoryService.getPurchaseLimit(item.productId, variantId);
+    const alreadyInCart = getQuantityInLine(item.productId, variantId);
+    const quantity = Math.min(item.quantity, Math.max(0, limit - alreadyInCart));
+
+    if (quantity <= 0) {
+      throw new Error(limit === 0
+        ? "This item is out of stock"
+        : `You already have the maximum of ${limit} in your cart`);
+    }
+
+    const variantName = variantId
+      ? item.variant?.name ?? findVariant(await ProductService.getById(item.productId), variantId)?.name ?? null
+      : null;
+
     setCartItems(prevItems => {
-      const existingIndex = prevItems.findIndex(
-        cartItem => 
-          cartItem.productId === item.productId && 
-          JSON.stringify(cartItem.variant) === JSON.stringify(item.variant)
-      );
+      const existingIndex = prevItems.findIndex(cartItem => isSameLine(cartItem, item.productId, variantId));
 
       if (existingIndex >= 0) {
         // Update quantity if item exists
         const updatedItems = [...prevItems];
-        updatedItems[existingIndex].quantity += item.quantity;
+        updatedItems[existingIndex] = {
+          ...updatedItems[existingIndex],
+          quantity: updatedItems[existingIndex].quantity + quantity
+        };
         return updatedItems;
       } else {
         // Add new item
-        return [...prevItems, item];
+        return [...prevItems, {
+          ...item,
+          variantId,
+          variant: variantId ? { id: variantId, name: variantName } : null,
+          quantity
+        }];
       }
     });
+
+    return { quantity, capped: quantity < item.quantity, limit };
   };
 
-  const removeFromCart = (productId, variant = null) => {
+  const removeFromCart = (productId, variantId = null) => {
     setCartItems(prevItems =>
-      prevItems.filter(item => 
-        !(item.productId === productId && 
-          JSON.stringify(item.variant) === JSON.stringify(variant))
-      )
+      prevItems.filter(item => !isSameLine(item, productId, variantId))
     );
   };
 
-  const updateQuantity = (productId, variant, quantity) => {
+  // Resolves to the quantity actually applied, which may be lower than requested
+  const updateQuantity = async (productId, variantId, quantity) => {
     if (quantity <= 0) {
-      removeFromCart(productId, variant);
-      return;
+      removeFromCart(productId, variantId);
+      return 0;
+    }
+
+    const limit = await InventoryService.getPurchaseLimit(productId, variantId ?? null);
+    const appliedQuantity = Math.min(quantity, limit);
+
+    if (appliedQuantity <= 0) {
+      removeFromCart(productId, variantId);
+      return 0;
     }
 
     setCartItems(prevItems =>
       prevItems.map(item => 
-        item.productId === productId && 
-        JSON.stringify(item.variant) === JSON.stringify(variant)
-          ? { ...item, quantity }
+        isSameLine(item, productId, variantId)
+          ? { ...item, quantity: appliedQuantity }
           : item
       )
     );
+    return appliedQuantity;
   };
 
   const clearCart = () => {
@@ -118,11 +171,8 @@ export const useCart = () => {
     return cartItems.reduce((total, item) => total + (item.price * item.quantity), 0);
   };
 
-  const isInCart = (productId, variant = null) => {
-    return cartItems.some(item => 
-      item.productId === productId && 
-      JSON.stringify(item.variant) === JSON.stringify(variant)
-    );
+  const isInCart = (productId, variantId = null) => {
+    return cartItems.some(item => isSameLine(item, productId, variantId));
   };
 
   return {
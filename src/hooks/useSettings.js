@@ -0,0 +1,33 @@
+import { useEffect, useState } from "react";
+import {
+  getSettings,
+  SettingsService,
+  SETTINGS_CHANGE_EVENT,
+  SETTINGS_STORAGE_KEY
+} from "@/services/api/SettingsService";
+
+// Current system settings, re-rendering whenever they are saved in this tab or another one
+export const useSettings = () => {
+  const [settings, setSettings] = useState(getSettings);
+
+  useEffect(() => {
+    const handleChange = () => setSettings(getSettings());
+    const handleStorage = (e) => {
+      if (e.key === SETTINGS_STORAGE_KEY) {
+        SettingsService.reload();
+        handleChange();
+      }
+    };
+
+    window.addEventListener(SETTINGS_CHANGE_EVENT, handleChange);
+    window.addEventListener("storage", handleStorage);
+    return () => {
+      window.removeEventListener(SETTINGS_CHANGE_EVENT, handleChange);
+      window.removeEventListener("storage", handleStorage);
+    };
+  }, []);
+
+  return settings;
+};
+
+export default useSettings;
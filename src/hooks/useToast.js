@@ -1,8 +1,10 @@
 import { toast } from "react-toastify";
-import React from "react";
+import React, { useCallback } from "react";
+import { getSettings } from "@/services/api/SettingsService";
 
 export const useToast = () => {
-  const showToast = (message, type = "info", debugInfo = null) => {
+  // Stable across renders so callers can list it in effect dependencies without refiring
+  const showToast = useCallback((message, type = "info", debugInfo = null) => {
     // Enhanced logging for debugging
     if (debugInfo || type === "error") {
       console.group(`🔔 Toast Notification: ${type.toUpperCase()}`);
@@ -62,15 +64,47 @@ export const useToast = () => {
         toast.info(message, options);
         break;
     }
-  };
+  }, []);
+
+  // Success toast with an Undo button that stays up for the configured undo window. `onUndo`
+  // may be async; if it throws, the failure is shown in an error toast.
+  const showUndoToast = useCallback((message, onUndo) => {
+    const handleUndo = async (closeToast) => {
+      closeToast();
+      try {
+        await onUndo();
+      } catch (error) {
+        console.error("Undo failed:", error);
+        showToast(error.message || "Could not undo the change", "error");
+      }
+    };
+
+    toast.success(({ closeToast }) =>
+      React.createElement("div", { className: "flex items-center justify-between gap-3" },
+        React.createElement("span", null, message),
+        React.createElement("button", {
+          type: "button",
+          onClick: () => handleUndo(closeToast),
+          className: "px-2 py-1 text-sm font-semibold text-primary-700 bg-primary-50 rounded hover:bg-primary-100"
+        }, "Undo")
+      ), {
+      position: "top-right",
+      autoClose: getSettings().catalog.undoWindowSeconds * 1000,
+      hideProgressBar: false,
+      closeOnClick: false,
+      pauseOnHover: true,
+      draggable: true,
+    });
+  }, [showToast]);
 
   // Enhanced showToast with debug capabilities
-  const showDebugToast = (message, type = "info", debugInfo = {}) => {
+  const showDebugToast = useCallback((message, type = "info", debugInfo = {}) => {
     showToast(message, type, debugInfo);
-  };
+  }, [showToast]);
 
   return { 
     showToast, 
-    showDebugToast 
+    showDebugToast,
+    showUndoToast
   };
 };
\ No newline at end of file
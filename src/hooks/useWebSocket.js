@@ -1,6 +1,7 @@
 import { useCallback, useEffect, useRef, useState } from "react";
 import { useToast } from "@/hooks/useToast";
 import webSocketService from "@/services/api/WebSocketService";
+import { getSettings } from "@/services/api/SettingsService";
 import { Error } from "@/components/ui/Error";
 
 // Enhanced error logging for WebSocket hook
@@ -52,7 +53,7 @@ export const useWebSocket = (url, options = {}) => {
   // Connection management
 const connect = useCallback(async () => {
 // Check if WebSocket is intentionally disabled
-    const isWebSocketDisabled = import.meta.env.VITE_DISABLE_WEBSOCKET === 'true';
+    const isWebSocketDisabled = import.meta.env.VITE_DISABLE_WEBSOCKET === 'true' || !getSettings().features.webSocket;
     const configuredUrl = import.meta.env.VITE_WS_URL;
     const finalUrl = url || configuredUrl;
     
@@ -120,7 +121,7 @@ const connect = useCallback(async () => {
 
       // Enhanced development logging with actionable guidance
       if (isDevelopment && errorCategory === 'disabled') {
-        console.info('📡 WebSocket disabled via VITE_DISABLE_WEBSOCKET=true');
+        console.info('📡 WebSocket disabled via VITE_DISABLE_WEBSOCKET=true or System Settings');
       } else if (isDevelopment && (isServerUnavailable || errorCategory === 'development')) {
         console.info(`📡 WebSocket server unavailable: ${finalUrl || 'No URL configured'}\n💡 Start WebSocket server or set VITE_DISABLE_WEBSOCKET=true in .env`);
       }
@@ -0,0 +1,397 @@
+import ProductService, {
+  rankProductsBySearch,
+  matchesFacets,
+  matchesPriceRange,
+  findVariant,
+  isStorefrontVisible
+} from "@/services/api/ProductService";
+import { AuthService } from "@/services/api/AuthService";
+import { formatPrice } from "@/utils/currency";
+import { requirePermission } from "@/utils/permissions";
+import { storage } from "@/utils/storage";
+
+const SAVED_SEARCHES_STORAGE_KEY = "bazaarpk-saved-searches";
+const PRODUCT_ALERTS_STORAGE_KEY = "bazaarpk-product-alerts";
+const NOTIFICATIONS_STORAGE_KEY = "bazaarpk-notifications";
+const EMAIL_QUEUE_STORAGE_KEY = "bazaarpk-email-queue";
+
+// Fired on window whenever alerts or notifications change, so the header bell can refresh
+export const ALERTS_CHANGE_EVENT = "bazaarpk-alerts-change";
+
+export const MAX_SAVED_SEARCHES = 20;
+export const MAX_NOTIFICATIONS = 100;
+
+export const ALERT_TYPES = {
+  "back-in-stock": "Back in stock",
+  "price-drop": "Price drop"
+};
+
+let savedSearches = storage.get(SAVED_SEARCHES_STORAGE_KEY) || [];
+let productAlerts = storage.get(PRODUCT_ALERTS_STORAGE_KEY) || [];
+let notifications = storage.get(NOTIFICATIONS_STORAGE_KEY) || [];
+let emailQueue = storage.get(EMAIL_QUEUE_STORAGE_KEY) || [];
+
+const persistAlerts = () => {
+  storage.set(SAVED_SEARCHES_STORAGE_KEY, savedSearches);
+  storage.set(PRODUCT_ALERTS_STORAGE_KEY, productAlerts);
+  storage.set(NOTIFICATIONS_STORAGE_KEY, notifications);
+  storage.set(EMAIL_QUEUE_STORAGE_KEY, emailQueue);
+};
+
+const notifyAlertsChange = () => {
+  if (typeof window !== "undefined" && window.CustomEvent) {
+    window.dispatchEvent(new window.CustomEvent(ALERTS_CHANGE_EVENT));
+  }
+};
+
+const nextId = (items) => items.reduce((max, item) => Math.max(max, item.Id), 0) + 1;
+
+const requireCustomer = async () => {
+  const user = await AuthService.getCurrentUser();
+  if (!user || user.role !== "customer") {
+    const error = new Error("Sign in to your customer account to set up alerts");
+    error.code = "NOT_SIGNED_IN";
+    throw error;
+  }
+  return user;
+};
+
+const parseThreshold = (value) => {
+  if (value === null || value === undefined || value === "") return null;
+  const threshold = parseFloat(value);
+  if (isNaN(threshold) || threshold <= 0) {
+    throw new Error("Alert price must be a positive amount");
+  }
+  return threshold;
+};
+
+const stockOf = (product, variantId) =>
+  parseInt((variantId ? findVariant(product, variantId)?.stock : product?.stock) || 0);
+
+// Checkout charges the variant's price, so a product with variants is as cheap as its cheapest one
+const priceOf = (product, variantId) => {
+  if (variantId) return parseFloat(findVariant(product, variantId)?.price || 0);
+  if (product?.variants?.length) return Math.min(...product.variants.map(variant => parseFloat(variant.price) || 0));
+  return parseFloat(product?.price || 0);
+};
+
+const matchesSavedSearch = (product, search) =>
+  rankProductsBySearch([product], search.query).length > 0 &&
+  matchesFacets(product, search.facets) &&
+  matchesPriceRange(product, search.priceRange);
+
+// Adds an in-app notification for the owner of an alert or saved search, and queues the email
+const deliver = (recipient, { type, title, message, product, source }) => {
+  const notification = {
+    Id: nextId(notifications),
+    userId: recipient.userId,
+    type,
+    title,
+    message,
+    productId: product.Id,
+    link: `/product/${product.Id}`,
+    source,
+    read: false,
+    createdAt: new Date().toISOString()
+  };
+  notifications = [notification, ...notifications];
+  // Oldest notifications of this customer beyond the limit are dropped
+  const own = notifications.filter(entry => entry.userId === recipient.userId);
+  if (own.length > MAX_NOTIFICATIONS) {
+    const dropped = new Set(own.slice(MAX_NOTIFICATIONS).map(entry => entry.Id));
+    notifications = notifications.filter(entry => !dropped.has(entry.Id));
+  }
+
+  emailQueue = [...emailQueue, {
+    Id: nextId(emailQueue),
+    to: recipient.email,
+    subject: title,
+    body: `${message}\n\nView it here: ${notification.link}`,
+    notificationId: notification.Id,
+    status: "queued",
+    queuedAt: notification.createdAt
+  }];
+  return notification;
+};
+
+/**
+ * Called by ProductService after products change, with { previous, next } pairs. Products that
+ * came back into stock or got cheaper notify the customers subscribed to them and those whose
+ * saved searches they match. Product alerts fire once per condition; saved searches keep
+ * watching.
+ */
+export const notifyProductChanges = (changes) => {
+  let delivered = 0;
+
+  changes.forEach(({ previous, next }) => {
+    // Drafts stay quiet until they are published; customers could not open the link anyway
+    if (!previous || !next || !isStorefrontVisible(next)) return;
+
+    productAlerts.filter(alert => alert.active && alert.productId === next.Id).forEach(alert => {
+      const wasOut = stockOf(previous, alert.variantId) <= 0;
+      const isIn = stockOf(next, alert.variantId) > 0;
+      const oldPrice = priceOf(previous, alert.variantId);
+      const newPrice = priceOf(next, alert.variantId);
+      const name = alert.variantName ? `${next.title} (${alert.variantName})` : next.title;
+
+      if (alert.backInStock && !alert.backInStockSentAt && wasOut && isIn) {
+        deliver(alert, {
+          type: "back-in-stock",
+          title: `${name} is back in stock`,
+          message: `${name} is available again at ${formatPrice(newPrice)}.`,
+          product: next,
+          source: { alertId: alert.Id }
+        });
+        alert.backInStockSentAt = new Date().toISOString();
+        delivered++;
+      }
+
+      if (alert.priceBelow && !alert.priceDropSentAt && newPrice <= alert.priceBelow && oldPrice > alert.priceBelow) {
+        deliver(alert, {
+          type: "price-drop",
+          title: `${name} dropped to ${formatPrice(newPrice)}`,
+          message: `${name} is now ${formatPrice(newPrice)}, down from ${formatPrice(oldPrice)} and below your alert price of ${formatPrice(alert.priceBelow)}.`,
+          product: next,
+          source: { alertId: alert.Id }
+        });
+        alert.priceDropSentAt = new Date().toISOString();
+        delivered++;
+      }
+
+      const backInStockDone = !alert.backInStock || alert.backInStockSentAt;
+      const priceDropDone = !alert.priceBelow || alert.priceDropSentAt;
+      if (backInStockDone && priceDropDone) alert.active = false;
+    });
+
+    const cameBack = stockOf(previous) <= 0 && stockOf(next) > 0;
+    const oldPrice = priceOf(previous);
+    const newPrice = priceOf(next);
+    if (!cameBack && newPrice >= oldPrice) return;
+
+    savedSearches.forEach(search => {
+      if (!matchesSavedSearch(next, search)) return;
+      const label = search.name || search.query;
+
+      if (cameBack && search.backInStock) {
+        deliver(search, {
+          type: "back-in-stock",
+          title: `${next.title} is back in stock`,
+          message: `${next.title}, from your saved search "${label}", is available again at ${formatPrice(newPrice)}.`,
+          product: next,
+          source: { savedSearchId: search.Id }
+        });
+        delivered++;
+      }
+
+      // Without an alert price any drop counts; with one, only crossing below it
+      const dropped = search.priceBelow
+        ? newPrice <= search.priceBelow && oldPrice > search.priceBelow
+        : newPrice < oldPrice;
+      if (dropped && search.priceDrop) {
+        deliver(search, {
+          type: "price-drop",
+          title: `${next.title} dropped to ${formatPrice(newPrice)}`,
+          message: `${next.title}, from your saved search "${label}", is now ${formatPrice(newPrice)} (was ${formatPrice(oldPrice)}).`,
+          product: next,
+          source: { savedSearchId: search.Id }
+        });
+        delivered++;
+      }
+    });
+  });
+
+  if (delivered > 0) {
+    persistAlerts();
+    notifyAlertsChange();
+  }
+  return delivered;
+};
+
+export const AlertService = {
+  // Saves the current search (text plus facet and price filters) to be alerted about
+  saveSearch: async ({ query = "", facets = {}, priceRange = {}, name = "", backInStock = true, priceDrop = true, priceBelow = null } = {}) => {
+    const customer = await requireCustomer();
+    const text = String(query).trim();
+    const activeFacets = Object.fromEntries(
+      Object.entries(facets).filter(([, values]) => Array.isArray(values) && values.length > 0)
+    );
+    if (!text && Object.keys(activeFacets).length === 0) {
+      throw new Error("Search for something or pick a filter before saving the search");
+    }
+    if (!backInStock && !priceDrop) {
+      throw new Error("Choose at least one thing to be alerted about");
+    }
+
+    const own = savedSearches.filter(search => search.userId === customer.Id);
+    if (own.length >= MAX_SAVED_SEARCHES) {
+      throw new Error(`You can save up to ${MAX_SAVED_SEARCHES} searches; remove one first`);
+    }
+    const range = { min: priceRange.min || "", max: priceRange.max || "" };
+    const signature = JSON.stringify([text.toLowerCase(), activeFacets, range]);
+    if (own.some(search => JSON.stringify([search.query.toLowerCase(), search.facets, search.priceRange]) === signature)) {
+      throw new Error("You have already saved this search");
+    }
+
+    const search = {
+      Id: nextId(savedSearches),
+      userId: customer.Id,
+      email: customer.email,
+      name: String(name).trim() || text,
+      query: text,
+      facets: activeFacets,
+      priceRange: range,
+      backInStock: Boolean(backInStock),
+      priceDrop: Boolean(priceDrop),
+      priceBelow: parseThreshold(priceBelow),
+      createdAt: new Date().toISOString()
+    };
+    savedSearches = [...savedSearches, search];
+    persistAlerts();
+    notifyAlertsChange();
+    return { ...search };
+  },
+
+  getSavedSearches: async () => {
+    const customer = await requireCustomer();
+    return savedSearches.filter(search => search.userId === customer.Id).map(search => ({ ...search }));
+  },
+
+  deleteSavedSearch: async (id) => {
+    const customer = await requireCustomer();
+    const search = savedSearches.find(entry => entry.Id === parseInt(id) && entry.userId === customer.Id);
+    if (!search) throw new Error("Saved search not found");
+    savedSearches = savedSearches.filter(entry => entry !== search);
+    persistAlerts();
+    notifyAlertsChange();
+    return true;
+  },
+
+  /**
+   * Subscribes the signed-in customer to one product, or to one variant of a product that has
+   * them: when it comes back into stock, when its price falls to `priceBelow` or under, or both.
+   * Subscribing again replaces the earlier alert.
+   */
+  subscribeToProduct: async (productId, { variantId = null, backInStock = true, priceBelow = null } = {}) => {
+    const customer = await requireCustomer();
+    const product = await ProductService.getById(productId);
+    if (!isStorefrontVisible(product)) {
+      throw new Error(`Product with ID ${productId} not found`);
+    }
+    const variant = variantId ? findVariant(product, variantId) : null;
+    if (variantId && !variant) {
+      throw new Error(`Variant ${variantId} of ${product.title} not found`);
+    }
+    // Each variant has its own stock and price, so alerts follow one of them
+    if (!variant && product.variants?.length) {
+      throw new Error(`Choose which option of ${product.title} to be alerted about`);
+    }
+
+    const threshold = parseThreshold(priceBelow);
+    const outOfStock = stockOf(product, variantId) <= 0;
+    const wantsStock = Boolean(backInStock) && outOfStock;
+    if (threshold !== null && threshold >= priceOf(product, variantId)) {
+      throw new Error(`Alert price must be below the current price of ${formatPrice(priceOf(product, variantId))}`);
+    }
+    if (!wantsStock && threshold === null) {
+      throw new Error(outOfStock
+        ? "Choose at least one thing to be alerted about"
+        : `${product.title} is in stock; set a price to be alerted at instead`);
+    }
+
+    productAlerts = productAlerts.filter(alert =>
+      !(alert.userId === customer.Id && alert.productId === product.Id && (alert.variantId || null) === (variant?.id || null))
+    );
+    const alert = {
+      Id: nextId(productAlerts),
+      userId: customer.Id,
+      email: customer.email,
+      productId: product.Id,
+      productTitle: product.title,
+      variantId: variant?.id || null,
+      variantName: variant?.name || null,
+      backInStock: wantsStock,
+      priceBelow: threshold,
+      active: true,
+      createdAt: new Date().toISOString()
+    };
+    productAlerts = [...productAlerts, alert];
+    persistAlerts();
+    notifyAlertsChange();
+    return { ...alert };
+  },
+
+  getProductAlerts: async ({ activeOnly = false } = {}) => {
+    const customer = await requireCustomer();
+    return productAlerts
+      .filter(alert => alert.userId === customer.Id && (!activeOnly || alert.active))
+      .map(alert => ({ ...alert }));
+  },
+
+  // The signed-in customer's active alert for a product, or null (also when signed out)
+  getAlertForProduct: async (productId, { variantId = null } = {}) => {
+    const user = await AuthService.getCurrentUser();
+    if (!user || user.role !== "customer") return null;
+    const alert = productAlerts.find(entry =>
+      entry.active && entry.userId === user.Id && entry.productId === parseInt(productId) &&
+      (entry.variantId || null) === (variantId || null)
+    );
+    return alert ? { ...alert } : null;
+  },
+
+  cancelProductAlert: async (id) => {
+    const customer = await requireCustomer();
+    const alert = productAlerts.find(entry => entry.Id === parseInt(id) && entry.userId === customer.Id);
+    if (!alert) throw new Error("Alert not found");
+    productAlerts = productAlerts.filter(entry => entry !== alert);
+    persistAlerts();
+    notifyAlertsChange();
+    return true;
+  },
+
+  // Newest first; empty when nobody is signed in so the header can always ask
+  getNotifications: async ({ unreadOnly = false } = {}) => {
+    const user = await AuthService.getCurrentUser();
+    if (!user || user.role !== "customer") return [];
+    return notifications
+      .filter(notification => notification.userId === user.Id && (!unreadOnly || !notification.read))
+      .map(notification => ({ ...notification }));
+  },
+
+  // Marks the given notifications read, or all of them when no ids are passed
+  markNotificationsRead: async (ids = null) => {
+    const customer = await requireCustomer();
+    const wanted = ids ? new Set(ids.map(id => parseInt(id))) : null;
+    let changed = 0;
+    notifications = notifications.map(notification => {
+      if (notification.userId !== customer.Id || notification.read || (wanted && !wanted.has(notification.Id))) {
+        return notification;
+      }
+      changed++;
+      return { ...notification, read: true, readAt: new Date().toISOString() };
+    });
+    if (changed > 0) {
+      persistAlerts();
+      notifyAlertsChange();
+    }
+    return changed;
+  },
+
+  // Alert emails waiting for the mail sender, oldest first
+  getEmailQueue: async ({ status = "queued" } = {}) => {
+    await requirePermission("canManageCustomers");
+    return emailQueue
+      .filter(email => !status || email.status === status)
+      .map(email => ({ ...email }));
+  },
+
+  markEmailsSent: async (ids) => {
+    await requirePermission("canManageCustomers");
+    const wanted = new Set(ids.map(id => parseInt(id)));
+    const sentAt = new Date().toISOString();
+    emailQueue = emailQueue.map(email =>
+      wanted.has(email.Id) && email.status === "queued" ? { ...email, status: "sent", sentAt } : email
+    );
+    persistAlerts();
+    return true;
+  }
+};
@@ -0,0 +1,127 @@
+import { UserService } from "@/services/api/UserService";
+import { CustomerService } from "@/services/api/CustomerService";
+import { storage } from "@/utils/storage";
+
+export const SESSION_STORAGE_KEY = "bazaarpk-session";
+const LOGIN_ATTEMPTS_STORAGE_KEY = "bazaarpk-login-attempts";
+
+// Sessions last a working day; every authenticated check slides the expiry forward
+export const SESSION_TTL = 8 * 60 * 60 * 1000;
+const MAX_FAILED_ATTEMPTS = 5;
+const LOCKOUT_DURATION = 15 * 60 * 1000;
+
+const createToken = () =>
+  `${Date.now().toString(36)}.${Math.random().toString(36).slice(2)}${Math.random().toString(36).slice(2)}`;
+
+const notifySessionChange = (user) => {
+  if (typeof window !== "undefined" && window.CustomEvent) {
+    window.dispatchEvent(new window.CustomEvent("auth-session-change", {
+      detail: { userId: user?.Id ?? null, timestamp: Date.now() }
+    }));
+  }
+};
+
+const getAttempts = (email) => (storage.get(LOGIN_ATTEMPTS_STORAGE_KEY) || {})[email] || { count: 0, lockedUntil: null };
+
+const setAttempts = (email, attempts) => {
+  const all = storage.get(LOGIN_ATTEMPTS_STORAGE_KEY) || {};
+  if (attempts) {
+    all[email] = attempts;
+  } else {
+    delete all[email];
+  }
+  storage.set(LOGIN_ATTEMPTS_STORAGE_KEY, all);
+};
+
+const clearSession = () => {
+  storage.remove(SESSION_STORAGE_KEY);
+};
+
+export const AuthService = {
+  login: async (email, password) => {
+    await new Promise(resolve => setTimeout(resolve, 500));
+    const key = (email || "").trim().toLowerCase();
+    if (!key || !password) {
+      throw new Error("Enter your email and password");
+    }
+
+    const attempts = getAttempts(key);
+    if (attempts.lockedUntil && new Date(attempts.lockedUntil) > new Date()) {
+      const minutes = Math.ceil((new Date(attempts.lockedUntil) - new Date()) / 60000);
+      throw new Error(`Too many failed attempts. Try again in ${minutes} minute(s).`);
+    }
+
+    // Staff accounts take precedence; storefront customers sign in through the same form
+    const staffUser = await UserService.verifyCredentials(key, password);
+    const user = staffUser || await CustomerService.verifyCredentials(key, password);
+    if (!user) {
+      const count = attempts.count + 1;
+      setAttempts(key, {
+        count: count >= MAX_FAILED_ATTEMPTS ? 0 : count,
+        lockedUntil: count >= MAX_FAILED_ATTEMPTS ? new Date(Date.now() + LOCKOUT_DURATION).toISOString() : null
+      });
+      throw new Error("Invalid email or password");
+    }
+
+    if (user.status === "blocked") {
+      throw new Error("This account has been suspended. Please contact customer support.");
+    }
+    if (user.status !== "active") {
+      throw new Error("This account has been deactivated. Contact an administrator.");
+    }
+
+    setAttempts(key, null);
+    const now = Date.now();
+    const session = {
+      token: createToken(),
+      userId: user.Id,
+      accountType: staffUser ? "staff" : "customer",
+      createdAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + SESSION_TTL).toISOString()
+    };
+    storage.set(SESSION_STORAGE_KEY, session);
+
+    const loggedIn = staffUser ? UserService.recordLogin(user.Id) : CustomerService.recordLogin(user.Id);
+    notifySessionChange(loggedIn);
+    return { user: loggedIn, session: { ...session } };
+  },
+
+  // Creates (or claims) a storefront customer account and signs it straight in
+  register: async (details) => {
+    await CustomerService.register(details);
+    return AuthService.login(details.email, details.password);
+  },
+
+  logout: async () => {
+    clearSession();
+    notifySessionChange(null);
+  },
+
+  // Resolves the signed-in user, or null when there is no valid session. Users that were
+  // deactivated, blocked or removed since signing in are logged out here.
+  getCurrentUser: async () => {
+    const session = storage.get(SESSION_STORAGE_KEY);
+    if (!session?.token) return null;
+
+    if (new Date(session.expiresAt) <= new Date()) {
+      clearSession();
+      return null;
+    }
+
+    const user = session.accountType === "customer"
+      ? await CustomerService.getSessionCustomer(session.userId)
+      : await UserService.getById(session.userId);
+    if (!user || user.status !== "active") {
+      clearSession();
+      return null;
+    }
+
+    storage.set(SESSION_STORAGE_KEY, { ...session, expiresAt: new Date(Date.now() + SESSION_TTL).toISOString() });
+    return user;
+  },
+
+  getSession: () => {
+    const session = storage.get(SESSION_STORAGE_KEY);
+    return session && new Date(session.expiresAt) > new Date() ? { ...session } : null;
+  }
+};
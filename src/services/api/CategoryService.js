@@ -1,42 +1,259 @@
 import categoriesData from "@/services/mockData/categories.json";
+import ProductService from "@/services/api/ProductService";
+import cacheManager from "@/utils/cacheManager";
+import { storage } from "@/utils/storage";
+import { requirePermission } from "@/utils/permissions";
+
+const CATEGORIES_STORAGE_KEY = "bazaarpk-categories";
+
+// Category edits survive reloads in localStorage, seeded from the mock data on first use
+let categories = storage.get(CATEGORIES_STORAGE_KEY) || categoriesData.map(category => ({ ...category }));
+
+const persistCategories = () => {
+  storage.set(CATEGORIES_STORAGE_KEY, categories);
+  // Home keeps its own copy of the category list
+  cacheManager.clear("categories");
+};
+
+export const slugify = (text) =>
+  (text || "")
+    .toLowerCase()
+    .trim()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+
+const findCategoryIndex = (id) => {
+  const index = categories.findIndex(category => category.Id === parseInt(id));
+  if (index === -1) {
+    throw new Error(`Category with ID ${id} not found`);
+  }
+  return index;
+};
+
+const getDescendantIds = (id) => {
+  const children = categories.filter(category => category.parentId === id);
+  return children.flatMap(child => [child.Id, ...getDescendantIds(child.Id)]);
+};
+
+// Products name their category by slug or, in the seed data, by lowercased name ("dry fruit"),
+// so both are slugified before comparing. Counts are always derived from the catalogue.
+const countProductsBySlug = async () => {
+  const products = await ProductService.getAll();
+  return products.reduce((counts, product) => {
+    const key = slugify(product.category);
+    counts[key] = (counts[key] || 0) + 1;
+    return counts;
+  }, {});
+};
+
+// A product belongs to a category when its slugified category matches the category's slug or name
+const productKeysFor = (category) => [...new Set([category.slug, slugify(category.name)])];
+
+const countFor = (category, counts) =>
+  productKeysFor(category).reduce((sum, key) => sum + (counts[key] || 0), 0);
+
+const withCounts = (category, counts) => {
+  const descendants = getDescendantIds(category.Id)
+    .map(id => categories.find(c => c.Id === id))
+    .filter(Boolean);
+  return {
+    ...category,
+    productCount: countFor(category, counts),
+    totalProductCount: [category, ...descendants].reduce((sum, c) => sum + countFor(c, counts), 0)
+  };
+};
+
+const sortCategories = (list) =>
+  [...list].sort((a, b) => (a.sortOrder ?? 0) - (b.sortOrder ?? 0) || a.name.localeCompare(b.name));
+
+const validateCategory = (data, existingId = null) => {
+  const errors = {};
+  const name = (data.name || "").trim();
+  const slug = slugify(data.slug || name);
+
+  if (name.length < 2) {
+    errors.name = "Category name must be at least 2 characters";
+  }
+  if (!slug) {
+    errors.slug = "Slug is required";
+  } else if (categories.some(category => category.slug === slug && category.Id !== existingId)) {
+    errors.slug = `Slug "${slug}" is already used by another category`;
+  }
+
+  if (data.parentId) {
+    const parentId = parseInt(data.parentId);
+    if (!categories.some(category => category.Id === parentId)) {
+      errors.parentId = "Parent category not found";
+    } else if (existingId && (parentId === existingId || getDescendantIds(existingId).includes(parentId))) {
+      errors.parentId = "A category cannot be moved inside itself";
+    }
+  }
+
+  if (data.seo?.metaTitle && data.seo.metaTitle.length > 60) {
+    errors.metaTitle = "Meta title should be 60 characters or fewer";
+  }
+  if (data.seo?.metaDescription && data.seo.metaDescription.length > 160) {
+    errors.metaDescription = "Meta description should be 160 characters or fewer";
+  }
+
+  return { isValid: Object.keys(errors).length === 0, errors };
+};
+
+const sanitizeCategory = (data) => ({
+  name: data.name.trim(),
+  slug: slugify(data.slug || data.name),
+  parentId: data.parentId ? parseInt(data.parentId) : null,
+  image: (data.image || "").trim(),
+  description: (data.description || "").trim(),
+  seo: {
+    metaTitle: (data.seo?.metaTitle || "").trim(),
+    metaDescription: (data.seo?.metaDescription || "").trim(),
+    keywords: Array.isArray(data.seo?.keywords)
+      ? data.seo.keywords.map(k => k.trim()).filter(Boolean)
+      : (data.seo?.keywords || "").split(",").map(k => k.trim()).filter(Boolean)
+  }
+});
+
+// Point every product in one category at another. Products are written with the lowercased
+// name, the form the storefront filters on.
+const moveProducts = async (from, to) => {
+  const products = await ProductService.getAll();
+  const keys = productKeysFor(from);
+  const category = to.name.toLowerCase();
+  const affected = products.filter(product => keys.includes(slugify(product.category)) && product.category !== category);
+  if (affected.length > 0) {
+    await ProductService.moveToCategory(affected.map(product => product.Id), category);
+  }
+  return affected.length;
+};
 
 export const CategoryService = {
   getAll: async () => {
     await new Promise(resolve => setTimeout(resolve, 250));
-    return [...categoriesData];
+    const counts = await countProductsBySlug();
+    return sortCategories(categories).map(category => withCounts(category, counts));
+  },
+
+  // Nested view: top-level categories with a children array at every level
+  getTree: async () => {
+    await new Promise(resolve => setTimeout(resolve, 250));
+    const counts = await countProductsBySlug();
+    const build = (parentId) =>
+      sortCategories(categories.filter(category => (category.parentId ?? null) === parentId))
+        .map(category => ({ ...withCounts(category, counts), children: build(category.Id) }));
+    return build(null);
   },
 
   getById: async (id) => {
     await new Promise(resolve => setTimeout(resolve, 200));
-    const category = categoriesData.find(c => c.Id === id);
-    return category ? { ...category } : null;
+    const category = categories.find(c => c.Id === parseInt(id));
+    if (!category) return null;
+    const counts = await countProductsBySlug();
+    return withCounts(category, counts);
   },
 
+  validate: (data, existingId = null) => validateCategory(data, existingId),
+
   create: async (category) => {
     await new Promise(resolve => setTimeout(resolve, 400));
-    const maxId = Math.max(...categoriesData.map(c => c.Id));
-    const newCategory = { ...category, Id: maxId + 1 };
-    categoriesData.push(newCategory);
-    return { ...newCategory };
+    await requirePermission("canManageCatalog");
+    const validation = validateCategory(category);
+    if (!validation.isValid) {
+      throw new Error(Object.values(validation.errors).join(", "));
+    }
+
+    const sanitized = sanitizeCategory(category);
+    const siblings = categories.filter(c => (c.parentId ?? null) === sanitized.parentId);
+    const newCategory = {
+      ...sanitized,
+      Id: Math.max(0, ...categories.map(c => c.Id)) + 1,
+      sortOrder: siblings.length
+    };
+
+    categories.push(newCategory);
+    persistCategories();
+    return { ...newCategory, productCount: 0, totalProductCount: 0 };
   },
 
   update: async (id, updates) => {
     await new Promise(resolve => setTimeout(resolve, 350));
-    const index = categoriesData.findIndex(c => c.Id === id);
-    if (index !== -1) {
-      categoriesData[index] = { ...categoriesData[index], ...updates };
-      return { ...categoriesData[index] };
+    await requirePermission("canManageCatalog");
+    const index = findCategoryIndex(id);
+    const current = categories[index];
+    const merged = { ...current, ...updates, seo: { ...current.seo, ...(updates.seo || {}) } };
+
+    const validation = validateCategory(merged, current.Id);
+    if (!validation.isValid) {
+      throw new Error(Object.values(validation.errors).join(", "));
     }
-    return null;
+
+    const sanitized = sanitizeCategory(merged);
+    // Keep products attached when the name or slug changes
+    if (sanitized.slug !== current.slug || sanitized.name !== current.name) {
+      await moveProducts(current, sanitized);
+    }
+
+    // Moving under a new parent puts the category at the end of its new siblings
+    const sortOrder = sanitized.parentId !== (current.parentId ?? null)
+      ? categories.filter(c => (c.parentId ?? null) === sanitized.parentId).length
+      : current.sortOrder;
+
+    categories[index] = { ...current, ...sanitized, sortOrder };
+    persistCategories();
+    return CategoryService.getById(current.Id);
+  },
+
+  // Persist a new sibling order (and parent) after a drag-and-drop
+  reorder: async (parentId, orderedIds) => {
+    await new Promise(resolve => setTimeout(resolve, 200));
+    await requirePermission("canManageCatalog");
+    const normalizedParent = parentId ? parseInt(parentId) : null;
+
+    orderedIds.forEach((id, position) => {
+      const index = findCategoryIndex(id);
+      const categoryId = categories[index].Id;
+      if (normalizedParent && (normalizedParent === categoryId || getDescendantIds(categoryId).includes(normalizedParent))) {
+        throw new Error("A category cannot be moved inside itself");
+      }
+      categories[index] = { ...categories[index], parentId: normalizedParent, sortOrder: position };
+    });
+
+    persistCategories();
+    return CategoryService.getTree();
   },
 
+  reassignProducts: async (fromId, toId) => {
+    await requirePermission("canManageCatalog");
+    const from = categories[findCategoryIndex(fromId)];
+    const to = categories[findCategoryIndex(toId)];
+    if (from.Id === to.Id) {
+      throw new Error("Choose a different category to move products into");
+    }
+    const moved = await moveProducts(from, to);
+    console.log(`📦 Moved ${moved} product(s) from ${from.name} to ${to.name}`);
+    return moved;
+  },
+
+  // Refuses while products still point at the category; subcategories move up to its parent
   delete: async (id) => {
     await new Promise(resolve => setTimeout(resolve, 300));
-    const index = categoriesData.findIndex(c => c.Id === id);
-    if (index !== -1) {
-      const deleted = categoriesData.splice(index, 1)[0];
-      return { ...deleted };
+    await requirePermission("canManageCatalog");
+    const index = findCategoryIndex(id);
+    const category = categories[index];
+
+    const count = countFor(category, await countProductsBySlug());
+    if (count) {
+      throw new Error(`${category.name} still has ${count} product(s). Reassign them before deleting.`);
     }
-    return null;
+
+    const siblingCount = categories.filter(c => (c.parentId ?? null) === (category.parentId ?? null)).length;
+    categories = categories
+      .filter(c => c.Id !== category.Id)
+      .map(c => c.parentId === category.Id
+        ? { ...c, parentId: category.parentId ?? null, sortOrder: siblingCount + (c.sortOrder ?? 0) }
+        : c);
+
+    persistCategories();
+    return { ...category };
   }
-};
\ No newline at end of file
+};
@@ -0,0 +1,306 @@
+import ProductService, { findVariant } from "@/services/api/ProductService";
+import { OrderService } from "@/services/api/OrderService";
+import { InventoryService } from "@/services/api/InventoryService";
+import { PromotionService } from "@/services/api/PromotionService";
+import { CustomerService } from "@/services/api/CustomerService";
+import { getSettings } from "@/services/api/SettingsService";
+import { slugify } from "@/services/api/CategoryService";
+
+export const PAYMENT_METHODS = [
+  { id: "cod", label: "Cash on Delivery", description: "Pay in cash when your order arrives", icon: "Banknote" },
+  { id: "card", label: "Credit / Debit Card", description: "Visa, Mastercard and UnionPay", icon: "CreditCard" },
+  { id: "easypaisa", label: "Easypaisa / JazzCash", description: "Pay from your mobile wallet", icon: "Smartphone" },
+  { id: "bank_transfer", label: "Bank Transfer", description: "Order is confirmed once payment is received", icon: "Landmark" }
+];
+
+// Methods that settle during checkout; the rest stay pending until collected
+const INSTANT_PAYMENT_METHODS = ["card", "easypaisa"];
+
+const DELIVERY_WINDOWS = [
+  { id: "morning", label: "Morning", window: "09:00 - 12:00" },
+  { id: "afternoon", label: "Afternoon", window: "12:00 - 16:00" },
+  { id: "evening", label: "Evening", window: "16:00 - 21:00" }
+];
+
+export const SUPPORTED_CITIES = [
+  "Karachi", "Lahore", "Islamabad", "Rawalpindi", "Faisalabad",
+  "Multan", "Peshawar", "Quetta", "Hyderabad", "Sialkot"
+];
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// Shipping and gift-wrapping charges for a subtotal under the current settings
+export const calculateShipping = (subtotal, giftWrapping = false) => {
+  const { shipping, features } = getSettings();
+  return {
+    shippingCost: subtotal >= shipping.freeShippingThreshold ? 0 : shipping.standardShippingCost,
+    giftWrappingCost: giftWrapping && features.giftWrapping ? shipping.giftWrappingCost : 0
+  };
+};
+
+// Tax on each line at its category's rate (falling back to the default rate). Rates are kept by
+// category slug, while products name their category ("dry fruit"), so the name is slugified.
+// Order-level discounts are spread across the lines by value before tax is worked out.
+export const calculateTax = (lines = [], discount = 0) => {
+  const { tax } = getSettings();
+  const result = { amount: 0, inclusive: tax.pricesIncludeTax, label: tax.label };
+  if (!tax.enabled) return result;
+
+  const subtotal = lines.reduce((sum, line) => sum + line.lineTotal, 0);
+  const discountShare = subtotal > 0 ? Math.min(1, discount / subtotal) : 0;
+  const amount = lines.reduce((sum, line) => {
+    const rate = tax.categoryRates[slugify(line.category)] ?? tax.defaultRate;
+    const taxable = line.lineTotal * (1 - discountShare);
+    return sum + (tax.pricesIncludeTax ? taxable - taxable / (1 + rate / 100) : taxable * rate / 100);
+  }, 0);
+
+  return { ...result, amount: roundAmount(amount) };
+};
+
+// Per-customer coupon limits are keyed on email, falling back to the phone number
+const getCustomerKey = (address = {}) =>
+  address.email?.trim().toLowerCase() || (address.phone || "").replace(/\D/g, "") || null;
+
+// Reservations hold stock per product and variant, so lines are compared on both
+const reservationMatches = (reservation, lines) => {
+  const lineKey = (line) => `${line.productId}:${line.variantId ?? null}`;
+  const wanted = {};
+  lines.forEach(line => { wanted[lineKey(line)] = (wanted[lineKey(line)] || 0) + line.quantity; });
+  return reservation.items.length === Object.keys(wanted).length &&
+    reservation.items.every(item => wanted[lineKey(item)] === item.quantity);
+};
+
+export const CheckoutService = {
+  // Delivery slots for the next few days, skipping windows that have already started today
+  getDeliverySlots: async (days = 3) => {
+    await new Promise(resolve => setTimeout(resolve, 150));
+    const slots = [];
+    const now = new Date();
+
+    for (let offset = 0; offset < days; offset++) {
+      const date = new Date(now);
+      date.setDate(now.getDate() + offset);
+
+      DELIVERY_WINDOWS.forEach(deliveryWindow => {
+        const startHour = parseInt(deliveryWindow.window.split(":")[0]);
+        if (offset === 0 && now.getHours() >= startHour - 2) return;
+
+        slots.push({
+          id: `${date.toISOString().slice(0, 10)}-${deliveryWindow.id}`,
+          date: date.toISOString().slice(0, 10),
+          dayLabel: offset === 0 ? "Today" : offset === 1 ? "Tomorrow" : date.toLocaleDateString("en-PK", { weekday: "long" }),
+          ...deliveryWindow
+        });
+      });
+    }
+
+    return slots;
+  },
+
+  validateAddress: (address = {}) => {
+    const errors = {};
+
+    if (!address.fullName || address.fullName.trim().length < 3) {
+      errors.fullName = "Full name is required";
+    }
+
+    const phoneDigits = (address.phone || "").replace(/\D/g, "");
+    if (phoneDigits.length < 10 || phoneDigits.length > 13) {
+      errors.phone = "Enter a valid mobile number, e.g. 0300-1234567";
+    }
+
+    if (address.email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(address.email)) {
+      errors.email = "Enter a valid email address";
+    }
+
+    if (!address.addressLine || address.addressLine.trim().length < 8) {
+      errors.addressLine = "Street address is required";
+    }
+
+    if (!address.city) {
+      errors.city = "City is required";
+    }
+
+    return { isValid: Object.keys(errors).length === 0, errors };
+  },
+
+  // Recompute every amount from the catalogue and promotion rules rather than trusting cart prices
+  calculateTotals: async ({ items = [], giftWrapping = false, promoCodes = [], customerKey = null } = {}) => {
+    await new Promise(resolve => setTimeout(resolve, 200));
+
+    if (!Array.isArray(items) || items.length === 0) {
+      throw new Error("Your cart is empty");
+    }
+
+    const lines = [];
+    for (const item of items) {
+      const product = await ProductService.getById(item.productId);
+      const quantity = parseInt(item.quantity);
+
+      if (isNaN(quantity) || quantity <= 0) {
+        throw new Error(`Invalid quantity for ${product.title}`);
+      }
+
+      // Variants are matched by id; carts saved before variants had ids still carry the name
+      const variantId = item.variantId ?? item.variant?.id ?? null;
+      const variant = variantId
+        ? findVariant(product, variantId)
+        : item.variant ? (product.variants || []).find(v => v.name === item.variant.name) : null;
+
+      if ((variantId || item.variant) && !variant) {
+        throw new Error(`${item.variant?.name || "The selected option"} is no longer available for ${product.title}`);
+      }
+      if (!variant && product.variants?.length) {
+        throw new Error(`Choose an option of ${product.title}`);
+      }
+
+      const unitPrice = parseFloat(variant ? variant.price : product.price);
+      lines.push({
+        productId: product.Id,
+        title: product.title,
+        category: product.category,
+        image: variant?.images?.[0] || product.images?.[0] || null,
+        variantId: variant?.id ?? null,
+        variant: variant ? { id: variant.id, name: variant.name, sku: variant.sku } : null,
+        quantity,
+        price: unitPrice,
+        lineTotal: roundAmount(unitPrice * quantity)
+      });
+    }
+
+    const subtotal = roundAmount(lines.reduce((sum, line) => sum + line.lineTotal, 0));
+    const { shippingCost, giftWrappingCost } = calculateShipping(subtotal, giftWrapping);
+    const { discount, shippingDiscount, applied } = await PromotionService.calculateDiscounts({
+      codes: promoCodes,
+      lines,
+      subtotal,
+      shippingCost,
+      customerKey
+    });
+    const tax = calculateTax(lines, discount);
+
+    return {
+      lines,
+      itemCount: lines.reduce((sum, line) => sum + line.quantity, 0),
+      subtotal,
+      shippingCost,
+      giftWrappingCost,
+      discount,
+      shippingDiscount,
+      promotions: applied,
+      tax,
+      // Inclusive tax is already inside the line prices; exclusive tax is added on top
+      total: roundAmount(Math.max(0, subtotal + shippingCost - shippingDiscount + giftWrappingCost - discount) +
+        (tax.inclusive ? 0 : tax.amount))
+    };
+  },
+
+  // Validate a new code together with the codes already applied; resolves to the recomputed totals
+  applyPromoCode: async (promoCode, { items, appliedCodes = [], giftWrapping = false } = {}) => {
+    if (!promoCode || !promoCode.trim()) {
+      throw new Error("Enter a promo code");
+    }
+    return CheckoutService.calculateTotals({
+      items,
+      giftWrapping,
+      promoCodes: [...appliedCodes, promoCode]
+    });
+  },
+
+  // Hold stock while the shopper reviews the order, replacing any earlier hold
+  holdStock: async (items, previousReservationId = null) => {
+    if (previousReservationId) {
+      await CheckoutService.releaseStockHold(previousReservationId);
+    }
+    return InventoryService.reserve(items, { reference: "checkout" });
+  },
+
+  releaseStockHold: async (reservationId) => {
+    const reservation = InventoryService.getReservation(reservationId);
+    if (reservation && reservation.status === "active" && !reservation.orderId) {
+      await InventoryService.release(reservationId, "checkout abandoned");
+    }
+  },
+
+  placeOrder: async ({ items, address, deliverySlot, paymentMethod, giftWrapping = false, promoCodes = [], notes = "", reservationId = null }) => {
+    const addressValidation = CheckoutService.validateAddress(address);
+    if (!addressValidation.isValid) {
+      const error = new Error(`Invalid delivery address: ${Object.values(addressValidation.errors).join(", ")}`);
+      error.validationErrors = addressValidation.errors;
+      throw error;
+    }
+
+    if (!deliverySlot || !deliverySlot.id) {
+      throw new Error("Please choose a delivery slot");
+    }
+
+    if (!PAYMENT_METHODS.some(method => method.id === paymentMethod)) {
+      throw new Error("Please choose a payment method");
+    }
+
+    CustomerService.assertCanOrder({ email: address.email, phone: address.phone });
+
+    const customerKey = getCustomerKey(address);
+    const totals = await CheckoutService.calculateTotals({ items, giftWrapping, promoCodes, customerKey });
+
+    // Reuse the review-step hold when it still covers exactly these lines, otherwise reserve now
+    let reservation = reservationId ? InventoryService.getReservation(reservationId) : null;
+    if (!reservation || reservation.status !== "active" || !reservationMatches(reservation, totals.lines)) {
+      reservation = await CheckoutService.holdStock(totals.lines, reservation?.status === "active" ? reservation.id : null);
+    }
+
+    // Simulated payment gateway round-trip
+    await new Promise(resolve => setTimeout(resolve, 600));
+    const isPaid = INSTANT_PAYMENT_METHODS.includes(paymentMethod);
+
+    let order;
+    try {
+      order = await OrderService.create({
+        customer: {
+          name: address.fullName.trim(),
+          email: address.email?.trim() || "",
+          phone: address.phone.trim(),
+          address: `${address.addressLine.trim()}, ${address.city}${address.postalCode ? ` ${address.postalCode}` : ""}`
+        },
+        items: totals.lines.map(({ productId, title, variantId, variant, quantity, price }) => ({
+          productId, title, variantId, variant, quantity, price
+        })),
+        subtotal: totals.subtotal,
+        shippingCost: totals.shippingCost,
+        shippingDiscount: totals.shippingDiscount,
+        giftWrappingCost: totals.giftWrappingCost,
+        discount: totals.discount,
+        promoCodes: totals.promotions.map(promotion => promotion.code),
+        taxAmount: totals.tax.amount,
+        taxInclusive: totals.tax.inclusive,
+        total: totals.total,
+        paymentStatus: isPaid ? "paid" : "pending",
+        paymentMethod,
+        deliverySlot: {
+          id: deliverySlot.id,
+          date: deliverySlot.date,
+          window: deliverySlot.window
+        },
+        notes: notes.trim(),
+        stockReservationId: reservation.id
+      });
+    } catch (error) {
+      await InventoryService.release(reservation.id, "order creation failed");
+      throw error;
+    }
+
+    await InventoryService.attachToOrder(reservation.id, order.Id);
+    CustomerService.recordOrder(order, address);
+    if (order.promoCodes.length > 0) {
+      await PromotionService.recordRedemption(order.promoCodes, { orderId: order.Id, customerKey });
+    }
+    if (isPaid) {
+      // Payment is captured up front, so the stock leaves the shelf immediately
+      await InventoryService.commit(reservation.id);
+    }
+
+    console.log(`🧾 Order placed: ${order.orderNumber} (${order.items.length} items, total ${order.total})`);
+
+    return order;
+  }
+};
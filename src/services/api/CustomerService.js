@@ -0,0 +1,402 @@
+import customersData from "@/services/mockData/customers.json";
+import { OrderService, ORDER_STATUSES, getNetOrderValue } from "@/services/api/OrderService";
+import { AuthService } from "@/services/api/AuthService";
+import { hashPassword } from "@/services/api/UserService";
+import { storage } from "@/utils/storage";
+import { sanitizeEmail } from "@/utils/security";
+import { requirePermission } from "@/utils/permissions";
+import { getSettings } from "@/services/api/SettingsService";
+
+const CUSTOMERS_STORAGE_KEY = "bazaarpk-customers";
+
+// Customer records survive reloads in localStorage, seeded from the mock data on first use
+let customers = storage.get(CUSTOMERS_STORAGE_KEY) || customersData.map(customer => ({ ...customer }));
+
+const persistCustomers = () => {
+  storage.set(CUSTOMERS_STORAGE_KEY, customers);
+};
+
+const normalizeEmail = (email) => sanitizeEmail(email || "");
+
+// Compare phone numbers on their last ten digits so +92-300-... and 0300-... match
+const normalizePhone = (phone) => (phone || "").replace(/\D/g, "").slice(-10);
+
+const createId = (prefix) => `${prefix}-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`;
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+const findCustomerIndex = (id) => {
+  const index = customers.findIndex(customer => customer.Id === parseInt(id));
+  if (index === -1) {
+    throw new Error(`Customer with ID ${id} not found`);
+  }
+  return index;
+};
+
+const findByContact = ({ email, phone } = {}) => {
+  const emailKey = normalizeEmail(email);
+  const phoneKey = normalizePhone(phone);
+  return (emailKey && customers.find(customer => customer.email === emailKey)) ||
+    (phoneKey && customers.find(customer => normalizePhone(customer.phone) === phoneKey)) ||
+    null;
+};
+
+const orderBelongsTo = (order, customer) => {
+  const email = normalizeEmail(order.customer?.email);
+  if (email) return email === customer.email;
+  const phone = normalizePhone(order.customer?.phone);
+  return !!phone && phone === normalizePhone(customer.phone);
+};
+
+const summarizeOrders = (orders) => {
+  const counted = orders.filter(order => order.status !== ORDER_STATUSES.CANCELLED);
+  const lifetimeValue = roundAmount(orders.reduce((sum, order) => sum + getNetOrderValue(order), 0));
+  return {
+    orderCount: orders.length,
+    lifetimeValue,
+    averageOrderValue: counted.length > 0 ? roundAmount(lifetimeValue / counted.length) : 0,
+    lastOrderDate: orders.length > 0 ? orders[0].orderDate : null
+  };
+};
+
+// Staff see everything except credentials; `registered` tells guests from account holders
+const toAdminCustomer = ({ passwordHash, passwordSalt, ...customer }) => ({
+  ...customer,
+  addresses: (customer.addresses || []).map(address => ({ ...address })),
+  notes: (customer.notes || []).map(note => ({ ...note })),
+  registered: !!passwordHash
+});
+
+// What a signed-in customer sees of their own record: no staff notes, shaped like a session user
+const toSelfCustomer = (customer) => {
+  const { notes, blockedReason, ...profile } = toAdminCustomer(customer);
+  return {
+    ...profile,
+    role: "customer",
+    status: customer.blocked ? "blocked" : "active"
+  };
+};
+
+// Guests who checked out with only a phone number may have no email; account holders must have one
+const validateProfile = (data, existingId = null, requireEmail = !!data.passwordHash) => {
+  const errors = {};
+  const email = normalizeEmail(data.email);
+  const phoneDigits = (data.phone || "").replace(/\D/g, "");
+
+  if (!data.name || data.name.trim().length < 2) {
+    errors.name = "Name must be at least 2 characters";
+  }
+  if (requireEmail || (data.email || "").trim()) {
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+      errors.email = "Enter a valid email address";
+    } else if (customers.some(customer => customer.email === email && customer.Id !== existingId)) {
+      errors.email = `${email} already belongs to another customer`;
+    }
+  }
+  if (data.phone && (phoneDigits.length < 10 || phoneDigits.length > 13)) {
+    errors.phone = "Enter a valid mobile number, e.g. 0300-1234567";
+  }
+
+  return { isValid: Object.keys(errors).length === 0, errors };
+};
+
+const assertValidProfile = (data, existingId, requireEmail) => {
+  const validation = validateProfile(data, existingId, requireEmail);
+  if (!validation.isValid) {
+    throw new Error(Object.values(validation.errors).join(", "));
+  }
+};
+
+// Keeps exactly one default address, falling back to the first one
+const normalizeAddresses = (addresses = []) => {
+  const cleaned = addresses
+    .filter(address => address && address.addressLine && address.addressLine.trim() && address.city)
+    .map(address => ({
+      id: address.id || createId("addr"),
+      label: (address.label || "Home").trim(),
+      addressLine: address.addressLine.trim(),
+      city: address.city,
+      postalCode: (address.postalCode || "").trim(),
+      isDefault: !!address.isDefault
+    }));
+
+  const defaultIndex = Math.max(0, cleaned.findIndex(address => address.isDefault));
+  return cleaned.map((address, index) => ({ ...address, isDefault: index === defaultIndex }));
+};
+
+const applyProfileChanges = (index, updates) => {
+  const current = customers[index];
+  const merged = { ...current, ...updates };
+  assertValidProfile(merged, current.Id);
+
+  customers[index] = {
+    ...current,
+    name: merged.name.trim(),
+    email: normalizeEmail(merged.email),
+    phone: (merged.phone || "").trim(),
+    addresses: updates.addresses ? normalizeAddresses(updates.addresses) : current.addresses,
+    updatedAt: new Date().toISOString()
+  };
+  persistCustomers();
+  return customers[index];
+};
+
+const getCustomerOrders = async (customer) => {
+  const orders = await OrderService.getAll();
+  return orders.filter(order => orderBelongsTo(order, customer));
+};
+
+// Self-service methods act only on the customer in the current session
+const requireCustomerSession = async () => {
+  const user = await AuthService.getCurrentUser();
+  if (!user || user.role !== "customer") {
+    const error = new Error("Sign in to your customer account to continue");
+    error.code = "NOT_SIGNED_IN";
+    throw error;
+  }
+  return findCustomerIndex(user.Id);
+};
+
+export const CustomerService = {
+  // Staff list with order statistics; search matches name, email and phone
+  getAll: async ({ search = "", status = "all", sortBy = "recent" } = {}) => {
+    await new Promise(resolve => setTimeout(resolve, 300));
+    await requirePermission("canManageCustomers");
+    const orders = await OrderService.getAll();
+
+    const term = search.trim().toLowerCase();
+    const phoneTerm = term.replace(/\D/g, "");
+    let result = customers
+      .filter(customer => status === "all" || (status === "blocked" ? customer.blocked : !customer.blocked))
+      .filter(customer => !term ||
+        customer.name.toLowerCase().includes(term) ||
+        customer.email.includes(term) ||
+        (phoneTerm.length >= 3 && customer.phone.replace(/\D/g, "").includes(phoneTerm)))
+      .map(customer => ({
+        ...toAdminCustomer(customer),
+        ...summarizeOrders(orders.filter(order => orderBelongsTo(order, customer)))
+      }));
+
+    const sorters = {
+      recent: (a, b) => new Date(b.lastOrderDate || b.createdAt) - new Date(a.lastOrderDate || a.createdAt),
+      lifetimeValue: (a, b) => b.lifetimeValue - a.lifetimeValue,
+      orders: (a, b) => b.orderCount - a.orderCount,
+      name: (a, b) => a.name.localeCompare(b.name)
+    };
+    result.sort(sorters[sortBy] || sorters.recent);
+    return result;
+  },
+
+  // Full record for the admin detail page, including order history and lifetime value
+  getById: async (id) => {
+    await new Promise(resolve => setTimeout(resolve, 200));
+    await requirePermission("canManageCustomers");
+    const customer = customers[findCustomerIndex(id)];
+    const orders = await getCustomerOrders(customer);
+    return { ...toAdminCustomer(customer), ...summarizeOrders(orders), orders };
+  },
+
+  findByContact: async (contact) => {
+    await requirePermission("canManageCustomers");
+    const customer = findByContact(contact);
+    return customer ? toAdminCustomer(customer) : null;
+  },
+
+  validate: (data, existingId = null) => validateProfile(data, existingId, data.registered),
+
+  update: async (id, updates) => {
+    await new Promise(resolve => setTimeout(resolve, 300));
+    await requirePermission("canManageCustomers");
+    return toAdminCustomer(applyProfileChanges(findCustomerIndex(id), updates || {}));
+  },
+
+  addNote: async (id, text, { author = "system" } = {}) => {
+    await new Promise(resolve => setTimeout(resolve, 200));
+    await requirePermission("canManageCustomers");
+    if (!text || !text.trim()) {
+      throw new Error("Note cannot be empty");
+    }
+
+    const index = findCustomerIndex(id);
+    const note = { id: createId("note"), text: text.trim(), author, createdAt: new Date().toISOString() };
+    customers[index] = { ...customers[index], notes: [note, ...(customers[index].notes || [])] };
+    persistCustomers();
+    return toAdminCustomer(customers[index]);
+  },
+
+  deleteNote: async (id, noteId) => {
+    await new Promise(resolve => setTimeout(resolve, 150));
+    await requirePermission("canManageCustomers");
+    const index = findCustomerIndex(id);
+    customers[index] = {
+      ...customers[index],
+      notes: (customers[index].notes || []).filter(note => note.id !== noteId)
+    };
+    persistCustomers();
+    return toAdminCustomer(customers[index]);
+  },
+
+  // Blocked customers cannot sign in or place new orders
+  setBlocked: async (id, blocked, reason = "") => {
+    await new Promise(resolve => setTimeout(resolve, 250));
+    await requirePermission("canManageCustomers");
+    if (blocked && !reason.trim()) {
+      throw new Error("Give a reason for blocking this customer");
+    }
+
+    const index = findCustomerIndex(id);
+    customers[index] = {
+      ...customers[index],
+      blocked: !!blocked,
+      blockedReason: blocked ? reason.trim() : "",
+      blockedAt: blocked ? new Date().toISOString() : null,
+      updatedAt: new Date().toISOString()
+    };
+    persistCustomers();
+    return toAdminCustomer(customers[index]);
+  },
+
+  // Used by CheckoutService before reserving stock
+  assertCanOrder: (contact) => {
+    const customer = findByContact(contact);
+    if (customer?.blocked) {
+      const error = new Error("This account cannot place orders. Please contact customer support.");
+      error.code = "CUSTOMER_BLOCKED";
+      throw error;
+    }
+  },
+
+  // Used by CheckoutService after an order is placed: creates a guest record for new shoppers and
+  // remembers delivery addresses they have not used before
+  recordOrder: (order, deliveryAddress = {}) => {
+    const contact = { email: order.customer?.email, phone: order.customer?.phone };
+    const address = {
+      label: "Home",
+      addressLine: deliveryAddress.addressLine || "",
+      city: deliveryAddress.city || "",
+      postalCode: deliveryAddress.postalCode || ""
+    };
+
+    let index = customers.indexOf(findByContact(contact));
+    if (index === -1) {
+      customers.push({
+        Id: Math.max(0, ...customers.map(customer => customer.Id)) + 1,
+        name: order.customer.name,
+        email: normalizeEmail(contact.email),
+        phone: contact.phone || "",
+        addresses: normalizeAddresses([{ ...address, isDefault: true }]),
+        notes: [],
+        blocked: false,
+        blockedReason: "",
+        passwordSalt: null,
+        passwordHash: null,
+        lastLogin: null,
+        createdAt: order.orderDate || new Date().toISOString()
+      });
+    } else {
+      const customer = customers[index];
+      const known = (customer.addresses || []).some(existing =>
+        existing.addressLine.toLowerCase() === address.addressLine.trim().toLowerCase() && existing.city === address.city
+      );
+      customers[index] = {
+        ...customer,
+        email: customer.email || normalizeEmail(contact.email),
+        phone: customer.phone || contact.phone || "",
+        addresses: known ? customer.addresses : normalizeAddresses([...(customer.addresses || []), address])
+      };
+    }
+    persistCustomers();
+  },
+
+  // Storefront sign-up. A guest record from an earlier checkout is claimed when the phone matches.
+  register: async ({ name, email, phone, password }) => {
+    await new Promise(resolve => setTimeout(resolve, 400));
+    if (!getSettings().features.customerRegistration) {
+      throw new Error("New account registration is currently closed");
+    }
+    if (!password || password.length < 8 || !/[A-Za-z]/.test(password) || !/[0-9]/.test(password)) {
+      throw new Error("Password must be at least 8 characters with letters and numbers");
+    }
+
+    const existing = customers.find(customer => customer.email === normalizeEmail(email));
+    if (existing?.passwordHash) {
+      throw new Error("An account with this email already exists. Sign in instead.");
+    }
+    if (existing?.blocked) {
+      throw new Error("This account cannot be registered. Please contact customer support.");
+    }
+    if (existing && normalizePhone(existing.phone) !== normalizePhone(phone)) {
+      throw new Error("Enter the mobile number you used when ordering to claim this email");
+    }
+
+    const passwordSalt = Math.random().toString(16).slice(2, 10).padEnd(8, "0");
+    const credentials = { passwordSalt, passwordHash: await hashPassword(password, passwordSalt) };
+
+    if (existing) {
+      const index = customers.indexOf(existing);
+      applyProfileChanges(index, { name, email, phone });
+      customers[index] = { ...customers[index], ...credentials };
+      persistCustomers();
+      return toSelfCustomer(customers[index]);
+    }
+
+    assertValidProfile({ name, email, phone }, null, true);
+    const customer = {
+      Id: Math.max(0, ...customers.map(c => c.Id)) + 1,
+      name: name.trim(),
+      email: normalizeEmail(email),
+      phone: (phone || "").trim(),
+      addresses: [],
+      notes: [],
+      blocked: false,
+      blockedReason: "",
+      ...credentials,
+      lastLogin: null,
+      createdAt: new Date().toISOString()
+    };
+    customers.push(customer);
+    persistCustomers();
+    return toSelfCustomer(customer);
+  },
+
+  // Used by AuthService only: returns the customer when the email/password pair matches
+  verifyCredentials: async (email, password) => {
+    const customer = customers.find(c => c.email === normalizeEmail(email));
+    if (!customer?.passwordHash) return null;
+    const hash = await hashPassword(password || "", customer.passwordSalt);
+    return hash === customer.passwordHash ? toSelfCustomer(customer) : null;
+  },
+
+  // Used by AuthService only
+  getSessionCustomer: async (id) => {
+    await new Promise(resolve => setTimeout(resolve, 150));
+    const customer = customers.find(c => c.Id === parseInt(id));
+    return customer?.passwordHash ? toSelfCustomer(customer) : null;
+  },
+
+  recordLogin: (id) => {
+    const index = findCustomerIndex(id);
+    customers[index] = { ...customers[index], lastLogin: new Date().toISOString() };
+    persistCustomers();
+    return toSelfCustomer(customers[index]);
+  },
+
+  getMyProfile: async () => {
+    const index = await requireCustomerSession();
+    return toSelfCustomer(customers[index]);
+  },
+
+  updateMyProfile: async (updates) => {
+    await new Promise(resolve => setTimeout(resolve, 300));
+    const index = await requireCustomerSession();
+    const { name, email, phone, addresses } = updates || {};
+    const changes = { name, email, phone, addresses };
+    Object.keys(changes).forEach(key => changes[key] === undefined && delete changes[key]);
+    return toSelfCustomer(applyProfileChanges(index, changes));
+  },
+
+  getMyOrders: async () => {
+    const index = await requireCustomerSession();
+    return getCustomerOrders(customers[index]);
+  }
+};
@@ -0,0 +1,302 @@
+import ProductService, { findVariant, getLowStockThreshold } from "@/services/api/ProductService";
+import { storage } from "@/utils/storage";
+import { requirePermission } from "@/utils/permissions";
+
+const RESERVATIONS_STORAGE_KEY = "bazaarpk-stock-reservations";
+
+// How long stock is held while a shopper is on the checkout review step
+export const CHECKOUT_HOLD_TTL = 15 * 60 * 1000;
+// How long a placed but unconfirmed order (COD, bank transfer) keeps its stock
+export const ORDER_HOLD_TTL = 48 * 60 * 60 * 1000;
+
+let reservations = storage.get(RESERVATIONS_STORAGE_KEY) || [];
+
+const persistReservations = () => {
+  storage.set(RESERVATIONS_STORAGE_KEY, reservations);
+};
+
+const isActive = (reservation, now = Date.now()) =>
+  reservation.status === "active" && new Date(reservation.expiresAt).getTime() > now;
+
+const releaseExpiredReservations = () => {
+  const now = Date.now();
+  let released = 0;
+
+  reservations = reservations.map(reservation => {
+    if (reservation.status === "active" && !isActive(reservation, now)) {
+      released++;
+      return { ...reservation, status: "expired", releasedAt: new Date(now).toISOString() };
+    }
+    return reservation;
+  });
+
+  if (released > 0) {
+    persistReservations();
+    console.log(`⏱️ Released ${released} expired stock reservation(s)`);
+  }
+  return released;
+};
+
+// Held quantity of one variant, or of the whole product when no variantId is given
+const getReservedQuantity = (productId, { variantId, excludeReservationId = null } = {}) =>
+  reservations
+    .filter(reservation => isActive(reservation) && reservation.id !== excludeReservationId)
+    .reduce((total, reservation) => total + reservation.items
+      .filter(item => item.productId === productId && (variantId === undefined || (item.variantId ?? null) === variantId))
+      .reduce((sum, item) => sum + item.quantity, 0), 0);
+
+// Stock is tracked per variant, so lines are summed by product and variant
+const aggregateItems = (items = []) => {
+  const totals = new Map();
+  items.forEach(item => {
+    const productId = parseInt(item.productId);
+    const variantId = item.variantId ?? null;
+    const quantity = parseInt(item.quantity);
+    if (isNaN(productId) || isNaN(quantity) || quantity <= 0) {
+      throw new Error("Invalid reservation item");
+    }
+    const key = `${productId}:${variantId}`;
+    const line = totals.get(key) || { productId, variantId, quantity: 0 };
+    totals.set(key, { ...line, quantity: line.quantity + quantity });
+  });
+  return [...totals.values()];
+};
+
+// The stock a line draws on: its variant's when the product has variants, otherwise the product's
+const resolveStock = (product, variantId) => {
+  if (!product.variants?.length) {
+    return { stock: parseInt(product.stock || 0), label: product.title, variantId: null };
+  }
+  const variant = findVariant(product, variantId);
+  if (!variant) {
+    throw new Error(variantId ? `That option of ${product.title} is no longer available` : `Choose an option of ${product.title}`);
+  }
+  return { stock: variant.stock, label: `${product.title} (${variant.name})`, variantId: variant.id };
+};
+
+const findReservationIndex = (reservationId) => {
+  const index = reservations.findIndex(reservation => reservation.id === reservationId);
+  if (index === -1) {
+    throw new Error(`Stock reservation ${reservationId} not found`);
+  }
+  return index;
+};
+
+// Throws with a shopper-facing message when any line exceeds what is available
+const assertAvailable = async (items, excludeReservationId = null) => {
+  for (const item of items) {
+    const product = await ProductService.getById(item.productId);
+    const { stock, label, variantId } = resolveStock(product, item.variantId);
+    const available = Math.max(0, stock - getReservedQuantity(item.productId, { variantId, excludeReservationId }));
+
+    if (product.maxOrderQuantity && item.quantity > product.maxOrderQuantity) {
+      throw new Error(`You can order at most ${product.maxOrderQuantity} of ${label}`);
+    }
+    if (item.quantity > available) {
+      throw new Error(available === 0
+        ? `${label} is out of stock`
+        : `Only ${available} of ${label} left in stock`);
+    }
+  }
+};
+
+export const InventoryService = {
+  // Stock on hand minus quantities held by active reservations, for one variant when given
+  getAvailableStock: async (productId, variantId) => {
+    releaseExpiredReservations();
+    const product = await ProductService.getById(productId);
+    if (variantId === undefined) {
+      return Math.max(0, product.stock - getReservedQuantity(product.Id));
+    }
+    const { stock, variantId: resolvedId } = resolveStock(product, variantId);
+    return Math.max(0, stock - getReservedQuantity(product.Id, { variantId: resolvedId }));
+  },
+
+  // Most a single cart may hold of a product or variant: live availability capped by maxOrderQuantity
+  getPurchaseLimit: async (productId, variantId = null) => {
+    releaseExpiredReservations();
+    const product = await ProductService.getById(productId);
+    const { stock, variantId: resolvedId } = resolveStock(product, variantId);
+    const available = Math.max(0, stock - getReservedQuantity(product.Id, { variantId: resolvedId }));
+    return product.maxOrderQuantity ? Math.min(available, product.maxOrderQuantity) : available;
+  },
+
+  getReservation: (reservationId) => {
+    releaseExpiredReservations();
+    const reservation = reservations.find(r => r.id === reservationId);
+    return reservation ? { ...reservation } : null;
+  },
+
+  reserve: async (items, { ttl = CHECKOUT_HOLD_TTL, reference = null } = {}) => {
+    releaseExpiredReservations();
+    const lines = aggregateItems(items);
+    if (lines.length === 0) {
+      throw new Error("Nothing to reserve");
+    }
+
+    await assertAvailable(lines);
+
+    const now = Date.now();
+    const reservation = {
+      id: `RSV-${now}-${Math.random().toString(36).slice(2, 8)}`,
+      items: lines,
+      status: "active",
+      reference,
+      orderId: null,
+      createdAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + ttl).toISOString()
+    };
+
+    reservations.push(reservation);
+    persistReservations();
+    return { ...reservation };
+  },
+
+  // Link a checkout hold to the order it became and extend it until the order is confirmed
+  attachToOrder: async (reservationId, orderId, ttl = ORDER_HOLD_TTL) => {
+    releaseExpiredReservations();
+    const index = findReservationIndex(reservationId);
+    if (reservations[index].status !== "active") {
+      throw new Error("Your stock hold has expired. Please review your order again.");
+    }
+
+    reservations[index] = {
+      ...reservations[index],
+      orderId,
+      expiresAt: new Date(Date.now() + ttl).toISOString()
+    };
+    persistReservations();
+    return { ...reservations[index] };
+  },
+
+  // Turn held stock into a real decrement; expired holds are re-checked against current stock
+  commit: async (reservationId) => {
+    releaseExpiredReservations();
+    const index = findReservationIndex(reservationId);
+    const reservation = reservations[index];
+
+    if (reservation.status === "committed") return { ...reservation };
+    if (reservation.status === "released") {
+      throw new Error("Cannot commit stock for a released reservation");
+    }
+    if (reservation.status === "expired") {
+      await assertAvailable(reservation.items, reservation.id);
+    }
+
+    const adjusted = [];
+    try {
+      for (const item of reservation.items) {
+        await ProductService.adjustStock(item.productId, -item.quantity, {
+          reason: "sold",
+          reference: reservation.orderId ? `order ${reservation.orderId}` : reservation.id,
+          variantId: item.variantId ?? null
+        });
+        adjusted.push(item);
+      }
+    } catch (error) {
+      // Roll back any lines already decremented so stock stays consistent
+      for (const item of adjusted) {
+        await ProductService.adjustStock(item.productId, item.quantity, {
+          reason: "corrected",
+          reference: `rollback ${reservation.id}`,
+          variantId: item.variantId ?? null
+        });
+      }
+      throw error;
+    }
+
+    reservations[index] = { ...reservation, status: "committed", committedAt: new Date().toISOString() };
+    persistReservations();
+    return { ...reservations[index] };
+  },
+
+  // Free held stock, or return it to the shelf if the reservation was already committed
+  release: async (reservationId, reason = "cancelled") => {
+    releaseExpiredReservations();
+    const index = findReservationIndex(reservationId);
+    const reservation = reservations[index];
+
+    if (reservation.status === "released") return { ...reservation };
+
+    if (reservation.status === "committed") {
+      for (const item of reservation.items) {
+        await ProductService.adjustStock(item.productId, item.quantity, {
+          reason: "returned",
+          reference: reservation.orderId ? `order ${reservation.orderId} ${reason}` : reason,
+          variantId: item.variantId ?? null
+        });
+      }
+    }
+
+    reservations[index] = {
+      ...reservation,
+      status: "released",
+      releaseReason: reason,
+      releasedAt: new Date().toISOString()
+    };
+    persistReservations();
+    return { ...reservations[index] };
+  },
+
+  releaseExpired: async () => releaseExpiredReservations(),
+
+  // One row per product for the inventory screen, with held stock and low stock status. Products
+  // with variants also list each variant's stock, held and available quantities.
+  getStockOverview: async () => {
+    releaseExpiredReservations();
+    const products = await ProductService.getAll();
+    return products.map(product => {
+      const reserved = getReservedQuantity(product.Id);
+      const threshold = getLowStockThreshold(product);
+      const stock = parseInt(product.stock || 0);
+      return {
+        ...product,
+        stock,
+        reserved,
+        available: Math.max(0, stock - reserved),
+        variants: (product.variants || []).map(variant => {
+          const variantReserved = getReservedQuantity(product.Id, { variantId: variant.id });
+          return { ...variant, reserved: variantReserved, available: Math.max(0, variant.stock - variantReserved) };
+        }),
+        lowStockThreshold: threshold,
+        stockStatus: stock <= 0 ? "out_of_stock" : stock <= threshold ? "low_stock" : "in_stock"
+      };
+    });
+  },
+
+  // Apply the same reason code to several products at once; all lines succeed or none do.
+  // Lines for a product with variants name the variant they adjust.
+  bulkAdjust: async (adjustments, { reason, reference = null, note = "", user = "system" }) => {
+    await requirePermission("canManageInventory");
+    const lines = adjustments.filter(adjustment => parseInt(adjustment.delta) !== 0);
+    if (lines.length === 0) {
+      throw new Error("Enter a quantity for at least one product");
+    }
+
+    const applied = [];
+    try {
+      for (const line of lines) {
+        const product = await ProductService.adjustStock(line.productId, line.delta, {
+          reason,
+          reference,
+          note,
+          user,
+          variantId: line.variantId ?? null
+        });
+        applied.push({ ...line, product });
+      }
+    } catch (error) {
+      for (const line of applied) {
+        await ProductService.adjustStock(line.productId, -line.delta, {
+          reason: "corrected",
+          reference: "bulk adjustment rollback",
+          user,
+          variantId: line.variantId ?? null
+        });
+      }
+      throw error;
+    }
+
+    return applied.map(line => line.product);
+  }
+};
@@ -0,0 +1,262 @@
+import ordersData from "@/services/mockData/orders.json";
+import { InventoryService } from "@/services/api/InventoryService";
+import { storage } from "@/utils/storage";
+import { requirePermission } from "@/utils/permissions";
+
+const ORDERS_STORAGE_KEY = "bazaarpk-orders";
+
+export const ORDER_STATUSES = {
+  PENDING: "pending",
+  CONFIRMED: "confirmed",
+  PROCESSING: "processing",
+  SHIPPED: "shipped",
+  DELIVERED: "delivered",
+  CANCELLED: "cancelled",
+  RETURNED: "returned",
+  REFUNDED: "refunded"
+};
+
+// Declared order lifecycle - any status change not listed here is rejected
+export const ORDER_STATUS_TRANSITIONS = {
+  pending: ["confirmed", "cancelled"],
+  confirmed: ["processing", "cancelled"],
+  processing: ["shipped", "cancelled"],
+  shipped: ["delivered", "returned"],
+  delivered: ["returned", "refunded"],
+  returned: ["refunded"],
+  cancelled: ["refunded"],
+  refunded: []
+};
+
+// Orders survive reloads in localStorage, seeded from the mock data on first use
+let orders = storage.get(ORDERS_STORAGE_KEY) || ordersData.map(order => ({ ...order }));
+
+const persistOrders = () => {
+  storage.set(ORDERS_STORAGE_KEY, orders);
+};
+
+const findOrderIndex = (id) => {
+  const orderId = parseInt(id);
+  if (isNaN(orderId)) {
+    throw new Error("Invalid order ID");
+  }
+
+  const index = orders.findIndex(order => order.Id === orderId);
+  if (index === -1) {
+    throw new Error(`Order with ID ${id} not found`);
+  }
+  return index;
+};
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// Cancelled orders never brought money in; refunds are taken off what did
+export const getNetOrderValue = (order) =>
+  order.status === ORDER_STATUSES.CANCELLED ? 0 : Math.max(0, (order.total || 0) - (order.refundedAmount || 0));
+
+// Confirmation takes the held stock off the shelf; cancellation and returns give it back
+const syncReservation = async (order, newStatus) => {
+  if (!order.stockReservationId) return;
+
+  if (newStatus === ORDER_STATUSES.CONFIRMED) {
+    await InventoryService.commit(order.stockReservationId);
+  } else if (newStatus === ORDER_STATUSES.CANCELLED) {
+    await InventoryService.release(order.stockReservationId, "order cancelled");
+  } else if (newStatus === ORDER_STATUSES.RETURNED) {
+    await InventoryService.release(order.stockReservationId, "order returned");
+  }
+};
+
+const canTransition = (from, to) => (ORDER_STATUS_TRANSITIONS[from] || []).includes(to);
+
+// Validates a status change and returns the order with the new status and history entry applied
+const applyTransition = (order, newStatus, { actor = "system", note = "", paymentCollected = false } = {}) => {
+  if (!ORDER_STATUS_TRANSITIONS[newStatus]) {
+    throw new Error(`Unknown order status: ${newStatus}`);
+  }
+  if (!canTransition(order.status, newStatus)) {
+    throw new Error(`Order ${order.orderNumber} cannot move from ${order.status} to ${newStatus}`);
+  }
+
+  const changes = {};
+  if (newStatus === ORDER_STATUSES.DELIVERED && order.paymentStatus !== "paid") {
+    if (order.paymentMethod !== "cod") {
+      throw new Error(`Order ${order.orderNumber} cannot be delivered before payment is received`);
+    }
+    if (!paymentCollected) {
+      throw new Error(`Confirm cash collection before marking COD order ${order.orderNumber} as delivered`);
+    }
+    changes.paymentStatus = "paid";
+    changes.paymentCollectedAt = new Date().toISOString();
+  }
+
+  const timestamp = new Date().toISOString();
+  if (newStatus === ORDER_STATUSES.DELIVERED) changes.deliveryDate = timestamp;
+
+  return {
+    ...order,
+    ...changes,
+    status: newStatus,
+    statusHistory: [
+      ...(order.statusHistory || []),
+      { from: order.status, to: newStatus, actor, note: note.trim(), timestamp }
+    ],
+    updatedAt: timestamp
+  };
+};
+
+export const OrderService = {
+  getAll: async (filters = {}) => {
+    await new Promise(resolve => setTimeout(resolve, 300));
+    let result = [...orders];
+
+    if (filters.status && filters.status !== "all") {
+      result = result.filter(order => order.status === filters.status);
+    }
+
+    if (filters.customerEmail) {
+      const email = filters.customerEmail.toLowerCase();
+      result = result.filter(order => order.customer?.email?.toLowerCase() === email);
+    }
+
+    return result
+      .sort((a, b) => new Date(b.orderDate) - new Date(a.orderDate))
+      .map(order => ({ ...order }));
+  },
+
+  getById: async (id) => {
+    await new Promise(resolve => setTimeout(resolve, 200));
+    return { ...orders[findOrderIndex(id)] };
+  },
+
+  create: async (orderData) => {
+    await new Promise(resolve => setTimeout(resolve, 300));
+
+    if (!orderData?.customer?.name) {
+      throw new Error("Order must include customer details");
+    }
+    if (!Array.isArray(orderData.items) || orderData.items.length === 0) {
+      throw new Error("Order must contain at least one item");
+    }
+
+    const Id = Math.max(1000, ...orders.map(order => order.Id)) + 1;
+    const orderDate = new Date().toISOString();
+    const { actor = "customer", ...data } = orderData;
+    const newOrder = {
+      paymentStatus: "pending",
+      refunds: [],
+      refundedAmount: 0,
+      ...data,
+      Id,
+      orderNumber: `ORD-${new Date().getFullYear()}-${Id}`,
+      orderDate,
+      // Every order starts at the beginning of the lifecycle
+      status: ORDER_STATUSES.PENDING,
+      statusHistory: [{ from: null, to: ORDER_STATUSES.PENDING, actor, note: "Order placed", timestamp: orderDate }]
+    };
+
+    orders.push(newOrder);
+    persistOrders();
+    return { ...newOrder };
+  },
+
+  update: async (id, updates) => {
+    await new Promise(resolve => setTimeout(resolve, 300));
+    await requirePermission("canManageOrders");
+    const index = findOrderIndex(id);
+
+    // Identity fields are never changed through a plain update
+    const { Id, orderNumber, orderDate, statusHistory, ...safeUpdates } = updates || {};
+    if (safeUpdates.status !== undefined && safeUpdates.status !== orders[index].status) {
+      throw new Error("Use updateStatus to change an order's status");
+    }
+    orders[index] = {
+      ...orders[index],
+      ...safeUpdates,
+      updatedAt: new Date().toISOString()
+    };
+
+    persistOrders();
+    return { ...orders[index] };
+  },
+
+  updateStatus: async (id, newStatus, options = {}) => {
+    await new Promise(resolve => setTimeout(resolve, 300));
+    await requirePermission("canManageOrders");
+    const index = findOrderIndex(id);
+
+    const updatedOrder = applyTransition(orders[index], newStatus, options);
+    await syncReservation(orders[index], newStatus);
+
+    orders[index] = updatedOrder;
+    persistOrders();
+    return { ...orders[index] };
+  },
+
+  getAllowedTransitions: (order) => [...(ORDER_STATUS_TRANSITIONS[order?.status] || [])],
+
+  cancel: async (id, reason = "", actor = "system") => {
+    await new Promise(resolve => setTimeout(resolve, 300));
+    await requirePermission("canManageOrders");
+    const index = findOrderIndex(id);
+    const order = orders[index];
+
+    if (order.status === ORDER_STATUSES.CANCELLED) {
+      throw new Error(`Order ${order.orderNumber} is already cancelled`);
+    }
+
+    const cancelledOrder = applyTransition(order, ORDER_STATUSES.CANCELLED, { actor, note: reason });
+    await syncReservation(order, ORDER_STATUSES.CANCELLED);
+
+    orders[index] = {
+      ...cancelledOrder,
+      cancelledAt: new Date().toISOString(),
+      cancellationReason: reason.trim()
+    };
+
+    persistOrders();
+    return { ...orders[index] };
+  },
+
+  // Full refund when amount is omitted; partial refunds accumulate until the order total is reached
+  refund: async (id, { amount, reason = "", actor = "system" } = {}) => {
+    await new Promise(resolve => setTimeout(resolve, 400));
+    await requirePermission("canProcessRefunds");
+    const index = findOrderIndex(id);
+    const order = orders[index];
+
+    if (!["paid", "partially_refunded"].includes(order.paymentStatus)) {
+      throw new Error(`Order ${order.orderNumber} has no captured payment to refund`);
+    }
+
+    const refundedSoFar = order.refundedAmount || 0;
+    const refundable = roundAmount(order.total - refundedSoFar);
+    const refundAmount = amount === undefined ? refundable : roundAmount(parseFloat(amount));
+
+    if (isNaN(refundAmount) || refundAmount <= 0) {
+      throw new Error("Refund amount must be greater than zero");
+    }
+    if (refundAmount > refundable) {
+      throw new Error(`Refund amount exceeds the refundable balance of ${refundable}`);
+    }
+
+    const timestamp = new Date().toISOString();
+    const refundedAmount = roundAmount(refundedSoFar + refundAmount);
+    let refundedOrder = {
+      ...order,
+      refunds: [...(order.refunds || []), { amount: refundAmount, reason: reason.trim(), actor, timestamp }],
+      refundedAmount,
+      paymentStatus: refundedAmount >= order.total ? "refunded" : "partially_refunded",
+      updatedAt: timestamp
+    };
+
+    // A fully refunded order closes out its lifecycle where the transition is allowed
+    if (refundedOrder.paymentStatus === "refunded" && canTransition(order.status, ORDER_STATUSES.REFUNDED)) {
+      refundedOrder = applyTransition(refundedOrder, ORDER_STATUSES.REFUNDED, { actor, note: reason });
+    }
+
+    orders[index] = refundedOrder;
+    persistOrders();
+    return { ...orders[index] };
+  }
+};
@@ -0,0 +1,349 @@
+import ProductService, { PRODUCT_BULK_LIMIT } from "@/services/api/ProductService";
+import { CategoryService, slugify } from "@/services/api/CategoryService";
+import { requirePermission } from "@/utils/permissions";
+
+// Product fields a file column can be mapped to. `required` fields must be present for new
+// products; updates only need the product ID or the SKU, which is how rows are matched to the
+// catalogue (by ID when the row has one, so products without a SKU round-trip through an export).
+export const IMPORT_FIELDS = [
+  { key: "Id", label: "Product ID", type: "number", aliases: ["id", "product id"] },
+  { key: "sku", label: "SKU", required: true, aliases: ["sku", "product code", "item code", "code"] },
+  { key: "title", label: "Product name", required: true, aliases: ["title", "name", "product name", "product"] },
+  { key: "urduName", label: "Product name (Urdu)", aliases: ["urdu name", "name urdu", "title urdu"] },
+  { key: "description", label: "Description", required: true, aliases: ["description", "details"] },
+  { key: "category", label: "Category", required: true, aliases: ["category", "category slug", "category name"] },
+  { key: "price", label: "Selling price", required: true, type: "number", aliases: ["price", "selling price", "sale price"] },
+  { key: "oldPrice", label: "Compare-at price", type: "number", aliases: ["old price", "compare at price", "original price", "mrp"] },
+  { key: "stock", label: "Stock", type: "number", aliases: ["stock", "quantity", "qty", "stock quantity"] },
+  { key: "barcode", label: "Barcode", aliases: ["barcode", "ean", "upc", "gtin"] },
+  { key: "brand", label: "Brand", aliases: ["brand", "manufacturer"] },
+  { key: "images", label: "Image URLs", type: "list", aliases: ["images", "image", "image url", "image urls"] },
+  { key: "tags", label: "Tags", type: "list", aliases: ["tags", "keywords"] },
+  { key: "badges", label: "Badges", type: "list", aliases: ["badges", "labels"] },
+  { key: "variants", label: "Variants", type: "json", aliases: ["variants", "options"] }
+];
+
+export const IMPORT_MODES = {
+  upsert: "Create new products and update existing ones",
+  create: "Only create new products",
+  update: "Only update existing products"
+};
+
+const normalizeHeader = (header) =>
+  String(header).replace(/([a-z])([A-Z])/g, "$1 $2").toLowerCase().replace(/[_\-.\s]+/g, " ").trim();
+
+// Maps each file header to the field it most likely holds; unrecognised headers map to null
+export const suggestMapping = (headers) => {
+  const used = new Set();
+  return headers.reduce((mapping, header) => {
+    const normalized = normalizeHeader(header);
+    const field = IMPORT_FIELDS.find(candidate =>
+      !used.has(candidate.key) &&
+      [...candidate.aliases, normalizeHeader(candidate.key), normalizeHeader(candidate.label)].includes(normalized)
+    );
+    if (field) used.add(field.key);
+    mapping[header] = field?.key || null;
+    return mapping;
+  }, {});
+};
+
+export const getMissingRequiredFields = (mapping, mode = "upsert") => {
+  const mapped = new Set(Object.values(mapping).filter(Boolean));
+  if (mode === "update") {
+    return mapped.has("Id") || mapped.has("sku") ? [] : IMPORT_FIELDS.filter(field => field.key === "sku");
+  }
+  const required = IMPORT_FIELDS.filter(field => field.required).map(field => field.key);
+  return IMPORT_FIELDS.filter(field => required.includes(field.key) && !mapped.has(field.key));
+};
+
+// Strips currency symbols and thousands separators ("Rs. 1,250") before parsing; anything still
+// unreadable is passed through as text so validation reports it against the row
+const toNumber = (value) => {
+  if (typeof value === "number") return value;
+  const cleaned = String(value).replace(/rs\.?|pkr|₨|,|\s/gi, "");
+  const number = Number(cleaned);
+  return cleaned !== "" && !isNaN(number) ? number : String(value);
+};
+
+const toList = (value) =>
+  (Array.isArray(value) ? value : String(value).split(/[|,]/))
+    .map(item => String(item).trim())
+    .filter(Boolean);
+
+// Variants travel through CSV as a JSON cell; text that is not JSON is left for validation to reject
+const toJson = (value) => {
+  if (typeof value !== "string") return value;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return value;
+  }
+};
+
+const coerceValue = (value, type) => {
+  if (type === "number") return toNumber(value);
+  if (type === "list") return toList(value);
+  if (type === "json") return toJson(value);
+  return typeof value === "string" ? value.trim() : value;
+};
+
+// Only mapped, non-empty cells end up in the product data, so blank cells leave existing values alone
+const toProductData = (row, mapping) =>
+  Object.entries(mapping).reduce((data, [header, key]) => {
+    const value = row[header];
+    if (!key || value === undefined || value === null || value === "") return data;
+    const field = IMPORT_FIELDS.find(candidate => candidate.key === key);
+    const coerced = coerceValue(value, field.type);
+    if (Array.isArray(coerced) && coerced.length === 0) return data;
+    if (key === "sku" || key === "barcode") {
+      data[key] = String(coerced).toUpperCase();
+    } else if (key === "badges") {
+      data[key] = coerced.map(badge => badge.toUpperCase());
+    } else {
+      data[key] = coerced;
+    }
+    return data;
+  }, {});
+
+// Accepts a category's slug or name and returns the lowercased name, the form products are
+// stored and filtered by on the storefront
+const resolveCategory = (value, categories) => {
+  const text = String(value).trim().toLowerCase();
+  const category = categories.find(candidate =>
+    candidate.slug === text || candidate.name.toLowerCase() === text || candidate.slug === slugify(text)
+  );
+  return category ? category.name.toLowerCase() : null;
+};
+
+// Products keep bilingual text as { english, urdu }. An imported English name or description
+// replaces only the English half, and the Urdu name column fills in the other.
+const applyMultilingualFields = (data, existing) => {
+  if (typeof existing?.description === "object" && existing.description !== null && typeof data.description === "string") {
+    data.description = { ...existing.description, english: data.description };
+  }
+
+  const hasUrduName = data.urduName !== undefined;
+  if (hasUrduName || (data.title && existing?.productName)) {
+    data.productName = {
+      english: data.title ?? existing?.productName?.english ?? existing?.title ?? "",
+      urdu: hasUrduName ? data.urduName : existing.productName.urdu
+    };
+  }
+  delete data.urduName;
+  return data;
+};
+
+const isSameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+const chunk = (items, size) =>
+  Array.from({ length: Math.ceil(items.length / size) }, (_, index) => items.slice(index * size, (index + 1) * size));
+
+const textOf = (value) => (typeof value === "object" && value !== null ? value.english : value) ?? "";
+
+// One product in import shape, so an exported file maps straight back in. Approval status and
+// visibility are included for reference; the import leaves them to the approval workflow.
+const toCatalogueRecord = (product) => ({
+  Id: product.Id,
+  sku: product.sku || "",
+  title: product.title || textOf(product.productName),
+  urduName: product.productName?.urdu || "",
+  description: textOf(product.description),
+  category: product.category || "",
+  price: product.price,
+  oldPrice: product.oldPrice ?? null,
+  stock: product.stock ?? null,
+  barcode: product.barcode || "",
+  brand: product.brand || "",
+  images: product.images || [],
+  tags: product.tags || [],
+  badges: product.badges || [],
+  variants: product.variants || [],
+  status: product.status || "pending",
+  visibility: product.visibility || "draft"
+});
+
+const CATALOGUE_INFO_COLUMNS = [
+  { key: "status", label: "Approval status" },
+  { key: "visibility", label: "Visibility" }
+];
+
+// CSV flavour: lists joined with "|" as the import splits them, variants as a JSON cell
+export const getCatalogueTable = (products) => ({
+  name: "Products",
+  columns: [
+    ...IMPORT_FIELDS.map(field => ({ key: field.key, label: field.label, type: field.type === "number" ? "number" : "text" })),
+    ...CATALOGUE_INFO_COLUMNS
+  ],
+  rows: products.map(product => {
+    const record = toCatalogueRecord(product);
+    return {
+      ...record,
+      images: record.images.join("|"),
+      tags: record.tags.join("|"),
+      badges: record.badges.join("|"),
+      variants: record.variants.length > 0 ? JSON.stringify(record.variants) : ""
+    };
+  })
+});
+
+export const getCatalogueJson = (products) => ({
+  exportedAt: new Date().toISOString(),
+  count: products.length,
+  products: products.map(toCatalogueRecord)
+});
+
+export const ProductImportService = {
+  // Checks every row against the catalogue without saving anything. Each preview row says
+  // whether it would create, update or leave a product unchanged, with its errors and warnings.
+  buildPreview: async (rows, mapping, { mode = "upsert" } = {}) => {
+    await requirePermission("canBulkEdit");
+    const [products, categories] = await Promise.all([ProductService.getAll(), CategoryService.getAll()]);
+    const productsById = new Map(products.map(product => [product.Id, product]));
+    const productsBySku = new Map(products.filter(product => product.sku).map(product => [product.sku.toUpperCase(), product]));
+    const firstRowById = new Map();
+    const firstRowBySku = new Map();
+
+    const previewRows = [];
+    for (const [index, row] of rows.entries()) {
+      const rowNumber = index + 1;
+      const data = toProductData(row, mapping);
+      const errors = [];
+      let warnings = [];
+
+      // The ID only picks the product; it is never written
+      const id = data.Id;
+      delete data.Id;
+      let existing = null;
+      if (id !== undefined) {
+        existing = Number.isInteger(id) ? productsById.get(id) ?? null : null;
+        if (!existing) errors.push(`No product with ID ${id}`);
+        if (firstRowById.has(id)) {
+          errors.push(`Product ID ${id} already appears on row ${firstRowById.get(id)}`);
+        } else {
+          firstRowById.set(id, rowNumber);
+        }
+      } else if (data.sku) {
+        existing = productsBySku.get(data.sku) ?? null;
+      }
+      const matchedBy = id !== undefined ? `Product ID ${id}` : `SKU ${data.sku}`;
+
+      // A product's current category is kept even if it is no longer in the category list
+      if (data.category && data.category.toLowerCase() !== existing?.category?.toLowerCase()) {
+        const category = resolveCategory(data.category, categories);
+        if (category) {
+          data.category = category;
+        } else {
+          errors.push(`Category "${data.category}" does not exist`);
+        }
+      } else if (data.category) {
+        data.category = existing.category;
+      }
+
+      applyMultilingualFields(data, existing);
+      let action = existing ? "update" : "create";
+      let changes = data;
+
+      if (data.sku && firstRowBySku.has(data.sku)) {
+        errors.push(`SKU ${data.sku} already appears on row ${firstRowBySku.get(data.sku)}`);
+      } else if (data.sku) {
+        firstRowBySku.set(data.sku, rowNumber);
+      }
+
+      if (existing && mode === "create") {
+        errors.push(`${matchedBy} already exists ("${existing.title}")`);
+      } else if (!existing && mode === "update" && id === undefined) {
+        errors.push(data.sku ? `No product with SKU ${data.sku}` : "A product ID or SKU is required to match an existing product");
+      }
+
+      if (existing) {
+        changes = Object.fromEntries(
+          // A row matched by ID may change the SKU; one matched by SKU cannot
+          Object.entries(data).filter(([key, value]) => (id !== undefined || key !== "sku") && !isSameValue(value, existing[key]))
+        );
+        // A row that changes nothing is not held to account for the product as it already is
+        if (Object.keys(changes).length === 0) {
+          action = "unchanged";
+        } else {
+          const validation = await ProductService.validateProduct({ ...existing, ...changes }, { existingId: existing.Id });
+          errors.push(...validation.errors);
+          warnings = validation.warnings;
+        }
+      } else {
+        const validation = await ProductService.validateProduct(data, { existingId: null });
+        errors.push(...validation.errors);
+        warnings = validation.warnings;
+      }
+
+      previewRows.push({
+        rowNumber,
+        action,
+        productId: existing?.Id ?? null,
+        sku: data.sku || existing?.sku || "",
+        title: data.title || existing?.title || "",
+        data,
+        changes,
+        errors: [...new Set(errors)],
+        warnings
+      });
+    }
+
+    return {
+      rows: previewRows,
+      summary: {
+        total: previewRows.length,
+        create: previewRows.filter(row => row.action === "create" && row.errors.length === 0).length,
+        update: previewRows.filter(row => row.action === "update" && row.errors.length === 0).length,
+        unchanged: previewRows.filter(row => row.action === "unchanged" && row.errors.length === 0).length,
+        invalid: previewRows.filter(row => row.errors.length > 0).length
+      }
+    };
+  },
+
+  // Saves the valid rows of a preview in batches of PRODUCT_BULK_LIMIT, creating through
+  // bulkCreate and updating through bulkUpdate. A failed batch is reported and the rest continue.
+  commit: async (previewRows, { user = "admin", onProgress } = {}) => {
+    const ready = previewRows.filter(row => row.errors.length === 0);
+    const creates = ready.filter(row => row.action === "create");
+    const updates = ready.filter(row => row.action === "update");
+    const total = creates.length + updates.length;
+
+    if (total === 0) {
+      throw new Error("There are no valid rows to import");
+    }
+
+    const result = { created: 0, updated: 0, failed: 0, errors: [] };
+    let processed = 0;
+
+    const runBatch = async (batch, save) => {
+      try {
+        const { errors, summary } = await save(batch);
+        result.failed += summary.failed;
+        result.errors.push(...errors);
+        return summary.successful;
+      } catch (error) {
+        // Permission problems affect every batch alike, so there is no point carrying on
+        if (error.code === "PERMISSION_DENIED") throw error;
+        result.failed += batch.length;
+        result.errors.push(`Rows ${batch[0].rowNumber}–${batch[batch.length - 1].rowNumber}: ${error.message}`);
+        return 0;
+      } finally {
+        processed += batch.length;
+        onProgress?.({ processed, total });
+      }
+    };
+
+    for (const batch of chunk(creates, PRODUCT_BULK_LIMIT)) {
+      result.created += await runBatch(batch, rows =>
+        ProductService.bulkCreate(rows.map(row => row.data), { user })
+      );
+    }
+
+    for (const batch of chunk(updates, PRODUCT_BULK_LIMIT)) {
+      result.updated += await runBatch(batch, rows =>
+        ProductService.bulkUpdate(rows.map(row => ({ id: row.productId, data: { ...row.changes, modifiedBy: user } })))
+      );
+    }
+
+    return result;
+  }
+};
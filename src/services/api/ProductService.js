@@ -1,8 +1,11 @@
 import React from "react";
-import { Error } from "@/components/ui/Error";
 import productsData from "@/services/mockData/products.json";
 import { storage } from "@/utils/storage";
-import cacheManager from "@/utils/cacheManager";
+import cacheManager, { CACHE_EXPIRY } from "@/utils/cacheManager";
+import { createSearchIndex } from "@/utils/searchIndex";
+import { hasPermission, requirePermission } from "@/utils/permissions";
+import { getSettings } from "@/services/api/SettingsService";
+import { notifyProductChanges } from "@/services/api/AlertService";
 
 function sanitizeAndValidateText(text, minLength = 1, maxLength = 255) { 
   if (typeof text !== 'string') return { isValid: false, sanitized: '', error: 'Text must be a string' };
@@ -57,7 +60,7 @@ const determineStockStatus = (quantity, minStock = 10) => {
   return 'in_stock';
 };
 
-const validateSku = (sku) => {
+export const validateSku = (sku) => {
   if (!sku || typeof sku !== 'string') {
     return { isValid: false, error: 'SKU is required' };
   }
@@ -70,7 +73,7 @@ const validateSku = (sku) => {
   return { isValid: true, error: null };
 };
 
-const validateBarcode = (barcode) => {
+export const validateBarcode = (barcode) => {
   if (!barcode) return { isValid: true, error: null }; // Optional field
   
   const barcodePattern = /^[0-9]{8,13}$/;
@@ -111,8 +114,9 @@ const validateBusinessLogic = (product) => {
     errors.push('Title is required and must be at least 2 characters');
   }
   
-  if (!product.sku || product.sku.length < 3) {
-    errors.push('SKU is required and must be at least 3 characters');
+  // Seed products predate SKUs, so only a SKU that is present has to be valid
+  if (product.sku && product.sku.length < 3) {
+    errors.push('SKU must be at least 3 characters');
   }
   
   if (typeof product.price !== 'number' || product.price <= 0) {
@@ -157,6 +161,934 @@ const validateBulkUpdateEdgeCases = async (updates) => {
 // Mock products data for service operations with multilingual support
 const mockProducts = productsData || [];
 
+// Stock moves with orders and adjustments, so persisted levels override the seed data on load
+const STOCK_LEVELS_STORAGE_KEY = 'bazaarpk-stock-levels';
+const persistedStockLevels = storage.get(STOCK_LEVELS_STORAGE_KEY) || {};
+productsData.forEach(product => {
+  if (persistedStockLevels[product.Id] !== undefined) {
+    product.stock = persistedStockLevels[product.Id];
+  }
+});
+
+const persistStockLevel = (productId, stock) => {
+  const levels = storage.get(STOCK_LEVELS_STORAGE_KEY) || {};
+  levels[productId] = stock;
+  storage.set(STOCK_LEVELS_STORAGE_KEY, levels);
+};
+
+// Variants are records of their own: an id, SKU, barcode, stock count, images and option
+// attributes. A product with variants holds its stock through them, so the product's stock is
+// always their sum. Ids are never reused within a product, so carts and orders can refer to them:
+// `lastVariantNumber` remembers the highest number handed out, even after that variant is removed.
+export const VARIANT_ATTRIBUTES = { size: 'Size', weight: 'Weight', colour: 'Colour' };
+
+const variantIdNumber = (id) => parseInt(String(id).split('-v').pop()) || 0;
+
+const toVariantRecords = (variants, product) => {
+  let lastNumber = Math.max(product.lastVariantNumber || 0, ...variants.map(variant => (variant?.id ? variantIdNumber(variant.id) : 0)));
+  return variants.map(variant => {
+    const id = variant.id || `${product.Id}-v${++lastNumber}`;
+    return {
+      id,
+      name: String(variant.name || '').trim(),
+      sku: variant.sku
+        ? String(variant.sku).trim().toUpperCase()
+        : (product.sku ? `${String(product.sku).toUpperCase()}-${variantIdNumber(id)}` : null),
+      barcode: variant.barcode ? String(variant.barcode).trim() : null,
+      price: parseFloat(variant.price),
+      oldPrice: variant.oldPrice ? parseFloat(variant.oldPrice) : null,
+      stock: parseInt(variant.stock || 0),
+      images: Array.isArray(variant.images) ? variant.images.filter(Boolean) : [],
+      attributes: Object.fromEntries(
+        Object.keys(VARIANT_ATTRIBUTES)
+          .filter(attribute => variant.attributes?.[attribute])
+          .map(attribute => [attribute, String(variant.attributes[attribute]).trim()])
+      )
+    };
+  });
+};
+
+// Gives new variants their ids and SKUs and makes the product's stock the sum of its variants'
+const applyVariants = (product) => {
+  if (!Array.isArray(product.variants) || product.variants.length === 0) return product;
+  const variants = toVariantRecords(product.variants, product);
+  const stock = variants.reduce((total, variant) => total + variant.stock, 0);
+  const lastVariantNumber = Math.max(product.lastVariantNumber || 0, ...variants.map(variant => variantIdNumber(variant.id)));
+  return { ...product, variants, stock, stockQuantity: stock, lastVariantNumber };
+};
+
+export const findVariant = (product, variantId) =>
+  (product?.variants || []).find(variant => variant.id === variantId) || null;
+
+const VARIANT_STOCK_STORAGE_KEY = 'bazaarpk-variant-stock-levels';
+const VARIANT_ID_COUNTERS_STORAGE_KEY = 'bazaarpk-variant-id-counters';
+
+// Keeps variant stock levels and the product's variant id high-water mark across reloads
+const persistVariants = (product) => {
+  if (product.lastVariantNumber) {
+    const counters = storage.get(VARIANT_ID_COUNTERS_STORAGE_KEY) || {};
+    if ((counters[product.Id] || 0) < product.lastVariantNumber) {
+      counters[product.Id] = product.lastVariantNumber;
+      storage.set(VARIANT_ID_COUNTERS_STORAGE_KEY, counters);
+    }
+  }
+  if (!product.variants?.length) return;
+  const levels = storage.get(VARIANT_STOCK_STORAGE_KEY) || {};
+  levels[product.Id] = Object.fromEntries(product.variants.map(variant => [variant.id, variant.stock]));
+  storage.set(VARIANT_STOCK_STORAGE_KEY, levels);
+};
+
+// The seed variants only carry a name and prices, so their product's stock is shared out between
+// them (earlier variants take the remainder) before any persisted variant levels are applied.
+// They are numbered first; the persisted high-water mark only applies to variants added later.
+const persistedVariantStock = storage.get(VARIANT_STOCK_STORAGE_KEY) || {};
+const persistedVariantCounters = storage.get(VARIANT_ID_COUNTERS_STORAGE_KEY) || {};
+productsData.forEach((product, index) => {
+  if (!Array.isArray(product.variants) || product.variants.length === 0) {
+    if (persistedVariantCounters[product.Id]) product.lastVariantNumber = persistedVariantCounters[product.Id];
+    return;
+  }
+  const total = parseInt(product.stock || 0);
+  const count = product.variants.length;
+  const seeded = product.variants.map((variant, position) => ({
+    ...variant,
+    stock: variant.stock ?? Math.floor(total / count) + (position < total % count ? 1 : 0)
+  }));
+  const withIds = applyVariants({ ...product, variants: seeded });
+  const persisted = persistedVariantStock[product.Id] || {};
+  productsData[index] = applyVariants({
+    ...withIds,
+    lastVariantNumber: Math.max(withIds.lastVariantNumber, persistedVariantCounters[product.Id] || 0),
+    variants: withIds.variants.map(variant => ({ ...variant, stock: persisted[variant.id] ?? variant.stock }))
+  });
+});
+
+// Per-product low stock thresholds set from the inventory screen
+const STOCK_THRESHOLDS_STORAGE_KEY = 'bazaarpk-stock-thresholds';
+export const DEFAULT_LOW_STOCK_THRESHOLD = 10;
+const persistedThresholds = storage.get(STOCK_THRESHOLDS_STORAGE_KEY) || {};
+productsData.forEach(product => {
+  if (persistedThresholds[product.Id] !== undefined) {
+    product.lowStockThreshold = persistedThresholds[product.Id];
+  }
+});
+
+export const getLowStockThreshold = (product) =>
+  product?.lowStockThreshold ?? DEFAULT_LOW_STOCK_THRESHOLD;
+
+// Category reassignments (category renames, moves before a delete) outlive a reload
+const PRODUCT_CATEGORIES_STORAGE_KEY = 'bazaarpk-product-categories';
+const persistedCategories = storage.get(PRODUCT_CATEGORIES_STORAGE_KEY) || {};
+productsData.forEach(product => {
+  if (persistedCategories[product.Id] !== undefined) {
+    product.category = persistedCategories[product.Id];
+  }
+});
+
+const persistProductCategory = (productId, category) => {
+  const assignments = storage.get(PRODUCT_CATEGORIES_STORAGE_KEY) || {};
+  assignments[productId] = category;
+  storage.set(PRODUCT_CATEGORIES_STORAGE_KEY, assignments);
+};
+
+// Reason codes for the stock movement ledger, with the direction each one may move stock
+export const STOCK_MOVEMENT_REASONS = {
+  received: { label: 'Received', direction: 'in' },
+  sold: { label: 'Sold', direction: 'out' },
+  returned: { label: 'Returned', direction: 'in' },
+  damaged: { label: 'Damaged', direction: 'out' },
+  corrected: { label: 'Correction', direction: 'both' }
+};
+
+// Every stock change lands in an append-only ledger so warehouse staff can audit it
+const STOCK_MOVEMENTS_STORAGE_KEY = 'bazaarpk-stock-movements';
+let stockMovements = storage.get(STOCK_MOVEMENTS_STORAGE_KEY) || [];
+
+const recordStockMovement = (product, { delta, previousStock, newStock, reason, reference, note, user, timestamp, variant = null }) => {
+  const movement = {
+    id: `MOV-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    productId: product.Id,
+    productTitle: product.title,
+    variantId: variant?.id || null,
+    variantName: variant?.name || null,
+    reason,
+    delta,
+    previousStock,
+    newStock,
+    reference,
+    note,
+    user,
+    timestamp
+  };
+  stockMovements.push(movement);
+  storage.set(STOCK_MOVEMENTS_STORAGE_KEY, stockMovements);
+  return movement;
+};
+
+// Stock set directly on a product (form edit, bulk update, import) is recorded as a correction
+const recordStockEdit = (product, previousStock, stock, { reference, user }) => {
+  if (stock === undefined || parseInt(stock) === previousStock) return;
+  const newStock = parseInt(stock);
+  recordStockMovement(product, {
+    delta: newStock - previousStock,
+    previousStock,
+    newStock,
+    reason: 'corrected',
+    reference,
+    note: '',
+    user,
+    timestamp: new Date().toISOString()
+  });
+  persistStockLevel(product.Id, newStock);
+};
+
+// Largest batch bulkUpdate and bulkCreate accept in one call
+export const PRODUCT_BULK_LIMIT = 100;
+
+// Approving or publishing through a plain update still needs the matching permission
+const assertWorkflowPermissions = async (changes) => {
+  if (changes.some(change => change.status === 'approved' || change.status === 'rejected')) {
+    await requirePermission('canApprove');
+  }
+  if (changes.some(change => change.visibility === 'published' || change.featured === true)) {
+    await requirePermission('canPublish');
+  }
+};
+
+// What the publish and feature toggles write alongside status, visibility and featured
+const WORKFLOW_FIELDS = ['status', 'visibility', 'featured', 'approvedAt', 'approvedBy', 'publishedAt', 'publishedBy', 'modifiedBy', 'updatedBy'];
+
+// Changing product content needs canBulkEdit, the permission ManageProducts gates editing on.
+// A change confined to the workflow fields is a publishing toggle and needs canPublish instead.
+const assertEditPermissions = async (changes) => {
+  const editsContent = changes.some(change => Object.keys(change).some(field => !WORKFLOW_FIELDS.includes(field)));
+  await requirePermission(editsContent ? 'canBulkEdit' : 'canPublish');
+  await assertWorkflowPermissions(changes);
+};
+
+// Shared by update and moveToCategory once the caller's permissions have been checked
+const writeUpdate = (id, updates) => {
+  const index = productsData.findIndex(p => p.Id === id);
+  if (index !== -1) {
+    const previous = productsData[index];
+    const previousStock = parseInt(previous.stock || 0);
+    productsData[index] = applyVariants({
+      ...previous,
+      ...updates,
+      // A form holding an older copy of the product must not wind the variant numbering back
+      lastVariantNumber: previous.lastVariantNumber
+    });
+    recordRevision(previous, productsData[index], {
+      user: updates.updatedBy || updates.modifiedBy || 'system',
+      source: 'edit'
+    });
+    logReviewDecision(previous, productsData[index], { user: updates.updatedBy || updates.modifiedBy || 'system' });
+    // Stock edited straight from the product form still belongs in the ledger
+    recordStockEdit(productsData[index], previousStock, productsData[index].variants?.length ? productsData[index].stock : updates.stock, {
+      reference: 'product edit',
+      user: updates.updatedBy || 'system'
+    });
+    persistVariants(productsData[index]);
+    if (productsData[index].category !== previous.category) {
+      persistProductCategory(productsData[index].Id, productsData[index].category);
+    }
+    // getAll serves from cache, so drop it or the edit stays invisible
+    cacheManager.clear('products:all');
+    // Restocks and price cuts reach customers watching the product
+    notifyProductChanges([{ previous, next: productsData[index] }]);
+    return { ...productsData[index] };
+  }
+  return null;
+};
+
+// Full record for a new product, filling the multilingual, pricing and audit fields with defaults
+const buildProductRecord = (data, Id, { user = 'admin', details }) => {
+  const timestamp = new Date().toISOString();
+  return applyVariants({
+    ...data,
+    Id,
+    // Ensure multilingual fields are properly structured with fallbacks
+    productName: data.productName || { english: '', urdu: '' },
+    description: data.description || { english: '', urdu: '' },
+    title: data.productName?.english || data.title || '', // Legacy compatibility
+    price: parseFloat(data.price || data.sellingPrice || 0),
+    sellingPrice: parseFloat(data.sellingPrice || data.price || 0),
+    stock: parseInt(data.stock || data.stockQuantity || 0),
+    stockQuantity: parseInt(data.stock || data.stockQuantity || 0),
+    status: data.status || 'draft',
+    visibility: data.visibility || 'draft',
+    badges: data.badges || [],
+    tags: data.tags || [],
+    images: data.images?.length > 0 ? data.images : ['https://via.placeholder.com/300x300?text=Product+Image'],
+    minOrderQuantity: parseInt(data.minOrderQuantity || 1),
+    maxOrderQuantity: data.maxOrderQuantity ? parseInt(data.maxOrderQuantity) : null,
+    weight: data.weight ? parseFloat(data.weight) : null,
+    dimensions: data.dimensions || null,
+    brand: data.brand || null,
+    barcode: data.barcode || null,
+    metaTitle: data.metaTitle || data.productName?.english || '',
+    metaDescription: data.metaDescription || data.description?.english || '',
+    featured: Boolean(data.featured),
+    createdAt: timestamp,
+    lastModified: timestamp,
+    version: 1,
+    auditLog: [{ action: 'created', timestamp, user, details }]
+  });
+};
+
+// Every saved change to a product is kept as a revision: who made it, when, which fields went
+// from what to what, and a snapshot to restore from. Revisions live in memory next to the
+// products they describe. The product's own logs are left out, and so is stock: the movement
+// ledger already tracks it and rolling it back would undo sales.
+// Publish and unpublish times are left out too: they are kept in storage and a restored
+// revision must not put them out of step. Nor is the variant id high-water mark ever wound back.
+const REVISION_IGNORED_FIELDS = ['auditLog', 'priceHistory', 'lastModified', 'version', 'modifiedBy', 'updatedBy', 'stock', 'stockQuantity', 'publishAt', 'unpublishAt', 'lastVariantNumber'];
+const MAX_REVISIONS_PER_PRODUCT = 50;
+const productRevisions = new Map();
+
+// Variant stock is stock too, so it is stripped from the variants before they are compared or kept
+const withoutVariantStock = (product) =>
+  Array.isArray(product.variants)
+    ? { ...product, variants: product.variants.map(({ stock, ...variant }) => variant) }
+    : product;
+
+const toRevisionSnapshot = (product) =>
+  JSON.parse(JSON.stringify(
+    Object.fromEntries(Object.entries(withoutVariantStock(product)).filter(([field]) => !REVISION_IGNORED_FIELDS.includes(field)))
+  ));
+
+const diffProducts = (before, after) => {
+  const [from, to] = [withoutVariantStock(before), withoutVariantStock(after)];
+  return [...new Set([...Object.keys(from), ...Object.keys(to)])]
+    .filter(field => !REVISION_IGNORED_FIELDS.includes(field))
+    .filter(field => JSON.stringify(from[field] ?? null) !== JSON.stringify(to[field] ?? null))
+    .map(field => ({ field, from: from[field] ?? null, to: to[field] ?? null }));
+};
+
+// `previous` is null for a new product. Returns null when nothing tracked actually changed.
+const recordRevision = (previous, current, { user = 'admin', source, note = '' }) => {
+  const revisions = productRevisions.get(current.Id) || [];
+  const timestamp = new Date().toISOString();
+
+  // The first change to a seeded product also keeps the state it started from, so it can be undone
+  if (revisions.length === 0 && previous) {
+    revisions.push({
+      id: `REV-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+      productId: current.Id,
+      version: previous.version || 1,
+      timestamp: previous.lastModified || previous.createdAt || null,
+      user: previous.modifiedBy || null,
+      source: 'original',
+      note: '',
+      changes: [],
+      snapshot: toRevisionSnapshot(previous)
+    });
+  }
+
+  const changes = previous ? diffProducts(previous, current) : [];
+  if (previous && changes.length === 0) return null;
+
+  const revision = {
+    id: `REV-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    productId: current.Id,
+    version: revisions.length > 0 ? revisions[revisions.length - 1].version + 1 : (current.version || 1),
+    timestamp,
+    user,
+    source: previous ? source : 'created',
+    note,
+    changes,
+    snapshot: toRevisionSnapshot(current)
+  };
+  revisions.push(revision);
+  productRevisions.set(current.Id, revisions.slice(-MAX_REVISIONS_PER_PRODUCT));
+  current.version = revision.version;
+  return revision;
+};
+
+// Writes a revision's snapshot back over the product at `index`, keeping untracked fields such
+// as stock. Returns null when the product already matches.
+const applyRevision = async (index, revision, { user, note }) => {
+  const previous = productsData[index];
+  const changes = diffProducts(previous, revision.snapshot);
+  if (changes.length === 0) return null;
+  await assertEditPermissions([Object.fromEntries(changes.map(change => [change.field, change.to]))]);
+
+  const timestamp = new Date().toISOString();
+  const untracked = Object.fromEntries(
+    Object.entries(previous).filter(([field]) => REVISION_IGNORED_FIELDS.includes(field))
+  );
+  const restored = JSON.parse(JSON.stringify(revision.snapshot));
+  // Restored variants keep their current stock; one that no longer exists comes back empty
+  if (Array.isArray(restored.variants)) {
+    restored.variants = restored.variants.map(variant => ({ ...variant, stock: findVariant(previous, variant.id)?.stock ?? 0 }));
+  }
+  productsData[index] = applyVariants({
+    ...untracked,
+    ...restored,
+    lastModified: timestamp,
+    modifiedBy: user,
+    auditLog: [
+      ...(previous.auditLog || []),
+      { action: 'restored', timestamp, user, details: note }
+    ]
+  });
+  persistVariants(productsData[index]);
+  recordRevision(previous, productsData[index], { user, source: 'restore', note });
+  return productsData[index];
+};
+
+// Deleted products wait in the trash, out of every listing, until they are restored or the
+// retention period from settings runs out. Expired entries are purged whenever the trash is used
+// and on the scheduler interval. Products are not persisted, so the trash keeps a record per Id
+// (its deletion details, or just purgedAt once deleted for good) to take them out again on load.
+const TRASH_STORAGE_KEY = 'bazaarpk-product-trash';
+let trashedProducts = [];
+let trashRecords = storage.get(TRASH_STORAGE_KEY) || {};
+
+const persistTrash = () => {
+  storage.set(TRASH_STORAGE_KEY, trashRecords);
+};
+
+const markPurged = (ids) => {
+  const purgedAt = new Date().toISOString();
+  ids.forEach(id => {
+    trashRecords[id] = { purgedAt };
+  });
+  persistTrash();
+};
+
+const purgeExpiredTrash = (now = Date.now()) => {
+  const expired = trashedProducts.filter(product => new Date(product.recoveryExpires).getTime() <= now);
+  if (expired.length === 0) return 0;
+  trashedProducts = trashedProducts.filter(product => !expired.includes(product));
+  markPurged(expired.map(product => product.Id));
+  return expired.length;
+};
+
+const moveToTrash = (index, { user, reason, details }) => {
+  const product = productsData[index];
+  const timestamp = new Date().toISOString();
+  const retentionDays = getSettings().catalog.trashRetentionDays;
+  const trashed = {
+    ...product,
+    deletedAt: timestamp,
+    deletedBy: user,
+    deletionReason: reason,
+    originalIndex: index,
+    recoverable: true,
+    recoveryExpires: new Date(Date.now() + retentionDays * 24 * 60 * 60 * 1000).toISOString(),
+    auditLog: [
+      ...(product.auditLog || []),
+      {
+        action: 'deleted',
+        timestamp,
+        user,
+        details,
+        oldValues: {
+          title: product.title,
+          price: product.price,
+          stock: product.stock,
+          status: product.status,
+          visibility: product.visibility
+        }
+      }
+    ]
+  };
+  productsData.splice(index, 1);
+  trashedProducts.push(trashed);
+  trashRecords[trashed.Id] = {
+    deletedAt: trashed.deletedAt,
+    deletedBy: trashed.deletedBy,
+    deletionReason: trashed.deletionReason,
+    originalIndex: trashed.originalIndex,
+    recoveryExpires: trashed.recoveryExpires
+  };
+  persistTrash();
+  return trashed;
+};
+
+// Trashed and purged products keep their Ids, so new ones must not reuse them
+const nextProductId = () =>
+  Math.max(
+    ...productsData.map(product => product.Id || 0),
+    ...trashedProducts.map(product => product.Id || 0),
+    ...Object.keys(trashRecords).map(id => parseInt(id) || 0),
+    0
+  ) + 1;
+
+// Approval is a review: a product is submitted (status pending), then a moderator approves or
+// rejects it with a comment. Every decision goes to a persisted, append-only review log, and since
+// products themselves are not persisted, each product takes its latest logged status on load.
+// Products without a status predate the workflow and are never queued.
+const REVIEW_LOG_STORAGE_KEY = 'bazaarpk-product-reviews';
+export const REVIEW_DECISIONS = {
+  submitted: 'Submitted for review',
+  approved: 'Approved',
+  rejected: 'Rejected'
+};
+const DECISION_BY_STATUS = { pending: 'submitted', approved: 'approved', rejected: 'rejected' };
+// Decision ids are DEC-prefixed so they cannot be mistaken for REV-prefixed revision ids;
+// entries logged before the split are renamed on load
+let reviewLog = (storage.get(REVIEW_LOG_STORAGE_KEY) || []).map(entry =>
+  String(entry.id).startsWith('REV-') ? { ...entry, id: `DEC-${entry.id.slice(4)}` } : entry
+);
+
+// Records a status change as a review decision; changes to any other status are not decisions
+const logReviewDecision = (previous, current, { user, comment = '' }) => {
+  const decision = DECISION_BY_STATUS[current.status];
+  if (!decision || previous.status === current.status) return null;
+  const entry = {
+    id: `DEC-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    productId: current.Id,
+    productTitle: current.title,
+    decision,
+    fromStatus: previous.status || null,
+    toStatus: current.status,
+    comment,
+    user,
+    timestamp: new Date().toISOString()
+  };
+  reviewLog.push(entry);
+  storage.set(REVIEW_LOG_STORAGE_KEY, reviewLog);
+  return entry;
+};
+
+const latestReviewByProduct = new Map(reviewLog.map(entry => [entry.productId, entry]));
+productsData.forEach(product => {
+  const latest = latestReviewByProduct.get(product.Id);
+  if (!latest) return;
+  product.status = latest.toStatus;
+  product.rejectionReason = latest.decision === 'rejected' ? latest.comment : null;
+  if (latest.decision === 'rejected') product.visibility = 'draft';
+});
+
+// Take products deleted in earlier sessions back out of the catalogue, oldest deletion first so
+// restoring latest first still puts each one back where it was
+Object.entries(trashRecords)
+  .filter(([, record]) => !record.purgedAt)
+  .sort(([, a], [, b]) => new Date(a.deletedAt) - new Date(b.deletedAt))
+  .forEach(([id, record]) => {
+    const index = productsData.findIndex(product => product.Id === parseInt(id));
+    if (index === -1) return;
+    const [product] = productsData.splice(index, 1);
+    trashedProducts.push({ ...product, ...record, recoverable: true });
+  });
+Object.entries(trashRecords)
+  .filter(([, record]) => record.purgedAt)
+  .forEach(([id]) => {
+    const index = productsData.findIndex(product => product.Id === parseInt(id));
+    if (index !== -1) productsData.splice(index, 1);
+  });
+purgeExpiredTrash();
+
+// Products can carry publishAt/unpublishAt times. Schedules are persisted because products are
+// not: each entry records which of its times have already fired, so a reload re-applies those and
+// catches up on any that fell due while the page was closed. Due schedules run whenever products
+// are read, and on the interval started by startProductScheduler.
+const PRODUCT_SCHEDULES_STORAGE_KEY = 'bazaarpk-product-schedules';
+export const SCHEDULER_INTERVAL = 30 * 1000;
+let productSchedules = storage.get(PRODUCT_SCHEDULES_STORAGE_KEY) || {};
+
+const persistProductSchedules = () => {
+  storage.set(PRODUCT_SCHEDULES_STORAGE_KEY, productSchedules);
+};
+
+const isPendingTime = (time, firedAt) => Boolean(time) && !firedAt;
+
+export const isProductScheduled = (product) => Boolean(product?.publishAt || product?.unpublishAt);
+
+// Earliest time the scheduler will act on a product, or null when nothing is pending
+export const getNextScheduledChange = (product) => {
+  const times = [product?.publishAt, product?.unpublishAt].filter(Boolean);
+  return times.length > 0 ? times.sort((a, b) => new Date(a) - new Date(b))[0] : null;
+};
+
+// Publishing is not approval: only a reviewer with canApprove moves a product out of review
+const awaitsReview = (product) => product.status === 'pending' || product.status === 'draft';
+
+const publishOnSchedule = (index, timestamp) => {
+  const product = productsData[index];
+  productsData[index] = {
+    ...product,
+    visibility: 'published',
+    publishedAt: timestamp,
+    publishedBy: 'scheduler',
+    lastModified: timestamp,
+    auditLog: [
+      ...(product.auditLog || []),
+      { action: 'scheduled_publish', timestamp, user: 'scheduler', details: 'Product published on schedule', oldValue: product.visibility || 'draft', newValue: 'published' }
+    ]
+  };
+};
+
+const unpublishOnSchedule = (index, timestamp) => {
+  const product = productsData[index];
+  productsData[index] = {
+    ...product,
+    visibility: 'draft',
+    publishedAt: null,
+    publishedBy: null,
+    lastModified: timestamp,
+    auditLog: [
+      ...(product.auditLog || []),
+      { action: 'scheduled_unpublish', timestamp, user: 'scheduler', details: 'Product unpublished on schedule', oldValue: product.visibility || 'draft', newValue: 'draft' }
+    ]
+  };
+};
+
+// Fires every due publish/unpublish time and returns the Ids of the products that changed.
+// A rejected product, or one still awaiting review, is never published; its publish time is
+// dropped with an audit note instead.
+const runDueSchedules = (now = Date.now()) => {
+  const changedIds = [];
+  let storageChanged = false;
+
+  Object.entries(productSchedules).forEach(([id, entry]) => {
+    const index = productsData.findIndex(product => product.Id === parseInt(id));
+    if (index === -1) {
+      // Trashed products keep their schedule in case they come back; purged ones lose it
+      if (!trashedProducts.some(product => product.Id === parseInt(id))) {
+        delete productSchedules[id];
+        storageChanged = true;
+      }
+      return;
+    }
+
+    const previous = productsData[index];
+    const firedAt = new Date(now).toISOString();
+    const publishDue = isPendingTime(entry.publishAt, entry.publishFiredAt) && new Date(entry.publishAt).getTime() <= now;
+    const unpublishDue = isPendingTime(entry.unpublishAt, entry.unpublishFiredAt) && new Date(entry.unpublishAt).getTime() <= now;
+    if (!publishDue && !unpublishDue) return;
+
+    if (publishDue) {
+      entry.publishFiredAt = firedAt;
+      if (previous.status === 'rejected' || awaitsReview(previous)) {
+        productsData[index] = {
+          ...previous,
+          auditLog: [
+            ...(previous.auditLog || []),
+            {
+              action: 'scheduled_publish_skipped',
+              timestamp: firedAt,
+              user: 'scheduler',
+              details: `Scheduled publish skipped because the product ${previous.status === 'rejected' ? 'is rejected' : 'has not been approved'}`
+            }
+          ]
+        };
+      } else {
+        publishOnSchedule(index, firedAt);
+      }
+    }
+    if (unpublishDue) {
+      entry.unpublishFiredAt = firedAt;
+      unpublishOnSchedule(index, firedAt);
+    }
+
+    productsData[index].publishAt = isPendingTime(entry.publishAt, entry.publishFiredAt) ? entry.publishAt : null;
+    productsData[index].unpublishAt = isPendingTime(entry.unpublishAt, entry.unpublishFiredAt) ? entry.unpublishAt : null;
+    recordRevision(previous, productsData[index], { user: 'scheduler', source: 'schedule' });
+    changedIds.push(previous.Id);
+    storageChanged = true;
+  });
+
+  if (storageChanged) {
+    persistProductSchedules();
+  }
+  if (changedIds.length > 0) {
+    cacheManager.clear('products:all');
+    if (typeof window !== 'undefined' && window.CustomEvent) {
+      window.dispatchEvent(new window.CustomEvent('product-cache-invalidate', {
+        detail: { type: 'scheduled_visibility', productIds: changedIds, timestamp: Date.now() }
+      }));
+    }
+    console.log(`⏰ Applied scheduled visibility changes to ${changedIds.length} product(s)`);
+  }
+  return changedIds;
+};
+
+// On load, put back what already fired in earlier sessions, then catch up on anything now due
+Object.entries(productSchedules).forEach(([id, entry]) => {
+  const product = productsData.find(candidate => candidate.Id === parseInt(id));
+  if (!product) return;
+  if (entry.unpublishFiredAt && (!entry.publishFiredAt || entry.unpublishFiredAt >= entry.publishFiredAt)) {
+    product.visibility = 'draft';
+  } else if (entry.publishFiredAt && product.status !== 'rejected' && !awaitsReview(product)) {
+    product.visibility = 'published';
+    product.publishedAt = entry.publishFiredAt;
+  }
+  product.publishAt = isPendingTime(entry.publishAt, entry.publishFiredAt) ? entry.publishAt : null;
+  product.unpublishAt = isPendingTime(entry.unpublishAt, entry.unpublishFiredAt) ? entry.unpublishAt : null;
+});
+runDueSchedules();
+
+let schedulerTimer = null;
+
+// Keeps due schedules firing and expired trash purging while the app is open; returns a function
+// that stops the interval
+export const startProductScheduler = (interval = SCHEDULER_INTERVAL) => {
+  if (!schedulerTimer) {
+    schedulerTimer = setInterval(() => {
+      purgeExpiredTrash();
+      runDueSchedules();
+    }, interval);
+  }
+  return () => {
+    clearInterval(schedulerTimer);
+    schedulerTimer = null;
+  };
+};
+
+// Full-text search runs over an inverted index of the catalogue (see utils/searchIndex). Field
+// weights put name matches ahead of tag, brand and category matches, and those ahead of the
+// description. The index is brought up to date before every search; only products whose
+// searchable text changed are re-indexed, and deleted products drop out.
+const SEARCH_FIELD_WEIGHTS = {
+  title: 5,
+  urduName: 5,
+  sku: 4,
+  tags: 3,
+  brand: 3,
+  category: 2,
+  badges: 1.5,
+  variants: 1,
+  description: 1,
+  urduDescription: 1
+};
+
+const productSearchIndex = createSearchIndex(SEARCH_FIELD_WEIGHTS);
+
+const textOf = (value, language = 'english') =>
+  (typeof value === 'object' && value !== null ? value[language] : language === 'english' ? value : '') || '';
+
+const toSearchDocument = (product) => ({
+  title: product.title || textOf(product.productName),
+  urduName: textOf(product.productName, 'urdu') || product.productName_urdu || '',
+  sku: product.sku || '',
+  tags: product.tags || [],
+  brand: product.brand || '',
+  category: product.category || '',
+  badges: product.badges || [],
+  variants: (product.variants || []).map(variant => variant.name),
+  description: textOf(product.description),
+  urduDescription: textOf(product.description, 'urdu') || product.description_urdu || ''
+});
+
+const syncProductSearchIndex = () => {
+  const liveIds = new Set();
+  productsData.forEach(product => {
+    liveIds.add(product.Id);
+    productSearchIndex.add(product.Id, toSearchDocument(product));
+  });
+  productSearchIndex.ids().filter(id => !liveIds.has(id)).forEach(id => productSearchIndex.remove(id));
+};
+
+// Orders `products` by relevance to `query`, dropping the ones that do not match. Products are
+// matched by Id, so any copies of catalogue products can be passed in.
+export const rankProductsBySearch = (products, query) => {
+  if (!String(query ?? '').trim()) return products;
+  syncProductSearchIndex();
+  const ranks = new Map(productSearchIndex.search(query).map((result, position) => [result.id, position]));
+  return products
+    .filter(product => ranks.has(parseInt(product.Id)))
+    .sort((a, b) => ranks.get(parseInt(a.Id)) - ranks.get(parseInt(b.Id)));
+};
+
+// Faceted filtering for the storefront. A product matches a facet when it has any of the values
+// selected in it, and has to match every facet with a selection.
+export const STOCK_STATUSES = {
+  'in-stock': 'In Stock',
+  'low-stock': 'Low Stock',
+  'out-of-stock': 'Out of Stock'
+};
+
+export const DISCOUNT_BANDS = [
+  { value: '50-plus', label: '50% off or more', min: 50, max: 100 },
+  { value: '25-50', label: '25% - 49% off', min: 25, max: 50 },
+  { value: '10-25', label: '10% - 24% off', min: 10, max: 25 },
+  { value: 'under-10', label: 'Under 10% off', min: 1, max: 10 },
+  { value: 'none', label: 'No discount', min: 0, max: 1 }
+];
+
+export const getDiscountPercent = (product) => {
+  const price = parseFloat(product?.price) || 0;
+  const oldPrice = parseFloat(product?.oldPrice) || 0;
+  return oldPrice > price ? Math.round(((oldPrice - price) / oldPrice) * 100) : 0;
+};
+
+export const getStockStatus = (product) => {
+  const stock = parseInt(product?.stock) || 0;
+  if (stock <= 0) return 'out-of-stock';
+  return stock <= getLowStockThreshold(product) ? 'low-stock' : 'in-stock';
+};
+
+// `valuesOf` lists the values a product has for the facet; URL params are named after the keys
+export const PRODUCT_FACETS = {
+  category: { label: 'Category', valuesOf: (product) => (product.category ? [product.category.toLowerCase()] : []) },
+  brand: { label: 'Brand', valuesOf: (product) => (product.brand ? [product.brand] : []) },
+  badge: { label: 'Badges', valuesOf: (product) => product.badges || [] },
+  stock: { label: 'Availability', valuesOf: (product) => [getStockStatus(product)] },
+  discount: {
+    label: 'Discount',
+    valuesOf: (product) => {
+      const percent = getDiscountPercent(product);
+      const band = DISCOUNT_BANDS.find(entry => percent >= entry.min && percent < entry.max) || DISCOUNT_BANDS[0];
+      return [band.value];
+    }
+  }
+};
+
+// `selections` maps facet keys to arrays of selected values; `except` skips one facet so its
+// own options can be counted against the others
+export const matchesFacets = (product, selections = {}, { except } = {}) =>
+  Object.entries(PRODUCT_FACETS).every(([key, facet]) => {
+    const selected = selections[key] || [];
+    if (key === except || selected.length === 0) return true;
+    return facet.valuesOf(product).some(value => selected.includes(value));
+  });
+
+export const matchesPriceRange = (product, { min, max } = {}) => {
+  const price = parseFloat(product?.price) || 0;
+  if (min !== undefined && min !== '' && price < (parseFloat(min) || 0)) return false;
+  if (max !== undefined && max !== '' && price > (parseFloat(max) || 0)) return false;
+  return true;
+};
+
+// Bucket edges on a 1-2-5 scale, coarsening to 1-5 and then to whole decades until there are
+// few enough buckets. Catalogue prices run from a few hundred rupees to several lakh, so
+// even-width buckets would put nearly everything in the first one.
+const PRICE_BUCKET_STEPS = [[1, 2, 5], [1, 5], [1]];
+
+const priceBucketEdges = (prices, maxBuckets) => {
+  const positive = prices.filter(price => price > 0);
+  if (positive.length === 0) return [];
+  const low = Math.min(...positive);
+  const high = Math.max(...positive);
+
+  let edges = [];
+  for (const steps of PRICE_BUCKET_STEPS) {
+    const scale = [];
+    for (let magnitude = Math.pow(10, Math.floor(Math.log10(low))); scale.length === 0 || scale[scale.length - 1] <= high; magnitude *= 10) {
+      scale.push(...steps.map(step => step * magnitude));
+    }
+    const start = scale.filter(edge => edge <= low).pop();
+    edges = scale.filter(edge => edge >= start);
+    edges = edges.slice(0, edges.findIndex(edge => edge > high) + 1);
+    if (edges.length - 1 <= maxBuckets) break;
+  }
+  // Free items fall into the first bucket
+  if (Math.min(...prices) < edges[0]) edges[0] = 0;
+  return edges;
+};
+
+/**
+ * Counts for every facet option, each among the products that match all the other active
+ * facets and the price range, so a count is the number of results ticking that option would
+ * add. The price histogram is bucketed over all `products` (so bars stay put as filters change)
+ * and counts the products matching every facet.
+ */
+export const getFacetCounts = (products, selections = {}, priceRange = {}, { priceBuckets = 8 } = {}) => {
+  const counts = {};
+  Object.entries(PRODUCT_FACETS).forEach(([key, facet]) => {
+    const tally = {};
+    products.forEach(product => {
+      facet.valuesOf(product).forEach(value => {
+        tally[value] = tally[value] || 0;
+      });
+      if (!matchesPriceRange(product, priceRange) || !matchesFacets(product, selections, { except: key })) return;
+      new Set(facet.valuesOf(product)).forEach(value => {
+        tally[value] += 1;
+      });
+    });
+    counts[key] = tally;
+  });
+
+  const edges = priceBucketEdges(products.map(product => parseFloat(product.price) || 0), priceBuckets);
+  const matching = products.filter(product => matchesFacets(product, selections));
+  counts.price = edges.slice(0, -1).map((min, index) => {
+    const last = index === edges.length - 2;
+    const max = edges[index + 1];
+    return {
+      min,
+      // Buckets share their edges, so all but the last stop just below the next one
+      max: last ? max : max - 1,
+      count: matching.filter(product => {
+        const price = parseFloat(product.price) || 0;
+        return price >= min && (last ? price <= max : price < max);
+      }).length
+    };
+  });
+  return counts;
+};
+
+// Paged storefront queries. Pages are addressed by offset or by the opaque cursor returned with
+// the previous page; a cursor carries a fingerprint of the query it came from, so it cannot be
+// replayed against different filters.
+export const PRODUCT_PAGE_SIZE = 24;
+export const PRODUCT_PAGE_LIMIT = 100;
+
+// Drafts (never published, unpublished on schedule or sent back by a reviewer) stay off the storefront
+export const isStorefrontVisible = (product) => product?.visibility !== 'draft';
+
+const featuredScore = (product) =>
+  (product?.featured ? 10 : 0) +
+  (product?.badges?.includes('BESTSELLER') ? 8 : 0) +
+  (product?.badges?.includes('PREMIUM') ? 6 : 0) +
+  (product?.badges?.includes('FRESH') ? 4 : 0) +
+  (product?.badges?.includes('ORGANIC') ? 3 : 0);
+
+const isFeaturedProduct = (product) =>
+  Boolean(product.featured || product.badges?.includes('BESTSELLER') || product.badges?.includes('PREMIUM'));
+
+// Sort orders offered on the storefront. "featured" keeps search results in relevance order.
+const sortStorefrontProducts = (products, sortBy, { searching = false } = {}) => {
+  const sorted = [...products];
+  const price = (product) => parseFloat(product?.price) || 0;
+  switch (sortBy) {
+    case 'price-low':
+      return sorted.sort((a, b) => price(a) - price(b));
+    case 'price-high':
+      return sorted.sort((a, b) => price(b) - price(a));
+    case 'name':
+      return sorted.sort((a, b) => (a?.title || '').localeCompare(b?.title || ''));
+    case 'newest':
+      return sorted.sort((a, b) => (parseInt(b?.Id) || 0) - (parseInt(a?.Id) || 0));
+    case 'rating':
+      return sorted.sort((a, b) => (parseFloat(b?.rating) || 0) - (parseFloat(a?.rating) || 0));
+    case 'popularity':
+      return sorted.sort((a, b) =>
+        ((b?.badges?.length || 0) + (b?.featured ? 5 : 0)) - ((a?.badges?.length || 0) + (a?.featured ? 5 : 0))
+      );
+    case 'discount':
+      return sorted.sort((a, b) => getDiscountPercent(b) - getDiscountPercent(a));
+    default:
+      return searching ? sorted : sorted.sort((a, b) => featuredScore(b) - featuredScore(a));
+  }
+};
+
+const queryFingerprint = (query) => {
+  const text = JSON.stringify(query);
+  let hash = 5381;
+  for (let i = 0; i < text.length; i++) {
+    hash = ((hash << 5) + hash + text.charCodeAt(i)) | 0;
+  }
+  return (hash >>> 0).toString(36);
+};
+
+const encodeCursor = (offset, fingerprint) => btoa(JSON.stringify({ offset, query: fingerprint }));
+
+const decodeCursor = (cursor, fingerprint) => {
+  let decoded;
+  try {
+    decoded = JSON.parse(atob(cursor));
+  } catch (error) {
+    throw new Error('Invalid page cursor');
+  }
+  if (decoded?.query !== fingerprint || !Number.isInteger(decoded.offset) || decoded.offset < 0) {
+    throw new Error('This page cursor belongs to a different query; start again from the first page');
+  }
+  return decoded.offset;
+};
+
 // Main service export
 const productService = {
   // Core CRUD operations
@@ -195,8 +1127,10 @@ const product = products.find(p => p.Id === parseInt(id));
 
   async getAll() {
     try {
+      runDueSchedules();
+      
       // Get from cache first
-      const cached = cacheManager.get('products:all');
+      const cached = cacheManager.get('products:all', CACHE_EXPIRY.PRODUCTS);
       if (cached) return cached;
       
       // Load from mock data with multilingual support
@@ -229,8 +1163,8 @@ const product = products.find(p => p.Id === parseInt(id));
         return processedProduct;
       });
       
-      // Cache results
-cacheManager.set('products:all', products, 300000); // 5 minutes
+      // Cache results for as long as the cache settings allow
+      cacheManager.set('products:all', products, CACHE_EXPIRY.PRODUCTS);
       return products;
     } catch (error) {
       console.error('Error fetching all products:', error);
@@ -253,148 +1187,558 @@ cacheManager.set('products:all', products, 300000); // 5 minutes
           p.price >= priceRange.min && p.price <= priceRange.max
         );
       }
-      
-      // Prioritize products with similar badges
-      if (badges && badges.length > 0) {
-        related.sort((a, b) => {
-          const aMatches = (a.badges || []).filter(badge => badges.includes(badge)).length;
-          const bMatches = (b.badges || []).filter(badge => badges.includes(badge)).length;
-          return bMatches - aMatches;
-        });
+      
+      // Prioritize products with similar badges
+      if (badges && badges.length > 0) {
+        related.sort((a, b) => {
+          const aMatches = (a.badges || []).filter(badge => badges.includes(badge)).length;
+          const bMatches = (b.badges || []).filter(badge => badges.includes(badge)).length;
+          return bMatches - aMatches;
+        });
+      }
+      
+      return related.slice(0, limit);
+    } catch (error) {
+      console.error('Error fetching related products:', error);
+      return [];
+    }
+  },
+
+  update: async (id, updates) => {
+    await new Promise(resolve => setTimeout(resolve, 350));
+    await assertEditPermissions([updates]);
+    return writeUpdate(id, updates);
+  },
+
+  // Moves products to another category for catalogue maintenance, which may be done without
+  // permission to edit the products themselves. Returns the updated products.
+  moveToCategory: async (ids, category) => {
+    await new Promise(resolve => setTimeout(resolve, 200));
+    await requirePermission('canManageCatalog');
+    return ids.map(id => writeUpdate(id, { category })).filter(Boolean);
+  },
+
+  // Newest first
+  getRevisions: async (id) => {
+    await new Promise(resolve => setTimeout(resolve, 150));
+    return [...(productRevisions.get(parseInt(id)) || [])].reverse().map(revision => ({ ...revision }));
+  },
+
+  // Puts a product back to the state saved in one of its revisions. The restore is recorded as
+  // a revision of its own, so it can be undone the same way. Current stock is kept.
+  restoreRevision: async (id, revisionId, { user = 'admin' } = {}) => {
+    await new Promise(resolve => setTimeout(resolve, 300));
+    const index = productsData.findIndex(product => product.Id === parseInt(id));
+    if (index === -1) {
+      throw new Error(`Product with ID ${id} not found`);
+    }
+
+    const revision = (productRevisions.get(parseInt(id)) || []).find(item => item.id === revisionId);
+    if (!revision) {
+      throw new Error('Revision not found');
+    }
+
+    const restored = await applyRevision(index, revision, { user, note: `Restored version ${revision.version}` });
+    if (!restored) {
+      throw new Error(`The product already matches version ${revision.version}`);
+    }
+    cacheManager.clear('products:all');
+    return { ...restored };
+  },
+
+  // Undoes a change that produced the given product versions (as returned by update, bulkUpdate,
+  // bulkPriceAdjustment or the visibility toggles) by going back one revision. Products edited
+  // again since then are left alone and reported in `errors`.
+  undoRevisions: async (changed, { user = 'admin' } = {}) => {
+    await new Promise(resolve => setTimeout(resolve, 300));
+    const revertedProducts = [];
+    const errors = [];
+
+    for (const { Id, version } of changed) {
+      const index = productsData.findIndex(product => product.Id === parseInt(Id));
+      const revisions = productRevisions.get(parseInt(Id)) || [];
+      const position = revisions.findIndex(revision => revision.version === version);
+
+      if (index === -1) {
+        errors.push(`Product ${Id} no longer exists`);
+      } else if (productsData[index].version !== version) {
+        errors.push(`"${productsData[index].title}" has changed since, so it was left as is`);
+      } else if (position < 1) {
+        errors.push(`"${productsData[index].title}" has no earlier version to go back to`);
+      } else {
+        const reverted = await applyRevision(index, revisions[position - 1], { user, note: `Undid version ${version}` });
+        if (reverted) revertedProducts.push({ ...reverted });
+      }
+    }
+
+    if (revertedProducts.length > 0) {
+      cacheManager.clear('products:all');
+    }
+
+    return {
+      revertedProducts,
+      errors,
+      summary: { total: changed.length, successful: revertedProducts.length, failed: errors.length }
+    };
+  },
+
+  // Apply a signed stock change (negative for sales) and persist the resulting level
+  // Products with variants are adjusted one variant at a time; the levels are then the variant's
+  adjustStock: async (id, delta, { reason = 'corrected', reference = null, note = '', user = 'system', variantId = null } = {}) => {
+    await new Promise(resolve => setTimeout(resolve, 150));
+    const index = productsData.findIndex(p => p.Id === parseInt(id));
+    if (index === -1) {
+      throw new Error(`Product with ID ${id} not found`);
+    }
+
+    const change = parseInt(delta);
+    if (isNaN(change) || change === 0) {
+      throw new Error('Stock adjustment must be a non-zero whole number');
+    }
+
+    const reasonCode = STOCK_MOVEMENT_REASONS[reason];
+    if (!reasonCode) {
+      throw new Error(`Unknown stock movement reason: ${reason}`);
+    }
+    if ((reasonCode.direction === 'in' && change < 0) || (reasonCode.direction === 'out' && change > 0)) {
+      throw new Error(`${reasonCode.label} stock must be ${reasonCode.direction === 'in' ? 'added' : 'removed'}`);
+    }
+
+    const product = productsData[index];
+    let variant = null;
+    if (product.variants?.length) {
+      if (!variantId) {
+        throw new Error(`Choose which variant of ${product.title} to adjust`);
+      }
+      variant = findVariant(product, variantId);
+      if (!variant) {
+        throw new Error(`Variant ${variantId} of ${product.title} not found`);
+      }
+    }
+
+    const label = variant ? `${product.title} (${variant.name})` : product.title;
+    const previousStock = parseInt((variant || product).stock || 0);
+    const newStock = previousStock + change;
+    if (newStock < 0) {
+      throw new Error(`Insufficient stock for ${label}: ${previousStock} available, ${Math.abs(change)} requested`);
+    }
+
+    const timestamp = new Date().toISOString();
+    productsData[index] = applyVariants({
+      ...product,
+      stock: newStock,
+      variants: variant
+        ? product.variants.map(candidate => (candidate.id === variant.id ? { ...candidate, stock: newStock } : candidate))
+        : product.variants,
+      lastModified: timestamp,
+      auditLog: [...(product.auditLog || []), {
+        action: 'stock_adjusted',
+        timestamp,
+        user,
+        details: `${variant ? `${variant.name} stock` : 'Stock'} ${change > 0 ? 'increased' : 'decreased'} by ${Math.abs(change)} (${reasonCode.label.toLowerCase()})${reference ? ` - ${reference}` : ''}`,
+        oldValue: previousStock,
+        newValue: newStock
+      }]
+    });
+
+    recordStockMovement(productsData[index], {
+      delta: change,
+      previousStock,
+      newStock,
+      reason,
+      reference,
+      note: (note || '').trim(),
+      user,
+      timestamp,
+      variant
+    });
+    persistStockLevel(productsData[index].Id, productsData[index].stock);
+    persistVariants(productsData[index]);
+    cacheManager.clear('products:all');
+    notifyProductChanges([{ previous: product, next: productsData[index] }]);
+
+    if (typeof window !== 'undefined' && window.CustomEvent) {
+      window.dispatchEvent(new window.CustomEvent('product-cache-invalidate', {
+        detail: {
+          type: 'stock_adjusted',
+          productId: productsData[index].Id,
+          timestamp: Date.now()
+        }
+      }));
+    }
+
+    return { ...productsData[index] };
+  },
+
+  // Newest first; filter by product, reason code and/or date range
+  getStockMovements: async ({ productId, reason, from, to } = {}) => {
+    await new Promise(resolve => setTimeout(resolve, 200));
+    return stockMovements
+      .filter(movement => !productId || movement.productId === parseInt(productId))
+      .filter(movement => !reason || movement.reason === reason)
+      .filter(movement => !from || new Date(movement.timestamp) >= new Date(from))
+      .filter(movement => !to || new Date(movement.timestamp) <= new Date(to))
+      .map(movement => ({ ...movement }))
+      .reverse();
+  },
+
+  setLowStockThreshold: async (id, threshold, { user = 'system' } = {}) => {
+    await new Promise(resolve => setTimeout(resolve, 150));
+    await requirePermission('canManageInventory');
+    const index = productsData.findIndex(p => p.Id === parseInt(id));
+    if (index === -1) {
+      throw new Error(`Product with ID ${id} not found`);
+    }
+
+    const value = parseInt(threshold);
+    if (isNaN(value) || value < 0) {
+      throw new Error('Low stock threshold must be zero or a positive whole number');
+    }
+
+    const product = productsData[index];
+    const timestamp = new Date().toISOString();
+    productsData[index] = {
+      ...product,
+      lowStockThreshold: value,
+      lastModified: timestamp,
+      auditLog: [...(product.auditLog || []), {
+        action: 'threshold_updated',
+        timestamp,
+        user,
+        details: `Low stock threshold set to ${value}`,
+        oldValue: getLowStockThreshold(product),
+        newValue: value
+      }]
+    };
+
+    const thresholds = storage.get(STOCK_THRESHOLDS_STORAGE_KEY) || {};
+    thresholds[product.Id] = value;
+    storage.set(STOCK_THRESHOLDS_STORAGE_KEY, thresholds);
+    cacheManager.clear('products:all');
+    return { ...productsData[index] };
+  },
+
+  delete: async (id, { user = 'admin' } = {}) => {
+    await new Promise(resolve => setTimeout(resolve, 300));
+    await requirePermission('canDelete');
+    purgeExpiredTrash();
+    const index = productsData.findIndex(product => product.Id === parseInt(id));
+    if (index !== -1) {
+      const deleted = moveToTrash(index, { user, reason: 'delete', details: 'Product moved to trash' });
+      cacheManager.clear('products:all');
+      return { ...deleted };
+    }
+    return null;
+  },
+
+  // Newest deletions first
+  getTrash: async () => {
+    await new Promise(resolve => setTimeout(resolve, 200));
+    purgeExpiredTrash();
+    return [...trashedProducts]
+      .sort((a, b) => new Date(b.deletedAt) - new Date(a.deletedAt))
+      .map(product => ({ ...product }));
+  },
+
+  // Puts trashed products back where they were in the catalogue. A product whose SKU has since
+  // been taken by another product stays in the trash and is reported in `errors`.
+  restoreFromTrash: async (ids, { user = 'admin' } = {}) => {
+    await new Promise(resolve => setTimeout(resolve, 300));
+    await requirePermission('canDelete');
+    purgeExpiredTrash();
+
+    const restoredProducts = [];
+    const errors = [];
+    const timestamp = new Date().toISOString();
+
+    // Each originalIndex was taken after the earlier deletions, so undo them latest first
+    const trashOrder = (product) => trashedProducts.indexOf(product);
+    const entries = ids
+      .map(id => trashedProducts.find(product => product.Id === parseInt(id)) || { Id: parseInt(id), missing: true })
+      .sort((a, b) => trashOrder(b) - trashOrder(a));
+
+    for (const entry of entries) {
+      if (entry.missing) {
+        errors.push(`Product ${entry.Id} is not in the trash`);
+        continue;
+      }
+
+      const { deletedAt, deletedBy, deletionReason, originalIndex, recoverable, recoveryExpires, ...product } = entry;
+      const skuClash = product.sku && productsData.find(other => other.sku?.toUpperCase() === product.sku.toUpperCase());
+      if (skuClash) {
+        errors.push(`"${product.title}" cannot be restored: SKU ${product.sku} is now used by "${skuClash.title}"`);
+        continue;
       }
-      
-      return related.slice(0, limit);
-    } catch (error) {
-      console.error('Error fetching related products:', error);
-      return [];
+
+      product.lastModified = timestamp;
+      product.auditLog = [...(product.auditLog || []), { action: 'restored_from_trash', timestamp, user, details: 'Product restored from trash' }];
+      productsData.splice(Math.min(originalIndex ?? productsData.length, productsData.length), 0, product);
+      trashedProducts = trashedProducts.filter(trashed => trashed.Id !== product.Id);
+      delete trashRecords[product.Id];
+      restoredProducts.push({ ...product });
     }
+
+    if (restoredProducts.length > 0) {
+      persistTrash();
+      cacheManager.clear('products:all');
+    }
+
+    return {
+      restoredProducts,
+      errors,
+      summary: { total: ids.length, successful: restoredProducts.length, failed: errors.length }
+    };
+  },
+
+  // Deletes trashed products for good: the given ids, or the whole trash when none are passed
+  purgeTrash: async (ids = null) => {
+    await new Promise(resolve => setTimeout(resolve, 300));
+    await requirePermission('canDelete');
+    const purged = ids
+      ? trashedProducts.filter(product => ids.map(id => parseInt(id)).includes(product.Id))
+      : trashedProducts;
+    trashedProducts = trashedProducts.filter(product => !purged.includes(product));
+    if (purged.length > 0) markPurged(purged.map(product => product.Id));
+    return purged.length;
   },
 
-  // Enhanced toggle product visibility with approval workflow
-  async toggleVisibility(id) {
-    const product = mockProducts.find(p => p.Id === parseInt(id));
-    if (!product) {
+  // Sends a draft or rejected product to the review queue. Resubmitting clears the rejection
+  // reason from the product; the review log keeps it.
+  submitForReview: async (id, { user = 'admin', note = '' } = {}) => {
+    await new Promise(resolve => setTimeout(resolve, 250));
+    await requirePermission('canBulkEdit');
+    const index = productsData.findIndex(product => product.Id === parseInt(id));
+    if (index === -1) {
       throw new Error('Product not found');
     }
-    
-    const currentVisibility = product.visibility || 'draft';
-    const currentStatus = product.status || 'pending';
-    
-    // If making visible, ensure product is approved
-    if (currentVisibility === 'draft') {
-      if (currentStatus !== 'approved') {
-        throw new Error('Product must be approved before it can be published');
-      }
-      product.visibility = 'published';
-      product.publishedAt = new Date().toISOString();
-      product.publishedBy = 'system'; // Should be passed from caller
-    } else {
-      product.visibility = 'draft';
-      product.publishedAt = null;
-      product.publishedBy = null;
+
+    const previous = productsData[index];
+    if (previous.status === 'pending') {
+      throw new Error(`"${previous.title}" is already awaiting review`);
     }
-    
-    product.lastModified = new Date().toISOString();
-    
-    // Add to audit log
-    product.auditLog = product.auditLog || [];
-    product.auditLog.push({
-      action: 'visibility_toggled',
-      timestamp: new Date().toISOString(),
-      user: 'system',
-      details: `Product ${product.visibility === 'published' ? 'published' : 'hidden'}`,
-      oldValue: currentVisibility,
-      newValue: product.visibility
-    });
-    
-    return product;
+    if (previous.status === 'approved') {
+      throw new Error(`"${previous.title}" is already approved`);
+    }
+
+    const timestamp = new Date().toISOString();
+    const comment = note.trim();
+    productsData[index] = {
+      ...previous,
+      status: 'pending',
+      visibility: 'draft',
+      publishedAt: null,
+      publishedBy: null,
+      rejectionReason: null,
+      submittedAt: timestamp,
+      submittedBy: user,
+      lastModified: timestamp,
+      auditLog: [
+        ...(previous.auditLog || []),
+        {
+          action: previous.status === 'rejected' ? 'resubmitted_for_review' : 'submitted_for_review',
+          timestamp,
+          user,
+          details: comment || 'Product submitted for review',
+          oldValue: previous.status || null,
+          newValue: 'pending'
+        }
+      ]
+    };
+
+    recordRevision(previous, productsData[index], { user, source: 'review' });
+    logReviewDecision(previous, productsData[index], { user, comment });
+    cacheManager.clear('products:all');
+    return { ...productsData[index] };
   },
 
-  // Enhanced toggle featured status with approval workflow
-  async toggleFeatured(id) {
-    const product = mockProducts.find(p => p.Id === parseInt(id));
-    if (!product) {
+  // A moderator's decision on a pending product. Rejections need a comment for the submitter.
+  // Approved products go live straight away when the moderator can publish and no publish time
+  // is scheduled; otherwise they wait as approved drafts.
+  reviewProduct: async (id, decision, { comment = '' } = {}) => {
+    await new Promise(resolve => setTimeout(resolve, 250));
+    const reviewer = await requirePermission('canApprove');
+    if (!['approved', 'rejected'].includes(decision)) {
+      throw new Error('A review decision must be approved or rejected');
+    }
+    const reason = comment.trim();
+    if (decision === 'rejected' && !reason) {
+      throw new Error('Add a comment explaining why the product is rejected');
+    }
+
+    const index = productsData.findIndex(product => product.Id === parseInt(id));
+    if (index === -1) {
       throw new Error('Product not found');
     }
-    
-    // Only allow featuring approved, published products
-    if (product.status !== 'approved' || product.visibility !== 'published') {
-      throw new Error('Only approved and published products can be featured');
+    const previous = productsData[index];
+    if (previous.status !== 'pending') {
+      throw new Error(`"${previous.title}" is not awaiting review`);
     }
-    
-    const wasFeatured = product.featured;
-    product.featured = !product.featured;
-    product.priority = product.featured ? Date.now() : 0;
-    product.lastModified = new Date().toISOString();
-    
-    // Add to audit log
-    product.auditLog = product.auditLog || [];
-    product.auditLog.push({
-      action: 'featured_toggled',
-      timestamp: new Date().toISOString(),
-      user: 'system',
-      details: `Product ${product.featured ? 'marked as featured' : 'removed from featured'}`,
-      oldValue: wasFeatured,
-      newValue: product.featured
-    });
-    
-    return product;
-  },
-  
-  // Bulk price adjustment
-  async bulkPriceAdjustment(productIds, adjustment) {
-    const updatedProducts = [];
-    
-    for (const id of productIds) {
-      const product = mockProducts.find(p => p.Id === parseInt(id));
-      if (product) {
-        const currentPrice = parseFloat(product.price) || 0;
-        let newPrice = currentPrice;
-        
-        if (adjustment.type === 'percentage') {
-          newPrice = currentPrice * (1 + adjustment.value / 100);
-        } else {
-          newPrice = currentPrice + adjustment.value;
+
+    const user = reviewer.email;
+    const timestamp = new Date().toISOString();
+    const approved = decision === 'approved';
+    const publishNow = approved && !previous.publishAt && hasPermission(reviewer, 'canPublish');
+
+    productsData[index] = {
+      ...previous,
+      status: decision,
+      reviewedAt: timestamp,
+      reviewedBy: user,
+      rejectionReason: approved ? null : reason,
+      ...(approved
+        ? { approvedAt: timestamp, approvedBy: user, moderatorApproved: true }
+        : { rejectedAt: timestamp, rejectedBy: user, visibility: 'draft', publishedAt: null, publishedBy: null }),
+      ...(publishNow && { visibility: 'published', publishedAt: timestamp, publishedBy: user }),
+      lastModified: timestamp,
+      auditLog: [
+        ...(previous.auditLog || []),
+        {
+          action: approved ? 'review_approved' : 'review_rejected',
+          timestamp,
+          user,
+          details: reason || `Product ${decision}${publishNow ? ' and published' : ''}`,
+          oldValue: 'pending',
+          newValue: decision
         }
-        
-        product.price = Math.max(0, newPrice);
-        product.lastModified = new Date().toISOString();
-        updatedProducts.push(product);
-      }
+      ]
+    };
+
+    recordRevision(previous, productsData[index], { user, source: 'review' });
+    logReviewDecision(previous, productsData[index], { user, comment: reason });
+    cacheManager.clear('products:all');
+    if (typeof window !== 'undefined' && window.CustomEvent && productsData[index].visibility !== previous.visibility) {
+      window.dispatchEvent(new window.CustomEvent('product-cache-invalidate', {
+        detail: { type: 'review_decision', productId: previous.Id, newStatus: decision, timestamp: Date.now() }
+      }));
     }
-    
-    return updatedProducts;
+    return { ...productsData[index] };
   },
 
-  update: async (id, updates) => {
-    await new Promise(resolve => setTimeout(resolve, 350));
-    const index = productsData.findIndex(p => p.Id === id);
-    if (index !== -1) {
-      productsData[index] = { ...productsData[index], ...updates };
-      return { ...productsData[index] };
-    }
-    return null;
+  // Products awaiting review, longest waiting first
+  getReviewQueue: async () => {
+    await requirePermission('canApprove');
+    const products = await productService.getAll();
+    const waitingSince = (product) => new Date(product.submittedAt || product.lastModified || product.createdAt || 0);
+    return products
+      .filter(product => product.status === 'pending')
+      .sort((a, b) => waitingSince(a) - waitingSince(b));
+  },
+
+  // Review decisions, newest first, optionally for one product
+  getReviewLog: async ({ productId } = {}) => {
+    await new Promise(resolve => setTimeout(resolve, 150));
+    return reviewLog
+      .filter(entry => !productId || entry.productId === parseInt(productId))
+      .slice()
+      .reverse()
+      .map(entry => ({ ...entry }));
   },
 
-  delete: async (id) => {
+  // Sets when products go live and when they come down again. Either time may be left out, and
+  // passing both as null clears the schedule. Times must be in the future, with unpublishing after
+  // publishing when both are given.
+  schedulePublishing: async (ids, { publishAt = null, unpublishAt = null } = {}, { user = 'admin' } = {}) => {
     await new Promise(resolve => setTimeout(resolve, 300));
-    const index = productsData.findIndex(product => product.Id === parseInt(id));
-    if (index !== -1) {
-      const deleted = productsData.splice(index, 1)[0];
-      // Store deletion timestamp for audit
-      deleted.deletedAt = new Date().toISOString();
-      return { ...deleted };
+    await requirePermission('canPublish');
+
+    if (!Array.isArray(ids) || ids.length === 0) {
+      throw new Error('Invalid product IDs provided for scheduling');
     }
-    return null;
+    const publishTime = publishAt ? new Date(publishAt) : null;
+    const unpublishTime = unpublishAt ? new Date(unpublishAt) : null;
+    if ((publishTime && isNaN(publishTime)) || (unpublishTime && isNaN(unpublishTime))) {
+      throw new Error('Scheduled times must be valid dates');
+    }
+    if ((publishTime && publishTime.getTime() <= Date.now()) || (unpublishTime && unpublishTime.getTime() <= Date.now())) {
+      throw new Error('Scheduled times must be in the future');
+    }
+    if (publishTime && unpublishTime && unpublishTime <= publishTime) {
+      throw new Error('The unpublish time must be after the publish time');
+    }
+
+    const scheduledProducts = [];
+    const errors = [];
+    const timestamp = new Date().toISOString();
+
+    for (const id of ids) {
+      const index = productsData.findIndex(product => product.Id === parseInt(id));
+      if (index === -1) {
+        errors.push(`Product ${id} not found`);
+        continue;
+      }
+      const product = productsData[index];
+      if (publishTime && product.status === 'rejected') {
+        errors.push(`"${product.title}" is rejected and cannot be scheduled for publishing`);
+        continue;
+      }
+      if (publishTime && awaitsReview(product)) {
+        errors.push(`"${product.title}" is awaiting review; it must be approved before it can be scheduled for publishing`);
+        continue;
+      }
+
+      if (publishTime || unpublishTime) {
+        productSchedules[product.Id] = {
+          publishAt: publishTime?.toISOString() || null,
+          unpublishAt: unpublishTime?.toISOString() || null,
+          scheduledBy: user,
+          scheduledAt: timestamp
+        };
+      } else {
+        delete productSchedules[product.Id];
+      }
+
+      productsData[index] = {
+        ...product,
+        publishAt: publishTime?.toISOString() || null,
+        unpublishAt: unpublishTime?.toISOString() || null,
+        lastModified: timestamp,
+        auditLog: [
+          ...(product.auditLog || []),
+          {
+            action: publishTime || unpublishTime ? 'schedule_set' : 'schedule_cleared',
+            timestamp,
+            user,
+            details: [
+              publishTime && `Publish at ${publishTime.toLocaleString()}`,
+              unpublishTime && `Unpublish at ${unpublishTime.toLocaleString()}`
+            ].filter(Boolean).join(', ') || 'Schedule cleared'
+          }
+        ]
+      };
+      scheduledProducts.push({ ...productsData[index] });
+    }
+
+    persistProductSchedules();
+    if (scheduledProducts.length > 0) {
+      cacheManager.clear('products:all');
+    }
+
+    return {
+      scheduledProducts,
+      errors,
+      summary: { total: ids.length, successful: scheduledProducts.length, failed: errors.length }
+    };
+  },
+
+  clearSchedule: async (ids, options = {}) =>
+    productService.schedulePublishing(ids, { publishAt: null, unpublishAt: null }, options),
+
+  // Products with a publish or unpublish time still to come, soonest first
+  getScheduled: async () => {
+    const products = await productService.getAll();
+    return products
+      .filter(isProductScheduled)
+      .sort((a, b) => new Date(getNextScheduledChange(a)) - new Date(getNextScheduledChange(b)));
   },
 
 // Enhanced bulk operations with comprehensive validation
-  bulkDelete: async (ids) => {
+  bulkDelete: async (ids, { user = 'admin' } = {}) => {
     await new Promise(resolve => setTimeout(resolve, 500));
+    await requirePermission('canDelete');
     
     const deletedProducts = [];
     const errors = [];
-    const timestamp = new Date().toISOString();
+    purgeExpiredTrash();
     
     // Validate input
 if (!Array.isArray(ids) || ids.length === 0) {
@@ -415,41 +1759,14 @@ if (!Array.isArray(ids) || ids.length === 0) {
         
         const productIndex = productsData.findIndex(product => product.Id === numericId);
         if (productIndex !== -1) {
-          const product = productsData[productIndex];
-          
-          // Enhanced deletion with audit trail
-          const deletedProduct = {
-            ...product,
-            deletedAt: timestamp,
-            deletedBy: 'admin', // In real app, get from auth context
-            deletionReason: 'bulk_delete',
-            originalIndex: productIndex,
-            recoverable: true,
-            recoveryExpires: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString(), // 30 days
-            
-// Add to audit log
-            auditLog: [
-              ...(product.auditLog || []),
-              {
-                action: 'deleted',
-                timestamp,
-                user: 'admin',
-                details: 'Product deleted via bulk operation',
-                oldValues: { 
-                  title: product.title,
-                  price: product.price,
-                  stock: product.stock,
-                  status: product.status,
-                  visibility: product.visibility
-                }
-              }
-            ]
-          };
-          
-          productsData.splice(productIndex, 1);
+          const deletedProduct = moveToTrash(productIndex, {
+            user,
+            reason: 'bulk_delete',
+            details: 'Product moved to trash via bulk operation'
+          });
           deletedProducts.push(deletedProduct);
           
-          console.log(`🗑️ Product deleted: ${product.title} (ID: ${numericId})`);
+          console.log(`🗑️ Product moved to trash: ${deletedProduct.title} (ID: ${numericId})`);
         } else {
           errors.push(`Product not found: ${id}`);
         }
@@ -471,6 +1788,10 @@ if (!Array.isArray(ids) || ids.length === 0) {
       throw new Error(`Bulk delete failed: ${errors.join(', ')}`);
     }
     
+    if (deletedProducts.length > 0) {
+      cacheManager.clear('products:all');
+    }
+    
     return {
       deletedProducts,
       errors,
@@ -487,6 +1808,8 @@ if (!Array.isArray(ids) || ids.length === 0) {
 // Enhanced bulk update with comprehensive approval workflow and cache invalidation
   bulkUpdate: async (updates) => {
     await new Promise(resolve => setTimeout(resolve, 500));
+    await requirePermission('canBulkEdit');
+    await assertWorkflowPermissions(updates.map(update => update?.data || {}));
     
     const updatedProducts = [];
     const errors = [];
@@ -497,8 +1820,8 @@ if (!Array.isArray(ids) || ids.length === 0) {
       throw new Error('Invalid updates data provided for bulk update');
     }
     
-    if (updates.length > 100) {
-      throw new Error('Cannot update more than 100 products at once');
+    if (updates.length > PRODUCT_BULK_LIMIT) {
+      throw new Error(`Cannot update more than ${PRODUCT_BULK_LIMIT} products at once`);
     }
     
     // Edge case validation for bulk updates
@@ -610,11 +1933,12 @@ if (!Array.isArray(ids) || ids.length === 0) {
         }
         
         // Apply updates with enhanced workflow tracking
-        const updatedData = {
+        const updatedData = applyVariants({
           ...originalProduct,
           ...data,
           
           // System fields
+          lastVariantNumber: originalProduct.lastVariantNumber,
           lastModified: timestamp,
           modifiedBy: data.modifiedBy || 'admin',
           version: (originalProduct.version || 0) + 1,
@@ -640,7 +1964,7 @@ if (!Array.isArray(ids) || ids.length === 0) {
               } : null
             }
           ]
-        };
+        });
         
         // Business logic validation
         const businessValidation = validateBusinessLogic(updatedData);
@@ -651,6 +1975,13 @@ if (!Array.isArray(ids) || ids.length === 0) {
         
         // Update the product
         productsData[productIndex] = updatedData;
+        recordRevision(originalProduct, updatedData, { user: data.modifiedBy || 'admin', source: 'bulk update' });
+        logReviewDecision(originalProduct, updatedData, { user: data.modifiedBy || 'admin', comment: 'Bulk update' });
+        recordStockEdit(updatedData, parseInt(originalProduct.stock || 0), updatedData.variants?.length ? updatedData.stock : data.stock, {
+          reference: 'bulk update',
+          user: data.modifiedBy || 'admin'
+        });
+        persistVariants(updatedData);
         updatedProducts.push({ ...updatedData });
         
         // Enhanced logging
@@ -664,6 +1995,11 @@ if (!Array.isArray(ids) || ids.length === 0) {
       }
     }
     
+    // getAll serves from cache, so drop it or the updates stay invisible
+    if (updatedProducts.length > 0) {
+      cacheManager.clear('products:all');
+    }
+
     // Cache invalidation for homepage-affecting changes
     if (homepageAffectedCount > 0) {
       try {
@@ -723,10 +2059,12 @@ console.log(`🗑️ Cache Invalidation: ${homepageAffectedCount} products affec
   },
 
   // Enhanced bulk price adjustment with comprehensive validation
-bulkPriceAdjustment: async (ids, adjustment) => {
+bulkPriceAdjustment: async (ids, adjustment, { user = 'admin' } = {}) => {
     await new Promise(resolve => setTimeout(resolve, 400));
+    await requirePermission('canBulkEdit');
     
     const updatedProducts = [];
+    const priceChanges = [];
     const errors = [];
     const timestamp = new Date().toISOString();
     
@@ -812,7 +2150,8 @@ throw new Error('Invalid product IDs provided');
         
         const product = productsData[productIndex];
         const oldPrice = parseFloat(product.price) || 0;
-        const oldSellingPrice = parseFloat(product.sellingPrice) || 0;
+        // Seeded products only carry `price`
+        const oldSellingPrice = parseFloat(product.sellingPrice) || oldPrice;
         
         if (oldPrice <= 0) {
           errors.push(`Product ${id} has invalid price: ${oldPrice}`);
@@ -847,13 +2186,28 @@ throw new Error('Invalid product IDs provided');
           continue;
         }
         
+        // Checkout charges the variant's price, so variants move with the base price
+        const adjustVariantPrice = (value) => Math.round((adjustment.type === 'percentage'
+          ? value * (1 + adjustmentValue / 100)
+          : value + adjustmentValue) * 100) / 100;
+        const variants = (product.variants || []).map(variant => ({
+          ...variant,
+          price: adjustVariantPrice(variant.price),
+          oldPrice: variant.oldPrice ? adjustVariantPrice(variant.oldPrice) : variant.oldPrice
+        }));
+        if (variants.some(variant => variant.price <= 0)) {
+          errors.push(`Adjustment would result in negative price for a variant of product ${id}`);
+          continue;
+        }
+        
         // Update product with price history and workflow considerations
         const updatedProduct = {
           ...product,
           price: newPrice,
           sellingPrice: newSellingPrice,
+          ...(variants.length > 0 && { variants }),
           lastModified: timestamp,
-          modifiedBy: 'admin',
+          modifiedBy: user,
           version: (product.version || 0) + 1,
           
           // If price change is significant, may need re-approval
@@ -893,7 +2247,13 @@ throw new Error('Invalid product IDs provided');
         };
         
         productsData[productIndex] = updatedProduct;
+        recordRevision(product, updatedProduct, {
+          user,
+          source: 'price adjustment',
+          note: `${adjustment.type === 'percentage' ? `${adjustmentValue}%` : `${adjustmentValue} PKR`} adjustment`
+        });
         updatedProducts.push({ ...updatedProduct });
+        priceChanges.push({ previous: product, next: updatedProduct });
         
         console.log(`💰 Price adjusted for: ${product.title} (${oldPrice} → ${newPrice})`);
         
@@ -903,6 +2263,12 @@ throw new Error('Invalid product IDs provided');
       }
     }
     
+    // getAll serves from cache, so drop it or the new prices stay invisible
+    if (updatedProducts.length > 0) {
+      cacheManager.clear('products:all');
+      notifyProductChanges(priceChanges);
+    }
+    
     // Log bulk operation results
     console.log(`📊 Bulk Price Adjustment Results:`, {
       requested: ids.length,
@@ -931,6 +2297,7 @@ throw new Error('Invalid product IDs provided');
 // Enhanced async toggleVisibility with approval workflow and cache invalidation
   toggleVisibility: async (id) => {
     await new Promise(resolve => setTimeout(resolve, 200));
+    await requirePermission('canPublish');
     const index = productsData.findIndex(product => product.Id === parseInt(id));
     if (index === -1) {
 return null;
@@ -993,6 +2360,8 @@ return null;
         console.warn('Cache invalidation failed:', cacheError);
       }
       
+      recordRevision(product, productsData[index], { user: 'admin', source: 'visibility' });
+      logReviewDecision(product, productsData[index], { user: 'admin', comment: 'Approved when published' });
       return { ...productsData[index] };
     }
     
@@ -1047,11 +2416,13 @@ return null;
       }
     }
     
+    recordRevision(product, productsData[index], { user: 'admin', source: 'visibility' });
     return { ...productsData[index] };
   },
 // Enhanced async toggleFeatured with approval workflow
   toggleFeatured: async (id) => {
     await new Promise(resolve => setTimeout(resolve, 200));
+    await requirePermission('canPublish');
     const index = productsData.findIndex(product => product.Id === parseInt(id));
     if (index === -1) {
       throw new Error('Product not found');
@@ -1115,12 +2486,14 @@ window.dispatchEvent(new window.CustomEvent('product-cache-invalidate', {
       console.warn('Cache invalidation failed:', cacheError);
     }
     
+    recordRevision(product, productsData[index], { user: 'admin', source: 'featured' });
     return { ...productsData[index] };
   },
 
   // Enhanced status update with workflow validation and cache invalidation
   updateStatus: async (id, status) => {
     await new Promise(resolve => setTimeout(resolve, 200));
+    if (['approved', 'rejected'].includes(status)) await requirePermission('canApprove');
     const index = productsData.findIndex(product => product.Id === parseInt(id));
     if (index === -1) {
       return null;
@@ -1210,6 +2583,8 @@ window.dispatchEvent(new window.CustomEvent('product-cache-invalidate', {
       }
     }
     
+    recordRevision(product, productsData[index], { user: 'admin', source: 'status' });
+    logReviewDecision(product, productsData[index], { user: 'admin' });
     return { ...productsData[index] };
   },
 
@@ -1227,11 +2602,11 @@ window.dispatchEvent(new window.CustomEvent('product-cache-invalidate', {
       .map(product => ({ ...product }));
   },
 
-  // Low stock alerts
-  getLowStockProducts: async (threshold = 10) => {
+  // Low stock alerts, using each product's own threshold unless one is passed in
+  getLowStockProducts: async (threshold) => {
     await new Promise(resolve => setTimeout(resolve, 300));
     return productsData
-      .filter(product => product.stock <= threshold && product.stock > 0)
+      .filter(product => product.stock > 0 && product.stock <= (threshold ?? getLowStockThreshold(product)))
       .map(product => ({ ...product }));
   },
 
@@ -1261,20 +2636,75 @@ window.dispatchEvent(new window.CustomEvent('product-cache-invalidate', {
     };
   },
 
-  searchProducts: async (query) => {
+  /**
+   * One page of storefront results: search, a fixed set of product ids (e.g. a recipe bundle),
+   * featured status, facets and price range, sorted as on the category page. Returns the page
+   * with the total match count and a `nextCursor` for the following page (null on the last).
+   * With `includeFacets` the facet counts for the whole result set come back too.
+   */
+  queryProducts: async ({
+    search = '',
+    productIds = null,
+    featured = 'all',
+    facets = {},
+    priceRange = {},
+    sortBy = 'featured',
+    cursor = null,
+    offset = 0,
+    limit = PRODUCT_PAGE_SIZE,
+    includeFacets = false
+  } = {}) => {
+    const pageSize = parseInt(limit);
+    if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > PRODUCT_PAGE_LIMIT) {
+      throw new Error(`Page size must be between 1 and ${PRODUCT_PAGE_LIMIT}`);
+    }
+
+    const fingerprint = queryFingerprint({ search, productIds, featured, facets, priceRange, sortBy });
+    const start = cursor ? decodeCursor(cursor, fingerprint) : Math.max(parseInt(offset) || 0, 0);
+
+    await new Promise(resolve => setTimeout(resolve, 200));
+    let matches = (await productService.getAll()).filter(isStorefrontVisible);
+
+    if (productIds) {
+      const ids = new Set(productIds.map(id => parseInt(id)));
+      matches = matches.filter(product => ids.has(product.Id));
+    }
+    if (String(search ?? '').trim()) {
+      matches = rankProductsBySearch(matches, search);
+    }
+    if (featured === 'featured') {
+      matches = matches.filter(isFeaturedProduct);
+    } else if (featured === 'regular') {
+      matches = matches.filter(product => !isFeaturedProduct(product));
+    }
+
+    const facetCounts = includeFacets ? getFacetCounts(matches, facets, priceRange) : undefined;
+    matches = sortStorefrontProducts(
+      matches.filter(product => matchesFacets(product, facets) && matchesPriceRange(product, priceRange)),
+      sortBy,
+      { searching: Boolean(String(search ?? '').trim()) }
+    );
+
+    const end = Math.min(start + pageSize, matches.length);
+    return {
+      items: matches.slice(start, end).map(product => ({ ...product })),
+      total: matches.length,
+      offset: start,
+      limit: pageSize,
+      hasMore: end < matches.length,
+      nextCursor: end < matches.length ? encodeCursor(end, fingerprint) : null,
+      ...(includeFacets && { facets: facetCounts })
+    };
+  },
+
+  // Ranked full-text search; tolerates typos and matches Roman Urdu against Urdu script
+  searchProducts: async (query, { limit } = {}) => {
     await new Promise(resolve => setTimeout(resolve, 300));
-    if (!query) return productsData.map(product => ({ ...product }));
-    
-    const lowercaseQuery = query.toLowerCase();
-    return productsData
-      .filter(product => 
-        product.title.toLowerCase().includes(lowercaseQuery) ||
-        product.sku?.toLowerCase().includes(lowercaseQuery) ||
-        product.description.toLowerCase().includes(lowercaseQuery) ||
-        product.brand?.toLowerCase().includes(lowercaseQuery) ||
-        product.tags?.some(tag => tag.toLowerCase().includes(lowercaseQuery))
-      )
-      .map(product => ({ ...product }));
+    const products = await productService.getAll();
+    if (!String(query ?? '').trim()) return products.map(product => ({ ...product }));
+
+    const ranked = rankProductsBySearch(products, query);
+    return (limit ? ranked.slice(0, limit) : ranked).map(product => ({ ...product }));
   },
 
   // Advanced filtering
@@ -1353,14 +2783,7 @@ window.dispatchEvent(new window.CustomEvent('product-cache-invalidate', {
 
     // Advanced search filtering
     if (filters.searchQuery) {
-      const query = filters.searchQuery.toLowerCase();
-      filtered = filtered.filter(p =>
-        p.title.toLowerCase().includes(query) ||
-        p.description.toLowerCase().includes(query) ||
-        p.category.toLowerCase().includes(query) ||
-        p.tags?.some(tag => tag.toLowerCase().includes(query)) ||
-        p.badges?.some(badge => badge.toLowerCase().includes(query))
-      );
+      filtered = rankProductsBySearch(filtered, filters.searchQuery);
     }
 
     return filtered.map(product => ({ ...product }));
@@ -1568,13 +2991,192 @@ window.dispatchEvent(new window.CustomEvent('product-cache-invalidate', {
 .map(product => ({ ...product }));
     }
   },
+  // Checks a new or edited product before it is saved or published. The product's own Id is
+  // left out of the SKU and barcode uniqueness checks; SKU is only mandatory for new products.
+  validateProduct: async (productData, { existingId = productData?.Id ?? null } = {}) => {
+    const data = productData || {};
+    const errors = [];
+    const warnings = [];
+
+    const name = data.productName?.english ?? data.title ?? '';
+    if (!String(name).trim()) {
+      errors.push('Product name is required');
+    } else {
+      const nameCheck = sanitizeAndValidateText(String(name), 2, 255);
+      if (!nameCheck.isValid) errors.push(`Product name: ${nameCheck.error}`);
+    }
+
+    const description = typeof data.description === 'object' && data.description !== null
+      ? data.description.english
+      : data.description;
+    if (!description || !String(description).trim()) {
+      errors.push('Description is required');
+    }
+
+    if (!data.category || String(data.category).trim() === '' || data.category === 'select') {
+      errors.push('Category is required');
+    }
+
+    const price = data.price ?? data.sellingPrice;
+    const priceCheck = validateAndFormatPrice(price);
+    if (price === undefined || price === null || price === '') {
+      errors.push('Selling Price is required');
+    } else if (!priceCheck.isValid || priceCheck.formatted <= 0) {
+      errors.push(`Selling Price ${priceCheck.error === 'Price too high' ? 'is too high' : 'must be greater than zero'}`);
+    } else if (data.oldPrice !== undefined && data.oldPrice !== null && data.oldPrice !== '') {
+      const oldPriceCheck = validateAndFormatPrice(data.oldPrice);
+      if (!oldPriceCheck.isValid) {
+        errors.push('Compare-at price must be a positive number');
+      } else if (oldPriceCheck.formatted <= priceCheck.formatted) {
+        warnings.push('Compare-at price is not higher than the selling price, so no discount is shown');
+      }
+    }
+
+    const stock = data.stock ?? data.stockQuantity;
+    if (stock !== undefined && stock !== null && stock !== '') {
+      const stockCheck = validateAndFormatQuantity(stock);
+      if (!stockCheck.isValid || String(stock).includes('.')) {
+        errors.push('Stock must be a whole number of zero or more');
+      }
+    }
+
+    const others = productsData.filter(product => product.Id !== existingId);
+
+    if (data.sku || existingId === null) {
+      const skuCheck = validateSku(data.sku);
+      if (!skuCheck.isValid) {
+        errors.push(skuCheck.error);
+      } else {
+        const sku = data.sku.toUpperCase();
+        const clash = others.find(product => product.sku?.toUpperCase() === sku || product.variants?.some(variant => variant.sku === sku));
+        if (clash) errors.push(`SKU ${data.sku} is already used by "${clash.title}"`);
+      }
+    }
+
+    if (data.barcode) {
+      const barcodeCheck = validateBarcode(String(data.barcode));
+      if (!barcodeCheck.isValid) {
+        errors.push(barcodeCheck.error);
+      } else {
+        const clash = others.find(product => product.barcode && String(product.barcode) === String(data.barcode));
+        if (clash) errors.push(`Barcode ${data.barcode} is already used by "${clash.title}"`);
+      }
+    }
+
+    if (data.variants !== undefined && data.variants !== null) {
+      if (!Array.isArray(data.variants)) {
+        errors.push('Variants must be a list of { name, price } entries');
+      } else if (data.variants.some(variant => !String(variant?.name || '').trim() || !(parseFloat(variant.price) > 0))) {
+        errors.push('Every variant needs a name and a price greater than zero');
+      } else {
+        const names = data.variants.map(variant => String(variant.name).trim().toLowerCase());
+        if (new Set(names).size !== names.length) errors.push('Variant names must be unique');
+
+        const seenSkus = new Set(data.sku ? [String(data.sku).toUpperCase()] : []);
+        data.variants.forEach(variant => {
+          const label = `Variant "${String(variant.name).trim()}"`;
+          if (variant.stock !== undefined && variant.stock !== null && variant.stock !== '') {
+            const stockCheck = validateAndFormatQuantity(variant.stock);
+            if (!stockCheck.isValid || String(variant.stock).includes('.')) {
+              errors.push(`${label}: stock must be a whole number of zero or more`);
+            }
+          }
+          if (variant.sku) {
+            const sku = String(variant.sku).trim().toUpperCase();
+            const skuCheck = validateSku(sku);
+            const clash = others.find(product => product.sku?.toUpperCase() === sku || product.variants?.some(other => other.sku === sku));
+            if (!skuCheck.isValid) {
+              errors.push(`${label}: ${skuCheck.error}`);
+            } else if (seenSkus.has(sku)) {
+              errors.push(`${label}: SKU ${sku} is used more than once on this product`);
+            } else if (clash) {
+              errors.push(`${label}: SKU ${sku} is already used by "${clash.title}"`);
+            }
+            seenSkus.add(sku);
+          }
+          if (variant.barcode && !validateBarcode(String(variant.barcode)).isValid) {
+            errors.push(`${label}: ${validateBarcode(String(variant.barcode)).error}`);
+          }
+          (variant.images || []).forEach(url => {
+            if (!String(url).startsWith('/') && !validateUrl(url)) errors.push(`${label}: image URL is not valid: ${url}`);
+          });
+          const unknown = Object.keys(variant.attributes || {}).filter(attribute => !VARIANT_ATTRIBUTES[attribute]);
+          if (unknown.length > 0) {
+            errors.push(`${label}: unknown option ${unknown.join(', ')} (use ${Object.values(VARIANT_ATTRIBUTES).join(', ').toLowerCase()})`);
+          }
+        });
+      }
+    }
+
+    // Site-relative paths (the seed data's placeholders) are fine alongside full URLs
+    (data.images || []).forEach(url => {
+      if (!String(url).startsWith('/') && !validateUrl(url)) errors.push(`Image URL is not valid: ${url}`);
+    });
+
+    return { isValid: errors.length === 0, errors, warnings };
+  },
+
+  // Creates up to PRODUCT_BULK_LIMIT products in one call. Invalid items are reported in
+  // `errors` and skipped; the rest of the batch is still created.
+  bulkCreate: async (items, { user = 'admin' } = {}) => {
+    await new Promise(resolve => setTimeout(resolve, 500));
+    await requirePermission('canBulkEdit');
+
+    if (!Array.isArray(items) || items.length === 0) {
+      throw new Error('Invalid products data provided for bulk create');
+    }
+
+    if (items.length > PRODUCT_BULK_LIMIT) {
+      throw new Error(`Cannot create more than ${PRODUCT_BULK_LIMIT} products at once`);
+    }
+
+    await assertWorkflowPermissions(items);
+
+    const createdProducts = [];
+    const errors = [];
+
+    for (const [index, item] of items.entries()) {
+      const validation = await productService.validateProduct(item, { existingId: null });
+      if (!validation.isValid) {
+        errors.push(`Item ${index + 1} (${item.sku || item.title || 'untitled'}): ${validation.errors.join(', ')}`);
+        continue;
+      }
+
+      const Id = nextProductId();
+      const product = buildProductRecord({
+        ...item,
+        productName: item.productName || { english: item.title, urdu: '' },
+        description: typeof item.description === 'string' ? { english: item.description, urdu: '' } : item.description,
+        sku: item.sku.toUpperCase()
+      }, Id, { user, details: 'Product created via bulk import' });
+
+      productsData.push(product);
+      persistVariants(product);
+      recordRevision(null, product, { user, source: 'created', note: 'Imported' });
+      createdProducts.push({ ...product });
+    }
+
+    if (createdProducts.length > 0) {
+      cacheManager.clear('products:all');
+    }
+
+    return {
+      createdProducts,
+      errors,
+      summary: {
+        total: items.length,
+        successful: createdProducts.length,
+        failed: errors.length
+      }
+    };
+  },
+
 // Enhanced create method with comprehensive multilingual validation
   async create(productData) {
     try {
       await new Promise(resolve => setTimeout(resolve, 500));
       // Generate new ID
-      const maxId = Math.max(...productsData.map(p => p.Id || 0), 0);
-      const newId = maxId + 1;
+      const newId = nextProductId();
       
 // Enhanced field mapping from form to expected service fields
       const fieldMapping = {
@@ -1652,44 +3254,14 @@ window.dispatchEvent(new window.CustomEvent('product-cache-invalidate', {
       }
       
       // Create the new product with comprehensive multilingual support
-const newProduct = {
-        ...mappedData,
-        Id: newId,
-        // Ensure multilingual fields are properly structured with fallbacks
-        productName: mappedData.productName || { english: '', urdu: '' },
-        description: mappedData.description || { english: '', urdu: '' },
-        title: mappedData.productName?.english || mappedData.title || '', // Legacy compatibility
-        price: parseFloat(mappedData.price || productData.sellingPrice || productData.price || 0),
-        sellingPrice: parseFloat(mappedData.sellingPrice || mappedData.price || productData.sellingPrice || 0),
-        stock: parseInt(mappedData.stock || mappedData.stockQuantity || 0),
-        stockQuantity: parseInt(mappedData.stock || mappedData.stockQuantity || 0),
-        status: mappedData.status || 'draft',
-        visibility: mappedData.visibility || 'draft',
-        badges: mappedData.badges || [],
-        tags: mappedData.tags || [],
-        images: mappedData.images?.length > 0 ? mappedData.images : ['https://via.placeholder.com/300x300?text=Product+Image'],
-        minOrderQuantity: parseInt(mappedData.minOrderQuantity || 1),
-        maxOrderQuantity: mappedData.maxOrderQuantity ? parseInt(mappedData.maxOrderQuantity) : null,
-        weight: mappedData.weight ? parseFloat(mappedData.weight) : null,
-        dimensions: mappedData.dimensions || null,
-        brand: mappedData.brand || null,
-        barcode: mappedData.barcode || null,
-        metaTitle: mappedData.metaTitle || mappedData.productName?.english || '',
-        metaDescription: mappedData.metaDescription || mappedData.description?.english || '',
-        featured: Boolean(mappedData.featured),
-        createdAt: new Date().toISOString(),
-        lastModified: new Date().toISOString(),
-        version: 1,
-        auditLog: [{
-          action: 'created',
-          timestamp: new Date().toISOString(),
-          user: 'admin',
-          details: 'Product created via multilingual form submission'
-        }]
-      };
+      const newProduct = buildProductRecord(mappedData, newId, {
+        details: 'Product created via multilingual form submission'
+      });
       
       // Add to products array
       productsData.push(newProduct);
+      persistVariants(newProduct);
+      recordRevision(null, newProduct, { user: newProduct.createdBy || 'admin', source: 'created' });
       
       // Clear cache
       cacheManager.clear('products:all');
@@ -0,0 +1,297 @@
+import promotionsData from "@/services/mockData/promotions.json";
+import { storage } from "@/utils/storage";
+import { requirePermission } from "@/utils/permissions";
+import { formatPrice } from "@/utils/currency";
+import { slugify } from "@/services/api/CategoryService";
+
+const PROMOTIONS_STORAGE_KEY = "bazaarpk-promotions";
+
+export const PROMOTION_TYPES = {
+  percentage: "Percentage off",
+  fixed: "Fixed amount off",
+  free_shipping: "Free shipping"
+};
+
+export const PROMOTION_SCOPES = {
+  all: "Whole basket",
+  category: "Specific categories",
+  product: "Specific products"
+};
+
+// Admin-managed coupons survive reloads in localStorage, seeded from the mock data on first use.
+// Category scopes hold category slugs; ones saved with lowercased names are converted on load.
+let promotions = (storage.get(PROMOTIONS_STORAGE_KEY) || promotionsData).map(promotion => ({
+  ...promotion,
+  scope: promotion.scope && { ...promotion.scope, categories: (promotion.scope.categories || []).map(slugify) }
+}));
+
+const persistPromotions = () => {
+  storage.set(PROMOTIONS_STORAGE_KEY, promotions);
+};
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+const normalizeCode = (code) => (code || "").trim().toUpperCase();
+
+const promoError = (message) => {
+  const error = new Error(message);
+  error.code = "INVALID_PROMO";
+  return error;
+};
+
+const findPromotionIndex = (id) => {
+  const index = promotions.findIndex(promotion => promotion.Id === parseInt(id));
+  if (index === -1) {
+    throw new Error(`Promotion with ID ${id} not found`);
+  }
+  return index;
+};
+
+export const getPromotionStatus = (promotion, now = new Date()) => {
+  if (!promotion.active) return "inactive";
+  if (promotion.startsAt && new Date(promotion.startsAt) > now) return "scheduled";
+  if (promotion.endsAt && new Date(promotion.endsAt) < now) return "expired";
+  if (promotion.usageLimit && promotion.usageCount >= promotion.usageLimit) return "exhausted";
+  return "active";
+};
+
+const validatePromotionData = (data) => {
+  const errors = {};
+  const code = normalizeCode(data.code);
+
+  if (!/^[A-Z0-9_-]{3,20}$/.test(code)) {
+    errors.code = "Code must be 3-20 letters, numbers, dashes or underscores";
+  } else if (promotions.some(p => p.code === code && p.Id !== data.Id)) {
+    errors.code = `Code ${code} is already in use`;
+  }
+
+  if (!PROMOTION_TYPES[data.type]) {
+    errors.type = "Choose a promotion type";
+  }
+
+  const value = parseFloat(data.value);
+  if (data.type === "percentage" && (isNaN(value) || value <= 0 || value > 100)) {
+    errors.value = "Percentage must be between 1 and 100";
+  }
+  if (data.type === "fixed" && (isNaN(value) || value <= 0)) {
+    errors.value = "Discount amount must be greater than zero";
+  }
+
+  const scopeType = data.scope?.type || "all";
+  if (scopeType === "category" && !(data.scope.categories || []).length) {
+    errors.scope = "Select at least one category";
+  }
+  if (scopeType === "product" && !(data.scope.productIds || []).length) {
+    errors.scope = "Enter at least one product ID";
+  }
+
+  if (data.startsAt && data.endsAt && new Date(data.startsAt) >= new Date(data.endsAt)) {
+    errors.endsAt = "End date must be after the start date";
+  }
+
+  return { isValid: Object.keys(errors).length === 0, errors };
+};
+
+const sanitizePromotion = (data) => ({
+  code: normalizeCode(data.code),
+  description: (data.description || "").trim(),
+  type: data.type,
+  value: data.type === "free_shipping" ? 0 : parseFloat(data.value),
+  maxDiscount: data.maxDiscount ? parseFloat(data.maxDiscount) : null,
+  minBasket: data.minBasket ? parseFloat(data.minBasket) : 0,
+  scope: {
+    type: data.scope?.type || "all",
+    categories: data.scope?.type === "category" ? (data.scope.categories || []).map(slugify) : [],
+    productIds: data.scope?.type === "product" ? (data.scope.productIds || []).map(id => parseInt(id)).filter(id => !isNaN(id)) : []
+  },
+  usageLimit: data.usageLimit ? parseInt(data.usageLimit) : null,
+  perCustomerLimit: data.perCustomerLimit ? parseInt(data.perCustomerLimit) : null,
+  startsAt: data.startsAt || null,
+  endsAt: data.endsAt || null,
+  stackable: !!data.stackable,
+  active: data.active !== false
+});
+
+const lineInScope = (promotion, line) => {
+  switch (promotion.scope?.type) {
+    case "category":
+      return promotion.scope.categories.includes(slugify(line.category));
+    case "product":
+      return promotion.scope.productIds.includes(line.productId);
+    default:
+      return true;
+  }
+};
+
+// Throws with a shopper-facing message when a promotion cannot be used for this basket
+const assertEligible = (promotion, { subtotal, lines, customerKey }) => {
+  const status = getPromotionStatus(promotion);
+  if (status === "inactive") throw promoError(`Promo code ${promotion.code} is not available`);
+  if (status === "scheduled") throw promoError(`Promo code ${promotion.code} is not active yet`);
+  if (status === "expired") throw promoError(`Promo code ${promotion.code} has expired`);
+  if (status === "exhausted") throw promoError(`Promo code ${promotion.code} has reached its usage limit`);
+
+  if (promotion.minBasket && subtotal < promotion.minBasket) {
+    throw promoError(`Promo code ${promotion.code} requires a minimum basket of ${formatPrice(promotion.minBasket)}`);
+  }
+
+  if (!lines.some(line => lineInScope(promotion, line))) {
+    throw promoError(`Promo code ${promotion.code} does not apply to any item in your cart`);
+  }
+
+  if (promotion.perCustomerLimit && customerKey) {
+    const used = (promotion.redemptions || []).filter(r => r.customerKey === customerKey).length;
+    if (used >= promotion.perCustomerLimit) {
+      throw promoError(`You have already used promo code ${promotion.code}`);
+    }
+  }
+};
+
+export const PromotionService = {
+  getAll: async () => {
+    await new Promise(resolve => setTimeout(resolve, 250));
+    return promotions.map(promotion => ({ ...promotion, status: getPromotionStatus(promotion) }));
+  },
+
+  getById: async (id) => {
+    await new Promise(resolve => setTimeout(resolve, 200));
+    const promotion = promotions[findPromotionIndex(id)];
+    return { ...promotion, status: getPromotionStatus(promotion) };
+  },
+
+  validate: (data) => validatePromotionData(data),
+
+  create: async (promotionData) => {
+    await new Promise(resolve => setTimeout(resolve, 300));
+    await requirePermission("canManageMarketing");
+    const validation = validatePromotionData(promotionData);
+    if (!validation.isValid) {
+      throw new Error(Object.values(validation.errors).join(", "));
+    }
+
+    const newPromotion = {
+      ...sanitizePromotion(promotionData),
+      Id: Math.max(0, ...promotions.map(p => p.Id)) + 1,
+      usageCount: 0,
+      redemptions: [],
+      createdAt: new Date().toISOString()
+    };
+
+    promotions.push(newPromotion);
+    persistPromotions();
+    return { ...newPromotion, status: getPromotionStatus(newPromotion) };
+  },
+
+  update: async (id, updates) => {
+    await new Promise(resolve => setTimeout(resolve, 300));
+    await requirePermission("canManageMarketing");
+    const index = findPromotionIndex(id);
+    const merged = { ...promotions[index], ...updates, Id: promotions[index].Id };
+
+    const validation = validatePromotionData(merged);
+    if (!validation.isValid) {
+      throw new Error(Object.values(validation.errors).join(", "));
+    }
+
+    promotions[index] = {
+      ...promotions[index],
+      ...sanitizePromotion(merged),
+      updatedAt: new Date().toISOString()
+    };
+    persistPromotions();
+    return { ...promotions[index], status: getPromotionStatus(promotions[index]) };
+  },
+
+  delete: async (id) => {
+    await new Promise(resolve => setTimeout(resolve, 300));
+    await requirePermission("canManageMarketing");
+    const index = findPromotionIndex(id);
+    const [deleted] = promotions.splice(index, 1);
+    persistPromotions();
+    return { ...deleted };
+  },
+
+  /**
+   * Work out the discounts for a set of codes against priced basket lines
+   * ({ productId, category, lineTotal }). A non-stackable code cannot be
+   * combined with any other code; free-shipping codes discount shipping only.
+   */
+  calculateDiscounts: async ({ codes = [], lines = [], subtotal = 0, shippingCost = 0, customerKey = null } = {}) => {
+    const uniqueCodes = [...new Set(codes.map(normalizeCode).filter(Boolean))];
+    if (uniqueCodes.length === 0) {
+      return { discount: 0, shippingDiscount: 0, applied: [] };
+    }
+
+    const matched = uniqueCodes.map(code => {
+      const promotion = promotions.find(p => p.code === code);
+      if (!promotion) throw promoError(`Invalid promo code ${code}`);
+      return promotion;
+    });
+
+    if (matched.length > 1) {
+      const exclusive = matched.find(promotion => !promotion.stackable);
+      if (exclusive) {
+        throw promoError(`Promo code ${exclusive.code} cannot be combined with other codes`);
+      }
+      const shippingCodes = matched.filter(promotion => promotion.type === "free_shipping");
+      if (shippingCodes.length > 1) {
+        throw promoError("Only one free shipping code can be used per order");
+      }
+    }
+
+    let remaining = subtotal;
+    let shippingDiscount = 0;
+    const applied = [];
+
+    matched.forEach(promotion => {
+      assertEligible(promotion, { subtotal, lines, customerKey });
+
+      if (promotion.type === "free_shipping") {
+        shippingDiscount = shippingCost;
+        applied.push({ code: promotion.code, type: promotion.type, label: "Free shipping", amount: shippingCost });
+        return;
+      }
+
+      const eligibleTotal = lines
+        .filter(line => lineInScope(promotion, line))
+        .reduce((sum, line) => sum + line.lineTotal, 0);
+
+      let amount = promotion.type === "percentage"
+        ? eligibleTotal * (promotion.value / 100)
+        : Math.min(promotion.value, eligibleTotal);
+
+      if (promotion.maxDiscount) amount = Math.min(amount, promotion.maxDiscount);
+      // Stacked discounts never push the basket below zero
+      amount = roundAmount(Math.min(amount, remaining));
+      remaining -= amount;
+
+      applied.push({
+        code: promotion.code,
+        type: promotion.type,
+        label: promotion.type === "percentage" ? `${promotion.value}% off` : `${formatPrice(promotion.value)} off`,
+        amount
+      });
+    });
+
+    return {
+      discount: roundAmount(subtotal - remaining),
+      shippingDiscount: roundAmount(shippingDiscount),
+      applied
+    };
+  },
+
+  recordRedemption: async (codes, { orderId, customerKey = null }) => {
+    const timestamp = new Date().toISOString();
+    codes.map(normalizeCode).forEach(code => {
+      const index = promotions.findIndex(p => p.code === code);
+      if (index === -1) return;
+
+      promotions[index] = {
+        ...promotions[index],
+        usageCount: (promotions[index].usageCount || 0) + 1,
+        redemptions: [...(promotions[index].redemptions || []), { orderId, customerKey, timestamp }]
+      };
+    });
+    persistPromotions();
+  }
+};
@@ -0,0 +1,328 @@
+import { OrderService, ORDER_STATUSES, getNetOrderValue } from "@/services/api/OrderService";
+import ProductService from "@/services/api/ProductService";
+import { CategoryService, slugify } from "@/services/api/CategoryService";
+import { requirePermission } from "@/utils/permissions";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// `days: null` covers everything since the first order; there is no earlier period to compare with
+export const REPORT_PERIODS = {
+  "7d": { label: "Last 7 Days", days: 7, bucket: "day" },
+  "30d": { label: "Last 30 Days", days: 30, bucket: "day" },
+  "90d": { label: "Last 90 Days", days: 90, bucket: "week" },
+  "1y": { label: "Last Year", days: 365, bucket: "month" },
+  all: { label: "All Time", days: null, bucket: "month" }
+};
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+// Periods are whole days ending with today; the previous period is the same length right before it
+const getPeriodRange = (period, orders, now = new Date()) => {
+  const { days } = REPORT_PERIODS[period];
+  const end = new Date(startOfDay(now).getTime() + DAY_MS);
+
+  if (days === null) {
+    const earliest = orders.reduce((min, order) => Math.min(min, new Date(order.orderDate).getTime()), now.getTime());
+    return { start: startOfDay(earliest), end, previousStart: null, previousEnd: null };
+  }
+
+  const start = new Date(startOfDay(now).getTime() - (days - 1) * DAY_MS);
+  return { start, end, previousStart: new Date(start.getTime() - days * DAY_MS), previousEnd: start };
+};
+
+const inRange = (order, start, end) => {
+  const placed = new Date(order.orderDate);
+  return placed >= start && placed < end;
+};
+
+// Same key checkout uses for per-customer limits: email, falling back to the phone number
+const getCustomerKey = (customer = {}) =>
+  customer.email?.trim().toLowerCase() || (customer.phone || "").replace(/\D/g, "") || null;
+
+const summarize = (orders) => {
+  const counted = orders.filter(order => order.status !== ORDER_STATUSES.CANCELLED);
+  const revenue = roundAmount(orders.reduce((sum, order) => sum + getNetOrderValue(order), 0));
+  const customers = new Set(counted.map(order => getCustomerKey(order.customer)).filter(Boolean));
+
+  return {
+    revenue,
+    orders: counted.length,
+    averageOrderValue: counted.length > 0 ? roundAmount(revenue / counted.length) : 0,
+    customers: customers.size,
+    cancelledOrders: orders.length - counted.length,
+    refunds: roundAmount(orders.reduce((sum, order) => sum + (order.refundedAmount || 0), 0))
+  };
+};
+
+// Growth against the previous period, or null when there is nothing to compare with
+const percentChange = (current, previous) => {
+  if (previous === null || previous === undefined || previous === 0) return null;
+  return Math.round(((current - previous) / previous) * 1000) / 10;
+};
+
+const nextBucket = (date, unit) => {
+  const next = new Date(date);
+  if (unit === "day") next.setDate(next.getDate() + 1);
+  else if (unit === "week") next.setDate(next.getDate() + 7);
+  else next.setMonth(next.getMonth() + 1);
+  return next;
+};
+
+const bucketLabel = (date, unit) =>
+  unit === "month"
+    ? date.toLocaleDateString("en-US", { month: "short", year: "2-digit" })
+    : date.toLocaleDateString("en-US", { month: "short", day: "numeric" });
+
+const buildSalesSeries = (orders, start, end, unit) => {
+  let cursor = unit === "month" ? new Date(start.getFullYear(), start.getMonth(), 1) : new Date(start);
+  const buckets = [];
+  while (cursor < end) {
+    const bucketEnd = nextBucket(cursor, unit);
+    const bucketOrders = orders.filter(order => inRange(order, cursor, bucketEnd));
+    const { revenue, orders: orderCount } = summarize(bucketOrders);
+    buckets.push({ label: bucketLabel(cursor, unit), revenue, orders: orderCount });
+    cursor = bucketEnd;
+  }
+
+  return {
+    labels: buckets.map(bucket => bucket.label),
+    revenue: buckets.map(bucket => bucket.revenue),
+    orders: buckets.map(bucket => bucket.orders)
+  };
+};
+
+// Line revenue is the item price times quantity, before order-level discounts and shipping
+const aggregateItems = (orders, productsById) => {
+  const products = {};
+  orders
+    .filter(order => order.status !== ORDER_STATUSES.CANCELLED)
+    .forEach(order => {
+      const seenInOrder = new Set();
+      order.items.forEach(item => {
+        const product = productsById[item.productId];
+        const entry = products[item.productId] || (products[item.productId] = {
+          productId: item.productId,
+          name: product?.title || item.title,
+          category: (product?.category || "").toLowerCase(),
+          units: 0,
+          orders: 0,
+          revenue: 0
+        });
+        entry.units += item.quantity;
+        entry.revenue = roundAmount(entry.revenue + item.price * item.quantity);
+        if (!seenInOrder.has(item.productId)) {
+          entry.orders += 1;
+          seenInOrder.add(item.productId);
+        }
+      });
+    });
+  return Object.values(products);
+};
+
+// Products carry their category's lowercased name, so rows are grouped and named by its slug
+const aggregateCategories = (productRows, categoryNames) => {
+  const categories = {};
+  productRows.forEach(row => {
+    const slug = slugify(row.category) || "uncategorized";
+    const entry = categories[slug] || (categories[slug] = {
+      slug,
+      name: categoryNames[slug] || (row.category ? row.category.charAt(0).toUpperCase() + row.category.slice(1) : "Uncategorized"),
+      units: 0,
+      revenue: 0
+    });
+    entry.units += row.units;
+    entry.revenue = roundAmount(entry.revenue + row.revenue);
+  });
+
+  const total = Object.values(categories).reduce((sum, category) => sum + category.revenue, 0);
+  return Object.values(categories)
+    .map(category => ({ ...category, share: total > 0 ? Math.round((category.revenue / total) * 1000) / 10 : 0 }))
+    .sort((a, b) => b.revenue - a.revenue);
+};
+
+const STATUS_ACTIVITY = {
+  pending: "placed",
+  confirmed: "confirmed",
+  processing: "is being packed",
+  shipped: "shipped",
+  delivered: "delivered",
+  cancelled: "cancelled",
+  returned: "returned",
+  refunded: "refunded"
+};
+
+// Status changes and refunds, newest first; orders from before status history was kept count as placed
+const buildActivity = (orders, start, end, limit) => {
+  const events = orders.flatMap(order => {
+    const history = order.statusHistory?.length
+      ? order.statusHistory
+      : [{ to: ORDER_STATUSES.PENDING, timestamp: order.orderDate }];
+
+    const statusEvents = history.map(entry => ({
+      type: entry.to === ORDER_STATUSES.PENDING ? "order" : "status",
+      status: entry.to,
+      orderId: order.Id,
+      message: entry.to === ORDER_STATUSES.PENDING
+        ? `Order ${order.orderNumber} placed by ${order.customer?.name || "a customer"}`
+        : `Order ${order.orderNumber} ${STATUS_ACTIVITY[entry.to] || entry.to}`,
+      timestamp: entry.timestamp
+    }));
+
+    const refundEvents = (order.refunds || []).map(refund => ({
+      type: "refund",
+      orderId: order.Id,
+      amount: refund.amount,
+      message: `Refund on order ${order.orderNumber}`,
+      timestamp: refund.timestamp
+    }));
+
+    return [...statusEvents, ...refundEvents];
+  });
+
+  return events
+    .filter(event => {
+      const at = new Date(event.timestamp);
+      return at >= start && at < end;
+    })
+    .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
+    .slice(0, limit);
+};
+
+const SUMMARY_METRICS = [
+  { key: "revenue", label: "Revenue", type: "currency" },
+  { key: "orders", label: "Orders", type: "number" },
+  { key: "averageOrderValue", label: "Average order value", type: "currency" },
+  { key: "customers", label: "Customers", type: "number" },
+  { key: "cancelledOrders", label: "Cancelled orders", type: "number" },
+  { key: "refunds", label: "Refunds", type: "currency" }
+];
+
+// The report as plain tables for the CSV, spreadsheet and print exports (see utils/export)
+export const getReportTables = (report) => [
+  {
+    name: "Summary",
+    columns: [
+      { key: "metric", label: "Metric" },
+      { key: "current", label: "This period", type: (row) => row.type },
+      { key: "previous", label: "Previous period", type: (row) => row.type },
+      { key: "change", label: "Change %", type: "percent" }
+    ],
+    // Value columns mix amounts and counts, so each row carries its own type for printing
+    rows: SUMMARY_METRICS.map(({ key, label, type }) => ({
+      metric: label,
+      current: report.summary[key],
+      previous: report.previous ? report.previous[key] : null,
+      change: report.growth[key] ?? null,
+      type
+    }))
+  },
+  {
+    name: "Sales over time",
+    columns: [
+      { key: "label", label: "Period" },
+      { key: "revenue", label: "Revenue", type: "currency" },
+      { key: "orders", label: "Orders", type: "number" }
+    ],
+    rows: report.salesSeries.labels.map((label, index) => ({
+      label,
+      revenue: report.salesSeries.revenue[index],
+      orders: report.salesSeries.orders[index]
+    }))
+  },
+  {
+    name: "Top products",
+    columns: [
+      { key: "rank", label: "Rank", type: "number" },
+      { key: "productId", label: "Product ID", type: "number" },
+      { key: "name", label: "Product" },
+      { key: "category", label: "Category" },
+      { key: "units", label: "Units sold", type: "number" },
+      { key: "orders", label: "Orders", type: "number" },
+      { key: "revenue", label: "Revenue", type: "currency" }
+    ],
+    rows: report.topProducts.map((product, index) => ({ ...product, rank: index + 1 }))
+  },
+  {
+    name: "Top categories",
+    columns: [
+      { key: "name", label: "Category" },
+      { key: "units", label: "Units sold", type: "number" },
+      { key: "revenue", label: "Revenue", type: "currency" },
+      { key: "share", label: "Share of sales %", type: "percent" }
+    ],
+    rows: report.topCategories
+  },
+  {
+    name: "Orders by status",
+    columns: [
+      { key: "status", label: "Status" },
+      { key: "count", label: "Orders", type: "number" }
+    ],
+    rows: report.statusBreakdown
+  },
+  {
+    name: "Activity",
+    columns: [
+      { key: "timestamp", label: "Time", type: "datetime" },
+      { key: "message", label: "Event" },
+      { key: "amount", label: "Amount", type: "currency" }
+    ],
+    rows: report.recentActivity
+  }
+];
+
+export const ReportService = {
+  // Sales figures for the period, aggregated from the stored orders and the current catalogue
+  getSalesReport: async (period = "30d", { topLimit = 5, activityLimit = 8, now = new Date() } = {}) => {
+    await requirePermission("canViewReports");
+    if (!REPORT_PERIODS[period]) {
+      throw new Error(`Unknown report period: ${period}`);
+    }
+
+    const [orders, products, categories] = await Promise.all([
+      OrderService.getAll(),
+      ProductService.getAll(),
+      CategoryService.getAll()
+    ]);
+
+    const { start, end, previousStart, previousEnd } = getPeriodRange(period, orders, now);
+    const currentOrders = orders.filter(order => inRange(order, start, end));
+    const previousOrders = previousStart ? orders.filter(order => inRange(order, previousStart, previousEnd)) : null;
+
+    const summary = summarize(currentOrders);
+    const previous = previousOrders ? summarize(previousOrders) : null;
+
+    const productsById = Object.fromEntries(products.map(product => [product.Id, product]));
+    const categoryNames = Object.fromEntries(categories.map(category => [slugify(category.slug), category.name]));
+    const productRows = aggregateItems(currentOrders, productsById);
+
+    const statusBreakdown = Object.values(ORDER_STATUSES)
+      .map(status => ({ status, count: currentOrders.filter(order => order.status === status).length }))
+      .filter(row => row.count > 0);
+
+    return {
+      period,
+      range: { start: start.toISOString(), end: now.toISOString() },
+      previousRange: previousStart ? { start: previousStart.toISOString(), end: previousEnd.toISOString() } : null,
+      summary,
+      previous,
+      growth: {
+        revenue: percentChange(summary.revenue, previous?.revenue),
+        orders: percentChange(summary.orders, previous?.orders),
+        averageOrderValue: percentChange(summary.averageOrderValue, previous?.averageOrderValue),
+        customers: percentChange(summary.customers, previous?.customers)
+      },
+      topProducts: [...productRows].sort((a, b) => b.revenue - a.revenue).slice(0, topLimit),
+      topCategories: aggregateCategories(productRows, categoryNames).slice(0, topLimit),
+      statusBreakdown,
+      salesSeries: buildSalesSeries(currentOrders, start, end, REPORT_PERIODS[period].bucket),
+      recentActivity: buildActivity(orders, start, end, activityLimit)
+    };
+  }
+};
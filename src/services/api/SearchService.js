@@ -0,0 +1,122 @@
+import ProductService, { rankProductsBySearch } from "@/services/api/ProductService";
+import { CategoryService } from "@/services/api/CategoryService";
+import { RecipeBundleService } from "@/services/api/RecipeBundleService";
+import { createSearchIndex } from "@/utils/searchIndex";
+import { storage } from "@/utils/storage";
+
+const RECENT_SEARCHES_STORAGE_KEY = "bazaarpk-recent-searches";
+export const MAX_RECENT_SEARCHES = 8;
+
+// How many of each kind of suggestion the search dropdown shows
+export const SUGGESTION_LIMITS = { products: 5, categories: 3, bundles: 3, recent: 5 };
+
+// Categories and bundles are few, so their indexes are simply re-synced on every lookup;
+// unchanged entries are skipped by the index itself
+const categoryIndex = createSearchIndex({ name: 3, slug: 1, keywords: 1 });
+const bundleIndex = createSearchIndex({ name: 3, category: 1, ingredients: 1, description: 0.5 });
+
+const syncIndex = (index, items, toDocument) => {
+  const liveIds = new Set(items.map(item => item.Id));
+  items.forEach(item => index.add(item.Id, toDocument(item)));
+  index.ids().filter(id => !liveIds.has(id)).forEach(id => index.remove(id));
+};
+
+const rankByIndex = (index, items, query, limit) => {
+  const byId = new Map(items.map(item => [item.Id, item]));
+  return index.search(query, { limit }).map(result => byId.get(result.id)).filter(Boolean);
+};
+
+const normalizeQuery = (query) => String(query ?? "").trim().replace(/\s+/g, " ");
+
+const readRecentSearches = () => {
+  const recent = storage.get(RECENT_SEARCHES_STORAGE_KEY);
+  return Array.isArray(recent) ? recent : [];
+};
+
+export const SearchService = {
+  // Products, categories, recipe bundles and recent searches for the search dropdown. With an
+  // empty query only recent searches are returned.
+  getSuggestions: async (query, { limits = SUGGESTION_LIMITS } = {}) => {
+    const text = normalizeQuery(query);
+    const lowered = text.toLowerCase();
+    const recent = readRecentSearches()
+      .filter(entry => !lowered || (entry.toLowerCase().startsWith(lowered) && entry.toLowerCase() !== lowered))
+      .slice(0, limits.recent);
+
+    if (!text) {
+      return { query: text, products: [], categories: [], bundles: [], recent };
+    }
+
+    const [products, categories, bundles] = await Promise.all([
+      ProductService.getAll(),
+      CategoryService.getAll(),
+      RecipeBundleService.getAll()
+    ]);
+
+    // Shoppers only ever see published products
+    const visibleProducts = products.filter(product => product.visibility !== "draft");
+    const matchingProducts = rankProductsBySearch(visibleProducts, text).slice(0, limits.products);
+
+    syncIndex(categoryIndex, categories, category => ({
+      name: category.name,
+      slug: category.slug.replace(/-/g, " "),
+      keywords: category.seo?.keywords || []
+    }));
+    syncIndex(bundleIndex, bundles, bundle => ({
+      name: bundle.name,
+      category: bundle.category || "",
+      ingredients: (bundle.products || []).map(item => item.product?.title || ""),
+      description: bundle.description || ""
+    }));
+
+    return {
+      query: text,
+      products: matchingProducts.map(product => ({
+        Id: product.Id,
+        title: product.title,
+        price: product.price,
+        oldPrice: product.oldPrice,
+        image: product.images?.[0] || null,
+        category: product.category
+      })),
+      categories: rankByIndex(categoryIndex, categories, text, limits.categories).map(category => ({
+        Id: category.Id,
+        name: category.name,
+        slug: category.slug,
+        productCount: category.totalProductCount ?? category.productCount ?? 0
+      })),
+      bundles: rankByIndex(bundleIndex, bundles, text, limits.bundles).map(bundle => ({
+        Id: bundle.Id,
+        name: bundle.name,
+        image: bundle.image || null,
+        itemCount: (bundle.products || []).length
+      })),
+      recent
+    };
+  },
+
+  // Most recent first, without duplicates (case-insensitive)
+  getRecentSearches: () => readRecentSearches(),
+
+  addRecentSearch: (query) => {
+    const text = normalizeQuery(query);
+    if (!text) return readRecentSearches();
+    const recent = [
+      text,
+      ...readRecentSearches().filter(entry => entry.toLowerCase() !== text.toLowerCase())
+    ].slice(0, MAX_RECENT_SEARCHES);
+    storage.set(RECENT_SEARCHES_STORAGE_KEY, recent);
+    return recent;
+  },
+
+  removeRecentSearch: (query) => {
+    const recent = readRecentSearches().filter(entry => entry.toLowerCase() !== normalizeQuery(query).toLowerCase());
+    storage.set(RECENT_SEARCHES_STORAGE_KEY, recent);
+    return recent;
+  },
+
+  clearRecentSearches: () => {
+    storage.set(RECENT_SEARCHES_STORAGE_KEY, []);
+    return [];
+  }
+};
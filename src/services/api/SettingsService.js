@@ -0,0 +1,262 @@
+import { storage } from "@/utils/storage";
+import { requirePermission } from "@/utils/permissions";
+
+export const SETTINGS_STORAGE_KEY = "bazaarpk-settings";
+const SETTINGS_HISTORY_STORAGE_KEY = "bazaarpk-settings-history";
+const MAX_HISTORY = 20;
+
+export const SETTINGS_CHANGE_EVENT = "settings-change";
+
+// Defaults match the values that used to be hard-coded across the app
+export const DEFAULT_SETTINGS = {
+  store: {
+    name: "BazaarPK",
+    tagline: "Your trusted online marketplace for fresh, organic, and quality products across Pakistan.",
+    email: "support@bazaarpk.com",
+    phone: "+92-300-0000000",
+    whatsapp: "",
+    address: ""
+  },
+  shipping: {
+    freeShippingThreshold: 1000,
+    standardShippingCost: 150,
+    giftWrappingCost: 50
+  },
+  tax: {
+    enabled: false,
+    // Shelf prices already include tax, so it is shown on the receipt but not added on top
+    pricesIncludeTax: true,
+    label: "GST",
+    defaultRate: 17,
+    categoryRates: {}
+  },
+  currency: {
+    code: "PKR",
+    symbol: "Rs",
+    locale: "en-PK"
+  },
+  cache: {
+    productsTtlMinutes: 5,
+    categoriesTtlMinutes: 10,
+    featuredTtlMinutes: 15,
+    locationTtlMinutes: 60,
+    defaultTtlMinutes: 5
+  },
+  catalog: {
+    trashRetentionDays: 30,
+    undoWindowSeconds: 10
+  },
+  features: {
+    webSocket: import.meta.env.VITE_DISABLE_WEBSOCKET !== "true",
+    giftWrapping: true,
+    customerRegistration: true
+  }
+};
+
+export const SETTINGS_SECTIONS = {
+  store: "Store",
+  shipping: "Shipping",
+  tax: "Tax",
+  currency: "Currency",
+  cache: "Caching",
+  catalog: "Catalog",
+  features: "Features"
+};
+
+// Stored settings are layered over the defaults so keys added later still get a value
+const mergeWithDefaults = (stored = {}) =>
+  Object.keys(DEFAULT_SETTINGS).reduce((merged, section) => ({
+    ...merged,
+    [section]: { ...DEFAULT_SETTINGS[section], ...(stored[section] || {}) }
+  }), {});
+
+const loadStoredSettings = () => {
+  const stored = storage.get(SETTINGS_STORAGE_KEY);
+  return {
+    version: stored?.version || 1,
+    updatedAt: stored?.updatedAt || null,
+    updatedBy: stored?.updatedBy || null,
+    note: stored?.note || "",
+    changes: stored?.changes || [],
+    settings: mergeWithDefaults(stored?.settings)
+  };
+};
+
+// Settings survive reloads in localStorage; every save becomes a new version
+let current = loadStoredSettings();
+let history = storage.get(SETTINGS_HISTORY_STORAGE_KEY) || [];
+
+const clone = (value) => JSON.parse(JSON.stringify(value));
+
+const persistSettings = () => {
+  storage.set(SETTINGS_STORAGE_KEY, current);
+  storage.set(SETTINGS_HISTORY_STORAGE_KEY, history);
+};
+
+const notifySettingsChange = () => {
+  if (typeof window !== "undefined" && window.CustomEvent) {
+    window.dispatchEvent(new window.CustomEvent(SETTINGS_CHANGE_EVENT, {
+      detail: { version: current.version }
+    }));
+  }
+};
+
+const isNonNegativeNumber = (value) => typeof value === "number" && !isNaN(value) && value >= 0;
+
+const validateSettings = (settings) => {
+  const errors = {};
+  const { store, shipping, tax, currency, cache, catalog } = settings;
+
+  if (!store.name || !store.name.trim()) {
+    errors["store.name"] = "Store name is required";
+  }
+  if (store.email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(store.email)) {
+    errors["store.email"] = "Enter a valid email address";
+  }
+  if (store.whatsapp && !/^\d{10,15}$/.test(store.whatsapp)) {
+    errors["store.whatsapp"] = "WhatsApp number must be digits only, with country code (e.g. 923001234567)";
+  }
+
+  ["freeShippingThreshold", "standardShippingCost", "giftWrappingCost"].forEach(key => {
+    if (!isNonNegativeNumber(shipping[key])) {
+      errors[`shipping.${key}`] = "Must be zero or more";
+    }
+  });
+
+  const rates = [["defaultRate", tax.defaultRate], ...Object.entries(tax.categoryRates || {})];
+  rates.forEach(([key, rate]) => {
+    if (!isNonNegativeNumber(rate) || rate > 100) {
+      errors[key === "defaultRate" ? "tax.defaultRate" : `tax.categoryRates.${key}`] = "Tax rate must be between 0 and 100";
+    }
+  });
+
+  if (!/^[A-Z]{3}$/.test(currency.code || "")) {
+    errors["currency.code"] = "Use a three-letter ISO code such as PKR";
+  }
+  if (!currency.symbol || !currency.symbol.trim()) {
+    errors["currency.symbol"] = "Currency symbol is required";
+  }
+  try {
+    (0).toLocaleString(currency.locale);
+  } catch {
+    errors["currency.locale"] = "Unknown locale";
+  }
+
+  Object.entries(cache).forEach(([key, minutes]) => {
+    if (!isNonNegativeNumber(minutes) || minutes < 1 || minutes > 24 * 60) {
+      errors[`cache.${key}`] = "Cache lifetime must be between 1 and 1440 minutes";
+    }
+  });
+
+  if (!Number.isInteger(catalog.trashRetentionDays) || catalog.trashRetentionDays < 1 || catalog.trashRetentionDays > 365) {
+    errors["catalog.trashRetentionDays"] = "Keep deleted products for 1 to 365 days";
+  }
+  if (!isNonNegativeNumber(catalog.undoWindowSeconds) || catalog.undoWindowSeconds < 3 || catalog.undoWindowSeconds > 60) {
+    errors["catalog.undoWindowSeconds"] = "The undo window must be between 3 and 60 seconds";
+  }
+
+  return { isValid: Object.keys(errors).length === 0, errors };
+};
+
+// Dotted paths of every value that differs, for the version history
+const diffSettings = (before, after) => {
+  const changes = [];
+  Object.keys(after).forEach(section => {
+    const keys = new Set([...Object.keys(before[section] || {}), ...Object.keys(after[section] || {})]);
+    keys.forEach(key => {
+      if (JSON.stringify(before[section]?.[key]) !== JSON.stringify(after[section]?.[key])) {
+        changes.push(`${section}.${key}`);
+      }
+    });
+  });
+  return changes;
+};
+
+const commitSettings = (next, { user = "system", note = "" } = {}) => {
+  const changes = diffSettings(current.settings, next);
+  if (changes.length === 0) {
+    return { ...clone(current), changes };
+  }
+
+  // The outgoing version goes into history so it can be restored later
+  history = [
+    { version: current.version, settings: clone(current.settings), updatedAt: current.updatedAt, updatedBy: current.updatedBy, note: current.note },
+    ...history
+  ].slice(0, MAX_HISTORY);
+
+  current = {
+    version: current.version + 1,
+    updatedAt: new Date().toISOString(),
+    updatedBy: user,
+    note: note.trim(),
+    changes,
+    settings: next
+  };
+
+  persistSettings();
+  notifySettingsChange();
+  return clone(current);
+};
+
+// Synchronous read for utilities (price formatting, cache lifetimes) that cannot await
+export const getSettings = () => current.settings;
+
+export const SettingsService = {
+  get: async () => {
+    await new Promise(resolve => setTimeout(resolve, 150));
+    return clone(current);
+  },
+
+  validate: (settings) => validateSettings(mergeWithDefaults(settings)),
+
+  // Saves a new version. `changes` may hold whole or partial sections.
+  update: async (changes, { user, note } = {}) => {
+    await new Promise(resolve => setTimeout(resolve, 300));
+    await requirePermission("canManageSettings");
+
+    const next = mergeWithDefaults(Object.keys(DEFAULT_SETTINGS).reduce((merged, section) => ({
+      ...merged,
+      [section]: { ...current.settings[section], ...(changes?.[section] || {}) }
+    }), {}));
+
+    const validation = validateSettings(next);
+    if (!validation.isValid) {
+      const error = new Error(Object.values(validation.errors).join(", "));
+      error.validationErrors = validation.errors;
+      throw error;
+    }
+
+    return commitSettings(next, { user, note });
+  },
+
+  // Picks up a save made in another tab
+  reload: () => {
+    current = loadStoredSettings();
+    history = storage.get(SETTINGS_HISTORY_STORAGE_KEY) || [];
+    return clone(current);
+  },
+
+  getHistory: async () => {
+    await new Promise(resolve => setTimeout(resolve, 150));
+    return clone(history);
+  },
+
+  // Restoring saves the old values as a new version, so the restore itself can be undone
+  restoreVersion: async (version, { user } = {}) => {
+    await new Promise(resolve => setTimeout(resolve, 300));
+    await requirePermission("canManageSettings");
+
+    const entry = history.find(item => item.version === parseInt(version));
+    if (!entry) {
+      throw new Error(`Settings version ${version} not found`);
+    }
+    return commitSettings(mergeWithDefaults(entry.settings), { user, note: `Restored version ${entry.version}` });
+  },
+
+  resetSection: async (section, { user } = {}) => {
+    if (!DEFAULT_SETTINGS[section]) {
+      throw new Error(`Unknown settings section: ${section}`);
+    }
+    return SettingsService.update({ [section]: clone(DEFAULT_SETTINGS[section]) }, { user, note: `Reset ${SETTINGS_SECTIONS[section]} to defaults` });
+  }
+};
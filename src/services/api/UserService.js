@@ -0,0 +1,176 @@
+import usersData from "@/services/mockData/users.json";
+import { storage } from "@/utils/storage";
+import { sanitizeEmail } from "@/utils/security";
+import { requirePermission } from "@/utils/permissions";
+
+const USERS_STORAGE_KEY = "bazaarpk-users";
+
+export const USER_ROLES = {
+  admin: "Admin",
+  moderator: "Moderator"
+};
+
+// Every role above is a staff role with access to /admin
+export const STAFF_ROLES = Object.keys(USER_ROLES);
+
+// Staff accounts survive reloads in localStorage, seeded from the mock data on first use
+let users = storage.get(USERS_STORAGE_KEY) || usersData.map(user => ({ ...user }));
+
+const persistUsers = () => {
+  storage.set(USERS_STORAGE_KEY, users);
+};
+
+const normalizeEmail = (email) => sanitizeEmail(email || "");
+
+// Credentials never leave the service
+const toPublicUser = ({ passwordHash, passwordSalt, ...user }) => ({ ...user });
+
+const findUserIndex = (id) => {
+  const index = users.findIndex(user => user.Id === parseInt(id));
+  if (index === -1) {
+    throw new Error(`User with ID ${id} not found`);
+  }
+  return index;
+};
+
+export const hashPassword = async (password, salt) => {
+  const bytes = new TextEncoder().encode(`${salt}:${password}`);
+  const digest = await crypto.subtle.digest("SHA-256", bytes);
+  return Array.from(new Uint8Array(digest)).map(b => b.toString(16).padStart(2, "0")).join("");
+};
+
+const createSalt = () => Math.random().toString(16).slice(2, 10).padEnd(8, "0");
+
+const validatePassword = (password) => {
+  if (!password || password.length < 8) {
+    return "Password must be at least 8 characters";
+  }
+  if (!/[A-Za-z]/.test(password) || !/[0-9]/.test(password)) {
+    return "Password must contain letters and numbers";
+  }
+  return null;
+};
+
+const validateUserData = (data, existingId = null) => {
+  const errors = {};
+  const email = normalizeEmail(data.email);
+
+  if (!data.name || data.name.trim().length < 2) {
+    errors.name = "Name must be at least 2 characters";
+  }
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+    errors.email = "Enter a valid email address";
+  } else if (users.some(user => user.email === email && user.Id !== existingId)) {
+    errors.email = `${email} is already registered`;
+  }
+  if (!USER_ROLES[data.role]) {
+    errors.role = "Choose a role";
+  }
+  if (!existingId || data.password) {
+    const passwordError = validatePassword(data.password);
+    if (passwordError) errors.password = passwordError;
+  }
+
+  return { isValid: Object.keys(errors).length === 0, errors };
+};
+
+export const UserService = {
+  getAll: async () => {
+    await new Promise(resolve => setTimeout(resolve, 300));
+    return users.map(toPublicUser);
+  },
+
+  getById: async (id) => {
+    await new Promise(resolve => setTimeout(resolve, 150));
+    const user = users.find(u => u.Id === parseInt(id));
+    return user ? toPublicUser(user) : null;
+  },
+
+  validate: (data, existingId = null) => validateUserData(data, existingId),
+
+  create: async (userData) => {
+    await new Promise(resolve => setTimeout(resolve, 400));
+    await requirePermission("canManageUsers");
+    const validation = validateUserData(userData);
+    if (!validation.isValid) {
+      throw new Error(Object.values(validation.errors).join(", "));
+    }
+
+    const passwordSalt = createSalt();
+    const newUser = {
+      Id: Math.max(0, ...users.map(u => u.Id)) + 1,
+      name: userData.name.trim(),
+      email: normalizeEmail(userData.email),
+      role: userData.role,
+      status: "active",
+      lastLogin: null,
+      permissions: { ...(userData.permissions || {}) },
+      passwordSalt,
+      passwordHash: await hashPassword(userData.password, passwordSalt),
+      createdAt: new Date().toISOString()
+    };
+
+    users.push(newUser);
+    persistUsers();
+    return toPublicUser(newUser);
+  },
+
+  // A password in the updates replaces the current one; omit it to keep the old password
+  update: async (id, updates) => {
+    await new Promise(resolve => setTimeout(resolve, 350));
+    await requirePermission("canManageUsers");
+    const index = findUserIndex(id);
+    const current = users[index];
+    const merged = { ...current, ...updates };
+
+    const validation = validateUserData(merged, current.Id);
+    if (!validation.isValid) {
+      throw new Error(Object.values(validation.errors).join(", "));
+    }
+
+    const { password, passwordHash, passwordSalt, Id, ...safeUpdates } = updates;
+    const next = {
+      ...current,
+      ...safeUpdates,
+      email: normalizeEmail(merged.email),
+      permissions: { ...current.permissions, ...(updates.permissions || {}) },
+      updatedAt: new Date().toISOString()
+    };
+
+    if (password) {
+      next.passwordSalt = createSalt();
+      next.passwordHash = await hashPassword(password, next.passwordSalt);
+    }
+
+    users[index] = next;
+    persistUsers();
+    return toPublicUser(next);
+  },
+
+  setStatus: async (id, status) => {
+    await new Promise(resolve => setTimeout(resolve, 250));
+    await requirePermission("canManageUsers");
+    if (!["active", "inactive"].includes(status)) {
+      throw new Error(`Invalid user status: ${status}`);
+    }
+    const index = findUserIndex(id);
+    users[index] = { ...users[index], status, updatedAt: new Date().toISOString() };
+    persistUsers();
+    return toPublicUser(users[index]);
+  },
+
+  // Used by AuthService only: returns the public user when the email/password pair matches
+  verifyCredentials: async (email, password) => {
+    const user = users.find(u => u.email === normalizeEmail(email));
+    if (!user) return null;
+    const hash = await hashPassword(password || "", user.passwordSalt);
+    return hash === user.passwordHash ? toPublicUser(user) : null;
+  },
+
+  recordLogin: (id) => {
+    const index = findUserIndex(id);
+    users[index] = { ...users[index], lastLogin: new Date().toISOString() };
+    persistUsers();
+    return toPublicUser(users[index]);
+  }
+};
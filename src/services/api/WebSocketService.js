@@ -1,5 +1,6 @@
 import React from "react";
 import { Error } from "@/components/ui/Error";
+import { getSettings } from "@/services/api/SettingsService";
 /**
  * WebSocketService - Manages WebSocket connections with reconnection logic
  */
@@ -76,7 +77,7 @@ class WebSocketService {
    */
 async connect(url) {
     // Check if WebSocket is disabled via environment variable
-    const isWebSocketDisabled = import.meta.env.VITE_DISABLE_WEBSOCKET === 'true';
+    const isWebSocketDisabled = import.meta.env.VITE_DISABLE_WEBSOCKET === 'true' || !getSettings().features.webSocket;
     
     if (isWebSocketDisabled) {
       const error = new Error('WebSocket disabled - app working offline (all features available)');
@@ -146,7 +147,7 @@ async connect(url) {
 return new Promise((resolve, reject) => {
       try {
         // Check if WebSocket is disabled via environment
-        const isWebSocketDisabled = import.meta.env.VITE_DISABLE_WEBSOCKET === 'true';
+        const isWebSocketDisabled = import.meta.env.VITE_DISABLE_WEBSOCKET === 'true' || !getSettings().features.webSocket;
         if (isWebSocketDisabled) {
           reject({
             message: 'WebSocket disabled via configuration - app working offline',
@@ -282,7 +283,7 @@ this.ws.onclose = (event) => {
           
           // Enhanced development detection and WebSocket disable support
           const isDev = import.meta.env.MODE === 'development' || import.meta.env.DEV;
-          const isWebSocketDisabled = import.meta.env.VITE_DISABLE_WEBSOCKET === 'true';
+          const isWebSocketDisabled = import.meta.env.VITE_DISABLE_WEBSOCKET === 'true' || !getSettings().features.webSocket;
           const wsUrl = this.url || this.getWebSocketUrl();
           const isLocalhostFailure = wsUrl.includes('localhost') || wsUrl.includes('127.0.0.1');
           const wsState = this.ws?.readyState ?? 3;
@@ -4,6 +4,8 @@
  * Uses browser storage for caching with automatic invalidation
  */
 
+import { getSettings } from '@/services/api/SettingsService';
+
 const CACHE_PREFIX = 'bazaar_cache_';
 const CACHE_KEYS = {
   HOMEPAGE_PRODUCTS: 'homepage_products',
@@ -15,12 +17,15 @@ const CACHE_KEYS = {
   USER_LOCATION: 'user_location'
 };
 
+// Lifetimes are read from the cache settings on every access so admin changes apply immediately
+const minutesSetting = (key) => getSettings().cache[key] * 60 * 1000;
+
 const CACHE_EXPIRY = {
-  PRODUCTS: 5 * 60 * 1000, // 5 minutes
-  CATEGORIES: 10 * 60 * 1000, // 10 minutes
-  LOCATION: 60 * 60 * 1000, // 1 hour
-  FEATURED: 15 * 60 * 1000, // 15 minutes
-  DEFAULT: 5 * 60 * 1000 // 5 minutes default
+  get PRODUCTS() { return minutesSetting('productsTtlMinutes'); },
+  get CATEGORIES() { return minutesSetting('categoriesTtlMinutes'); },
+  get LOCATION() { return minutesSetting('locationTtlMinutes'); },
+  get FEATURED() { return minutesSetting('featuredTtlMinutes'); },
+  get DEFAULT() { return minutesSetting('defaultTtlMinutes'); }
 };
 
 class CacheManager {
@@ -1,6 +1,10 @@
+import { getSettings } from "@/services/api/SettingsService";
+
+// Symbol and number format come from the currency settings (Rs / en-PK by default)
 export const formatPrice = (price) => {
-  if (typeof price !== "number") return "Rs 0";
-  return `Rs ${price.toLocaleString("en-PK")}`;
+  const { symbol, locale } = getSettings().currency;
+  if (typeof price !== "number") return `${symbol} 0`;
+  return `${symbol} ${price.toLocaleString(locale)}`;
 };
 
 export const calculateDiscount = (originalPrice, discountedPrice) => {
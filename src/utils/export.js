@@ -0,0 +1,177 @@
+import { formatPrice } from "@/utils/currency";
+
+/**
+ * Export helpers for tabular data: CSV, an Excel-compatible spreadsheet and a printable view.
+ * A table is { name, columns: [{ key, label, type }], rows: [{ [key]: value }] } where `type`
+ * is "text" (default), "number", "currency", "percent", "date" or "datetime", or a function of the row
+ * returning one of those for columns that mix kinds of value.
+ */
+
+// Spreadsheet apps run cells starting with these as formulas, so text values get a leading quote
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const escapeHtml = (value) =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+const isEmpty = (value) => value === null || value === undefined || (typeof value === "number" && isNaN(value));
+
+// Human-readable value for the print view; files keep raw numbers so they stay sortable
+export const formatCell = (value, type = "text") => {
+  if (isEmpty(value)) return "—";
+  switch (type) {
+    case "currency":
+      return formatPrice(value);
+    case "percent":
+      return `${value}%`;
+    case "number":
+      return Number(value).toLocaleString();
+    case "date":
+      return new Date(value).toLocaleDateString();
+    case "datetime":
+      return new Date(value).toLocaleString();
+    default:
+      return String(value);
+  }
+};
+
+const csvCell = (value) => {
+  if (isEmpty(value)) return "";
+  if (typeof value === "number") return String(value);
+  let text = String(value);
+  if (FORMULA_PREFIX.test(text)) text = `'${text}`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const toCsv = ({ columns, rows }) =>
+  [
+    columns.map(column => csvCell(column.label)).join(","),
+    ...rows.map(row => columns.map(column => csvCell(row[column.key])).join(","))
+  ].join("\r\n");
+
+// Excel limits sheet names to 31 characters and forbids a few punctuation marks
+const sheetName = (name, index) =>
+  (String(name || `Sheet ${index + 1}`).replace(/[[\]:*?/\\]/g, " ").trim() || `Sheet ${index + 1}`).slice(0, 31);
+
+const spreadsheetCell = (value, style) => {
+  const styleAttr = style ? ` ss:StyleID="${style}"` : "";
+  if (isEmpty(value)) return `<Cell${styleAttr}/>`;
+  if (typeof value === "number") {
+    return `<Cell${styleAttr}><Data ss:Type="Number">${value}</Data></Cell>`;
+  }
+  return `<Cell${styleAttr}><Data ss:Type="String">${escapeHtml(value)}</Data></Cell>`;
+};
+
+// SpreadsheetML 2003: one worksheet per table, opened by Excel, LibreOffice and Google Sheets
+export const toSpreadsheetXml = (tables) => {
+  const worksheets = tables.map((table, index) => [
+    `<Worksheet ss:Name="${escapeHtml(sheetName(table.name, index))}">`,
+    "<Table>",
+    `<Row>${table.columns.map(column => spreadsheetCell(column.label, "header")).join("")}</Row>`,
+    ...table.rows.map(row =>
+      `<Row>${table.columns.map(column => spreadsheetCell(row[column.key])).join("")}</Row>`
+    ),
+    "</Table>",
+    "</Worksheet>"
+  ].join("\n"));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<?mso-application progid="Excel.Sheet"?>',
+    '<Workbook xmlns="urn:schemas-microsoft-com:office:spreadsheet" xmlns:ss="urn:schemas-microsoft-com:office:spreadsheet">',
+    '<Styles><Style ss:ID="header"><Font ss:Bold="1"/></Style></Styles>',
+    ...worksheets,
+    "</Workbook>"
+  ].join("\n");
+};
+
+export const downloadFile = (content, filename, mimeType) => {
+  const blob = new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  // Revoke on the next tick; some browsers cancel the download if the URL goes away immediately
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+// The byte-order mark makes Excel read the file as UTF-8 (Urdu names, the rupee sign)
+export const exportCsv = (filename, table) =>
+  downloadFile(`\uFEFF${toCsv(table)}`, `${filename}.csv`, "text/csv;charset=utf-8");
+
+export const exportJson = (filename, data) =>
+  downloadFile(JSON.stringify(data, null, 2), `${filename}.json`, "application/json");
+
+export const exportSpreadsheet = (filename, tables) =>
+  downloadFile(toSpreadsheetXml(tables), `${filename}.xls`, "application/vnd.ms-excel");
+
+const PRINT_STYLES = `
+  body { font-family: Inter, system-ui, sans-serif; color: #111827; margin: 32px; }
+  h1 { font-size: 22px; margin: 0 0 4px; }
+  .subtitle { color: #4B5563; font-size: 13px; margin-bottom: 24px; }
+  h2 { font-size: 15px; margin: 24px 0 8px; }
+  table { width: 100%; border-collapse: collapse; font-size: 12px; page-break-inside: auto; }
+  tr { page-break-inside: avoid; }
+  th, td { border-bottom: 1px solid #E5E7EB; padding: 6px 8px; text-align: left; }
+  th { background: #F9FAFB; font-weight: 600; }
+  td.numeric, th.numeric { text-align: right; }
+  .empty { color: #6B7280; font-size: 12px; }
+  @media print { body { margin: 0; } .no-print { display: none; } }
+`;
+
+const NUMERIC_TYPES = ["number", "currency", "percent"];
+
+const columnType = (column, row) => (typeof column.type === "function" ? column.type(row) : column.type);
+
+// Opens the tables in a new window laid out for paper; the browser's print dialog can save it as PDF
+export const openPrintView = ({ title, subtitle = "", tables }) => {
+  const printWindow = window.open("", "_blank");
+  if (!printWindow) {
+    throw new Error("Allow pop-ups for this site to open the print view");
+  }
+
+  const sections = tables.map(table => {
+    const body = table.rows.length === 0
+      ? `<p class="empty">No data for this period.</p>`
+      : `<table>
+          <thead><tr>${table.columns.map(column =>
+            `<th class="${NUMERIC_TYPES.includes(columnType(column, table.rows[0])) ? "numeric" : ""}">${escapeHtml(column.label)}</th>`
+          ).join("")}</tr></thead>
+          <tbody>${table.rows.map(row => `<tr>${table.columns.map(column =>
+            `<td class="${NUMERIC_TYPES.includes(columnType(column, row)) ? "numeric" : ""}">${escapeHtml(formatCell(row[column.key], columnType(column, row)))}</td>`
+          ).join("")}</tr>`).join("")}</tbody>
+        </table>`;
+    return `<h2>${escapeHtml(table.name)}</h2>${body}`;
+  }).join("");
+
+  printWindow.document.write(`<!DOCTYPE html>
+<html>
+  <head><meta charset="utf-8"><title>${escapeHtml(title)}</title><style>${PRINT_STYLES}</style></head>
+  <body>
+    <button class="no-print" onclick="window.print()">Print / Save as PDF</button>
+    <h1>${escapeHtml(title)}</h1>
+    <p class="subtitle">${escapeHtml(subtitle)}</p>
+    ${sections}
+  </body>
+</html>`);
+  printWindow.document.close();
+  printWindow.focus();
+  printWindow.print();
+};
+
+// Filesystem-safe name such as "bazaarpk-sales-report-30d-2024-06-01"
+export const buildExportFilename = (...parts) =>
+  parts
+    .filter(Boolean)
+    .join("-")
+    .toLowerCase()
+    .replace(/[^a-z0-9-]+/g, "-")
+    .replace(/-+/g, "-")
+    .replace(/^-|-$/g, "");
@@ -0,0 +1,112 @@
+/**
+ * Parsers for uploaded data files. Both return { headers, rows } where each row is an object
+ * keyed by header, so CSV and JSON uploads can go through the same column mapping.
+ */
+
+// Our own CSV export prefixes formula-like text with a quote; take it off again on the way in
+const ESCAPED_FORMULA = /^'[=+\-@]/;
+
+const detectDelimiter = (headerLine) => {
+  const counts = [",", ";", "\t"].map(delimiter => [delimiter, headerLine.split(delimiter).length]);
+  return counts.sort((a, b) => b[1] - a[1])[0][0];
+};
+
+// RFC 4180 parsing: quoted fields may hold delimiters, doubled quotes and line breaks
+const splitCsvRecords = (text, delimiter) => {
+  const records = [];
+  let record = [];
+  let field = "";
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === "") {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      record.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error("The CSV file has an unclosed quote");
+  }
+  if (field !== "" || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+  return records;
+};
+
+export const parseCsv = (text) => {
+  const content = String(text || "").replace(/^\uFEFF/, "");
+  if (!content.trim()) {
+    throw new Error("The file is empty");
+  }
+
+  const delimiter = detectDelimiter(content.split(/\r?\n/, 1)[0]);
+  const records = splitCsvRecords(content, delimiter)
+    .filter(record => record.some(value => value.trim() !== ""));
+
+  const [headerRecord, ...dataRecords] = records;
+  const headers = headerRecord.map(header => header.trim());
+  if (headers.some(header => !header)) {
+    throw new Error("Every column in the header row needs a name");
+  }
+
+  const rows = dataRecords.map(record =>
+    headers.reduce((row, header, index) => {
+      const value = (record[index] ?? "").trim();
+      row[header] = ESCAPED_FORMULA.test(value) ? value.slice(1) : value;
+      return row;
+    }, {})
+  );
+
+  return { headers, rows };
+};
+
+// Accepts an array of objects, or an object wrapping one (e.g. { "products": [...] })
+export const parseJson = (text) => {
+  let data;
+  try {
+    data = JSON.parse(String(text || "").replace(/^\uFEFF/, ""));
+  } catch (error) {
+    throw new Error(`The JSON file could not be read: ${error.message}`);
+  }
+
+  const list = Array.isArray(data)
+    ? data
+    : Object.values(data || {}).find(value => Array.isArray(value));
+  if (!list) {
+    throw new Error("The JSON file must contain a list of records");
+  }
+  if (list.some(item => typeof item !== "object" || item === null || Array.isArray(item))) {
+    throw new Error("Every record in the JSON file must be an object");
+  }
+
+  const headers = [...new Set(list.flatMap(item => Object.keys(item)))];
+  return { headers, rows: list.map(item => ({ ...item })) };
+};
+
+export const parseImportFile = async (file) => {
+  const text = await file.text();
+  const isJson = /\.json$/i.test(file.name) || file.type === "application/json";
+  return { ...(isJson ? parseJson(text) : parseCsv(text)), format: isJson ? "json" : "csv" };
+};
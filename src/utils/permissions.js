@@ -0,0 +1,46 @@
+import { AuthService } from "@/services/api/AuthService";
+
+// Every permission a staff account can be granted. Admins hold all of them implicitly;
+// other roles only hold the flags switched on in their `permissions` object.
+export const PERMISSIONS = {
+  canDelete: "Delete products",
+  canBulkEdit: "Edit products in bulk",
+  canPublish: "Publish and feature products",
+  canApprove: "Approve products",
+  canManageCatalog: "Manage categories",
+  canManageInventory: "Adjust stock",
+  canManageOrders: "Manage orders",
+  canProcessRefunds: "Process refunds",
+  canManageCustomers: "Manage customers",
+  canManageMarketing: "Manage promotions",
+  canViewReports: "View reports",
+  canManageUsers: "Manage staff accounts",
+  canManageSettings: "Change system settings"
+};
+
+export const hasPermission = (user, permission) => {
+  if (!user || user.status !== "active") return false;
+  if (user.role === "admin") return true;
+  return user.permissions?.[permission] === true;
+};
+
+export const permissionError = (permission) => {
+  const error = new Error(`You do not have permission to ${(PERMISSIONS[permission] || permission).toLowerCase()}`);
+  error.code = "PERMISSION_DENIED";
+  error.permission = permission;
+  return error;
+};
+
+export const assertPermission = (user, permission) => {
+  if (!hasPermission(user, permission)) {
+    throw permissionError(permission);
+  }
+  return user;
+};
+
+// Service-side guard: resolves the signed-in user from the session so a direct call
+// cannot skip the check the UI already made
+export const requirePermission = async (permission) => {
+  const user = await AuthService.getCurrentUser();
+  return assertPermission(user, permission);
+};
@@ -0,0 +1,223 @@
+/**
+ * In-memory inverted index for full-text search. Documents are indexed per field with a weight,
+ * and queries match terms exactly, by prefix, within a small edit distance (typos such as
+ * "biriyani" for "biryani") or by sound. Urdu script is transliterated into Roman Urdu so a query
+ * in either script finds text written in the other.
+ */
+
+// Urdu letters to their usual Roman Urdu spelling. Vowel letters are ambiguous, so matching
+// across scripts goes through the phonetic key below rather than the spelling itself.
+const URDU_TO_ROMAN = {
+  "ا": "a", "آ": "aa", "ب": "b", "پ": "p", "ت": "t", "ٹ": "t", "ث": "s", "ج": "j", "چ": "ch",
+  "ح": "h", "خ": "kh", "د": "d", "ڈ": "d", "ذ": "z", "ر": "r", "ڑ": "r", "ز": "z", "ژ": "zh",
+  "س": "s", "ش": "sh", "ص": "s", "ض": "z", "ط": "t", "ظ": "z", "ع": "a", "غ": "gh", "ف": "f",
+  "ق": "q", "ک": "k", "گ": "g", "ل": "l", "م": "m", "ن": "n", "ں": "n", "و": "o", "ہ": "h",
+  "ھ": "h", "ۃ": "h", "ی": "i", "ے": "e", "ئ": "i", "ء": "", "ۓ": "e", "ؤ": "o", "ۂ": "h"
+};
+
+const URDU_LETTER = /[\u0600-\u06ff]/;
+
+// Arabic code points that Urdu keyboards often produce instead of the Urdu letters
+const URDU_VARIANTS = { "ي": "ی", "ى": "ی", "ك": "ک", "ه": "ہ", "ة": "ۃ", "أ": "ا", "إ": "ا" };
+
+// Accents and Urdu vowel marks (zabar, zer, pesh...) are dropped, as is the kashida stretch
+export const normalizeText = (text) =>
+  String(text ?? "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f\u064b-\u065f\u0670\u0640]/g, "")
+    .replace(/[\u064a\u0649\u0643\u0647\u0629\u0623\u0625]/g, char => URDU_VARIANTS[char])
+    .toLowerCase();
+
+export const tokenize = (text) => normalizeText(text).match(/[\p{L}\p{N}]+/gu) || [];
+
+export const transliterate = (token) =>
+  URDU_LETTER.test(token) ? [...token].map(char => URDU_TO_ROMAN[char] ?? char).join("") : token;
+
+// Roman Urdu spellings vary mostly in their vowels and doubled letters ("biryani", "biriyani",
+// "beryani"), so the key keeps the first letter and the consonants after it
+export const phoneticKey = (token) => {
+  const roman = transliterate(token)
+    .replace(/ph/g, "f")
+    .replace(/[cq]/g, "k")
+    .replace(/w/g, "v");
+  const consonants = roman.slice(1).replace(/[aeiouy]/g, "");
+  return (roman[0] + consonants).replace(/(.)\1+/g, "$1");
+};
+
+// Optimal string alignment distance, giving up once it is certain to exceed `max`
+export const editDistance = (a, b, max = Infinity) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let previousRow = null;
+  let row = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const nextRow = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + cost);
+      if (previousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, previousRow[j - 2] + 1);
+      }
+      nextRow.push(value);
+      rowMin = Math.min(rowMin, value);
+    }
+    if (rowMin > max) return max + 1;
+    previousRow = row;
+    row = nextRow;
+  }
+  return row[b.length];
+};
+
+// Short words allow no typos, longer ones one or two
+const allowedTypos = (length) => (length < 5 ? 0 : length < 8 ? 1 : 2);
+
+// How strongly each kind of match counts towards a document's score
+const MATCH_WEIGHTS = { exact: 1, prefix: 0.7, fuzzy: 0.55, phonetic: 0.45 };
+
+const MIN_PREFIX_LENGTH = 2;
+// Keys shorter than this ("pl", "kr") sound like too many words to be worth matching
+const MIN_PHONETIC_KEY_LENGTH = 3;
+
+/**
+ * Creates an empty index. `fields` maps field names to weights; documents are plain objects of
+ * field name to text (or lists of text). Re-adding a document whose text is unchanged is a no-op,
+ * so callers can sync the whole collection cheaply after any change.
+ */
+export const createSearchIndex = (fields) => {
+  // term -> Map(documentId -> Map(field -> occurrences))
+  const postings = new Map();
+  // phonetic key -> Set of terms
+  const soundsLike = new Map();
+  // documentId -> { signature, terms }
+  const documents = new Map();
+
+  const addPosting = (term, id, field) => {
+    if (!postings.has(term)) {
+      postings.set(term, new Map());
+      const key = phoneticKey(term);
+      if (key.length >= MIN_PHONETIC_KEY_LENGTH) {
+        if (!soundsLike.has(key)) soundsLike.set(key, new Set());
+        soundsLike.get(key).add(term);
+      }
+    }
+    const byDocument = postings.get(term);
+    if (!byDocument.has(id)) byDocument.set(id, new Map());
+    const byField = byDocument.get(id);
+    byField.set(field, (byField.get(field) || 0) + 1);
+  };
+
+  const remove = (id) => {
+    const entry = documents.get(id);
+    if (!entry) return false;
+    entry.terms.forEach(term => {
+      const byDocument = postings.get(term);
+      byDocument.delete(id);
+      if (byDocument.size === 0) {
+        postings.delete(term);
+        const key = phoneticKey(term);
+        soundsLike.get(key)?.delete(term);
+        if (soundsLike.get(key)?.size === 0) soundsLike.delete(key);
+      }
+    });
+    documents.delete(id);
+    return true;
+  };
+
+  const add = (id, document) => {
+    const signature = JSON.stringify(Object.keys(fields).map(field => document[field] ?? null));
+    if (documents.get(id)?.signature === signature) return false;
+    remove(id);
+
+    const terms = new Set();
+    Object.keys(fields).forEach(field => {
+      const values = Array.isArray(document[field]) ? document[field] : [document[field]];
+      values.forEach(value => {
+        tokenize(value).forEach(token => {
+          // Urdu words are also indexed in Roman script so Roman Urdu queries reach them
+          const forms = URDU_LETTER.test(token) ? [token, transliterate(token)] : [token];
+          forms.forEach(form => {
+            addPosting(form, id, field);
+            terms.add(form);
+          });
+        });
+      });
+    });
+    documents.set(id, { signature, terms });
+    return true;
+  };
+
+  // Every indexed term the query token could mean, with the weight of that kind of match
+  const expandToken = (token) => {
+    const matches = new Map();
+    const consider = (term, weight) => {
+      if ((matches.get(term) || 0) < weight) matches.set(term, weight);
+    };
+    const roman = transliterate(token);
+    const typos = allowedTypos(roman.length);
+
+    [token, roman].forEach(form => postings.has(form) && consider(form, MATCH_WEIGHTS.exact));
+    postings.forEach((_, term) => {
+      if (term === token || term === roman) return;
+      if (roman.length >= MIN_PREFIX_LENGTH && (term.startsWith(roman) || term.startsWith(token))) {
+        consider(term, MATCH_WEIGHTS.prefix * (roman.length / term.length + 1) / 2);
+      } else if (typos > 0 && editDistance(roman, term, typos) <= typos) {
+        consider(term, MATCH_WEIGHTS.fuzzy);
+      }
+    });
+    soundsLike.get(phoneticKey(roman))?.forEach(term => consider(term, MATCH_WEIGHTS.phonetic));
+    return matches;
+  };
+
+  // Rarer terms say more about a document than common ones
+  const inverseFrequency = (term) => Math.log(1 + documents.size / postings.get(term).size);
+
+  /**
+   * Resolves a query to [{ id, score, matchedTerms }] ordered best first. Documents have to
+   * match every query word; when none do, documents matching some of the words are returned,
+   * ranked by how many they match.
+   */
+  const search = (query, { limit = Infinity } = {}) => {
+    const queryTokens = [...new Set(tokenize(query))];
+    if (queryTokens.length === 0) return [];
+
+    const results = new Map();
+    queryTokens.forEach(token => {
+      const best = new Map();
+      expandToken(token).forEach((matchWeight, term) => {
+        const idf = inverseFrequency(term);
+        postings.get(term).forEach((byField, id) => {
+          let termScore = 0;
+          byField.forEach((count, field) => {
+            termScore += fields[field] * matchWeight * idf * (1 + Math.log(count));
+          });
+          const current = best.get(id);
+          if (!current || current.score < termScore) best.set(id, { score: termScore, term });
+        });
+      });
+      best.forEach(({ score, term }, id) => {
+        const result = results.get(id) || { id, score: 0, matched: 0, matchedTerms: [] };
+        result.score += score;
+        result.matched += 1;
+        result.matchedTerms.push(term);
+        results.set(id, result);
+      });
+    });
+
+    const ranked = [...results.values()].sort((a, b) => b.matched - a.matched || b.score - a.score);
+    const complete = ranked.filter(result => result.matched === queryTokens.length);
+    return (complete.length > 0 ? complete : ranked)
+      .slice(0, limit)
+      .map(({ id, score, matchedTerms }) => ({ id, score: Math.round(score * 1000) / 1000, matchedTerms }));
+  };
+
+  return {
+    add,
+    remove,
+    search,
+    has: (id) => documents.has(id),
+    ids: () => [...documents.keys()],
+    get size() {
+      return documents.size;
+    }
+  };
+};
@@ -75,4 +75,36 @@ export const storage = {
       return false;
     }
   }
-};
\ No newline at end of file
+};
+// Same interface over sessionStorage, for state that should last only as long as the tab
+export const sessionStore = {
+  get: (key) => {
+    try {
+      const item = sessionStorage.getItem(key);
+      return item ? JSON.parse(item) : null;
+    } catch (error) {
+      console.error(`Error reading ${key} from session storage:`, error);
+      return null;
+    }
+  },
+
+  set: (key, value) => {
+    try {
+      sessionStorage.setItem(key, JSON.stringify(value));
+      return true;
+    } catch (error) {
+      console.error(`Error saving ${key} to session storage:`, error);
+      return false;
+    }
+  },
+
+  remove: (key) => {
+    try {
+      sessionStorage.removeItem(key);
+      return true;
+    } catch (error) {
+      console.error(`Error removing ${key} from session storage:`, error);
+      return false;
+    }
+  }
+};